@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+const path = require("path");
+const { main } = require("../src/cli");
+
+require("dotenv").config({ path: path.resolve(__dirname, "../src/.env") });
+
+main(process.argv.slice(2)).then((exitCode) => {
+    if (exitCode !== null) {
+        process.exitCode = exitCode;
+    }
+});
@@ -0,0 +1,118 @@
+const fs = require("fs");
+
+// Per-module states recorded in the checkpoint
+const MODULE_STATES = {
+    PENDING: "pending",
+    IN_PROGRESS: "in-progress",
+    PUBLISHED: "published",
+    FAILED: "failed",
+    SKIPPED: "skipped"
+};
+
+// States a resumed run still has to process
+const UNFINISHED_STATES = [MODULE_STATES.PENDING, MODULE_STATES.IN_PROGRESS];
+
+// Checkpoint state for the status of a publish result
+function stateForStatus(status) {
+    switch (status) {
+        case "published":
+        case "published-with-warnings":
+            return MODULE_STATES.PUBLISHED;
+        case "skipped":
+        case "no-publish-button":
+            return MODULE_STATES.SKIPPED;
+        default:
+            return MODULE_STATES.FAILED;
+    }
+}
+
+// Write the checkpoint through a temporary file so a crash never leaves a half-written file
+function saveCheckpoint(checkpoint) {
+    checkpoint.updatedAt = new Date().toISOString();
+    const tempPath = `${checkpoint.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ ...checkpoint, filePath: undefined }, null, 2), "utf-8");
+    fs.renameSync(tempPath, checkpoint.filePath);
+}
+
+/**
+ * Start a new checkpoint with every module pending
+ * @param {string} filePath - Checkpoint file
+ * @param {Array} modules - Modules of the run
+ * @param {string} environment - Environment the run is executed against
+ * @returns {Object} - Checkpoint
+ */
+function createCheckpoint(filePath, modules, environment) {
+    const checkpoint = {
+        filePath,
+        environment,
+        startedAt: new Date().toISOString(),
+        updatedAt: null,
+        modules: {}
+    };
+    modules.forEach(module => {
+        checkpoint.modules[module.name] = { state: MODULE_STATES.PENDING, updatedAt: null, result: null };
+    });
+    saveCheckpoint(checkpoint);
+    return checkpoint;
+}
+
+/**
+ * Load the checkpoint of a previous run
+ * @param {string} filePath - Checkpoint file
+ * @returns {Object|null} - Checkpoint, or null if there is none
+ */
+function loadCheckpoint(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    const checkpoint = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    return { ...checkpoint, filePath };
+}
+
+/**
+ * Record the state of a module and save the checkpoint
+ * @param {Object} checkpoint - Checkpoint
+ * @param {string} name - Module name
+ * @param {string} state - One of MODULE_STATES
+ * @param {Object|null} [result] - Publish result of the module
+ */
+function setModuleState(checkpoint, name, state, result = null) {
+    checkpoint.modules[name] = { state, updatedAt: new Date().toISOString(), result };
+    saveCheckpoint(checkpoint);
+}
+
+// State of a module, modules added to the input file after the checkpoint are pending
+function getModuleState(checkpoint, name) {
+    return checkpoint.modules[name] ? checkpoint.modules[name].state : MODULE_STATES.PENDING;
+}
+
+/**
+ * Split modules into the ones a resumed run still has to process and the ones already finished
+ * @param {Object} checkpoint - Checkpoint of the previous run
+ * @param {Array} modules - Modules of the run
+ * @returns {{unfinished: Array, finished: Array}} - Unfinished modules keep the input order
+ */
+function splitByProgress(checkpoint, modules) {
+    const unfinished = modules.filter(module => UNFINISHED_STATES.includes(getModuleState(checkpoint, module.name)));
+    const finished = modules.filter(module => !UNFINISHED_STATES.includes(getModuleState(checkpoint, module.name)));
+    return { unfinished, finished };
+}
+
+// Count the modules of the checkpoint per state
+function countStates(checkpoint) {
+    const counts = {};
+    Object.values(MODULE_STATES).forEach(state => { counts[state] = 0; });
+    Object.values(checkpoint.modules).forEach(entry => { counts[entry.state]++; });
+    return counts;
+}
+
+module.exports = {
+    MODULE_STATES,
+    stateForStatus,
+    createCheckpoint,
+    loadCheckpoint,
+    setModuleState,
+    getModuleState,
+    splitByProgress,
+    countStates
+};
@@ -0,0 +1,222 @@
+const { parseArgs } = require("util");
+const { PROCESSING_HIERARCHY } = require("./layers");
+const { DISCOVERY_MODES } = require("./discovery");
+const { ENGINES, DEFAULT_ENGINE } = require("./service-center/engines");
+
+// Exit codes of the scripts and of the os-republisher command
+const EXIT_CODES = {
+    OK: 0,
+    FAILURE: 1, // The scan, republish or cycle failed
+    USAGE: 2 // Invalid command line
+};
+
+// Options shared by the scanner, the republisher and the os-republisher subcommands
+const OPTION_DEFINITIONS = {
+    "layers": { type: "string", description: "Comma-separated layers to process, e.g. OS,UI (default: all)" },
+    "env": { type: "string", description: "Environment from environments.json" },
+    "headful": { type: "boolean", description: "Show the browser window" },
+    "engine": { type: "string", description: `How to drive Service Center: ${Object.keys(ENGINES).join(", ")} (default: ${DEFAULT_ENGINE})` },
+    "concurrency": { type: "string", description: "Tabs per front-end host" },
+    "max-workers": { type: "string", description: "Tabs over all front-end hosts (default: every host at full concurrency)" },
+    "max-publishes": { type: "string", description: "Publishes running at once (default: 3)" },
+    "max-passes": { type: "string", description: "Publish passes over a module still in warning after its producers were republished (default: 2)" },
+    "max-layer-failure": { type: "string", description: "Fraction of a layer's modules that may fail before the later layers are skipped, from 0 to 1 (default: 0.5, 1 never skips)" },
+    "input": { type: "string", description: "Module manifest read by the republisher" },
+    "output": { type: "string", description: "Module manifest written by the scanner" },
+    "include": { type: "string", multiple: true, description: "Only modules matching these name patterns (* and ? wildcards)" },
+    "exclude": { type: "string", multiple: true, description: "Skip modules matching these name patterns" },
+    "rules": { type: "string", description: "Module rules file (default: module-rules.json)" },
+    "module": { type: "string", multiple: true, description: "Republish only these modules, looked up in Service Center instead of the manifest" },
+    "with-consumers": { type: "string", multiple: true, description: "Republish these modules and every module consuming them, looked up in Service Center" },
+    "skip-warning-check": { type: "boolean", description: "Publish the modules even when their page shows no warning" },
+    "mode": { type: "string", description: `Modules to discover: ${Object.keys(DISCOVERY_MODES).join(", ")} (default: warnings)` },
+    "names": { type: "string", description: "File of module names to scan, one per line (sets --mode names)" },
+    "no-dependencies": { type: "boolean", description: "Sort by layer only, without reading dependencies" },
+    "junit": { type: "boolean", description: "Also write the run report as JUnit XML" },
+    "artifacts": { type: "boolean", description: "Save a screenshot, the HTML and the console messages of every failed step" },
+    "trace": { type: "boolean", description: "With --artifacts, also save the recent requests as a HAR file" },
+    "dry-run": { type: "boolean", description: "Check modules and print the publish plan without publishing" },
+    "max-age": { type: "string", description: "Hours after which a scan is too old to republish (default: 24)" },
+    "resume": { type: "boolean", description: "Continue the previous run from its checkpoint" },
+    "once": { type: "boolean", description: "Run one cycle of every job now and exit" },
+    "port": { type: "string", description: "Serve the status dashboard, REST API and Prometheus metrics on this port" },
+    "metrics-file": { type: "string", description: "Write Prometheus metrics to this file for the node_exporter textfile collector" },
+    "limit": { type: "string", description: "Number of past cycles or scans to show" },
+    "json": { type: "boolean", description: "Print JSON instead of tables" },
+    "csv": { type: "string", description: "Also write every module found in warning, with its counts and changes, to this CSV file" },
+    "help": { type: "boolean", short: "h", description: "Show this help" }
+};
+
+// Options accepted by each script
+const SCANNER_OPTIONS = ["layers", "env", "engine", "headful", "output", "include", "exclude", "rules", "mode", "names", "no-dependencies", "artifacts", "trace", "metrics-file", "help"];
+const REPUBLISHER_OPTIONS = ["layers", "env", "engine", "headful", "concurrency", "max-workers", "max-publishes", "max-passes", "max-layer-failure", "input", "include", "exclude", "rules", "module", "with-consumers", "skip-warning-check", "junit", "dry-run", "resume", "max-age", "artifacts", "trace", "metrics-file", "help"];
+
+// Invalid command line, reported with the usage text and EXIT_CODES.USAGE
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+// Split repeated and comma-separated values into one list
+function splitList(values) {
+    return [].concat(values || [])
+        .flatMap(value => value.split(","))
+        .map(value => value.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Parse and validate a command line
+ * A single positional argument is accepted as the layers, as the scripts always did.
+ * @param {string[]} args - Command-line arguments
+ * @param {string[]} optionNames - Names from OPTION_DEFINITIONS the command accepts
+ * @param {Object} [settings]
+ * @param {boolean} [settings.multipleEnvironments] - Whether --env may list several environments
+ * @returns {{layers: string|null, environments: string[], mode: string|null, engine: string|null, concurrency: number|null, maxWorkers: number|null, maxPublishes: number|null, maxPasses: number|null, maxLayerFailure: number|null, include: string[], exclude: string[], moduleNames: string[], withConsumers: string[], port: number|null, limit: number|null, maxAge: number|null, values: Object}}
+ * @throws {UsageError} - On unknown options, unexpected arguments or invalid values
+ */
+function parseCommandLine(args, optionNames, { multipleEnvironments = false } = {}) {
+    const options = {};
+    optionNames.forEach(name => {
+        const { description, ...definition } = OPTION_DEFINITIONS[name];
+        options[name] = definition;
+    });
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options, allowPositionals: true, strict: true });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+    const { values, positionals } = parsed;
+
+    if (values.trace && !values.artifacts) {
+        throw new UsageError("--trace needs --artifacts");
+    }
+
+    if (positionals.length > 1 || (positionals.length === 1 && values.layers)) {
+        throw new UsageError(`Unexpected argument "${positionals[positionals.length - 1]}"`);
+    }
+
+    const layers = values.layers || positionals[0] || null;
+    if (layers) {
+        const unknown = splitList(layers).filter(layer => !PROCESSING_HIERARCHY.includes(layer.toUpperCase()));
+        if (unknown.length > 0) {
+            throw new UsageError(`Unknown layer(s): ${unknown.join(", ")}. Available layers: ${PROCESSING_HIERARCHY.join(", ")}`);
+        }
+    }
+
+    const environments = splitList(values.env);
+    if (environments.length > 1 && !multipleEnvironments) {
+        throw new UsageError(`Only one environment can be given here, got ${environments.join(", ")}. Use "os-republisher run --env ${environments.join(",")}" to run them one after another.`);
+    }
+
+    const mode = values.mode || (values.names ? "names" : null);
+    if (mode && !DISCOVERY_MODES[mode]) {
+        throw new UsageError(`Unknown mode "${mode}". Available modes: ${Object.keys(DISCOVERY_MODES).join(", ")}`);
+    }
+    if ((mode === "names") !== !!values.names) {
+        throw new UsageError("--names <file> and --mode names go together");
+    }
+
+    const engine = values.engine || null;
+    if (engine && !ENGINES[engine]) {
+        throw new UsageError(`Unknown engine "${engine}". Available engines: ${Object.keys(ENGINES).join(", ")}`);
+    }
+
+    const positiveInteger = (name) => {
+        if (values[name] === undefined) {
+            return null;
+        }
+        const value = Number(values[name]);
+        if (!Number.isInteger(value) || value < 1) {
+            throw new UsageError(`--${name} must be a positive whole number, got "${values[name]}"`);
+        }
+        return value;
+    };
+    const fraction = (name) => {
+        if (values[name] === undefined) {
+            return null;
+        }
+        const value = Number(values[name]);
+        if (values[name].trim() === "" || !(value >= 0 && value <= 1)) {
+            throw new UsageError(`--${name} must be a number from 0 to 1, got "${values[name]}"`);
+        }
+        return value;
+    };
+
+    return {
+        layers,
+        environments,
+        mode,
+        engine,
+        concurrency: positiveInteger("concurrency"),
+        maxWorkers: positiveInteger("max-workers"),
+        maxPublishes: positiveInteger("max-publishes"),
+        maxPasses: positiveInteger("max-passes"),
+        maxLayerFailure: fraction("max-layer-failure"),
+        port: positiveInteger("port"),
+        limit: positiveInteger("limit"),
+        maxAge: positiveInteger("max-age"),
+        include: splitList(values.include),
+        exclude: splitList(values.exclude),
+        moduleNames: splitList(values.module),
+        withConsumers: splitList(values["with-consumers"]),
+        values
+    };
+}
+
+/**
+ * Describe the options of a command for its usage text
+ * @param {string[]} optionNames - Names from OPTION_DEFINITIONS
+ * @returns {string} - One line per option
+ */
+function describeOptions(optionNames) {
+    const label = (name) => {
+        const definition = OPTION_DEFINITIONS[name];
+        const short = definition.short ? `-${definition.short}, ` : "";
+        return `${short}--${name}${definition.type === "string" ? " <value>" : ""}`;
+    };
+    const width = Math.max(...optionNames.map(name => label(name).length)) + 2;
+    return optionNames
+        .map(name => `  ${label(name).padEnd(width)}${OPTION_DEFINITIONS[name].description}`)
+        .join("\n");
+}
+
+/**
+ * Parse the command line of a script, printing the usage and exiting on -h or an invalid command line
+ * @param {string[]} args - Command-line arguments
+ * @param {string[]} optionNames - Names from OPTION_DEFINITIONS the script accepts
+ * @param {string} usage - Usage text
+ * @returns {Object} - Result of parseCommandLine
+ */
+function parseScriptCommandLine(args, optionNames, usage) {
+    try {
+        const options = parseCommandLine(args, optionNames);
+        if (options.values.help) {
+            console.log(usage);
+            process.exit(EXIT_CODES.OK);
+        }
+        return options;
+    } catch (err) {
+        if (!(err instanceof UsageError)) {
+            throw err;
+        }
+        console.error(`Error: ${err.message}`);
+        console.log(usage);
+        process.exit(EXIT_CODES.USAGE);
+    }
+}
+
+module.exports = {
+    EXIT_CODES,
+    OPTION_DEFINITIONS,
+    SCANNER_OPTIONS,
+    REPUBLISHER_OPTIONS,
+    UsageError,
+    parseCommandLine,
+    describeOptions,
+    parseScriptCommandLine
+};
@@ -0,0 +1,382 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const {
+    EXIT_CODES,
+    OPTION_DEFINITIONS,
+    SCANNER_OPTIONS,
+    REPUBLISHER_OPTIONS,
+    UsageError,
+    parseCommandLine,
+    describeOptions
+} = require("./cli-options");
+const { ENVIRONMENTS_FILE, loadEnvironmentsConfig, listEnvironments, getEnvironmentModulesFile } = require("./environment");
+const { loadScheduleConfig, runCycle, startScheduler, getJobModulesFile, getRunningCycle } = require("./scheduler");
+const { DEFAULT_DASHBOARD_HOST, startDashboard } = require("./dashboard");
+const { CYCLE_STATUSES, readHistory, logHistory } = require("./cycle-history");
+const { createRegistry } = require("./metrics");
+const { resolveManifestPath } = require("./manifest");
+const scanHistory = require("./scan-history");
+const checkpoints = require("./checkpoint");
+
+const SCANNER_SCRIPT = path.join(__dirname, "outsystems-warning-scanner.js");
+const REPUBLISHER_SCRIPT = path.join(__dirname, "outsystems-module-republisher.js");
+const CHECKPOINT_FILE = "republish-checkpoint.json"; // Written by the republisher next to the module list
+
+// Options of "run": everything the scanner and the republisher accept
+const RUN_OPTIONS = [...new Set([...SCANNER_OPTIONS, ...REPUBLISHER_OPTIONS].filter(name => name !== "help")), "help"];
+const SCHEDULE_OPTIONS = ["env", "once", "port", "metrics-file", "help"];
+const STATUS_OPTIONS = ["env", "limit", "json", "help"];
+const DIFF_OPTIONS = ["env", "limit", "json", "csv", "help"];
+
+// Options "run" passes on to only one of the scripts; layers, env and the module list are set per cycle
+const RUN_SCAN_OPTIONS = ["engine", "headful", "include", "exclude", "rules", "mode", "names", "no-dependencies", "artifacts", "trace"];
+const RUN_REPUBLISH_OPTIONS = ["engine", "headful", "concurrency", "max-workers", "max-publishes", "max-passes", "max-layer-failure", "include", "exclude", "rules", "skip-warning-check", "junit", "dry-run", "resume", "max-age", "artifacts", "trace"];
+
+const COMMANDS = {
+    scan: {
+        summary: "Scan Service Center for modules in warning and save them in dependency order",
+        options: SCANNER_OPTIONS,
+        run: (options, args) => runScript(SCANNER_SCRIPT, args)
+    },
+    republish: {
+        summary: "Republish the modules saved by the last scan, layer by layer",
+        options: REPUBLISHER_OPTIONS,
+        run: (options, args) => runScript(REPUBLISHER_SCRIPT, args)
+    },
+    run: {
+        summary: "Scan then republish, one environment after another (--env dev,test or --env all)",
+        options: RUN_OPTIONS,
+        multipleEnvironments: true,
+        run: runCommand
+    },
+    schedule: {
+        summary: "Run scan and republish cycles on the schedule from schedule.json",
+        options: SCHEDULE_OPTIONS,
+        multipleEnvironments: true,
+        run: scheduleCommand
+    },
+    status: {
+        summary: "Show running cycles, resumable runs and the cycle history",
+        options: STATUS_OPTIONS,
+        run: statusCommand
+    },
+    diff: {
+        summary: "Compare the last scans: modules that entered or left warning, and repeat offenders",
+        options: DIFF_OPTIONS,
+        run: diffCommand
+    }
+};
+
+const USAGE = `
+Usage: os-republisher <command> [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(11)}${command.summary}`).join("\n")}
+
+"status" shows the cycle history and "diff" the scan history.
+Run "os-republisher <command> --help" for the options of a command.
+`;
+
+// Usage text of a subcommand
+function commandUsage(name) {
+    const command = COMMANDS[name];
+    return `
+Usage: os-republisher ${name} [options]
+
+${command.summary}.
+
+Options:
+${describeOptions(command.options)}
+`;
+}
+
+// Run a script with the terminal attached, resolving with its exit code
+function runScript(scriptPath, args) {
+    return new Promise((resolve) => {
+        const child = spawn(process.execPath, [scriptPath, ...args], { stdio: "inherit" });
+        child.on("error", (error) => {
+            console.error(`Could not start ${path.basename(scriptPath)}:`, error.message);
+            resolve(EXIT_CODES.FAILURE);
+        });
+        child.on("close", (code) => resolve(code === null ? EXIT_CODES.FAILURE : code));
+    });
+}
+
+// Rebuild command-line arguments from parsed option values
+function toArgs(values, names) {
+    return names.flatMap(name => {
+        const value = values[name];
+        if (value === undefined || value === false) {
+            return [];
+        }
+        if (OPTION_DEFINITIONS[name].type === "boolean") {
+            return [`--${name}`];
+        }
+        return [].concat(value).flatMap(item => [`--${name}`, item]);
+    });
+}
+
+/**
+ * Resolve --env against the environments file
+ * @param {string[]} names - Names given with --env, "all" for every environment
+ * @returns {string[]} - Environment names
+ * @throws {Error} - When an environment is not in the environments file
+ */
+function resolveEnvironmentNames(names) {
+    const configured = listEnvironments(loadEnvironmentsConfig());
+    const environments = names.includes("all") ? configured : names;
+    const unknown = environments.filter(name => !configured.includes(name));
+    if (environments.length === 0 || unknown.length > 0) {
+        throw new Error(`Unknown environment(s): ${unknown.join(", ") || "all"}. Environments in ${ENVIRONMENTS_FILE}: ${configured.join(", ") || "none"}`);
+    }
+    return environments;
+}
+
+// Whether a cycle ended in a way that should fail the command
+function isFailedCycle(entry) {
+    return entry.status === CYCLE_STATUSES.FAILED || entry.status === CYCLE_STATUSES.SKIPPED;
+}
+
+/**
+ * Arguments "run" passes on to the scanner and to the republisher
+ * @param {Object} options - Result of parseCommandLine
+ * @returns {{scanArgs: string[], republishArgs: string[]}}
+ * @throws {UsageError} - On --module or --with-consumers, which look the modules up without a scan
+ */
+function getRunScriptArgs(options) {
+    if (options.moduleNames.length + options.withConsumers.length > 0) {
+        throw new UsageError("--module and --with-consumers look the modules up in Service Center instead of scanning, use \"os-republisher republish\" for them");
+    }
+    return {
+        scanArgs: toArgs(options.values, RUN_SCAN_OPTIONS),
+        republishArgs: toArgs(options.values, RUN_REPUBLISH_OPTIONS)
+    };
+}
+
+async function runCommand(options) {
+    const { values } = options;
+    const { scanArgs, republishArgs } = getRunScriptArgs(options);
+    if (values.input && values.output && path.resolve(values.input) !== path.resolve(values.output)) {
+        throw new UsageError("--input and --output must name the same module list for run, give only one of them");
+    }
+    const modulesFile = values.output || values.input || null;
+    const environments = options.environments.length > 0 ? resolveEnvironmentNames(options.environments) : [null];
+    if (modulesFile && environments.length > 1) {
+        throw new UsageError("--input/--output can only be used with a single environment");
+    }
+    const layers = options.layers ? options.layers.split(",").map(layer => layer.trim().toUpperCase()) : null;
+    const metricsFile = values["metrics-file"] || null; // Rewritten after every environment
+
+    const results = [];
+    const metrics = metricsFile ? createRegistry() : null;
+    for (const environment of environments) {
+        if (environment) {
+            console.log(`\n=== Environment ${environment} ===`);
+        }
+        const entry = await runCycle({ environment, layers, modulesFile }, {
+            trigger: "manual",
+            scanArgs,
+            republishArgs,
+            metrics,
+            metricsFile
+        });
+        results.push(entry);
+    }
+
+    if (results.length > 1) {
+        console.log("\nEnvironment summary:");
+        console.table(results.map(entry => ({
+            environment: entry.environment,
+            status: entry.status,
+            found: entry.modulesFound,
+            reason: entry.reason || ""
+        })));
+    }
+    return results.some(isFailedCycle) ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+}
+
+async function scheduleCommand(options) {
+    const config = loadScheduleConfig();
+    if (options.environments.length > 0) {
+        config.jobs = config.jobs.filter(job => options.environments.includes(job.environment));
+        if (config.jobs.length === 0) {
+            throw new Error(`No scheduled job for ${options.environments.join(", ")}`);
+        }
+    }
+
+    if (options.values.once && options.port) {
+        throw new UsageError("--port serves the dashboard of a running scheduler and cannot be used with --once");
+    }
+    const metricsFile = options.values["metrics-file"] || null;
+    if (options.values.once) {
+        const metrics = metricsFile ? createRegistry() : null;
+        let failed = false;
+        for (const job of config.jobs) {
+            failed = isFailedCycle(await runCycle(job, { trigger: "manual", metrics, metricsFile })) || failed;
+        }
+        return failed ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+    }
+
+    const scheduler = startScheduler(config, { metricsFile });
+    if (options.port) {
+        await startDashboard(scheduler, {
+            port: options.port,
+            host: process.env.WODIFY_DASHBOARD_HOST || DEFAULT_DASHBOARD_HOST,
+            token: process.env.WODIFY_DASHBOARD_TOKEN || null
+        });
+    }
+    console.log("To run one cycle immediately, run: os-republisher schedule --once");
+    return null; // Keeps running
+}
+
+// Checkpoint progress of the last republish of an environment, e.g. "2 pending, 5 published"
+function describeCheckpoint(modulesFile) {
+    const checkpoint = checkpoints.loadCheckpoint(path.join(path.dirname(modulesFile), CHECKPOINT_FILE));
+    if (!checkpoint) {
+        return "";
+    }
+    const counts = checkpoints.countStates(checkpoint);
+    return Object.entries(counts).filter(([, count]) => count > 0).map(([state, count]) => `${count} ${state}`).join(", ");
+}
+
+async function statusCommand(options) {
+    const environment = options.environments[0] || null;
+    const history = readHistory({ environment, limit: options.limit || 10 });
+
+    // Environments to report on: the requested one, or every configured or previously run environment
+    const configuredEnvironments = listEnvironments(loadEnvironmentsConfig());
+    const names = environment ? [environment] : Array.from(new Set([
+        ...configuredEnvironments,
+        ...readHistory().map(entry => entry.environment)
+    ]));
+    const environments = names.map(name => {
+        const configured = configuredEnvironments.includes(name);
+        const job = { environment: configured ? name : null };
+        const running = getRunningCycle(job);
+        const [last] = readHistory({ environment: name, limit: 1 });
+        return {
+            environment: name,
+            running: running ? `since ${running.startedAt} (pid ${running.pid})` : "no",
+            lastCycle: last ? last.startedAt : null,
+            lastStatus: last ? last.status : null,
+            checkpoint: describeCheckpoint(configured ? getEnvironmentModulesFile(name) : getJobModulesFile(job))
+        };
+    });
+
+    if (options.values.json) {
+        console.log(JSON.stringify({ environments, history }, null, 2));
+        return EXIT_CODES.OK;
+    }
+    if (environments.length > 0) {
+        console.table(environments);
+    }
+    console.log(`Last ${history.length} cycle(s):`);
+    logHistory(history);
+    return EXIT_CODES.OK;
+}
+
+async function diffCommand(options) {
+    const historyFile = scanHistory.getScanHistoryFile(resolveManifestPath(null, options.environments[0] || null));
+    const snapshots = scanHistory.selectComparableSnapshots(scanHistory.readScanSnapshots(historyFile));
+    if (snapshots.length === 0) {
+        console.log(`No scans recorded yet in ${historyFile}.`);
+        return EXIT_CODES.OK;
+    }
+
+    const current = snapshots[snapshots.length - 1];
+    const previous = snapshots.length > 1 ? snapshots[snapshots.length - 2] : null;
+    const changes = scanHistory.diffSnapshots(previous, current);
+    const offenders = scanHistory.findRepeatOffenders(snapshots);
+    const trend = scanHistory.buildTrend(snapshots).slice(-(options.limit || 10));
+
+    if (options.values.csv) {
+        const csvFile = path.resolve(options.values.csv);
+        fs.writeFileSync(csvFile, scanHistory.toCsv(snapshots), "utf-8");
+        console.error(`Module history written to ${csvFile}`);
+    }
+    if (options.values.json) {
+        console.log(JSON.stringify({
+            environment: current.environment,
+            mode: current.mode,
+            layers: current.layers,
+            scans: snapshots.length,
+            current: current.scannedAt,
+            previous: previous ? previous.scannedAt : null,
+            changes,
+            offenders,
+            trend
+        }, null, 2));
+        return EXIT_CODES.OK;
+    }
+
+    const layers = Array.isArray(current.layers) ? current.layers.join(",") : "all";
+    console.log(`${snapshots.length} scan(s) of ${current.environment} (${current.mode} mode, ${layers} layers) in ${historyFile}`);
+    if (!previous) {
+        console.log(`Only one scan so far (${current.scannedAt}), nothing to compare it with.`);
+    } else {
+        console.log(`Changes from ${previous.scannedAt} to ${current.scannedAt}:`);
+    }
+    const list = (names) => names.length > 0 ? names.join(", ") : "none";
+    console.log(`  Entered warning (${changes.entered.length}): ${list(changes.entered)}`);
+    console.log(`  Resolved (${changes.resolved.length}): ${list(changes.resolved)}`);
+    console.log(`  Still in warning (${changes.remaining.length}): ${list(changes.remaining)}`);
+
+    console.log(`\nRepeat offenders (${offenders.length}), modules back in warning after a scan found them resolved:`);
+    if (offenders.length > 0) {
+        console.table(offenders.map(module => ({
+            module: module.name,
+            layer: module.suffix,
+            entered: module.timesEntered,
+            scans: module.scansInWarning,
+            firstSeen: module.firstSeen,
+            lastSeen: module.lastSeen,
+            now: module.inWarning ? "in warning" : "resolved"
+        })));
+    }
+
+    console.log(`\nModules in warning, last ${trend.length} scan(s):`);
+    console.table(trend);
+    return EXIT_CODES.OK;
+}
+
+/**
+ * Run an os-republisher command line
+ * @param {string[]} argv - Arguments after the program name
+ * @returns {Promise<number|null>} - Exit code, or null when the command keeps running (schedule)
+ */
+async function main(argv) {
+    const [name, ...args] = argv;
+    if (!name || name === "-h" || name === "--help") {
+        console.log(USAGE);
+        return name ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+    const command = COMMANDS[name];
+    if (!command) {
+        console.error(`Error: Unknown command "${name}"`);
+        console.log(USAGE);
+        return EXIT_CODES.USAGE;
+    }
+
+    try {
+        const options = parseCommandLine(args, command.options, { multipleEnvironments: command.multipleEnvironments });
+        if (options.values.help) {
+            console.log(commandUsage(name));
+            return EXIT_CODES.OK;
+        }
+        return await command.run(options, args);
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        if (err instanceof UsageError) {
+            console.log(commandUsage(name));
+            return EXIT_CODES.USAGE;
+        }
+        return EXIT_CODES.FAILURE;
+    }
+}
+
+module.exports = {
+    COMMANDS,
+    getRunScriptArgs,
+    main
+};
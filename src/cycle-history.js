@@ -0,0 +1,80 @@
+const fs = require("fs");
+const path = require("path");
+
+// History of scan and republish cycles, one JSON object per line
+const HISTORY_FILE = process.env.WODIFY_HISTORY_FILE || path.resolve(__dirname, "./schedule-history.jsonl");
+
+// Final status of a cycle
+const CYCLE_STATUSES = {
+    SUCCEEDED: "succeeded", // Scan and republish ran, no module failed
+    FAILED: "failed", // The scan or the republish failed, or a module failed to publish
+    NO_MODULES: "no-modules", // The scan found nothing to republish
+    SKIPPED: "skipped", // Not started, the previous cycle of the environment was still running
+    CANCELLED: "cancelled" // Stopped from the dashboard or the REST API
+};
+
+/**
+ * Append a finished cycle to the history
+ * @param {Object} entry - Cycle record built by runCycle
+ * @param {string} [filePath] - History file, HISTORY_FILE by default
+ */
+function appendHistory(entry, filePath = HISTORY_FILE) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`, "utf-8");
+}
+
+/**
+ * Read past cycles, most recent first
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - History file, HISTORY_FILE by default
+ * @param {string} [options.environment] - Only cycles of this environment
+ * @param {number} [options.limit] - Maximum number of cycles returned
+ * @returns {Array<Object>} - Cycle records
+ */
+function readHistory({ filePath = HISTORY_FILE, environment = null, limit = null } = {}) {
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+    const entries = fs.readFileSync(filePath, "utf-8")
+        .split("\n")
+        .filter(line => line.trim().length > 0)
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (err) {
+                // A line cut short by a crash is ignored
+                return null;
+            }
+        })
+        .filter(entry => entry && (!environment || entry.environment === environment))
+        .reverse();
+    return limit ? entries.slice(0, limit) : entries;
+}
+
+// Print past cycles as a table
+function logHistory(entries) {
+    if (entries.length === 0) {
+        console.log("No cycles recorded yet.");
+        return;
+    }
+    console.table(entries.map(entry => ({
+        started: entry.startedAt,
+        environment: entry.environment,
+        trigger: entry.trigger,
+        layers: entry.layers ? entry.layers.join(",") : "all",
+        status: entry.status,
+        found: entry.modulesFound,
+        published: entry.totals ? entry.totals.published + entry.totals["published-with-warnings"] : null,
+        failed: entry.totals ? entry.totals.failed : null,
+        duration: `${Math.round(entry.durationMs / 1000)}s`,
+        reason: entry.reason || ""
+    })));
+}
+
+module.exports = {
+    HISTORY_FILE,
+    CYCLE_STATUSES,
+    appendHistory,
+    readHistory,
+    logHistory
+};
@@ -0,0 +1,313 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { readHistory } = require("./cycle-history");
+const { getJobModulesFile, CYCLE_STEPS } = require("./scheduler");
+const checkpoints = require("./checkpoint");
+const scanHistory = require("./scan-history");
+const { METRICS_CONTENT_TYPE } = require("./metrics");
+
+/*
+ * Status dashboard, REST API and Prometheus metrics of the scheduler, started with "os-republisher schedule --port <n>".
+ * Reading is open to whoever can reach the port, which is only this machine by default. Starting,
+ * cancelling and pausing cycles needs the WODIFY_DASHBOARD_TOKEN as a bearer token, and is refused
+ * when no token is configured.
+ */
+
+const DEFAULT_DASHBOARD_HOST = "127.0.0.1"; // Only reachable from this machine unless WODIFY_DASHBOARD_HOST says otherwise
+const CHECKPOINT_FILE = "republish-checkpoint.json"; // Written by the republisher next to the module list
+const DEFAULT_HISTORY_LIMIT = 20; // Cycles returned by /api/history without ?limit
+
+// Actions of POST /api/jobs/<name>/<action>, with the cycle steps they run
+const JOB_ACTIONS = {
+    cycle: CYCLE_STEPS,
+    scan: ["scan"],
+    republish: ["republish"]
+};
+
+// Read a JSON file, null if missing or unreadable
+function readJsonFile(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Module queue of the last republish of a job, from its checkpoint
+ * @param {Object} job - Job from loadScheduleConfig
+ * @returns {{startedAt: string|null, updatedAt: string|null, counts: Object|null, modules: Array}} - Modules in publish order
+ */
+function readProgress(job) {
+    const modulesFile = getJobModulesFile(job);
+    let checkpoint = null;
+    try {
+        checkpoint = checkpoints.loadCheckpoint(path.join(path.dirname(modulesFile), CHECKPOINT_FILE));
+    } catch (err) {
+        // Being rewritten by the republisher, or damaged; shown as no progress
+    }
+    if (!checkpoint) {
+        return { startedAt: null, updatedAt: null, counts: null, modules: [] };
+    }
+    const manifest = readJsonFile(modulesFile);
+    const layers = new Map(((manifest && manifest.modules) || []).map(module => [module.name, module.suffix]));
+    return {
+        startedAt: checkpoint.startedAt,
+        updatedAt: checkpoint.updatedAt,
+        counts: checkpoints.countStates(checkpoint),
+        modules: Object.entries(checkpoint.modules).map(([name, { state, updatedAt, result }]) => ({
+            name,
+            layer: result ? result.layer : (layers.get(name) || null),
+            state,
+            status: result ? result.status : null,
+            subdomain: result ? result.subdomain : null,
+            message: result ? result.message : "",
+            updatedAt
+        }))
+    };
+}
+
+/**
+ * Last scan of a job, with the changes since the scan before
+ * @param {Object} job - Job from loadScheduleConfig
+ * @returns {Object|null} - Null when the job was never scanned
+ */
+function readLastScan(job) {
+    const modulesFile = getJobModulesFile(job);
+    const manifest = readJsonFile(modulesFile);
+    if (!manifest || !Array.isArray(manifest.modules) || !manifest.discovery) {
+        return null;
+    }
+    const snapshots = scanHistory.selectComparableSnapshots(scanHistory.readScanSnapshots(scanHistory.getScanHistoryFile(modulesFile)));
+    const changes = snapshots.length > 1
+        ? scanHistory.diffSnapshots(snapshots[snapshots.length - 2], snapshots[snapshots.length - 1])
+        : null;
+    return { ...scanHistory.createScanSnapshot(manifest), complete: manifest.complete, changes };
+}
+
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+// Compare a bearer token in constant time
+function isAuthorized(req, token) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+    if (!match) {
+        return false;
+    }
+    const given = crypto.createHash("sha256").update(match[1]).digest();
+    const expected = crypto.createHash("sha256").update(token).digest();
+    return crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Create the dashboard server
+ * GET  /                              dashboard page
+ * GET  /metrics                       Prometheus metrics of the scheduler and its cycles
+ * GET  /api/status                    schedule, jobs and running cycles
+ * GET  /api/history?job=&limit=       recent cycles, most recent first
+ * GET  /api/jobs/<name>/progress      module queue of the last republish
+ * GET  /api/jobs/<name>/scan          last scan and its changes
+ * POST /api/jobs/<name>/<cycle|scan|republish|cancel>
+ * POST /api/schedule/<pause|resume>
+ * @param {Object} scheduler - Scheduler returned by startScheduler
+ * @param {Object} [options]
+ * @param {string|null} [options.token] - Bearer token of the POST endpoints; without one they are refused
+ * @returns {http.Server}
+ */
+function createDashboardServer(scheduler, { token = null } = {}) {
+    const handleGet = (url, res) => {
+        if (url.pathname === "/") {
+            res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+            res.end(DASHBOARD_PAGE);
+            return;
+        }
+        if (url.pathname === "/metrics") {
+            res.writeHead(200, { "Content-Type": METRICS_CONTENT_TYPE });
+            res.end(scheduler.metrics.render());
+            return;
+        }
+        if (url.pathname === "/api/status") {
+            sendJson(res, 200, scheduler.describe());
+            return;
+        }
+        if (url.pathname === "/api/history") {
+            const job = url.searchParams.get("job");
+            const limit = Number(url.searchParams.get("limit")) || DEFAULT_HISTORY_LIMIT;
+            const environment = job ? (job === "default" ? process.env.WODIFY_ENV || "default environment" : job) : null;
+            sendJson(res, 200, readHistory({ filePath: scheduler.historyFile, environment, limit }));
+            return;
+        }
+        const match = /^\/api\/jobs\/([^/]+)\/(progress|scan)$/.exec(url.pathname);
+        const job = match && scheduler.findJob(decodeURIComponent(match[1]));
+        if (!job) {
+            sendJson(res, 404, { error: match ? `Unknown job "${decodeURIComponent(match[1])}"` : "Not found" });
+            return;
+        }
+        sendJson(res, 200, match[2] === "progress" ? readProgress(job) : readLastScan(job));
+    };
+
+    const handlePost = (url, req, res) => {
+        if (!token) {
+            sendJson(res, 403, { error: "Actions are disabled, set WODIFY_DASHBOARD_TOKEN to enable them" });
+            return;
+        }
+        if (!isAuthorized(req, token)) {
+            res.setHeader("WWW-Authenticate", "Bearer");
+            sendJson(res, 401, { error: "Missing or wrong bearer token" });
+            return;
+        }
+
+        const schedule = /^\/api\/schedule\/(pause|resume)$/.exec(url.pathname);
+        if (schedule) {
+            scheduler[schedule[1]]();
+            sendJson(res, 200, { paused: scheduler.isPaused() });
+            return;
+        }
+
+        const match = /^\/api\/jobs\/([^/]+)\/(cycle|scan|republish|cancel)$/.exec(url.pathname);
+        const name = match && decodeURIComponent(match[1]);
+        if (!match || !scheduler.findJob(name)) {
+            sendJson(res, 404, { error: match ? `Unknown job "${name}"` : "Not found" });
+            return;
+        }
+        if (match[2] === "cancel") {
+            if (!scheduler.cancel(name)) {
+                sendJson(res, 409, { error: `No cycle of ${name} is running in this scheduler` });
+                return;
+            }
+            sendJson(res, 202, { job: name, cancelling: true });
+            return;
+        }
+        const steps = JOB_ACTIONS[match[2]];
+        if (!scheduler.trigger(name, steps)) {
+            sendJson(res, 409, { error: `A cycle of ${name} is already running` });
+            return;
+        }
+        sendJson(res, 202, { job: name, steps, started: true });
+    };
+
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        try {
+            if (req.method === "GET") {
+                handleGet(url, res);
+            } else if (req.method === "POST") {
+                // Actions take no body
+                req.resume();
+                handlePost(url, req, res);
+            } else {
+                res.setHeader("Allow", "GET, POST");
+                sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+            }
+        } catch (err) {
+            console.error(`Dashboard error on ${req.method} ${url.pathname}:`, err.message);
+            sendJson(res, 500, { error: err.message });
+        }
+    });
+}
+
+/**
+ * Start the dashboard of a running scheduler
+ * @param {Object} scheduler - Scheduler returned by startScheduler
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on, 0 for any free port
+ * @param {string} [options.host] - Address to listen on
+ * @param {string|null} [options.token] - Bearer token of the POST endpoints
+ * @returns {Promise<http.Server>} - Listening server
+ */
+function startDashboard(scheduler, { port, host = DEFAULT_DASHBOARD_HOST, token = null }) {
+    const server = createDashboardServer(scheduler, { token });
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+            const address = server.address();
+            console.log(`Dashboard and REST API on http://${host}:${address.port}/`);
+            if (!token) {
+                console.warn("WODIFY_DASHBOARD_TOKEN is not set: the dashboard is read-only.");
+            }
+            resolve(server);
+        });
+    });
+}
+
+// Dashboard page: polls the REST API, the actions send the token entered on the page
+const DASHBOARD_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>OutSystems module republisher</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; font-size: 14px; }
+th { background: #f3f3f3; }
+.published, .succeeded { color: #1a7f37; } .failed, .stuck, .cancelled { color: #c62828; } .in-progress { color: #1565c0; }
+button { margin-right: 4px; }
+</style>
+</head>
+<body>
+<h1>OutSystems module republisher</h1>
+<p>Token <input id="token" type="password" size="30"> <span id="schedule"></span> <button data-action="schedule/pause">Pause</button><button data-action="schedule/resume">Resume</button> <span id="message"></span></p>
+<h2>Jobs</h2><table id="jobs"></table>
+<h2>Progress of <select id="job"></select></h2><p id="counts"></p><table id="progress"></table>
+<h2>Last scan</h2><p id="scan-summary"></p><table id="scan"></table>
+<h2>Recent cycles</h2><table id="history"></table>
+<script>
+const $ = (id) => document.getElementById(id);
+const token = $("token");
+token.value = localStorage.getItem("republisherToken") || "";
+token.onchange = () => localStorage.setItem("republisherToken", token.value);
+const escape = (value) => String(value === null || value === undefined ? "" : value).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+function table(id, columns, rows) {
+    $(id).innerHTML = "<tr>" + columns.map(c => "<th>" + escape(c[0]) + "</th>").join("") + "</tr>" +
+        rows.map(row => "<tr>" + columns.map(c => "<td>" + c[1](row) + "</td>").join("") + "</tr>").join("");
+}
+const badge = (value) => '<span class="' + escape(value) + '">' + escape(value) + "</span>";
+async function get(path) { return (await fetch(path)).json(); }
+async function act(action) {
+    const res = await fetch("/api/" + action, { method: "POST", headers: { Authorization: "Bearer " + token.value } });
+    const body = await res.json();
+    $("message").textContent = res.ok ? action + ": ok" : body.error;
+    refresh();
+}
+document.addEventListener("click", (event) => { if (event.target.dataset.action) act(event.target.dataset.action); });
+async function refresh() {
+    const status = await get("/api/status");
+    $("schedule").textContent = status.paused ? "Schedule paused" : "Schedule running";
+    table("jobs", [
+        ["Job", j => escape(j.name)], ["Schedule", j => escape(j.schedule)], ["Next run", j => escape(j.nextRun)],
+        ["Running", j => j.running ? escape((j.running.step || "") + " since " + j.running.startedAt + " (" + j.running.trigger + ")") : "no"],
+        ["Actions", j => ["cycle", "scan", "republish", "cancel"].map(a => '<button data-action="jobs/' + encodeURIComponent(j.name) + "/" + a + '">' + a + "</button>").join("")]
+    ], status.jobs);
+    const select = $("job");
+    if (select.options.length !== status.jobs.length) {
+        select.innerHTML = status.jobs.map(j => "<option>" + escape(j.name) + "</option>").join("");
+    }
+    const job = encodeURIComponent(select.value);
+    const progress = await get("/api/jobs/" + job + "/progress");
+    $("counts").textContent = progress.counts ? "Started " + progress.startedAt + ": " + Object.entries(progress.counts).map(e => e[1] + " " + e[0]).join(", ") : "No republish yet";
+    table("progress", [["Module", m => escape(m.name)], ["Layer", m => escape(m.layer)], ["State", m => badge(m.state)], ["Status", m => badge(m.status)], ["Host", m => escape(m.subdomain)], ["Message", m => escape(m.message)]], progress.modules);
+    const scan = await get("/api/jobs/" + job + "/scan");
+    $("scan-summary").textContent = scan ? "Scanned " + scan.scannedAt + " (" + scan.mode + " mode), " + scan.modules.length + " modules" +
+        (scan.changes ? ", entered warning: " + (scan.changes.entered.join(", ") || "none") + ", resolved: " + (scan.changes.resolved.join(", ") || "none") : "") : "No scan yet";
+    table("scan", [["Module", m => escape(m.name)], ["Layer", m => escape(m.suffix)], ["Status", m => escape(m.statusIcon)], ["Messages", m => escape(m.categories.join(", "))]], scan ? scan.modules : []);
+    const history = await get("/api/history?limit=10");
+    table("history", [["Started", c => escape(c.startedAt)], ["Environment", c => escape(c.environment)], ["Trigger", c => escape(c.trigger)], ["Status", c => badge(c.status)], ["Found", c => escape(c.modulesFound)], ["Reason", c => escape(c.reason)]], history);
+}
+$("job").onchange = refresh;
+refresh();
+setInterval(refresh, 5000);
+</script>
+</body>
+</html>
+`;
+
+module.exports = {
+    DEFAULT_DASHBOARD_HOST,
+    createDashboardServer,
+    startDashboard
+};
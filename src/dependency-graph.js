@@ -0,0 +1,159 @@
+const { PROCESSING_HIERARCHY } = require("./layers");
+
+// Rank of a module in the suffix hierarchy, used to break ties between independent modules
+function hierarchyRank(module) {
+    const rank = PROCESSING_HIERARCHY.indexOf(module.suffix);
+    return rank !== -1 ? rank : PROCESSING_HIERARCHY.length;
+}
+
+// Order modules by suffix hierarchy, then alphabetically
+function compareByHierarchy(a, b) {
+    const rankDifference = hierarchyRank(a) - hierarchyRank(b);
+    return rankDifference !== 0 ? rankDifference : a.name.localeCompare(b.name);
+}
+
+/**
+ * Build a producer -> consumer graph between the given modules
+ * Dependencies on modules outside the list are ignored, they are not republished.
+ * @param {Array<{name: string, producers?: string[], consumers?: string[]}>} modules - Modules with their dependencies
+ * @returns {Map<string, Set<string>>} - For every module name, the names of the modules it depends on
+ */
+function buildDependencyGraph(modules) {
+    const graph = new Map(modules.map(module => [module.name, new Set()]));
+
+    modules.forEach(module => {
+        (module.producers || []).forEach(producer => {
+            if (graph.has(producer) && producer !== module.name) {
+                graph.get(module.name).add(producer);
+            }
+        });
+        // A consumer listed on a producer page is the same edge seen from the other side
+        (module.consumers || []).forEach(consumer => {
+            if (graph.has(consumer) && consumer !== module.name) {
+                graph.get(consumer).add(module.name);
+            }
+        });
+    });
+
+    return graph;
+}
+
+/**
+ * Find the dependency cycles of a graph (strongly connected components with more than one module)
+ * @param {Map<string, Set<string>>} graph - Graph built by buildDependencyGraph
+ * @returns {string[][]} - Module names of every cycle
+ */
+function findCycles(graph) {
+    // Tarjan's algorithm
+    let index = 0;
+    const stack = [];
+    const onStack = new Set();
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const cycles = [];
+
+    const visit = (name) => {
+        indexes.set(name, index);
+        lowLinks.set(name, index);
+        index++;
+        stack.push(name);
+        onStack.add(name);
+
+        graph.get(name).forEach(dependency => {
+            if (!indexes.has(dependency)) {
+                visit(dependency);
+                lowLinks.set(name, Math.min(lowLinks.get(name), lowLinks.get(dependency)));
+            } else if (onStack.has(dependency)) {
+                lowLinks.set(name, Math.min(lowLinks.get(name), indexes.get(dependency)));
+            }
+        });
+
+        if (lowLinks.get(name) === indexes.get(name)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== name);
+            if (component.length > 1) {
+                cycles.push(component.sort());
+            }
+        }
+    };
+
+    graph.forEach((dependencies, name) => {
+        if (!indexes.has(name)) {
+            visit(name);
+        }
+    });
+    return cycles;
+}
+
+/**
+ * Sort modules so that every module comes after the modules it depends on
+ * Modules without an ordering constraint between them are ordered by the suffix hierarchy.
+ * A dependency cycle is broken at its first module in suffix hierarchy order, and reported.
+ * @param {Array} modules - Modules with their producers/consumers
+ * @returns {{sorted: Array, cycles: string[][]}} - Sorted modules, each with its dependencyLevel, and the cycles found
+ */
+function sortModulesTopologically(modules) {
+    const graph = buildDependencyGraph(modules);
+    const cycles = findCycles(graph);
+    const cycleMembers = new Set(cycles.flat());
+    const byName = new Map(modules.map(module => [module.name, module]));
+    const remaining = new Map(Array.from(graph, ([name, dependencies]) => [name, new Set(dependencies)]));
+    const levels = new Map();
+    const sorted = [];
+
+    // Kahn's algorithm, one dependency level at a time
+    let level = 0;
+    while (remaining.size > 0) {
+        let ready = Array.from(remaining.keys()).filter(name => remaining.get(name).size === 0);
+        if (ready.length === 0) {
+            // Only cycles are left: release the first cycle member in hierarchy order
+            const [first] = Array.from(remaining.keys())
+                .filter(name => cycleMembers.has(name))
+                .map(name => byName.get(name))
+                .sort(compareByHierarchy);
+            ready = [first.name];
+        }
+
+        ready.map(name => byName.get(name)).sort(compareByHierarchy).forEach(module => {
+            levels.set(module.name, level);
+            sorted.push(module);
+            remaining.delete(module.name);
+        });
+        remaining.forEach(dependencies => ready.forEach(name => dependencies.delete(name)));
+        level++;
+    }
+
+    return {
+        sorted: sorted.map(module => ({
+            ...module,
+            dependsOn: Array.from(graph.get(module.name)).sort(),
+            dependencyLevel: levels.get(module.name)
+        })),
+        cycles
+    };
+}
+
+// Print the dependency cycles found while sorting
+function logCycleReport(cycles) {
+    if (cycles.length === 0) {
+        console.log("No dependency cycles found.");
+        return;
+    }
+    console.warn(`Found ${cycles.length} dependency cycle(s). Each cycle is broken at its first module in suffix hierarchy order:`);
+    cycles.forEach((cycle, i) => {
+        console.warn(`  Cycle ${i + 1}: ${cycle.join(", ")} depend on each other`);
+    });
+}
+
+module.exports = {
+    compareByHierarchy,
+    buildDependencyGraph,
+    findCycles,
+    sortModulesTopologically,
+    logCycleReport
+};
@@ -0,0 +1,101 @@
+const fs = require("fs");
+
+/*
+ * Discovery modes of the scanner: which eSpaces list status filter to apply and which of the listed rows to keep.
+ * statusOption is a key of selectors.espacesList.statusOptions.
+ */
+const DISCOVERY_MODES = {
+    warnings: {
+        description: "modules in warning, from the list with errors and warnings",
+        statusOption: "withErrorsAndWarnings",
+        keepRow: (row) => row.inWarning
+    },
+    outdated: {
+        description: "modules with outdated references",
+        statusOption: "withOutdatedReferences",
+        keepRow: () => true
+    },
+    errors: {
+        description: "modules with errors only",
+        statusOption: "withErrors",
+        keepRow: () => true
+    },
+    all: {
+        description: "every module",
+        statusOption: "all",
+        keepRow: () => true
+    },
+    names: {
+        description: "the modules named in a file",
+        statusOption: "all",
+        keepRow: (row, names) => names.has(row.name.toLowerCase())
+    }
+};
+
+const DEFAULT_DISCOVERY_MODE = "warnings";
+
+/**
+ * Read the module names file of the "names" mode
+ * One name per line, with # comments, or a JSON array of names.
+ * @param {string} filePath - Names file
+ * @returns {string[]} - Module names
+ */
+function readModuleNames(filePath) {
+    const content = fs.readFileSync(filePath, "utf-8");
+    const names = content.trim().startsWith("[")
+        ? JSON.parse(content)
+        : content.split(/\r?\n/).map(line => line.replace(/#.*/, ""));
+    return names.map(name => String(name).trim()).filter(Boolean);
+}
+
+/**
+ * Set up a discovery mode
+ * @param {string} mode - Key of DISCOVERY_MODES
+ * @param {string|null} namesFile - Names file, required by the "names" mode
+ * @returns {{mode: string, description: string, statusOption: string, namesFile: string|null, names: string[]|null, keepRow: Function}}
+ */
+function createDiscovery(mode = DEFAULT_DISCOVERY_MODE, namesFile = null) {
+    const strategy = DISCOVERY_MODES[mode];
+    if (!strategy) {
+        throw new Error(`Unknown discovery mode "${mode}". Available modes: ${Object.keys(DISCOVERY_MODES).join(", ")}`);
+    }
+    if (mode !== "names") {
+        return { mode, ...strategy, namesFile: null, names: null };
+    }
+    if (!namesFile) {
+        throw new Error('The "names" discovery mode needs a file of module names (--names <file>)');
+    }
+    const names = readModuleNames(namesFile);
+    if (names.length === 0) {
+        throw new Error(`No module names in ${namesFile}`);
+    }
+    const lowerCaseNames = new Set(names.map(name => name.toLowerCase()));
+    return { mode, ...strategy, namesFile, names, keepRow: (row) => strategy.keepRow(row, lowerCaseNames) };
+}
+
+// Names from the names file that were not found in Service Center
+function findMissingNames(discovery, modules) {
+    if (!discovery.names) {
+        return [];
+    }
+    const found = new Set(modules.map(module => module.name.toLowerCase()));
+    return discovery.names.filter(name => !found.has(name.toLowerCase()));
+}
+
+// Discovery details recorded in the module list
+function describeDiscovery(discovery) {
+    return {
+        mode: discovery.mode,
+        statusFilter: discovery.statusOption,
+        namesFile: discovery.namesFile
+    };
+}
+
+module.exports = {
+    DISCOVERY_MODES,
+    DEFAULT_DISCOVERY_MODE,
+    readModuleNames,
+    createDiscovery,
+    findMissingNames,
+    describeDiscovery
+};
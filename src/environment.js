@@ -0,0 +1,170 @@
+const fs = require("fs");
+const path = require("path");
+
+// Default location of the .env file
+const ENV_FILE = path.resolve(__dirname, "./.env");
+
+// Optional file defining named environments (dev, test, prod, ...)
+const ENVIRONMENTS_FILE = process.env.WODIFY_ENVIRONMENTS_FILE || path.resolve(__dirname, "./environments.json");
+
+// Directory holding the module list and reports of each environment selected with --env
+const RUNS_DIR = path.resolve(__dirname, "./runs");
+
+// Tabs opened per front-end host when an environment does not set its concurrency
+const DEFAULT_CONCURRENCY = 2;
+
+// Publishes running at once when an environment does not set maxPublishes; more overload the deployment controller
+const DEFAULT_MAX_PUBLISHES = 3;
+
+// Publish passes over a module when an environment does not set maxPasses: the first publish and one more
+// once its producers were republished
+const DEFAULT_MAX_PASSES = 2;
+
+// Base domain for all Service Center subdomains
+const BASE_DOMAIN = "wodify.com";
+
+// Origin of a subdomain; WODIFY_BASE_URL overrides it, e.g. "http://127.0.0.1:4000" for a local fake Service Center.
+// A "{subdomain}" placeholder in WODIFY_BASE_URL is replaced with the subdomain.
+const BASE_URL_TEMPLATE = process.env.WODIFY_BASE_URL || `https://{subdomain}.${BASE_DOMAIN}`;
+
+// Base URL template of the loaded environment
+let baseUrlTemplate = BASE_URL_TEMPLATE;
+
+/**
+ * Read the environments file
+ * @param {string} [filePath] - Environments file, ENVIRONMENTS_FILE by default
+ * @returns {{environments: Object}|null} - Parsed file, or null if there is none
+ */
+function loadEnvironmentsConfig(filePath = ENVIRONMENTS_FILE) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    const config = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    if (!config.environments || typeof config.environments !== "object") {
+        throw new Error(`${filePath} must contain an "environments" object`);
+    }
+    return config;
+}
+
+// Names of the environments defined in the environments file
+function listEnvironments(config) {
+    return config ? Object.keys(config.environments) : [];
+}
+
+/**
+ * Resolve the settings of an environment from its entry in the environments file
+ * Anything the entry leaves out falls back to the single-environment defaults,
+ * so an environment without an entry behaves like WODIFY_ENV always did.
+ * @param {string} name - Environment name
+ * @param {Object|null} config - Environments file
+ * @param {Object} variables - Variables holding the credentials, usually process.env
+ * @returns {{env: string, username: string, password: string, baseUrl: string|null, serviceCenterHost: string, frontEndHosts: string[], concurrency: number, maxWorkers: number|null, maxPublishes: number, maxPasses: number}}
+ */
+function resolveEnvironment(name, config, variables) {
+    const entry = (config && config.environments[name]) || {};
+    const credentials = entry.credentials || {};
+    const usernameVariable = credentials.usernameVariable || "WODIFY_USERNAME";
+    const passwordVariable = credentials.passwordVariable || "WODIFY_PASSWORD";
+
+    const missing = [usernameVariable, passwordVariable].filter(variable => !variables[variable]);
+    if (missing.length > 0) {
+        throw new Error(`Missing credentials for environment "${name}": set ${missing.join(" and ")}`);
+    }
+
+    const positiveInteger = (key, defaultValue) => {
+        const value = entry[key] === undefined ? defaultValue : entry[key];
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`Invalid ${key} for environment "${name}": ${entry[key]}`);
+        }
+        return value;
+    };
+
+    return {
+        env: name,
+        username: variables[usernameVariable],
+        password: variables[passwordVariable],
+        baseUrl: entry.baseUrl || null,
+        serviceCenterHost: entry.serviceCenterHost || getScannerSubdomain(name),
+        frontEndHosts: entry.frontEndHosts || getSubdomains(name),
+        concurrency: positiveInteger("concurrency", DEFAULT_CONCURRENCY),
+        maxWorkers: entry.maxWorkers === undefined ? null : positiveInteger("maxWorkers"), // Null: every host at full concurrency
+        maxPublishes: positiveInteger("maxPublishes", DEFAULT_MAX_PUBLISHES),
+        maxPasses: positiveInteger("maxPasses", DEFAULT_MAX_PASSES)
+    };
+}
+
+/**
+ * Load the .env file and the settings of the environment to run against
+ * @param {string|null} [name] - Environment selected with --env, WODIFY_ENV when omitted
+ * @returns {{env: string, username: string, password: string, baseUrl: string|null, serviceCenterHost: string, frontEndHosts: string[], concurrency: number, maxWorkers: number|null, maxPublishes: number, maxPasses: number}}
+ */
+function loadEnvironment(name = null) {
+    require("dotenv").config({ path: ENV_FILE });
+    const config = loadEnvironmentsConfig();
+
+    if (name) {
+        if (!listEnvironments(config).includes(name)) {
+            const known = listEnvironments(config);
+            throw new Error(`Unknown environment "${name}". ` +
+                (known.length > 0 ? `Environments in ${ENVIRONMENTS_FILE}: ${known.join(", ")}` : `${ENVIRONMENTS_FILE} not found`));
+        }
+    } else if (!process.env.WODIFY_USERNAME || !process.env.WODIFY_PASSWORD || !process.env.WODIFY_ENV) {
+        console.error('Environment variables not loaded. Checking .env file location...');
+        console.error(`Expected .env path: ${ENV_FILE}`);
+        console.error('Please ensure the .env file exists and contains WODIFY_USERNAME, WODIFY_PASSWORD, and WODIFY_ENV');
+        throw new Error('Missing required environment variables');
+    }
+
+    const environment = resolveEnvironment(name || process.env.WODIFY_ENV, config, process.env);
+    // WODIFY_BASE_URL still wins, so every environment can be pointed at a local fake Service Center
+    if (environment.baseUrl && !process.env.WODIFY_BASE_URL) {
+        baseUrlTemplate = environment.baseUrl;
+    }
+    return environment;
+}
+
+// Default module list of an environment selected with --env, kept apart from the other environments
+function getEnvironmentModulesFile(name) {
+    return path.join(RUNS_DIR, name, "sorted-modules.json");
+}
+
+// Subdomains the republisher spreads its work over
+function getSubdomains(env) {
+    return [`${env}`, `${env}-coreap`, `${env}-clientapp`, `${env}-coreos`, `${env}sc`];
+}
+
+// Subdomain hosting the Service Center used by the scanner
+function getScannerSubdomain(env) {
+    return `${env}sc`;
+}
+
+// Origin (protocol, host and port) of a subdomain
+function getBaseUrl(subdomain) {
+    return baseUrlTemplate.replace("{subdomain}", subdomain).replace(/\/+$/, "");
+}
+
+// Service Center root URL on a subdomain
+function getServiceCenterUrl(subdomain) {
+    return `${getBaseUrl(subdomain)}/ServiceCenter/`;
+}
+
+// Same Service Center page, served from another subdomain
+function getUrlOnSubdomain(url, subdomain) {
+    const { pathname, search } = new URL(url);
+    return `${getBaseUrl(subdomain)}${pathname}${search}`;
+}
+
+module.exports = {
+    BASE_DOMAIN,
+    ENVIRONMENTS_FILE,
+    loadEnvironmentsConfig,
+    listEnvironments,
+    resolveEnvironment,
+    loadEnvironment,
+    getEnvironmentModulesFile,
+    getSubdomains,
+    getScannerSubdomain,
+    getBaseUrl,
+    getServiceCenterUrl,
+    getUrlOnSubdomain
+};
@@ -0,0 +1,144 @@
+const fs = require("fs");
+const path = require("path");
+
+/*
+ * Failure artifacts, saved with --artifacts: what a tab showed when a step failed. Every failure gets a
+ * screenshot (browser engine only), the page HTML and a text file with the error and the console
+ * messages, plus a HAR file of the recent requests with --trace. The files of a run go to one folder
+ * under artifacts/ next to the manifest, named by module (or host) and step.
+ */
+
+const ARTIFACTS_DIR = "artifacts"; // Folder next to the manifest holding one folder per run
+
+// Make a module name, host or step usable in a file name
+function safeName(value) {
+    return String(value).replace(/[^A-Za-z0-9_.-]+/g, "-").replace(/^-+|-+$/g, "") || "page";
+}
+
+/**
+ * Folder of the artifacts of one run, e.g. runs/dev/artifacts/2026-03-01T08-00-00-republish
+ * @param {string} baseDir - Directory of the manifest
+ * @param {string} script - "scan" or "republish"
+ * @param {Date} [startedAt] - Start of the run
+ * @returns {string}
+ */
+function getRunArtifactsDir(baseDir, script, startedAt = new Date()) {
+    const stamp = startedAt.toISOString().replace(/\.\d{3}Z$/, "").replace(/:/g, "-");
+    return path.join(baseDir, ARTIFACTS_DIR, `${stamp}-${script}`);
+}
+
+/**
+ * Build a HAR 1.2 log of recorded requests
+ * Only what the engines record is filled in: method, URL, status and timing.
+ * @param {Array<{method: string, url: string, status: number, startedAt: number, durationMs: number}>} requests
+ * @returns {Object} - HAR document
+ */
+function toHar(requests) {
+    return {
+        log: {
+            version: "1.2",
+            creator: { name: "outsystems-module-republisher", version: "1.0" },
+            entries: requests.map(request => ({
+                startedDateTime: new Date(request.startedAt).toISOString(),
+                time: request.durationMs,
+                request: { method: request.method, url: request.url, httpVersion: "HTTP/1.1", headers: [], queryString: [], cookies: [], headersSize: -1, bodySize: -1 },
+                response: { status: request.status, statusText: "", httpVersion: "HTTP/1.1", headers: [], cookies: [], content: { size: -1, mimeType: "" }, redirectURL: "", headersSize: -1, bodySize: -1 },
+                cache: {},
+                timings: { send: 0, wait: request.durationMs, receive: 0 }
+            }))
+        }
+    };
+}
+
+/**
+ * Create the recorder of a run
+ * The run folder is only created when the first failure is captured.
+ * @param {Object} options
+ * @param {string} options.dir - Run folder, see getRunArtifactsDir
+ * @param {string} options.reportDir - Directory the run report links from; file paths are relative to it
+ * @param {boolean} [options.trace] - Also save the recent requests as a HAR file
+ * @returns {{dir: string, capture: function(Object, Object): Promise<string[]>, filesFor: function(string): string[], list: function(): Array}}
+ */
+function createArtifactRecorder({ dir, reportDir, trace = false }) {
+    const captures = [];
+    const counts = new Map();
+
+    /**
+     * Save what a tab shows after a failed step
+     * Never throws: a capture that fails is logged, so it cannot hide the original error.
+     * @param {Object} tab - Engine tab with captureState()
+     * @param {Object} failure
+     * @param {string} failure.name - Module name, or the host for a login
+     * @param {string} failure.step - Step that failed, e.g. "login", "status-filter", "publish"
+     * @param {Error|string} failure.error - Error of the step
+     * @returns {Promise<string[]>} - Saved files, relative to reportDir
+     */
+    const capture = async (tab, { name, step, error }) => {
+        const key = `${safeName(name)}-${safeName(step)}`;
+        const count = (counts.get(key) || 0) + 1;
+        counts.set(key, count);
+        const base = path.join(dir, count > 1 ? `${key}-${count}` : key);
+        const message = error instanceof Error ? error.message : String(error);
+
+        const files = [];
+        const save = (extension, content) => {
+            fs.writeFileSync(`${base}${extension}`, content);
+            files.push(path.relative(reportDir, `${base}${extension}`));
+        };
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+            let state = null;
+            let stateError = null;
+            try {
+                state = await tab.captureState();
+            } catch (err) {
+                stateError = err;
+            }
+
+            const lines = [
+                `Module/host: ${name}`,
+                `Step: ${step}`,
+                `Time: ${new Date().toISOString()}`,
+                `URL: ${(state && state.url) || "-"}`,
+                `Error: ${message}`
+            ];
+            if (stateError) {
+                lines.push(`Page state could not be captured: ${stateError.message}`);
+            } else {
+                lines.push("", `Console messages (${state.consoleMessages.length}):`, ...state.consoleMessages);
+            }
+            save(".txt", lines.join("\n") + "\n");
+
+            if (state) {
+                if (state.screenshot) {
+                    save(".png", state.screenshot);
+                }
+                save(".html", state.html || "");
+                if (trace) {
+                    save(".har", JSON.stringify(toHar(state.requests), null, 2));
+                }
+            }
+            console.log(`Saved failure artifacts of ${name} (${step}): ${files.join(", ")}`);
+        } catch (err) {
+            console.error(`Error saving failure artifacts of ${name} (${step}):`, err.message);
+        }
+        captures.push({ name, step, error: message, files });
+        return files;
+    };
+
+    return {
+        dir,
+        capture,
+        // Files saved for a module or host
+        filesFor: (name) => captures.filter(entry => entry.name === name).flatMap(entry => entry.files),
+        // Every capture of the run, in order
+        list: () => captures.slice()
+    };
+}
+
+module.exports = {
+    ARTIFACTS_DIR,
+    getRunArtifactsDir,
+    toHar,
+    createArtifactRecorder
+};
@@ -0,0 +1,59 @@
+// Define processing hierarchy, from the modules everything depends on to the UI
+const PROCESSING_HIERARCHY = ["IS", "LS", "TH", "CS", "BL", "SBL", "OS", "API", "AP", "CW", "UI"];
+
+/**
+ * Parse command-line arguments to extract requested layers
+ * @param {string[]} args - Command-line arguments
+ * @returns {string[]|null} - Array of requested layers or null if all layers should be processed
+ */
+function parseRequestedLayers(args) {
+    if (args.length === 0) {
+        return null; // No filtering, process all layers
+    }
+    
+    // Parse the first argument as a list of layers separated by comma
+    const layersArg = args[0];
+    
+    // Create a map of uppercase layer names to their original case for lookup
+    const layerMap = {};
+    PROCESSING_HIERARCHY.forEach(layer => {
+        layerMap[layer.toUpperCase()] = layer;
+    });
+    
+    // Split by comma and filter valid layers case-insensitively
+    const layers = layersArg.split(',')
+        .map(layer => layer.trim())
+        .filter(layer => layerMap[layer.toUpperCase()])
+        .map(layer => layerMap[layer.toUpperCase()]); // Convert to original case
+    
+    if (layers.length === 0) {
+        console.warn(`Warning: No valid layers found in input "${layersArg}". Will process all layers.`);
+        console.log(`Available layers: ${PROCESSING_HIERARCHY.join(', ')}`);
+        return null;
+    }
+    
+    console.log(`Will process only these layers: ${layers.join(', ')}`);
+    return layers;
+}
+
+/**
+ * Filter modules to include only those from requested layers
+ * @param {Array} modules - List of modules to filter
+ * @param {string[]|null} requestedLayers - List of layers to include
+ * @returns {Array} - Filtered list of modules
+ */
+function filterModulesByRequestedLayers(modules, requestedLayers) {
+    if (!requestedLayers) {
+        return modules; // No filtering
+    }
+    
+    const filtered = modules.filter(module => requestedLayers.includes(module.suffix));
+    console.log(`Filtered from ${modules.length} modules to ${filtered.length} modules in layers: ${requestedLayers.join(', ')}`);
+    return filtered;
+}
+
+module.exports = {
+    PROCESSING_HIERARCHY,
+    parseRequestedLayers,
+    filterModulesByRequestedLayers
+};
@@ -0,0 +1,196 @@
+const fs = require("fs");
+const path = require("path");
+const { PROCESSING_HIERARCHY } = require("./layers");
+const { DISCOVERY_MODES } = require("./discovery");
+const { getEnvironmentModulesFile } = require("./environment");
+const { MESSAGE_CATEGORIES, MESSAGE_SEVERITIES } = require("./warning-messages");
+
+const MANIFEST_VERSION = 1; // Raised on every incompatible change of the manifest format
+const DEFAULT_MANIFEST_FILE = path.resolve(__dirname, "./sorted-modules.json"); // Manifest without --env, --input/--output or SORTED_MODULES_FILE
+const MANIFEST_MAX_AGE_HOURS = 24; // The republisher refuses older manifests unless --max-age allows them
+const STATUS_ICONS = ["warning", "error", "ok"]; // Status icon of a module in the eSpaces list
+
+// Invalid, stale or other-environment manifest
+class ManifestError extends Error {
+    constructor(filePath, problems) {
+        super(`${filePath} cannot be used: ${problems.join("; ")}`);
+        this.name = "ManifestError";
+        this.problems = problems;
+    }
+}
+
+/**
+ * Path of the manifest shared by the scanner and the republisher
+ * @param {string|null} explicitPath - --input/--output, or the modulesFile of a scheduled job
+ * @param {string|null} environment - Environment selected with --env, null without one
+ * @returns {string} - The explicit path, else SORTED_MODULES_FILE, else runs/<environment>/sorted-modules.json, else src/sorted-modules.json
+ */
+function resolveManifestPath(explicitPath = null, environment = null) {
+    if (explicitPath) {
+        return path.resolve(explicitPath);
+    }
+    if (process.env.SORTED_MODULES_FILE) {
+        return path.resolve(process.env.SORTED_MODULES_FILE);
+    }
+    return environment ? getEnvironmentModulesFile(environment) : DEFAULT_MANIFEST_FILE;
+}
+
+// Where a scan that stopped on an error saves its modules, so the last complete scan stays at the shared path
+function getPartialManifestPath(manifestPath) {
+    const { dir, name, ext } = path.parse(manifestPath);
+    return path.join(dir, `${name}.partial${ext}`);
+}
+
+/**
+ * Build the manifest of a scan
+ * @param {Object} scan - Scan details
+ * @param {string} scan.environment - Environment that was scanned
+ * @param {Object} scan.discovery - How the modules were discovered, see describeDiscovery
+ * @param {string[]|null} scan.layers - Layer filter, or null for all layers
+ * @param {Array} scan.modules - Modules in processing order
+ * @param {boolean} [scan.complete] - False when the scan stopped early and only part of the modules were collected
+ * @param {Date} [scan.scannedAt] - End of the scan
+ * @returns {Object} - Manifest
+ */
+function createManifest({ environment, discovery, layers, modules, complete = true, scannedAt = new Date() }) {
+    return {
+        version: MANIFEST_VERSION,
+        scannedAt: scannedAt.toISOString(),
+        environment,
+        complete,
+        discovery,
+        layers: layers || "all",
+        modules
+    };
+}
+
+// Check one module entry of a manifest, adding problems to the list
+function validateModule(module, index, problems) {
+    const at = `modules[${index}]`;
+    if (!module || typeof module !== "object") {
+        problems.push(`${at} is not an object`);
+        return;
+    }
+    if (typeof module.name !== "string" || module.name.length === 0) problems.push(`${at}.name must be a module name`);
+    if (!PROCESSING_HIERARCHY.includes(module.suffix)) problems.push(`${at}.suffix must be one of ${PROCESSING_HIERARCHY.join(", ")}`);
+    if (typeof module.url !== "string") problems.push(`${at}.url must be a URL`);
+    if (!STATUS_ICONS.includes(module.statusIcon)) problems.push(`${at}.statusIcon must be one of ${STATUS_ICONS.join(", ")}`);
+    if (module.lastPublished !== null && typeof module.lastPublished !== "string") problems.push(`${at}.lastPublished must be a string or null`);
+    if (module.dependsOn !== undefined && !(Array.isArray(module.dependsOn) && module.dependsOn.every(name => typeof name === "string"))) {
+        problems.push(`${at}.dependsOn must be a list of module names`);
+    }
+    if (module.dependencyLevel !== undefined && !Number.isInteger(module.dependencyLevel)) problems.push(`${at}.dependencyLevel must be a whole number`);
+    if (module.messages !== undefined && !(Array.isArray(module.messages) && module.messages.every(message => message &&
+        MESSAGE_SEVERITIES.includes(message.severity) && MESSAGE_CATEGORIES[message.category] && typeof message.text === "string"))) {
+        problems.push(`${at}.messages must be a list of messages with a severity, a category and a text`);
+    }
+}
+
+/**
+ * Check a manifest against the format written by the scanner
+ * @param {*} manifest - Parsed manifest file
+ * @returns {string[]} - Problems found, empty when the manifest is valid
+ */
+function validateManifest(manifest) {
+    if (Array.isArray(manifest)) {
+        return ["it is a plain module list from an older scanner, run the scanner again"];
+    }
+    if (!manifest || typeof manifest !== "object") {
+        return ["it is not a manifest"];
+    }
+    if (manifest.version !== MANIFEST_VERSION) {
+        return [`manifest version ${manifest.version} is not supported (expected ${MANIFEST_VERSION}), run the scanner again`];
+    }
+
+    const problems = [];
+    if (typeof manifest.scannedAt !== "string" || isNaN(Date.parse(manifest.scannedAt))) problems.push("scannedAt must be a date");
+    if (typeof manifest.environment !== "string" || manifest.environment.length === 0) problems.push("environment must be an environment name");
+    if (typeof manifest.complete !== "boolean") problems.push("complete must be true or false");
+
+    const discovery = manifest.discovery;
+    if (!discovery || !DISCOVERY_MODES[discovery.mode]) {
+        problems.push(`discovery.mode must be one of ${Object.keys(DISCOVERY_MODES).join(", ")}`);
+    } else if (typeof discovery.statusFilter !== "string" || (discovery.namesFile !== null && typeof discovery.namesFile !== "string")) {
+        problems.push("discovery must have a statusFilter and a namesFile or null");
+    }
+
+    if (manifest.layers !== "all" && !(Array.isArray(manifest.layers) && manifest.layers.every(layer => PROCESSING_HIERARCHY.includes(layer)))) {
+        problems.push(`layers must be "all" or a list of layers`);
+    }
+
+    if (!Array.isArray(manifest.modules)) {
+        problems.push("modules must be a list");
+    } else {
+        manifest.modules.forEach((module, index) => validateModule(module, index, problems));
+    }
+    return problems;
+}
+
+/**
+ * Write a manifest
+ * @param {string} filePath - Manifest file
+ * @param {Object} manifest - Manifest from createManifest
+ */
+function writeManifest(filePath, manifest) {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(manifest, null, 2), "utf-8");
+}
+
+/**
+ * Read and validate a manifest
+ * @param {string} filePath - Manifest file
+ * @param {Object} [expected] - What the reader needs; omitted checks are skipped
+ * @param {string} [expected.environment] - Environment the manifest must have been scanned in
+ * @param {number} [expected.maxAgeHours] - Maximum age of the scan
+ * @param {Date} [expected.now] - Current time, for the age check
+ * @returns {Object} - Manifest
+ * @throws {ManifestError} - When the manifest is invalid, from another environment or too old
+ */
+function readManifest(filePath, { environment = null, maxAgeHours = null, now = new Date() } = {}) {
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch (err) {
+        throw new ManifestError(filePath, [err.message]);
+    }
+
+    const problems = validateManifest(manifest);
+    if (problems.length > 0) {
+        throw new ManifestError(filePath, problems);
+    }
+    if (environment && manifest.environment !== environment) {
+        problems.push(`it was scanned in environment "${manifest.environment}", not "${environment}"`);
+    }
+    const ageHours = (now - new Date(manifest.scannedAt)) / 3600000;
+    if (maxAgeHours !== null && ageHours > maxAgeHours) {
+        problems.push(`it was scanned ${ageHours.toFixed(1)} hours ago (${manifest.scannedAt}), more than the ${maxAgeHours} hours allowed; ` +
+            "run the scanner again or raise --max-age");
+    }
+    if (problems.length > 0) {
+        throw new ManifestError(filePath, problems);
+    }
+    return manifest;
+}
+
+// Number of modules in a manifest, null if it is missing or invalid
+function countModules(filePath) {
+    try {
+        return readManifest(filePath).modules.length;
+    } catch (err) {
+        return null;
+    }
+}
+
+module.exports = {
+    MANIFEST_VERSION,
+    MANIFEST_MAX_AGE_HOURS,
+    STATUS_ICONS,
+    ManifestError,
+    resolveManifestPath,
+    getPartialManifestPath,
+    createManifest,
+    validateManifest,
+    writeManifest,
+    readManifest,
+    countModules
+};
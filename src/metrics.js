@@ -0,0 +1,268 @@
+const fs = require("fs");
+const path = require("path");
+const { CYCLE_STATUSES } = require("./cycle-history");
+
+/*
+ * Prometheus metrics of the scanner, the republisher and the scheduler, in the Prometheus text format.
+ * With --metrics-file a script or "os-republisher run" writes the metrics of that run to a file for the
+ * node_exporter textfile collector. The scheduler runs the scripts with a metrics file of their own, adds
+ * what they report to its totals and serves them on /metrics of the dashboard port.
+ */
+
+const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8"; // Prometheus text format
+const SCAN_DURATION_BUCKETS = [30, 60, 120, 300, 600, 1200, 1800, 3600]; // Seconds
+const PUBLISH_DURATION_BUCKETS = [10, 30, 60, 120, 300, 600, 1200]; // Seconds
+
+// Metrics files of the scripts run by a cycle, next to the module list; read and removed once the script ends
+const SCRIPT_METRICS_FILES = {
+    scan: "scan-metrics.prom",
+    republish: "republish-metrics.prom"
+};
+
+// Statuses of a cycle that show the scan and republish still work
+const SUCCESSFUL_CYCLE_STATUSES = [CYCLE_STATUSES.SUCCEEDED, CYCLE_STATUSES.NO_MODULES];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+// Label set as written after a sample name, e.g. {environment="dev",layer="CS"}
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    return entries.length > 0 ? `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(",")}}` : "";
+}
+
+function parseLabels(text) {
+    const labels = {};
+    for (const [, name, value] of (text || "").matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g)) {
+        labels[name] = value.replace(/\\(.)/g, (match, char) => (char === "n" ? "\n" : char));
+    }
+    return labels;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return "+Inf";
+    if (value === -Infinity) return "-Inf";
+    return String(value);
+}
+
+function parseValue(text) {
+    if (text === "+Inf") return Infinity;
+    if (text === "-Inf") return -Infinity;
+    return Number(text);
+}
+
+/**
+ * Create a set of metrics
+ * A histogram is kept as its _bucket, _sum and _count samples, so the samples of another registry,
+ * read back from the text format with merge, add up with its own.
+ * @returns {{counter: Function, gauge: Function, histogram: Function, merge: function(string): void, render: function(): string}}
+ */
+function createRegistry() {
+    const families = new Map(); // Name -> {type, help, samples: Map of sample key -> {name, labels, value}}
+
+    const getFamily = (name, type, help) => {
+        if (!families.has(name)) {
+            families.set(name, { type, help, samples: new Map() });
+        }
+        const family = families.get(name);
+        if (family.type !== type) {
+            throw new Error(`Metric ${name} is a ${family.type}, not a ${type}`);
+        }
+        return family;
+    };
+    const getSample = (family, name, labels) => {
+        const key = `${name}${formatLabels(labels)}`;
+        if (!family.samples.has(key)) {
+            family.samples.set(key, { name, labels, value: 0 });
+        }
+        return family.samples.get(key);
+    };
+
+    return {
+        counter: (name, help) => {
+            const family = getFamily(name, "counter", help);
+            return { inc: (labels = {}, value = 1) => { getSample(family, name, labels).value += value; } };
+        },
+        gauge: (name, help) => {
+            const family = getFamily(name, "gauge", help);
+            return { set: (labels, value) => { getSample(family, name, labels).value = value; } };
+        },
+        histogram: (name, help, buckets) => {
+            const family = getFamily(name, "histogram", help);
+            return {
+                observe: (labels, value) => {
+                    [...buckets, Infinity].forEach(bound => {
+                        const bucket = getSample(family, `${name}_bucket`, { ...labels, le: formatValue(bound) });
+                        if (value <= bound) {
+                            bucket.value++;
+                        }
+                    });
+                    getSample(family, `${name}_sum`, labels).value += value;
+                    getSample(family, `${name}_count`, labels).value++;
+                }
+            };
+        },
+        // Add the samples of a text-format file: counters and histograms add up, gauges take the new value
+        merge: (text) => {
+            const declared = new Map();
+            text.split("\n").forEach(line => {
+                const comment = /^# (HELP|TYPE) (\S+) (.*)$/.exec(line);
+                if (comment) {
+                    const entry = declared.get(comment[2]) || {};
+                    entry[comment[1] === "HELP" ? "help" : "type"] = comment[3].replace(/\\n/g, "\n").replace(/\\\\/g, "\\");
+                    declared.set(comment[2], entry);
+                    return;
+                }
+                const sample = /^([a-zA-Z_:][\w:]*)(?:\{(.*)\})?\s+(\S+)/.exec(line);
+                if (!sample) {
+                    return;
+                }
+                const [, name, labelText, valueText] = sample;
+                const familyName = declared.has(name) ? name : name.replace(/_(bucket|sum|count)$/, "");
+                const { type = "untyped", help = "" } = declared.get(familyName) || {};
+                const family = getFamily(familyName, type, help);
+                const target = getSample(family, name, parseLabels(labelText));
+                const value = parseValue(valueText);
+                target.value = type === "gauge" || type === "untyped" ? value : target.value + value;
+            });
+        },
+        render: () => Array.from(families.entries()).map(([name, { type, help, samples }]) => [
+            `# HELP ${name} ${help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`,
+            `# TYPE ${name} ${type}`,
+            ...Array.from(samples.values()).map(sample => `${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`)
+        ].join("\n")).join("\n") + "\n"
+    };
+}
+
+/**
+ * Write the metrics to a file for the node_exporter textfile collector
+ * The file is written under another name and renamed, so the collector never reads half a file.
+ * @param {Object} registry - From createRegistry
+ * @param {string} filePath - File to write, ending in .prom for the collector
+ */
+function writeTextfile(registry, filePath) {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, registry.render(), "utf-8");
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Add the metrics a script wrote to the registry, then remove the file so it is not counted twice
+ * @param {Object} registry - From createRegistry
+ * @param {string} filePath - Metrics file of the script
+ * @returns {boolean} - False when the script wrote none, e.g. because it crashed
+ */
+function collectTextfile(registry, filePath) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, "utf-8");
+    } catch (err) {
+        return false;
+    }
+    registry.merge(text);
+    fs.rmSync(filePath, { force: true });
+    return true;
+}
+
+/**
+ * Record a scan
+ * @param {Object} registry - From createRegistry
+ * @param {Object} scan
+ * @param {string} scan.environment - Environment scanned
+ * @param {Array|null} scan.modules - Modules saved by a complete scan, null when the scan failed
+ * @param {string[]} scan.layers - Layers scanned; a layer without modules in warning is reported as 0.
+ * Modules shown in error are saved too, but are not counted as in warning
+ * @param {number} scan.durationMs - Time the scan took
+ */
+function recordScan(registry, { environment, modules, layers, durationMs }) {
+    const scans = registry.counter("os_republisher_scans_total", "Scans by result: complete, or failed before saving every module");
+    const duration = registry.histogram("os_republisher_scan_duration_seconds", "Time a complete scan took", SCAN_DURATION_BUCKETS);
+    const inWarning = registry.gauge("os_republisher_modules_in_warning", "Modules found in warning by the last complete scan, by layer");
+
+    scans.inc({ environment, result: "complete" }, modules ? 1 : 0);
+    scans.inc({ environment, result: "failed" }, modules ? 0 : 1);
+    if (!modules) {
+        return;
+    }
+    duration.observe({ environment }, durationMs / 1000);
+    layers.forEach(layer => {
+        const count = modules.filter(module => module.suffix === layer && module.statusIcon === "warning").length;
+        inWarning.set({ environment, layer }, count);
+    });
+}
+
+// Record the logins of a script's session manager
+function recordSessions(registry, { environment, script, stats }) {
+    registry.counter("os_republisher_logins_total", "Logins to Service Center, by script").inc({ environment, script }, stats.logins);
+    registry.counter("os_republisher_login_failures_total", "Logins to Service Center that failed, by script").inc({ environment, script }, stats.loginFailures);
+}
+
+/**
+ * Metrics of the publishes of a republish run, every counter starting at zero so alerts see them
+ * @param {Object} registry - From createRegistry
+ * @param {string} environment - Environment republished
+ * @returns {{attempted: function(): void, finished: function(boolean, number): void, retried: function(string, number=): void}}
+ */
+function createPublishMetrics(registry, environment) {
+    const labels = { environment };
+    const attempted = registry.counter("os_republisher_publishes_attempted_total", "Publish buttons clicked");
+    const succeeded = registry.counter("os_republisher_publishes_succeeded_total", "Publishes that finished, with or without warnings");
+    const failed = registry.counter("os_republisher_publishes_failed_total", "Publishes that failed, or whose outcome was lost");
+    const retries = registry.counter("os_republisher_retries_total",
+        "Module pages opened again after an error: \"navigation\" when a publish reloads the page, \"requeue\" when a module moves to another host");
+    const duration = registry.histogram("os_republisher_publish_duration_seconds", "Time from the Publish click to its outcome", PUBLISH_DURATION_BUCKETS);
+
+    [attempted, succeeded, failed].forEach(counter => counter.inc(labels, 0));
+    ["navigation", "requeue"].forEach(kind => retries.inc({ ...labels, kind }, 0));
+    return {
+        attempted: () => attempted.inc(labels),
+        // Outcome of a clicked publish and the time since the click
+        finished: (success, durationMs) => {
+            (success ? succeeded : failed).inc(labels);
+            duration.observe(labels, durationMs / 1000);
+        },
+        retried: (kind, count = 1) => retries.inc({ ...labels, kind }, count)
+    };
+}
+
+const lastSuccessGauge = (registry) => registry.gauge("os_republisher_last_successful_cycle_timestamp_seconds",
+    "End of the last cycle that succeeded or found nothing to republish, in Unix time");
+
+// Record a finished cycle
+function recordCycle(registry, entry) {
+    registry.counter("os_republisher_cycles_total", "Cycles by final status").inc({ environment: entry.environment, status: entry.status });
+    if (SUCCESSFUL_CYCLE_STATUSES.includes(entry.status)) {
+        lastSuccessGauge(registry).set({ environment: entry.environment }, Date.parse(entry.finishedAt) / 1000);
+    }
+}
+
+/**
+ * Take the last successful cycle of every environment from the cycle history, so a restart does not lose it
+ * @param {Object} registry - From createRegistry
+ * @param {Array<Object>} entries - Cycles, most recent first, as returned by readHistory
+ */
+function restoreLastSuccess(registry, entries) {
+    const gauge = lastSuccessGauge(registry);
+    const restored = new Set();
+    entries.filter(entry => SUCCESSFUL_CYCLE_STATUSES.includes(entry.status) && entry.finishedAt).forEach(entry => {
+        if (!restored.has(entry.environment)) {
+            restored.add(entry.environment);
+            gauge.set({ environment: entry.environment }, Date.parse(entry.finishedAt) / 1000);
+        }
+    });
+}
+
+module.exports = {
+    METRICS_CONTENT_TYPE,
+    SCRIPT_METRICS_FILES,
+    createRegistry,
+    writeTextfile,
+    collectTextfile,
+    recordScan,
+    recordSessions,
+    createPublishMetrics,
+    recordCycle,
+    restoreLastSuccess
+};
@@ -0,0 +1,174 @@
+const fs = require("fs");
+const path = require("path");
+const { PROCESSING_HIERARCHY } = require("./layers");
+
+// Optional file with the module include/exclude rules shared by the scanner and the republisher
+const RULES_FILE = process.env.WODIFY_RULES_FILE || path.resolve(__dirname, "./module-rules.json");
+
+// Rules applied when there is no rules file
+const DEFAULT_RULES = {
+    exclude: [
+        { pattern: "*sandbox*", reason: "Sandbox modules are not republished" }
+        // Modules starting with Z used to be excluded too: { "pattern": "Z*" }
+    ]
+};
+
+// Labels of the rule kinds in the output
+const RULE_LABELS = {
+    neverRepublish: "never-republish rule",
+    exclude: "exclude rule",
+    include: "include rules"
+};
+
+/**
+ * Turn a rule pattern into a regular expression
+ * "/.../flags" is a regular expression, anything else a case-insensitive glob with * and ? wildcards.
+ * @param {string} pattern - Rule pattern
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        return new RegExp(regex[1], regex[2].replace("g", ""));
+    }
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+    return new RegExp(`^${escaped}$`, "i");
+}
+
+// Compile a list of rules, each a pattern string or {pattern, reason}
+function compileRuleList(entries, kind, source, layer = null) {
+    return [].concat(entries || []).map(entry => {
+        const { pattern, reason = null } = typeof entry === "string" ? { pattern: entry } : (entry || {});
+        if (typeof pattern !== "string" || pattern.length === 0) {
+            throw new Error(`Invalid ${kind} rule in ${source}: ${JSON.stringify(entry)}`);
+        }
+        let regExp;
+        try {
+            regExp = patternToRegExp(pattern);
+        } catch (err) {
+            throw new Error(`Invalid ${kind} rule "${pattern}" in ${source}: ${err.message}`);
+        }
+        return { kind, pattern, reason, source, layer, regExp };
+    });
+}
+
+/**
+ * Compile module rules
+ * @param {Object} config - Rules with include, exclude, neverRepublish and per-layer include/exclude overrides
+ * @param {string} source - Where the rules come from, shown with every exclusion
+ * @returns {Object} - Compiled rules for findExclusion
+ */
+function compileRules(config, source) {
+    const layers = {};
+    Object.entries(config.layers || {}).forEach(([name, override]) => {
+        const layer = name.toUpperCase();
+        if (!PROCESSING_HIERARCHY.includes(layer)) {
+            throw new Error(`Unknown layer "${name}" in ${source}. Available layers: ${PROCESSING_HIERARCHY.join(", ")}`);
+        }
+        layers[layer] = {
+            include: override.include ? compileRuleList(override.include, "include", source, layer) : null,
+            exclude: compileRuleList(override.exclude, "exclude", source, layer)
+        };
+    });
+
+    return {
+        include: compileRuleList(config.include, "include", source),
+        exclude: compileRuleList(config.exclude, "exclude", source),
+        neverRepublish: compileRuleList(config.neverRepublish, "neverRepublish", source),
+        layers,
+        commandLine: { include: [], exclude: [] }
+    };
+}
+
+/**
+ * Load the rules file, or the default rules without one
+ * @param {string} [filePath] - Rules file, RULES_FILE by default
+ * @returns {Object} - Compiled rules
+ */
+function loadModuleRules(filePath = RULES_FILE) {
+    if (!fs.existsSync(filePath)) {
+        return compileRules(DEFAULT_RULES, "default rules");
+    }
+    console.log(`Loading module rules from ${filePath}`);
+    return compileRules(JSON.parse(fs.readFileSync(filePath, "utf-8")), path.basename(filePath));
+}
+
+/**
+ * Add the --include/--exclude patterns of the command line to the rules
+ * @param {Object} rules - Compiled rules
+ * @param {{include: string[], exclude: string[]}} patterns - Command-line patterns
+ * @returns {Object} - Compiled rules with the command-line patterns
+ */
+function addCommandLineRules(rules, { include = [], exclude = [] }) {
+    return {
+        ...rules,
+        commandLine: {
+            include: compileRuleList(include, "include", "--include"),
+            exclude: compileRuleList(exclude, "exclude", "--exclude")
+        }
+    };
+}
+
+/**
+ * Find the rule that excludes a module
+ * The never-republish denylist wins over everything, then exclude rules, then include rules.
+ * A layer's include list replaces the global one for modules of that layer; its exclude rules are added to the global ones.
+ * @param {{name: string, suffix: string}} module - Module to check
+ * @param {Object} rules - Compiled rules
+ * @returns {Object|null} - Rule that excludes the module, null if it is kept
+ */
+function findExclusion(module, rules) {
+    const match = (list) => list.find(rule => rule.regExp.test(module.name));
+    const unmatched = (list) => list.length > 0 && !match(list)
+        ? { kind: "include", pattern: list.map(rule => rule.pattern).join(", "), source: list[0].source, layer: list[0].layer, reason: null, unmatched: true }
+        : null;
+    const layerRules = rules.layers[module.suffix] || { include: null, exclude: [] };
+
+    return match(rules.neverRepublish) ||
+        match([...layerRules.exclude, ...rules.exclude, ...rules.commandLine.exclude]) ||
+        unmatched(layerRules.include || rules.include) ||
+        unmatched(rules.commandLine.include) ||
+        null;
+}
+
+// Describe the rule that excluded a module, e.g. 'exclude rule "*sandbox*" (default rules): Sandbox modules are not republished'
+function describeRule(rule) {
+    return `${RULE_LABELS[rule.kind]} "${rule.pattern}"` +
+        `${rule.layer ? ` for layer ${rule.layer}` : ""} (${rule.source})${rule.reason ? `: ${rule.reason}` : ""}`;
+}
+
+/**
+ * Split modules into the ones the rules keep and the ones they exclude, logging every exclusion
+ * @param {Array<{name: string, suffix: string}>} modules - Modules to filter
+ * @param {Object} rules - Compiled rules
+ * @returns {{kept: Array, excluded: Array<{module: Object, rule: Object, message: string}>}} - Kept modules keep their order
+ */
+function applyModuleRules(modules, rules) {
+    const kept = [];
+    const excluded = [];
+    modules.forEach(module => {
+        const rule = findExclusion(module, rules);
+        if (!rule) {
+            kept.push(module);
+            return;
+        }
+        const message = `${rule.unmatched ? "Not matched by any of the" : "Excluded by"} ${describeRule(rule)}`;
+        console.log(`Skipping ${module.name}: ${message}`);
+        excluded.push({ module, rule, message });
+    });
+    if (excluded.length > 0) {
+        console.log(`Module rules excluded ${excluded.length} of ${modules.length} modules`);
+    }
+    return { kept, excluded };
+}
+
+module.exports = {
+    RULES_FILE,
+    patternToRegExp,
+    compileRules,
+    loadModuleRules,
+    addCommandLineRules,
+    findExclusion,
+    describeRule,
+    applyModuleRules
+};
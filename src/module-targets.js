@@ -0,0 +1,125 @@
+const { PROCESSING_HIERARCHY } = require("./layers");
+const { getSelectors, espacesListPage } = require("./service-center");
+const { sortModulesTopologically, logCycleReport } = require("./dependency-graph");
+
+/*
+ * Targeted republish: the modules named with --module, and the modules named with --with-consumers
+ * together with every module that consumes them, directly or through other consumers. They are looked
+ * up in the eSpaces list of Service Center, whatever their status, instead of read from the manifest.
+ */
+
+// Layer of a module from its name suffix; unknown suffixes go with the UI modules, as in the scanner
+function getModuleLayer(name) {
+    const suffix = name.split("_").pop();
+    return PROCESSING_HIERARCHY.includes(suffix) ? suffix : "UI";
+}
+
+/**
+ * Work out the modules of a targeted republish, in dependency order
+ * @param {Object} targets
+ * @param {string[]} targets.names - Modules to republish
+ * @param {string[]} targets.withConsumers - Modules to republish with all their consumers
+ * @param {Object} serviceCenter
+ * @param {Array<{url: string, name: string, statusIcon: string, lastPublished: string}>} serviceCenter.rows - Every row of the eSpaces list
+ * @param {function(Object): Promise<{producers: string[], consumers: string[]}>} serviceCenter.readDependencies - Reads the dependencies of a module from its page
+ * @returns {Promise<{modules: Array, missing: string[], unknownConsumers: string[], cycles: string[][]}>}
+ *          - Modules in manifest format, requested names not in Service Center, consumers not in the list and dependency cycles
+ */
+async function resolveTargets({ names = [], withConsumers = [] }, { rows, readDependencies }) {
+    // Names are matched case-insensitively, as in the "names" discovery mode
+    const rowsByName = new Map(rows.map(row => [row.name.toLowerCase(), row]));
+    const findRow = (name) => rowsByName.get(name.toLowerCase());
+    const missing = [...names, ...withConsumers].filter(name => !findRow(name));
+    const unknownConsumers = new Set();
+
+    const targets = new Map();
+    const addTarget = ({ url, name, statusIcon, lastPublished }) => {
+        if (!targets.has(name)) {
+            targets.set(name, { url, name, suffix: getModuleLayer(name), statusIcon, lastPublished });
+        }
+        return targets.get(name);
+    };
+    const loadDependencies = async (module) => {
+        const { producers, consumers } = await readDependencies(module);
+        module.producers = producers;
+        module.consumers = consumers;
+    };
+
+    names.map(findRow).filter(Boolean).forEach(addTarget);
+
+    // Follow the consumers of the --with-consumers modules, and of their consumers
+    const queue = withConsumers.map(findRow).filter(Boolean);
+    while (queue.length > 0) {
+        const module = addTarget(queue.shift());
+        if (module.consumers) {
+            continue;
+        }
+        await loadDependencies(module);
+        module.consumers.forEach(consumer => {
+            const row = findRow(consumer);
+            if (row) {
+                queue.push(row);
+            } else {
+                unknownConsumers.add(consumer);
+            }
+        });
+    }
+
+    // The producers of the other modules are only needed to order them
+    for (const module of targets.values()) {
+        if (!module.producers) {
+            await loadDependencies(module);
+        }
+    }
+
+    const { sorted, cycles } = sortModulesTopologically(Array.from(targets.values()));
+    return {
+        modules: sorted.map(({ producers, consumers, ...module }) => module),
+        missing,
+        unknownConsumers: Array.from(unknownConsumers),
+        cycles
+    };
+}
+
+/**
+ * Look up the modules of a targeted republish in Service Center
+ * @param {Object} tab - Engine tab, see service-center/engines.js
+ * @param {string} serviceCenterUrl - Service Center of the front-end host the tab is logged into
+ * @param {{names: string[], withConsumers: string[]}} targets - From --module and --with-consumers
+ * @returns {Promise<Array>} - Modules in dependency order
+ * @throws {Error} - When a requested module is not in Service Center
+ */
+async function findTargetModules(tab, serviceCenterUrl, targets) {
+    console.log("Looking up the requested modules in the eSpaces list...");
+    await tab.openPage(espacesListPage.getESpacesListUrl(serviceCenterUrl));
+    await tab.applyStatusFilter(getSelectors().espacesList.statusOptions.all);
+    const rows = [];
+    do {
+        if (await tab.hasNoModules()) {
+            break;
+        }
+        rows.push(...(await tab.readModuleRows()));
+    } while (await tab.goToNextPage());
+
+    const { modules, missing, unknownConsumers, cycles } = await resolveTargets(targets, {
+        rows,
+        readDependencies: async (module) => {
+            await tab.openPage(module.url);
+            const dependencies = await tab.readDependencies();
+            console.log(`${module.name}: ${dependencies.producers.length} producers, ${dependencies.consumers.length} consumers`);
+            return dependencies;
+        }
+    });
+    if (missing.length > 0) {
+        throw new Error(`Module(s) not found in Service Center: ${missing.join(", ")}`);
+    }
+    unknownConsumers.forEach(name => console.warn(`Consumer ${name} is not in the eSpaces list and is not republished`));
+    logCycleReport(cycles);
+    return modules;
+}
+
+module.exports = {
+    getModuleLayer,
+    resolveTargets,
+    findTargetModules
+};
@@ -0,0 +1,297 @@
+const fs = require("fs");
+const path = require("path");
+const { readManifest } = require("./manifest");
+
+// Optional file configuring where cycle summaries are sent
+const NOTIFICATIONS_FILE = process.env.WODIFY_NOTIFICATIONS_FILE || path.resolve(__dirname, "./notifications.json");
+
+// Summary of the last notified cycle, kept next to the module list to detect changes
+const NOTIFICATION_STATE_FILE = "notification-state.json";
+
+// Run report written by the republisher next to the module list
+const REPORT_FILE = "republish-report.json";
+
+const CHANNEL_TYPES = ["webhook", "slack", "email"];
+const REQUEST_TIMEOUT = 10000; // Timeout for webhook requests in milliseconds
+
+// Report statuses of modules a cycle left in warning
+const STILL_IN_WARNING_STATUSES = ["failed", "stuck", "no-publish-button", "not-run"];
+
+/**
+ * Read the notifications file
+ * @param {string} [filePath] - Notifications file, NOTIFICATIONS_FILE by default
+ * @returns {{onlyOnFailure?: boolean, onlyOnChange?: boolean, channels: Array}|null} - Parsed file, or null if there is none
+ */
+function loadNotificationsConfig(filePath = NOTIFICATIONS_FILE) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    const config = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    if (!Array.isArray(config.channels)) {
+        throw new Error(`${filePath} must contain a "channels" array`);
+    }
+    config.channels.forEach((channel, i) => {
+        if (!CHANNEL_TYPES.includes(channel.type)) {
+            throw new Error(`Channel ${i + 1} in ${filePath} has unknown type "${channel.type}" (expected ${CHANNEL_TYPES.join(", ")})`);
+        }
+        if (channel.type === "email" ? !channel.to : !channel.url) {
+            throw new Error(`Channel ${i + 1} in ${filePath} is missing "${channel.type === "email" ? "to" : "url"}"`);
+        }
+    });
+    return config;
+}
+
+// Read a JSON file written by the scanner or republisher, null if missing or unreadable
+function readJsonFile(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch (err) {
+        return null;
+    }
+}
+
+// Modules of the manifest written by the scanner, null if missing or invalid
+function readModules(filePath) {
+    try {
+        return readManifest(filePath).modules;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Summarize a scan and republish cycle from the files the scripts wrote
+ * @param {Object} options - Cycle details
+ * @param {string} options.environment - Environment name
+ * @param {string} options.modulesFile - Module list written by the scanner; the run report is read from the same directory
+ * @param {Date} options.startedAt - Start of the cycle, older run reports are ignored
+ * @param {boolean|null} options.scanSucceeded - Whether the scanner exited successfully, null if it did not run and the last scan was republished
+ * @param {boolean|null} options.republishSucceeded - Whether the republisher exited successfully, null if it did not run
+ * @returns {Object} - Cycle summary
+ */
+function summarizeCycle({ environment, modulesFile, startedAt, scanSucceeded, republishSucceeded }) {
+    const modules = scanSucceeded !== false ? readModules(modulesFile) : null;
+    let report = republishSucceeded !== null ? readJsonFile(path.join(path.dirname(modulesFile), REPORT_FILE)) : null;
+    if (report && new Date(report.startedAt) < startedAt) {
+        report = null;
+    }
+    const entries = report ? report.modules : [];
+    const namesWithStatus = (statuses) => entries.filter(entry => statuses.includes(entry.status)).map(entry => entry.name);
+
+    const summary = {
+        environment,
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        scan: scanSucceeded === null ? "not-run" : (scanSucceeded ? "ok" : "failed"),
+        republish: republishSucceeded === null ? "not-run" : (republishSucceeded ? "ok" : "failed"),
+        found: Array.isArray(modules) ? modules.length : 0,
+        republished: namesWithStatus(["published", "published-with-warnings"]),
+        failed: entries.filter(entry => entry.status === "failed").map(entry => ({ name: entry.name, message: entry.message })),
+        // In warning for reasons a republish cannot fix, reported apart from the modules still in warning
+        needsManualFix: entries.filter(entry => entry.status === "needs-manual-fix").map(entry => ({ name: entry.name, message: entry.message })),
+        // Without a run report, every module the scanner found is still in warning
+        stillInWarning: report ? namesWithStatus(STILL_IN_WARNING_STATUSES) : (Array.isArray(modules) ? modules.map(module => module.name) : [])
+    };
+    summary.failure = summary.scan === "failed" || summary.republish === "failed" || summary.failed.length > 0;
+    return summary;
+}
+
+// Part of the summary compared between cycles to decide whether anything changed
+function fingerprint(summary) {
+    return JSON.stringify({
+        scan: summary.scan,
+        republish: summary.republish,
+        failed: summary.failed.map(module => module.name).sort(),
+        needsManualFix: summary.needsManualFix.map(module => module.name).sort(),
+        stillInWarning: [...summary.stillInWarning].sort()
+    });
+}
+
+/**
+ * Decide whether a channel is notified about a cycle
+ * With both onlyOnFailure and onlyOnChange set, either a failure or a change is enough.
+ * @param {Object} options - onlyOnFailure/onlyOnChange of the channel, falling back to the file-wide options
+ * @param {Object} summary - Cycle summary
+ * @param {boolean} changed - Whether the summary differs from the last notified cycle
+ * @returns {boolean}
+ */
+function shouldNotify({ onlyOnFailure = false, onlyOnChange = false }, summary, changed) {
+    if (!onlyOnFailure && !onlyOnChange) {
+        return true;
+    }
+    return (onlyOnFailure && summary.failure) || (onlyOnChange && changed);
+}
+
+// One-line headline of a cycle summary
+function formatHeadline(summary) {
+    const outcome = summary.failure ? "FAILED" : "OK";
+    return `[${outcome}] Module republish cycle on ${summary.environment}: ${summary.found} found, ` +
+        `${summary.republished.length} republished, ${summary.failed.length} failed, ${summary.stillInWarning.length} still in warning`;
+}
+
+// Plain text body of a cycle summary, used for email
+function formatText(summary) {
+    const lines = [
+        formatHeadline(summary),
+        "",
+        `Scan: ${summary.scan}`,
+        `Republish: ${summary.republish}`,
+        `Started: ${summary.startedAt}`,
+        `Finished: ${summary.finishedAt}`
+    ];
+    if (summary.failed.length > 0) {
+        lines.push("", "Failed:", ...summary.failed.map(module => `  ${module.name}: ${module.message}`));
+    }
+    if (summary.stillInWarning.length > 0) {
+        lines.push("", "Still in warning:", ...summary.stillInWarning.map(name => `  ${name}`));
+    }
+    if (summary.needsManualFix.length > 0) {
+        lines.push("", "Needs a manual fix:", ...summary.needsManualFix.map(module => `  ${module.name}: ${module.message}`));
+    }
+    return lines.join("\n");
+}
+
+// Slack incoming-webhook payload of a cycle summary
+function formatSlackPayload(summary) {
+    const list = (names) => names.length > 0 ? names.map(name => `• ${name}`).join("\n") : "_none_";
+    return {
+        text: formatHeadline(summary),
+        blocks: [
+            { type: "header", text: { type: "plain_text", text: `${summary.failure ? ":x:" : ":white_check_mark:"} Republish cycle on ${summary.environment}`, emoji: true } },
+            {
+                type: "section",
+                fields: [
+                    { type: "mrkdwn", text: `*Found in warning*\n${summary.found}` },
+                    { type: "mrkdwn", text: `*Republished*\n${summary.republished.length}` },
+                    { type: "mrkdwn", text: `*Failed*\n${summary.failed.length}` },
+                    { type: "mrkdwn", text: `*Still in warning*\n${summary.stillInWarning.length}` }
+                ]
+            },
+            { type: "section", text: { type: "mrkdwn", text: `*Failed*\n${list(summary.failed.map(module => `${module.name}: ${module.message}`))}` } },
+            { type: "section", text: { type: "mrkdwn", text: `*Still in warning*\n${list(summary.stillInWarning)}` } },
+            { type: "section", text: { type: "mrkdwn", text: `*Needs a manual fix*\n${list(summary.needsManualFix.map(module => `${module.name}: ${module.message}`))}` } },
+            { type: "context", elements: [{ type: "mrkdwn", text: `Scan ${summary.scan}, republish ${summary.republish}, finished ${summary.finishedAt}` }] }
+        ]
+    };
+}
+
+// POST a JSON payload to a webhook URL
+async function postJson(url, payload, headers = {}) {
+    const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    if (!response.ok) {
+        throw new Error(`${url} responded with HTTP ${response.status}`);
+    }
+}
+
+// Send the summary by email; SMTP credentials are read from the variables named in the channel
+async function sendEmail(channel, summary) {
+    const nodemailer = require("nodemailer");
+    const smtp = { ...channel.smtp };
+    if (smtp.usernameVariable || smtp.passwordVariable) {
+        smtp.auth = { user: process.env[smtp.usernameVariable], pass: process.env[smtp.passwordVariable] };
+        delete smtp.usernameVariable;
+        delete smtp.passwordVariable;
+    }
+    const transport = nodemailer.createTransport(smtp);
+    return transport.sendMail({
+        from: channel.from,
+        to: channel.to,
+        subject: formatHeadline(summary),
+        text: formatText(summary)
+    });
+}
+
+// Deliver the summary to one channel
+async function sendToChannel(channel, summary) {
+    switch (channel.type) {
+        case "webhook":
+            return postJson(channel.url, { event: "republish-cycle", ...summary }, channel.headers);
+        case "slack":
+            return postJson(channel.url, formatSlackPayload(summary));
+        case "email":
+            return sendEmail(channel, summary);
+    }
+}
+
+/**
+ * Send a cycle summary to every channel that wants it
+ * A failing channel is logged and never fails the cycle.
+ * @param {Object} summary - Summary built by summarizeCycle
+ * @param {Object} options - Notification options
+ * @param {Object|null} options.config - Notifications file, nothing is sent without one
+ * @param {string} options.stateFile - File remembering the last notified cycle
+ * @returns {Promise<Array<{type: string, sent: boolean, error?: string}>>} - Outcome per channel
+ */
+async function notifyCycle(summary, { config, stateFile }) {
+    if (!config || config.channels.length === 0) {
+        return [];
+    }
+
+    const previous = readJsonFile(stateFile);
+    const changed = !previous || previous.fingerprint !== fingerprint(summary);
+
+    const outcomes = [];
+    let deliveryFailed = false;
+    for (const channel of config.channels) {
+        const options = {
+            onlyOnFailure: channel.onlyOnFailure !== undefined ? channel.onlyOnFailure : config.onlyOnFailure,
+            onlyOnChange: channel.onlyOnChange !== undefined ? channel.onlyOnChange : config.onlyOnChange
+        };
+        if (!shouldNotify(options, summary, changed)) {
+            outcomes.push({ type: channel.type, sent: false });
+            continue;
+        }
+        try {
+            await sendToChannel(channel, summary);
+            console.log(`Sent ${channel.type} notification for ${summary.environment}.`);
+            outcomes.push({ type: channel.type, sent: true });
+        } catch (err) {
+            console.error(`Error sending ${channel.type} notification:`, err.message);
+            outcomes.push({ type: channel.type, sent: false, error: err.message });
+            deliveryFailed = true;
+        }
+    }
+
+    // Keep the previous state after a failed delivery, so the change is notified again next cycle
+    if (!deliveryFailed) {
+        fs.writeFileSync(stateFile, JSON.stringify({ fingerprint: fingerprint(summary), notifiedAt: new Date().toISOString() }, null, 2), "utf-8");
+    }
+    return outcomes;
+}
+
+/**
+ * Summarize a finished cycle and notify the configured channels
+ * @param {Object} cycle - Cycle details, see summarizeCycle
+ * @returns {Promise<Array>} - Outcome per channel
+ */
+async function notifyAfterCycle(cycle) {
+    try {
+        const config = loadNotificationsConfig();
+        if (!config) {
+            return [];
+        }
+        const summary = summarizeCycle(cycle);
+        const stateFile = path.join(path.dirname(cycle.modulesFile), NOTIFICATION_STATE_FILE);
+        return await notifyCycle(summary, { config, stateFile });
+    } catch (err) {
+        console.error("Error sending notifications:", err.message);
+        return [];
+    }
+}
+
+module.exports = {
+    NOTIFICATIONS_FILE,
+    loadNotificationsConfig,
+    summarizeCycle,
+    shouldNotify,
+    formatHeadline,
+    formatText,
+    formatSlackPayload,
+    notifyCycle,
+    notifyAfterCycle
+};
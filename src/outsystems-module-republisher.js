@@ -1,349 +1,801 @@
-const puppeteer = require("puppeteer");
 const fs = require("fs");
 const path = require("path");
-require('dotenv').config({ path: path.resolve(__dirname, './.env') });
-
-// Add environment variable validation
-if (!process.env.WODIFY_USERNAME || !process.env.WODIFY_PASSWORD || !process.env.WODIFY_ENV) {
-    console.error('Environment variables not loaded. Checking .env file location...');
-    const envPath = path.resolve(__dirname, './.env');
-    console.error(`Expected .env path: ${envPath}`);
-    console.error('Please ensure the .env file exists and contains WODIFY_USERNAME, WODIFY_PASSWORD, and WODIFY_ENV');
-    throw new Error('Missing required environment variables');
-}
+const { createRunReport, writeJsonReport, writeJUnitReport } = require("./run-report");
+const { loadEnvironment, getServiceCenterUrl, getUrlOnSubdomain } = require("./environment");
+const { PROCESSING_HIERARCHY, parseRequestedLayers, filterModulesByRequestedLayers } = require("./layers");
+const { ENGINES, DEFAULT_ENGINE, openEngineSession } = require("./service-center/engines");
+const { createSessionManager } = require("./session-manager");
+const checkpoints = require("./checkpoint");
+const { REPUBLISHER_OPTIONS, describeOptions, parseScriptCommandLine } = require("./cli-options");
+const { loadModuleRules, addCommandLineRules, applyModuleRules } = require("./module-filter");
+const { createWorkerPool } = require("./worker-pool");
+const { MANIFEST_MAX_AGE_HOURS, ManifestError, resolveManifestPath, readManifest } = require("./manifest");
+const { needsManualFix, describeMessages } = require("./warning-messages");
+const { getRunArtifactsDir, createArtifactRecorder } = require("./failure-artifacts");
+const { findTargetModules } = require("./module-targets");
+const { createRegistry, writeTextfile, recordSessions, createPublishMetrics } = require("./metrics");
 
 // Configuration
-const BASE_DOMAIN = "wodify.com"; // Base domain for all subdomains
-const ENV = process.env.WODIFY_ENV; // Environment configuration
-const SUBDOMAINS = [`${ENV}`, `${ENV}-coreap`, `${ENV}-clientapp`, `${ENV}-coreos`, `${ENV}sc`]; // List of subdomains
-const OUTPUT_FILE = "sorted-modules.json"; // Input JSON file
-//const OUTPUT_FILE = "sorted-modules-WodifyClient.json"; // Input JSON file
-const HEADLESS_MODE = true; // Toggle headless mode
-const NAVIGATION_TIMEOUT = 180000; // Timeout in milliseconds (3 minutes)
+const REPORT_FILE = "republish-report.json"; // Run report written after every run
+const JUNIT_REPORT_FILE = "republish-report.xml"; // JUnit XML run report, written with --junit
+const PLAN_FILE = "republish-plan.json"; // Publish plan written with --dry-run
+const CHECKPOINT_FILE = "republish-checkpoint.json"; // Per-module progress, used by --resume
 const RETRY_LIMIT = 3; // Retry limit for failed navigations
-const TABS_PER_SUBDOMAIN = 2; // Number of tabs per subdomain
-const WARNING_CHECK_TIMEOUT = 1000; // Timeout for checking warning status in milliseconds
-
-// Define processing hierarchy (same as in the scanner script)
-const PROCESSING_HIERARCHY = ["IS", "LS", "TH", "CS", "BL", "SBL", "OS", "API", "AP", "CW", "UI"];
+const DEFAULT_LAYER_FAILURE_THRESHOLD = 0.5; // Stop before later layers when more than this fraction of a layer fails, unless --max-layer-failure sets it
 
 // Add usage information
 const USAGE = `
-Usage: node RepublishURLtesting.js [layers]
+Usage: node src/outsystems-module-republisher.js [layers] [options]
+       os-republisher republish [options]
 
 Parameters:
   layers    Optional comma-separated list of module layers to process
-            If omitted, all layers will be processed
+            (same as --layers). If omitted, all layers will be processed
 
-Examples:
-  node RepublishURLtesting.js                  # Process all layers
-  node RepublishURLtesting.js OS               # Process only OS modules
-  node RepublishURLtesting.js OS,UI            # Process OS and UI modules
-  node RepublishURLtesting.js BL,SBL,OS        # Process BL, SBL and OS modules
+Options:
+${describeOptions(REPUBLISHER_OPTIONS)}
 
-Available layers: ${PROCESSING_HIERARCHY.join(', ')}
-`;
+With --env <name> the modules are read from runs/<name>/sorted-modules.json. A manifest
+scanned in another environment or more than ${MANIFEST_MAX_AGE_HOURS} hours ago (see --max-age) is refused.
+The run report (${REPORT_FILE}, and ${JUNIT_REPORT_FILE} with --junit), the dry-run
+plan (${PLAN_FILE}) and the checkpoint (${CHECKPOINT_FILE}) are written next to it, and with
+--artifacts the failed steps go to an artifacts/<time>-republish folder linked from the run report.
 
-// Parse command-line arguments for layer filtering
-const args = process.argv.slice(2);
+With --module or --with-consumers the modules are looked up in Service Center instead of the
+manifest, whatever their status, and republished in dependency order. A module whose page shows
+no warning is skipped unless --skip-warning-check is given.
 
-// Show usage if help is requested
-if (args.includes('-h') || args.includes('--help')) {
-    console.log(USAGE);
-    process.exit(0);
-}
+With --metrics-file the publishes, retries, logins and publish durations of the run are written in
+the Prometheus text format, for the node_exporter textfile collector.
 
-const requestedLayers = parseRequestedLayers(args);
+Engines (--engine):
+${Object.entries(ENGINES).map(([engine, description]) => `  ${engine.padEnd(10)}${description}`).join("\n")}
+A front-end host the HTTP engine cannot open Service Center on is processed in a browser.
 
-// Get credentials from environment variables
-const USERNAME = process.env.WODIFY_USERNAME;
-const PASSWORD = process.env.WODIFY_PASSWORD;
+Examples:
+  node src/outsystems-module-republisher.js                  # Process all layers
+  node src/outsystems-module-republisher.js OS               # Process only OS modules
+  node src/outsystems-module-republisher.js --layers OS,UI   # Process OS and UI modules
+  node src/outsystems-module-republisher.js UI --junit       # Process UI modules and write a JUnit report
+  node src/outsystems-module-republisher.js --dry-run        # Show what would be published
+  node src/outsystems-module-republisher.js --resume         # Continue an interrupted run
+  node src/outsystems-module-republisher.js --env prod       # Republish the prod environment
+  node src/outsystems-module-republisher.js --concurrency 1  # One tab per front-end host
+  node src/outsystems-module-republisher.js --max-workers 4 --max-publishes 2  # Four tabs in all, two publishing at once
+  node src/outsystems-module-republisher.js --max-layer-failure 0  # Stop before the next layer after any failure
+  node src/outsystems-module-republisher.js --rules ci.json  # Use another module rules file
+  node src/outsystems-module-republisher.js --engine http    # Republish without a browser
+  node src/outsystems-module-republisher.js --artifacts --trace  # Save screenshots, HTML, console and HAR of failures
+  node src/outsystems-module-republisher.js --module Billing_CS,Billing_BL  # Only these two modules
+  node src/outsystems-module-republisher.js --with-consumers Core_IS --skip-warning-check  # Core_IS and all its consumers, in warning or not
+  node src/outsystems-module-republisher.js --metrics-file /var/lib/node_exporter/republish.prom  # Prometheus metrics of the run
 
-// Validate credentials
-if (!USERNAME || !PASSWORD) {
-    throw new Error('Missing credentials in environment variables. Please check your .env file.');
-}
+Available layers: ${PROCESSING_HIERARCHY.join(', ')}
+`;
+
+// Parse command-line arguments; shows the usage and exits on -h or invalid arguments
+const options = parseScriptCommandLine(process.argv.slice(2), REPUBLISHER_OPTIONS, USAGE);
+
+const { env: ENV, username: USERNAME, password: PASSWORD, frontEndHosts, concurrency, maxWorkers, maxPublishes, maxPasses } = loadEnvironment(options.environments[0]);
+const SUBDOMAINS = frontEndHosts; // List of subdomains
+const INPUT_PATH = resolveManifestPath(options.values.input, options.environments[0]); // Reports are written next to it
+const MAX_AGE_HOURS = options.maxAge || MANIFEST_MAX_AGE_HOURS; // Older manifests are refused
+const CHECKPOINT_PATH = path.resolve(path.dirname(INPUT_PATH), CHECKPOINT_FILE);
+const SAVE_ARTIFACTS = !!options.values.artifacts; // Screenshot, HTML and console messages of failed steps
+const SAVE_TRACE = !!options.values.trace; // With --artifacts, also the recent requests as HAR
+const HEADLESS_MODE = !options.values.headful; // Toggle headless mode with --headful
+const ENGINE = options.engine || DEFAULT_ENGINE; // Browser, or plain HTTP requests with --engine http
+const TABS_PER_SUBDOMAIN = options.concurrency || concurrency; // Maximum tabs per subdomain, 2 unless the environment or --concurrency sets it
+const MAX_WORKERS = options.maxWorkers || maxWorkers || SUBDOMAINS.length * TABS_PER_SUBDOMAIN; // Maximum tabs over all subdomains
+const MAX_PUBLISHES = options.maxPublishes || maxPublishes; // Publishes running at once, 3 unless the environment or --max-publishes sets it
+const MAX_PASSES = options.maxPasses || maxPasses; // Publish passes over a module still in warning, 2 unless the environment or --max-passes sets it
+const LAYER_FAILURE_THRESHOLD = options.maxLayerFailure ?? DEFAULT_LAYER_FAILURE_THRESHOLD; // 1 never stops before the later layers
+
+const WRITE_JUNIT_REPORT = !!options.values.junit;
+const DRY_RUN = !!options.values["dry-run"];
+const RESUME = !!options.values.resume;
+const TARGETS = { names: options.moduleNames, withConsumers: options.withConsumers }; // --module and --with-consumers
+const TARGETED = TARGETS.names.length + TARGETS.withConsumers.length > 0; // Modules looked up in Service Center instead of the manifest
+const SKIP_WARNING_CHECK = !!options.values["skip-warning-check"]; // Publish modules that are not in warning too
+const METRICS_FILE = options.values["metrics-file"] || null; // Prometheus metrics of the run, with --metrics-file
+const requestedLayers = parseRequestedLayers(options.layers ? [options.layers] : []);
+const moduleRules = addCommandLineRules(loadModuleRules(options.values.rules), options); // Rules file plus --include/--exclude
+const sessionManager = createSessionManager({ environment: ENV, credentials: { username: USERNAME, password: PASSWORD } }); // One login per host, kept between runs
+const artifacts = SAVE_ARTIFACTS ? createArtifactRecorder({
+    dir: getRunArtifactsDir(path.dirname(INPUT_PATH), "republish"),
+    reportDir: path.dirname(INPUT_PATH),
+    trace: SAVE_TRACE
+}) : null; // Failure artifacts of this run, linked from the run report
+const metricsRegistry = createRegistry();
+const publishMetrics = createPublishMetrics(metricsRegistry, ENV); // Publishes, retries and publish durations of this run
 
 /**
- * Parse command-line arguments to extract requested layers
- * @param {string[]} args - Command-line arguments
- * @returns {string[]|null} - Array of requested layers or null if all layers should be processed
+ * Group modules into publish waves following PROCESSING_HIERARCHY
+ * When the scanner recorded dependencies, a layer is split into stages so that
+ * a module is only published after the modules of its own layer it depends on.
+ * @param {Array} modules - List of modules to group, in the order of the input file
+ * @returns {Array<{layer: string, label: string, modules: Array}>} - Waves in hierarchy order
  */
-function parseRequestedLayers(args) {
-    if (args.length === 0) {
-        return null; // No filtering, process all layers
-    }
-    
-    // Parse the first argument as a list of layers separated by comma
-    const layersArg = args[0];
-    
-    // Create a map of uppercase layer names to their original case for lookup
-    const layerMap = {};
-    PROCESSING_HIERARCHY.forEach(layer => {
-        layerMap[layer.toUpperCase()] = layer;
+function groupModulesByLayer(modules) {
+    const layers = new Map();
+    PROCESSING_HIERARCHY.forEach(layer => layers.set(layer, []));
+
+    modules.forEach(module => {
+        // Unknown suffixes are appended after the known layers
+        if (!layers.has(module.suffix)) {
+            layers.set(module.suffix, []);
+        }
+        layers.get(module.suffix).push(module);
     });
-    
-    // Split by comma and filter valid layers case-insensitively
-    const layers = layersArg.split(',')
-        .map(layer => layer.trim())
-        .filter(layer => layerMap[layer.toUpperCase()])
-        .map(layer => layerMap[layer.toUpperCase()]); // Convert to original case
-    
-    if (layers.length === 0) {
-        console.warn(`Warning: No valid layers found in input "${layersArg}". Will process all layers.`);
-        console.log(`Available layers: ${PROCESSING_HIERARCHY.join(', ')}`);
-        return null;
-    }
-    
-    console.log(`Will process only these layers: ${layers.join(', ')}`);
-    return layers;
-}
 
-/**
- * Filter modules to include only those from requested layers
- * @param {Array} modules - List of modules to filter
- * @param {string[]|null} requestedLayers - List of layers to include
- * @returns {Array} - Filtered list of modules
- */
-function filterModulesByRequestedLayers(modules, requestedLayers) {
-    if (!requestedLayers) {
-        return modules; // No filtering
-    }
-    
-    const filtered = modules.filter(module => requestedLayers.includes(module.suffix));
-    console.log(`Filtered from ${modules.length} modules to ${filtered.length} modules in layers: ${requestedLayers.join(', ')}`);
-    return filtered;
+    const waves = [];
+    layers.forEach((layerModules, layer) => {
+        // The input file is in dependency order, so producers get their stage before their consumers
+        const stages = new Map();
+        layerModules.forEach(module => {
+            const producerStages = (module.dependsOn || [])
+                .filter(name => stages.has(name))
+                .map(name => stages.get(name));
+            stages.set(module.name, producerStages.length > 0 ? Math.max(...producerStages) + 1 : 0);
+        });
+
+        const stageCount = Math.max(0, ...stages.values()) + 1;
+        for (let stage = 0; stage < stageCount; stage++) {
+            const stageModules = layerModules.filter(module => stages.get(module.name) === stage);
+            if (stageModules.length > 0) {
+                const label = stageCount > 1 ? `${layer} (stage ${stage + 1}/${stageCount})` : layer;
+                waves.push({ layer, label, modules: stageModules });
+            }
+        }
+    });
+    return waves;
 }
 
-// Task queue to manage URLs
-const taskQueue = [];
-let taskIndex = 0;
+// Checkpoint of the current run, null during a dry run
+let checkpoint = null;
 
-// Function to get the next URL from the task queue
-function getNextTask() {
-    if (taskIndex < taskQueue.length) {
-        return taskQueue[taskIndex++];
+// Worker pool over the logged-in subdomains, created once the sessions are open
+let pool = null;
+
+// Record a module state in the checkpoint
+function recordModuleState(name, state, result = null) {
+    if (!checkpoint) return;
+    try {
+        checkpoints.setModuleState(checkpoint, name, state, result);
+    } catch (err) {
+        console.error(`Error saving checkpoint for ${name}:`, err.message);
     }
-    return null;
 }
 
-// Login to a subdomain
-async function login(page, subdomain) {
-    const loginUrl = `https://${subdomain}.${BASE_DOMAIN}/ServiceCenter/`;
-    console.log(`Logging into Service Center on subdomain: ${subdomain}`);
-    await page.goto(loginUrl, { waitUntil: "networkidle2" });
-
-    // Input username and password
-    await page.type("#wt89_wtContentRight_wtInput1", USERNAME);
-    await page.type("#wt89_wtContentRight_wtInputPass1", PASSWORD);
+// Save what a tab shows after a failed step, with --artifacts
+async function captureFailure(tab, name, step, error) {
+    if (artifacts) {
+        await artifacts.capture(tab, { name, step, error });
+    }
+}
 
-    // Click login button and wait for navigation
-    await Promise.all([
-        page.click("#wt89_wtContentRight_wt59_wtColumnsItems_wt33_wtContent_wtButton1"),
-        page.waitForNavigation({ waitUntil: "networkidle2", timeout: NAVIGATION_TIMEOUT }),
-    ]);
+// Open Service Center on a subdomain, logging in unless a stored session is still valid
+async function login(tab, subdomain) {
+    console.log(`Opening Service Center on subdomain: ${subdomain}`);
+    try {
+        await tab.openPage(getServiceCenterUrl(subdomain));
+    } catch (err) {
+        await captureFailure(tab, subdomain, "login", err);
+        throw err;
+    }
+    console.log(`Session ready on subdomain: ${subdomain}`);
+}
 
-    console.log(`Login successful on subdomain: ${subdomain}`);
+// Build the structured result returned for every publish attempt
+function createPublishResult(status, startTime, details = {}) {
+    const finishedAt = Date.now();
+    return {
+        status,
+        success: status === "published" || status === "published-with-warnings",
+        errors: details.errors || [],
+        warnings: details.warnings || [],
+        message: details.message || "",
+        retries: details.retries || 0,
+        startedAt: new Date(startTime).toISOString(),
+        finishedAt: new Date(finishedAt).toISOString(),
+        durationMs: finishedAt - startTime
+    };
 }
 
-// Navigate to a URL with retries
-async function navigateWithRetries(page, url) {
-    let retries = 0;
-    while (retries < RETRY_LIMIT) {
-        try {
-            console.log(`Navigating to URL: ${url} (Attempt ${retries + 1})`);
-            await page.goto(url, { waitUntil: "networkidle2", timeout: NAVIGATION_TIMEOUT });
-            console.log(`Successfully loaded: ${url}`);
-            return true;
-        } catch (error) {
-            retries++;
-            console.error(`Error navigating to ${url}: ${error.message}`);
-            if (retries === RETRY_LIMIT) {
-                console.error(`Failed to load ${url} after ${RETRY_LIMIT} attempts. Skipping.`);
-                return false;
-            }
-        }
+// Work out what processPublishPage would do on a loaded module page, without clicking anything
+async function planPublish(tab, startTime) {
+    if (await tab.hasPublishButton()) {
+        console.log("[Dry run] Publish button found. It would be clicked.");
+        return createPublishResult("would-publish", startTime, { message: "Publish button found" });
     }
+    console.log("[Dry run] No published version found or no Publish button available.");
+    return createPublishResult("no-publish-button", startTime);
 }
 
-async function processPublishPage(page, url) {
+/**
+ * Publish the currently deployed version of a module and wait for the outcome
+ * @param {Object} tab - Engine tab, see service-center/engines.js
+ * @param {string} url - Module page URL
+ * @param {string} name - Module name, for the failure artifacts
+ * @returns {Promise<Object>} - Publish result with status ("published", "published-with-warnings",
+ *                              "failed", "no-publish-button"), success, errors, warnings, message and durationMs
+ */
+async function processPublishPage(tab, url, name) {
+    const startTime = Date.now();
     let retries = 0;
 
     while (retries < RETRY_LIMIT) {
+        let publishClicked = false;
+        let clickTime = null;
         try {
             console.log(`[Thread] Navigating to URL: ${url} (Attempt ${retries + 1})`);
-            await page.goto(url, { waitUntil: "networkidle2", timeout: NAVIGATION_TIMEOUT });
+            await tab.openPage(url);
 
             console.log(`[Thread] Successfully loaded: ${url}`);
 
-            const tableSelector = "#wt1482_wtContentMain_wt908_wtTabs_Content_wt1152_wtContent_wt1120_wtListPlacholder";
-            await page.waitForSelector(tableSelector, { timeout: NAVIGATION_TIMEOUT });
-
-            const rows = await page.$$("table tbody tr");
-            for (let row of rows) {
-                const publishedCell = await row.$("td:nth-child(4) .osicon-tick.text-success-4");
-                if (publishedCell) {
-                    console.log("Found the published version. Looking for the Publish button...");
-
-                    const publishButton = await row.$("input[value='Publish']");
-                    if (publishButton) {
-                        console.log("Clicking the Publish button...");
-
-                        // Attach dialog listener
-                        const handleDialog = async (dialog) => {
-                            console.log(`Dialog message: ${dialog.message()}`);
-                            try {
-                                await dialog.accept();
-                                console.log("Dialog accepted.");
-                            } catch (error) {
-                                console.error("Error accepting dialog:", error.message);
-                            }
-                            page.off("dialog", handleDialog); // Clean up listener
-                        };
-                        page.once("dialog", handleDialog);
-
-                        // Click the button
-                        await publishButton.click();
-                        console.log("Publish button clicked. Waiting for progress indicators...");
-
-                        // Wait for progress bar or progression table
-                        await page.waitForFunction(() => {
-                            const progressBar = document.querySelector("#wt29_wtContentMain_wtProgressBarBlock_wtProgress");
-                            const progressionTable = document.querySelector("tr.steps-item-current");
-                            return progressBar || progressionTable;
-                        }, { timeout: NAVIGATION_TIMEOUT });
-
-                        console.log("Progress indicators detected. Waiting for 15 seconds before exiting...");
-                        await page.waitForTimeout(15000);
-
-                        console.log("Publish action started successfully. Exiting...");
-                        return;
-                    }
+            if (await tab.hasPublishButton()) {
+                console.log("Clicking the Publish button...");
+
+                // Click the button, accepting the confirmation
+                publishClicked = true;
+                publishMetrics.attempted();
+                clickTime = Date.now();
+                await tab.clickPublish();
+                console.log("Publish button clicked. Waiting for progress indicators...");
+
+                const state = await tab.waitForPublishOutcome();
+                let status = "published";
+                if (state.failed || state.errors.length > 0) {
+                    status = "failed";
+                } else if (state.warnings.length > 0) {
+                    status = "published-with-warnings";
+                }
+
+                const result = createPublishResult(status, startTime, { ...state, retries });
+                publishMetrics.finished(status !== "failed", Date.now() - clickTime);
+                console.log(`Publish finished with status "${status}" in ${Math.round(result.durationMs / 1000)}s` +
+                    ` (${result.errors.length} errors, ${result.warnings.length} warnings)` +
+                    (result.message ? `: ${result.message}` : ""));
+                if (status === "failed") {
+                    await captureFailure(tab, name, "publish", result.errors.join("; ") || result.message);
                 }
+                return result;
             }
 
             console.log("No published version found or no Publish button available.");
-            return; // Exit function if successful
+            return createPublishResult("no-publish-button", startTime, { retries }); // Exit function if successful
         } catch (err) {
+            await captureFailure(tab, name, publishClicked ? "publish" : "open-module", err);
+
+            // Never click Publish twice for the same module: a lost progress page is reported as a failure
+            if (publishClicked) {
+                console.error(`Error waiting for the publish of ${url} to finish: ${err.message}`);
+                publishMetrics.finished(false, Date.now() - clickTime);
+                return createPublishResult("failed", startTime, { message: err.message, retries });
+            }
+
             retries++;
+            publishMetrics.retried("navigation");
             console.error(`Error processing ${url}: ${err.message}. Retrying (${retries}/${RETRY_LIMIT})...`);
 
             if (retries === RETRY_LIMIT) {
                 console.error(`Max retries reached for ${url}. Skipping.`);
-                return; // Exit after max retries
+                return createPublishResult("failed", startTime, { message: err.message, retries }); // Exit after max retries
             }
         }
     }
 }
 
-// Check if the module status is in warning
-async function isModuleInWarning(page) {
+/**
+ * Process one module in a worker's tab: check its warning status, then publish it or plan the publish
+ * Errors opening or checking the module page are thrown, so the pool can check the host and hand the
+ * module to another one.
+ * @param {Object} task - Module from the manifest
+ * @param {{host: string, tab: Object}} worker - Subdomain and tab of the worker
+ * @returns {Promise<Object>} - Module result
+ */
+async function processModule(task, { host: subdomain, tab }) {
+    const url = getUrlOnSubdomain(task.url, subdomain);
+    const startTime = Date.now();
+    recordModuleState(task.name, checkpoints.MODULE_STATES.IN_PROGRESS);
+    console.log(`[${subdomain}] Processing module ${task.name} at URL: ${url}`);
+    let inWarning;
     try {
-        const warningSelector = "img[src*='Icon_Warning.svg']";
-        const statusLabel = await page.$("label#wt1482_wtContentTop_wt65_wtColumnsItems_wt858_wtContent_wtStatus");
-        if (statusLabel) {
-            const warningElement = await page.waitForSelector(warningSelector, { timeout: WARNING_CHECK_TIMEOUT });
-            return !!warningElement;
-        }
-        return false;
+        await tab.openPage(url);
+        inWarning = await tab.isModuleInWarning();
     } catch (err) {
-        return false;
+        await captureFailure(tab, task.name, "check-module", err);
+        throw err;
     }
-}
 
+    let outcome;
+    if (inWarning || SKIP_WARNING_CHECK) {
+        if (!inWarning) {
+            console.log(`[${subdomain}] Module ${task.name} is not in warning, publishing it anyway (--skip-warning-check).`);
+        }
+        outcome = DRY_RUN ? await planPublish(tab, startTime) : await pool.runPublish(() => processPublishPage(tab, url, task.name));
+    } else {
+        console.log(`[${subdomain}] Module at URL: ${url} does not need republishing. Skipping.`);
+        outcome = createPublishResult("skipped", startTime);
+    }
+    return recordResult(task, url, subdomain, outcome);
+}
 
-// Process URLs in a single tab
-async function processTab(subdomain, browser) {
-    const page = await browser.newPage();
-    page.setDefaultNavigationTimeout(NAVIGATION_TIMEOUT);
+// Record the result of a module in the checkpoint and return it
+function recordResult(task, url, subdomain, outcome) {
+    const result = { name: task.name, layer: task.suffix, url, subdomain, ...outcome, artifacts: artifacts ? artifacts.filesFor(task.name) : [] };
+    recordModuleState(task.name, checkpoints.stateForStatus(outcome.status), result);
+    return result;
+}
 
+// Open a published module again in a worker's tab and check whether it left the warning state
+async function verifyModule(task, { host: subdomain, tab }) {
+    const url = getUrlOnSubdomain(task.url, subdomain);
     try {
-        while (true) {
-            const task = getNextTask();
-            if (!task) break;
+        await tab.openPage(url);
+    } catch (err) {
+        await captureFailure(tab, task.name, "verify", err);
+        throw err;
+    }
+    return { task, inWarning: await tab.isModuleInWarning() };
+}
 
-            const url = task.replace(/^https:\/\/[^.]+/, `https://${subdomain}`);
-            console.log(`[${subdomain}] Processing module at URL: ${url}`);
-            await page.goto(url, { waitUntil: "networkidle2", timeout: NAVIGATION_TIMEOUT });
+// Report a published module that is still in warning as stuck
+function markStuck(results, task, pass, reason) {
+    const index = results.findIndex(result => result.name === task.name);
+    const result = {
+        ...results[index],
+        status: "stuck",
+        success: false,
+        verified: false,
+        message: `Still in warning after ${pass} publish pass${pass > 1 ? "es" : ""}: ${reason}`
+    };
+    console.warn(`${task.name} is stuck in warning: ${result.message}`);
+    recordModuleState(task.name, checkpoints.stateForStatus(result.status), result);
+    results[index] = result;
+}
 
-            if (await isModuleInWarning(page)) {
-                await processPublishPage(page, url);
+/**
+ * Check the published modules again and republish the ones still in warning whose producers were republished after them
+ * A module published before one of its producers can still point at the producer's previous version. Such a
+ * module gets another pass, up to MAX_PASSES publishes. One still in warning after its last pass, or with no
+ * producer republished after it, is reported as "stuck". Without dependencies in the manifest (--no-dependencies)
+ * this cannot be told, so those modules are only reported as not verified.
+ * @param {Array} results - Results of the run, updated in place
+ * @param {Array} modules - Modules of the run
+ */
+async function verifyPublishedModules(results, modules) {
+    const modulesByName = new Map(modules.map(module => [module.name, module]));
+    let toVerify = results.filter(result => result.success && modulesByName.has(result.name)).map(result => modulesByName.get(result.name));
+
+    for (let pass = 1; toVerify.length > 0; pass++) {
+        console.log(`Verifying ${toVerify.length} published modules (pass ${pass} of ${MAX_PASSES})...`);
+        const checks = await pool.runWave(toVerify, verifyModule, (task, err) => ({ task, inWarning: null, message: err.message }));
+        checks.unprocessed.forEach(task => checks.results.push({ task, inWarning: null }));
+
+        const stillInWarning = [];
+        checks.results.forEach(({ task, inWarning }) => {
+            const result = results.find(entry => entry.name === task.name);
+            // null: the module page could not be opened, so it is neither verified nor stuck
+            result.verified = inWarning === null ? null : !inWarning;
+            if (inWarning) {
+                stillInWarning.push(task);
+            }
+        });
+
+        // Last successful publish of every module, the ones of this pass included
+        const published = new Map(results.filter(result => result.success).map(result => [result.name, result]));
+        const waitingForProducers = (task) => task.dependsOn.some(name =>
+            published.has(name) && published.get(name).finishedAt > published.get(task.name).startedAt);
+        const retry = [];
+        const withoutDependencies = stillInWarning.filter(task => !task.dependsOn);
+        if (withoutDependencies.length > 0) {
+            console.warn(`Still in warning, but not republished after their producers since the manifest has no dependencies (--no-dependencies): ` +
+                withoutDependencies.map(task => task.name).join(", "));
+            withoutDependencies.forEach(task => {
+                results.find(result => result.name === task.name).message = "Still in warning; the scan did not read dependencies (--no-dependencies), " +
+                    "so it is not known whether a producer has to be republished first";
+            });
+        }
+        stillInWarning.filter(task => task.dependsOn).forEach(task => {
+            if (!waitingForProducers(task)) {
+                markStuck(results, task, pass, "none of its producers were republished after it");
+            } else if (pass >= MAX_PASSES) {
+                markStuck(results, task, pass, "its producers were republished, but no passes are left (see --max-passes)");
             } else {
-                console.log(`[${subdomain}] Module at URL: ${url} does not need republishing. Skipping.`);
+                retry.push(task);
             }
+        });
+        if (retry.length === 0) {
+            break;
         }
-    } catch (err) {
-        console.error(`[${subdomain}] Error during processing:`, err.message);
-    } finally {
-        console.log(`[${subdomain}] Finished processing URLs.`);
-        await page.close();
+
+        console.log(`Pass ${pass + 1}: republishing ${retry.length} modules still in warning after their producers were republished: ` +
+            retry.map(task => task.name).join(", "));
+        const passResults = [];
+        for (const wave of groupModulesByLayer(retry)) {
+            passResults.push(...(await processWave(wave)).results);
+        }
+        passResults.forEach(result => {
+            result.passes = pass + 1;
+            results[results.findIndex(entry => entry.name === result.name)] = result;
+        });
+        toVerify = passResults.filter(result => result.success).map(result => modulesByName.get(result.name));
     }
 }
 
-// Process URLs in a single thread with multiple tabs for a specific subdomain
-async function processThread(subdomain) {
+// Start an engine session for a subdomain and log into it; a subdomain the HTTP engine fails on gets a browser
+async function openSession(subdomain, engine = ENGINE) {
     // Use the new headless mode if HEADLESS_MODE is true, otherwise run non-headless
-    const browser = await puppeteer.launch({ headless: HEADLESS_MODE ? "new" : false });
-    const loginPage = await browser.newPage();
-    loginPage.setDefaultNavigationTimeout(NAVIGATION_TIMEOUT);
+    const session = await openEngineSession(engine, { sessionManager, headless: HEADLESS_MODE, recordNetwork: SAVE_TRACE });
 
     try {
-        // Login to the assigned subdomain
-        await login(loginPage, subdomain);
-        await loginPage.close();
-
-        // Create multiple tabs for the subdomain
-        const tabPromises = [];
-        for (let i = 0; i < TABS_PER_SUBDOMAIN; i++) {
-            tabPromises.push(processTab(subdomain, browser));
+        const tab = await session.openTab();
+        await login(tab, subdomain);
+        await tab.close();
+        return { subdomain, session };
+    } catch (err) {
+        await session.close();
+        if (engine === "http") {
+            console.error(`[${subdomain}] HTTP engine could not open Service Center, falling back to the browser engine:`, err.message);
+            return openSession(subdomain, "browser");
         }
+        console.error(`[${subdomain}] Login failed, subdomain will not be used:`, err.message);
+        return null;
+    }
+}
 
-        // Wait for all tabs to finish processing
-        await Promise.all(tabPromises);
+// Log into every subdomain once; the sessions are reused for all waves
+async function openSessions() {
+    console.log(`Opening ${SUBDOMAINS.length} subdomains with the ${ENGINE} engine`);
+    const sessions = (await Promise.all(SUBDOMAINS.map((subdomain) => openSession(subdomain)))).filter(Boolean);
+    if (sessions.length === 0) {
+        throw new Error("Could not log into any subdomain");
+    }
+    return sessions;
+}
+
+// Look up the modules of --module and --with-consumers in Service Center, on the first logged-in subdomain
+async function loadTargetModules({ subdomain, session }) {
+    const tab = await session.openTab();
+    try {
+        const modules = await findTargetModules(tab, getServiceCenterUrl(subdomain), TARGETS);
+        console.log(`Targeted republish of ${modules.length} modules: ${modules.map(module => module.name).join(", ")}`);
+        return modules;
     } catch (err) {
-        console.error(`[${subdomain}] Error during processing:`, err.message);
+        await captureFailure(tab, subdomain, "find-modules", err);
+        throw err;
     } finally {
-        console.log(`[${subdomain}] Finished processing URLs.`);
-        await browser.close();
+        await tab.close();
+    }
+}
+
+// Summarise the results of a wave by status
+function summarizeWave(layer, results) {
+    const summary = {
+        layer,
+        total: results.length,
+        published: 0,
+        publishedWithWarnings: 0,
+        wouldPublish: 0,
+        skipped: 0,
+        noPublishButton: 0,
+        failed: 0,
+        results
+    };
+    results.forEach(result => {
+        if (result.status === "published") summary.published++;
+        else if (result.status === "published-with-warnings") summary.publishedWithWarnings++;
+        else if (result.status === "would-publish") summary.wouldPublish++;
+        else if (result.status === "skipped") summary.skipped++;
+        else if (result.status === "no-publish-button") summary.noPublishButton++;
+        else summary.failed++;
+    });
+    return summary;
+}
+
+function logWaveSummary(summary) {
+    if (DRY_RUN) {
+        console.log(`[Dry run] Layer ${summary.layer} summary: ${summary.total} modules, ${summary.wouldPublish} would be published, ` +
+            `${summary.skipped} not in warning, ${summary.noPublishButton} without Publish button, ${summary.failed} failed to check`);
+        return;
     }
+    console.log(`Layer ${summary.layer} summary: ${summary.total} modules, ${summary.published} published, ` +
+        `${summary.publishedWithWarnings} published with warnings, ${summary.skipped} skipped, ` +
+        `${summary.noPublishButton} without Publish button, ${summary.failed} failed`);
+    summary.results
+        .filter(result => result.status === "failed" || result.status === "published-with-warnings")
+        .forEach(result => {
+            const details = result.errors.concat(result.warnings).join(" | ") || result.message;
+            const label = result.status === "failed" ? "Failed" : "Warnings";
+            console.log(`  ${label}: ${result.name} (${result.subdomain})${details ? ` - ${details}` : ""}`);
+        });
 }
 
-// Main function to process URLs with multi-threading
+// Check whether a wave failed badly enough to stop the later layers
+function exceedsFailureThreshold(summary) {
+    if (DRY_RUN || summary.total === 0) {
+        return false;
+    }
+    return summary.failed / summary.total > LAYER_FAILURE_THRESHOLD;
+}
+
+// Publish every module of one layer and wait until the pool is done with it
+async function processWave(wave) {
+    console.log(`Starting wave for layer ${wave.label} (${wave.modules.length} modules)`);
+    const { results, unprocessed } = await pool.runWave(wave.modules, processModule, (task, err) =>
+        recordResult(task, task.url, null, createPublishResult("failed", Date.now(), { message: err.message, retries: RETRY_LIMIT })));
+
+    // Modules left in the queue because no host was healthy count as failed
+    unprocessed.forEach(task => {
+        results.push(recordResult(task, task.url, null,
+            createPublishResult("failed", Date.now(), { message: "No healthy host available to process the module" })));
+    });
+
+    const summary = summarizeWave(wave.label, results);
+    logWaveSummary(summary);
+    return summary;
+}
+
+// Main function to process modules layer by layer
 async function processURLs() {
+    const startedAt = new Date();
+    const results = [];
+    let moduleData = null;
+    let haltedAfterLayer = null;
+    let sessions = [];
+    // Where the modules came from, for the log
+    let source = INPUT_PATH;
     try {
-        // Read URLs from the JSON file
-        const filePath = path.resolve(__dirname, OUTPUT_FILE);
-        if (!fs.existsSync(filePath)) {
-            console.error(`File not found: ${OUTPUT_FILE}`);
-            return;
-        }
+        if (TARGETED) {
+            // The requested modules and their consumers come from Service Center, the manifest is not needed
+            sessions = await openSessions();
+            moduleData = await loadTargetModules(sessions[0]);
+            source = "Service Center";
+        } else {
+            // Read URLs from the JSON file
+            const filePath = INPUT_PATH;
+            if (!fs.existsSync(filePath)) {
+                console.error(`File not found: ${filePath}`);
+                process.exitCode = 1;
+                return;
+            }
 
-        // Read all modules from the JSON file
-        const moduleData = JSON.parse(fs.readFileSync(filePath, "utf-8"));
-        
-        // Apply layer filtering if specified
-        const filteredModules = filterModulesByRequestedLayers(moduleData, requestedLayers);
-        
-        // Update the task queue with filtered modules
-        taskQueue.push(...filteredModules.map((module) => module.url));
+            // Read all modules from the manifest, refusing one that is invalid, stale or from another environment
+            const manifest = readManifest(filePath, { environment: ENV, maxAgeHours: MAX_AGE_HOURS });
+            moduleData = manifest.modules;
+            console.log(`Manifest scanned at ${manifest.scannedAt} in ${manifest.discovery.mode} mode (layers: ` +
+                `${Array.isArray(manifest.layers) ? manifest.layers.join(', ') : manifest.layers})`);
+            if (!manifest.complete) {
+                console.warn("The scan stopped early, so this partial manifest only has part of the modules.");
+            }
+        }
         
-        console.log(`Loaded ${taskQueue.length} URLs from ${OUTPUT_FILE}`);
+        // Apply layer filtering if specified, then the module rules
+        const { kept, excluded } = applyModuleRules(filterModulesByRequestedLayers(moduleData, requestedLayers), moduleRules);
+        let filteredModules = kept.filter(module => !needsManualFix(module.messages));
+
+        // Excluded modules are reported with the rule that excluded them and never enter the checkpoint
+        results.push(...excluded.map(({ module, message }) => ({
+            name: module.name,
+            layer: module.suffix,
+            url: module.url,
+            subdomain: null,
+            ...createPublishResult("excluded", Date.now(), { message })
+        })));
+
+        // So are the modules whose warnings a republish cannot fix, with the messages the scanner read
+        const manualFixes = kept.filter(module => needsManualFix(module.messages));
+        results.push(...manualFixes.map(module => {
+            console.warn(`${module.name} needs a manual fix, not republishing it: ${describeMessages(module.messages)}`);
+            return {
+                name: module.name,
+                layer: module.suffix,
+                url: module.url,
+                subdomain: null,
+                ...createPublishResult("needs-manual-fix", Date.now(), {
+                    warnings: module.messages.map(message => message.text),
+                    message: `A republish cannot fix: ${describeMessages(module.messages)}`
+                })
+            };
+        }));
+
+        // Continue from the checkpoint of the previous run, or start a new one
+        if (!DRY_RUN) {
+            const resumed = RESUME ? resumeFromCheckpoint(filteredModules) : null;
+            if (resumed) {
+                filteredModules = resumed.unfinished;
+                results.push(...resumed.previousResults);
+            } else {
+                checkpoint = checkpoints.createCheckpoint(CHECKPOINT_PATH, filteredModules, ENV);
+            }
+        }
+        const waves = groupModulesByLayer(filteredModules);
+
+        console.log(`Loaded ${filteredModules.length} modules from ${source} in ${waves.length} layer waves: ` +
+            waves.map(wave => `${wave.label} (${wave.modules.length})`).join(', '));
         if (requestedLayers) {
             console.log(`Filtered to layers: ${requestedLayers.join(', ')}`);
         }
+        if (waves.length === 0) {
+            return;
+        }
+
+        // Log into every subdomain once and reuse the sessions for all waves
+        if (sessions.length === 0) {
+            sessions = await openSessions();
+        }
+        pool = createWorkerPool({
+            hosts: sessions.map(({ subdomain, session }) => ({ name: subdomain, openTab: () => session.openTab() })),
+            maxWorkers: MAX_WORKERS,
+            perHostCap: TABS_PER_SUBDOMAIN,
+            maxPublishes: MAX_PUBLISHES,
+            maxAttempts: RETRY_LIMIT,
+            healthCheck: login
+        });
+
+        for (let i = 0; i < waves.length; i++) {
+            const summary = await processWave(waves[i]);
+            results.push(...summary.results);
+            if (exceedsFailureThreshold(summary) && i < waves.length - 1) {
+                haltedAfterLayer = summary.layer;
+                const remaining = waves.slice(i + 1).map(wave => wave.label);
+                console.error(`Layer ${summary.layer} failure rate exceeds ${LAYER_FAILURE_THRESHOLD * 100}%. ` +
+                    `Stopping before layers: ${remaining.join(', ')}`);
+                break;
+            }
+        }
+
+        // Check that the published modules left the warning state, with more passes for those waiting on their producers
+        if (!DRY_RUN) {
+            await verifyPublishedModules(results, filteredModules);
+        }
+    } catch (err) {
+        if (err instanceof ManifestError) {
+            console.error(`Refusing the manifest ${INPUT_PATH}:`);
+            err.problems.forEach(problem => console.error(`  - ${problem}`));
+        } else {
+            console.error("Error during processing:", err.message);
+        }
+        process.exitCode = 1;
+    } finally {
+        await Promise.all(sessions.map(({ session }) => session.close()));
+        if (checkpoint) {
+            logCheckpointProgress();
+        }
+        saveMetrics();
+        if (DRY_RUN) {
+            savePublishPlan(results);
+        } else if (moduleData) {
+            const report = createRunReport({
+                modules: moduleData,
+                results,
+                environment: ENV,
+                requestedLayers,
+                startedAt,
+                haltedAfterLayer,
+                artifacts: artifacts && { dir: path.relative(path.dirname(INPUT_PATH), artifacts.dir), captures: artifacts.list() }
+            });
+            saveRunReport(report);
+            // A module that failed to publish or is stuck in warning fails the run
+            if (report.totals.failed > 0 || report.totals.stuck > 0 || haltedAfterLayer) {
+                process.exitCode = 1;
+            }
+        }
+    }
+}
 
-        // Run threads concurrently
-        await Promise.all(
-            SUBDOMAINS.map((subdomain) => processThread(subdomain))
-        );
+/**
+ * Load the checkpoint of the previous run and work out what is left to do
+ * Modules left "in-progress" are processed again: processModule checks isModuleInWarning before publishing,
+ * so a publish that went through before the interruption is not repeated.
+ * @param {Array} modules - Modules of this run
+ * @returns {{unfinished: Array, previousResults: Array}|null} - Null when there is no usable checkpoint
+ */
+function resumeFromCheckpoint(modules) {
+    const previous = checkpoints.loadCheckpoint(CHECKPOINT_PATH);
+    if (!previous) {
+        console.warn(`No checkpoint found at ${CHECKPOINT_PATH}. Starting a new run.`);
+        return null;
+    }
+    if (previous.environment !== ENV) {
+        throw new Error(`Checkpoint ${CHECKPOINT_PATH} belongs to environment "${previous.environment}", not "${ENV}"`);
+    }
+
+    checkpoint = previous;
+    const { unfinished, finished } = checkpoints.splitByProgress(checkpoint, modules);
+    const interrupted = unfinished.filter(module =>
+        checkpoints.getModuleState(checkpoint, module.name) === checkpoints.MODULE_STATES.IN_PROGRESS);
+
+    console.log(`Resuming run started at ${checkpoint.startedAt}: ${finished.length} modules already finished, ` +
+        `${unfinished.length} left to process`);
+    interrupted.forEach(module => {
+        console.log(`  ${module.name} was in progress when the run stopped. Its warning status will be checked again before retrying.`);
+    });
+
+    const previousResults = finished
+        .map(module => checkpoint.modules[module.name] && checkpoint.modules[module.name].result)
+        .filter(Boolean);
+    return { unfinished, previousResults };
+}
+
+function logCheckpointProgress() {
+    const counts = checkpoints.countStates(checkpoint);
+    console.log(`Checkpoint saved to ${CHECKPOINT_PATH}: ` +
+        Object.entries(counts).map(([state, count]) => `${count} ${state}`).join(', '));
+    if (counts.pending + counts["in-progress"] > 0) {
+        console.log("Run with --resume to continue the unfinished modules.");
+    }
+}
+
+// Describe the action taken for a module status in the dry-run plan
+const PLAN_ACTIONS = {
+    "would-publish": "publish",
+    "skipped": "skip (not in warning)",
+    "excluded": "none (excluded by a module rule)",
+    "needs-manual-fix": "none (warnings a republish cannot fix)",
+    "no-publish-button": "none (no published version or Publish button)",
+    "failed": "none (check failed)"
+};
+
+// Print the dry-run plan and save it next to the input file
+function savePublishPlan(results) {
+    const plan = results.map((result, index) => ({
+        order: index + 1,
+        layer: result.layer,
+        name: result.name,
+        subdomain: result.subdomain,
+        action: PLAN_ACTIONS[result.status] || result.status,
+        message: result.message
+    }));
+
+    console.log("[Dry run] Publish plan (nothing was published):");
+    console.table(plan.map(({ order, layer, name, action }) => ({ order, layer, name, action })));
+
+    try {
+        const filePath = path.resolve(path.dirname(INPUT_PATH), PLAN_FILE);
+        fs.writeFileSync(filePath, JSON.stringify({ environment: ENV, layers: requestedLayers || "all", plan }, null, 2), "utf-8");
+        console.log(`Publish plan saved to ${filePath}`);
+    } catch (err) {
+        console.error("Error writing publish plan:", err.message);
+    }
+}
+
+// Write the metrics of this run for the textfile collector, with --metrics-file
+function saveMetrics() {
+    if (!METRICS_FILE) {
+        return;
+    }
+    if (pool) {
+        publishMetrics.retried("requeue", pool.stats.requeued);
+    }
+    recordSessions(metricsRegistry, { environment: ENV, script: "republish", stats: sessionManager.stats });
+    try {
+        writeTextfile(metricsRegistry, METRICS_FILE);
+        console.log(`Metrics written to ${METRICS_FILE}`);
     } catch (err) {
-        console.error("Error during processing:", err.message);
+        console.error("Error writing metrics:", err.message);
+    }
+}
+
+// Write the run report next to the input file
+function saveRunReport(report) {
+    try {
+        writeJsonReport(report, path.resolve(path.dirname(INPUT_PATH), REPORT_FILE));
+        if (WRITE_JUNIT_REPORT) {
+            writeJUnitReport(report, path.resolve(path.dirname(INPUT_PATH), JUNIT_REPORT_FILE));
+        }
+    } catch (err) {
+        console.error("Error writing run report:", err.message);
     }
 }
 
 // Run the republishing script
+if (DRY_RUN) {
+    console.log("Dry run: modules will be checked but nothing will be published.");
+}
 processURLs().then(() => {
-    console.log("Republishing process complete.");
+    console.log(DRY_RUN ? "Dry run complete." : "Republishing process complete.");
     if (requestedLayers) {
         console.log(`Processed layers: ${requestedLayers.join(', ')}`);
     } else {
@@ -1,311 +1,169 @@
-const puppeteer = require("puppeteer");
 const fs = require("fs");
 const path = require("path");
-require('dotenv').config({ path: path.resolve(__dirname, './.env') });
-
-// Add environment variable validation
-if (!process.env.WODIFY_USERNAME || !process.env.WODIFY_PASSWORD || !process.env.WODIFY_ENV) {
-    console.error('Environment variables not loaded. Checking .env file location...');
-    const envPath = path.resolve(__dirname, './.env');
-    console.error(`Expected .env path: ${envPath}`);
-    console.error('Please ensure the .env file exists and contains WODIFY_USERNAME, WODIFY_PASSWORD, and WODIFY_ENV');
-    throw new Error('Missing required environment variables');
-}
-
-// Configuration
-const ENV = process.env.WODIFY_ENV; // Environment configuration
-const SERVICE_CENTER_URL = `https://${ENV}sc.wodify.com/ServiceCenter/`;
-const ESPACES_LIST_URL = `${SERVICE_CENTER_URL}eSpaces_List.aspx`;
-const OUTPUT_FILE = "sorted-modules.json"; // Output JSON file
-const HEADLESS_MODE = true; // Toggle headless mode
-const NAVIGATION_TIMEOUT = 180000; // Timeout in milliseconds (3 minutes)
-const REFRESH_DELAY = 1000; // Delay in milliseconds before re-checking the table
-const TABLE_SELECTOR = "table#wt150_wtContentMain_wt45_wtListPlacholder_wtListEspaces"; // Add this with other constants at the top
-
-// Define processing hierarchy first before using it
-const PROCESSING_HIERARCHY = ["IS", "LS", "TH", "CS", "BL", "SBL", "OS", "API", "AP", "CW", "UI"]; // Updated list
+const { loadEnvironment, getServiceCenterUrl } = require("./environment");
+const { PROCESSING_HIERARCHY, parseRequestedLayers, filterModulesByRequestedLayers } = require("./layers");
+const { getSelectors, espacesListPage } = require("./service-center");
+const { ENGINES, DEFAULT_ENGINE, openEngineSession } = require("./service-center/engines");
+const { createSessionManager } = require("./session-manager");
+const { sortModulesTopologically, logCycleReport } = require("./dependency-graph");
+const { SCANNER_OPTIONS, describeOptions, parseScriptCommandLine } = require("./cli-options");
+const { loadModuleRules, addCommandLineRules, applyModuleRules } = require("./module-filter");
+const { DISCOVERY_MODES, DEFAULT_DISCOVERY_MODE, createDiscovery, findMissingNames, describeDiscovery } = require("./discovery");
+const { resolveManifestPath, getPartialManifestPath, createManifest, writeManifest } = require("./manifest");
+const { MESSAGE_CATEGORIES, classifyMessages, needsManualFix, countByCategory, describeMessages } = require("./warning-messages");
+const { getRunArtifactsDir, createArtifactRecorder } = require("./failure-artifacts");
+const { getScanHistoryFile, createScanSnapshot, appendScanSnapshot } = require("./scan-history");
+const { createRegistry, writeTextfile, recordScan, recordSessions } = require("./metrics");
 
 // Add usage information
 const USAGE = `
-Usage: node EspacesList_Scanner.js [layers]
+Usage: node src/outsystems-warning-scanner.js [layers] [options]
+       os-republisher scan [options]
 
 Parameters:
   layers    Optional comma-separated list of module layers to process
-            If omitted, all layers will be processed
+            (same as --layers). If omitted, all layers will be processed
 
-Examples:
-  node EspacesList_Scanner.js                  # Process all layers
-  node EspacesList_Scanner.js OS               # Process only OS modules
-  node EspacesList_Scanner.js OS,UI            # Process OS and UI modules
-  node EspacesList_Scanner.js BL,SBL,OS        # Process BL, SBL and OS modules
+Options:
+${describeOptions(SCANNER_OPTIONS)}
 
-Available layers: ${PROCESSING_HIERARCHY.join(', ')}
-`;
+With --env <name> the modules are saved to runs/<name>/sorted-modules.json. A scan that stops on an
+error saves the modules found so far to sorted-modules.partial.json instead, keeping the last complete scan.
+With --artifacts the failed steps are saved to an artifacts/<time>-scan folder next to it.
+Every complete scan is added to scan-history.jsonl next to it, see "os-republisher diff".
+With --metrics-file the modules in warning per layer, the scan duration and the logins are written
+in the Prometheus text format, for the node_exporter textfile collector.
 
-// Parse command-line arguments for layer filtering
-const args = process.argv.slice(2);
+Discovery modes (--mode):
+${Object.entries(DISCOVERY_MODES).map(([mode, { description }]) => `  ${mode.padEnd(10)}${description}`).join("\n")}
 
-// Show usage if help is requested
-if (args.includes('-h') || args.includes('--help')) {
-    console.log(USAGE);
-    process.exit(0);
-}
+Engines (--engine):
+${Object.entries(ENGINES).map(([engine, description]) => `  ${engine.padEnd(10)}${description}`).join("\n")}
+If the HTTP engine fails on any page, the scan is done again in a browser.
 
-const requestedLayers = parseRequestedLayers(args);
+Examples:
+  node src/outsystems-warning-scanner.js                    # Process all layers
+  node src/outsystems-warning-scanner.js OS                 # Process only OS modules
+  node src/outsystems-warning-scanner.js --layers OS,UI     # Process OS and UI modules
+  node src/outsystems-warning-scanner.js --no-dependencies  # Fast scan without dependency ordering
+  node src/outsystems-warning-scanner.js --env prod         # Scan the prod environment
+  node src/outsystems-warning-scanner.js --exclude 'Test*'  # Leave out modules starting with Test
+  node src/outsystems-warning-scanner.js --rules ci.json    # Use another module rules file
+  node src/outsystems-warning-scanner.js --mode outdated    # Modules with outdated references
+  node src/outsystems-warning-scanner.js --names list.txt   # Only the modules named in list.txt
+  node src/outsystems-warning-scanner.js --engine http      # Scan without a browser
+  node src/outsystems-warning-scanner.js --artifacts        # Save a screenshot and the HTML of failed steps
+  node src/outsystems-warning-scanner.js --metrics-file /var/lib/node_exporter/scan.prom  # Prometheus metrics of the scan
 
-// Get credentials from environment variables
-const USERNAME = process.env.WODIFY_USERNAME;
-const PASSWORD = process.env.WODIFY_PASSWORD;
+Available layers: ${PROCESSING_HIERARCHY.join(', ')}
+`;
 
-/**
- * Parse command-line arguments to extract requested layers
- * @param {string[]} args - Command-line arguments
- * @returns {string[]|null} - Array of requested layers or null if all layers should be processed
- */
-function parseRequestedLayers(args) {
-    if (args.length === 0) {
-        return null; // No filtering, process all layers
-    }
-    
-    // Parse the first argument as a list of layers separated by comma
-    const layersArg = args[0];
-    
-    // Create a map of uppercase layer names to their original case for lookup
-    const layerMap = {};
-    PROCESSING_HIERARCHY.forEach(layer => {
-        layerMap[layer.toUpperCase()] = layer;
-    });
-    
-    // Split by comma and filter valid layers case-insensitively
-    const layers = layersArg.split(',')
-        .map(layer => layer.trim())
-        .filter(layer => layerMap[layer.toUpperCase()])
-        .map(layer => layerMap[layer.toUpperCase()]); // Convert to original case
-    
-    if (layers.length === 0) {
-        console.warn(`Warning: No valid layers found in input "${layersArg}". Will process all layers.`);
-        console.log(`Available layers: ${PROCESSING_HIERARCHY.join(', ')}`);
-        return null;
-    }
-    
-    console.log(`Will process only these layers: ${layers.join(', ')}`);
-    return layers;
-}
+// Parse command-line arguments; shows the usage and exits on -h or invalid arguments
+const options = parseScriptCommandLine(process.argv.slice(2), SCANNER_OPTIONS, USAGE);
 
-/**
- * Filter modules to include only those from requested layers
- * @param {Array} modules - List of modules to filter
- * @param {string[]|null} requestedLayers - List of layers to include
- * @returns {Array} - Filtered list of modules
- */
-function filterModulesByRequestedLayers(modules, requestedLayers) {
-    if (!requestedLayers) {
-        return modules; // No filtering
+// Configuration
+const { env: ENV, username: USERNAME, password: PASSWORD, serviceCenterHost } = loadEnvironment(options.environments[0]);
+const SERVICE_CENTER_URL = getServiceCenterUrl(serviceCenterHost);
+const OUTPUT_FILE = resolveManifestPath(options.values.output, options.environments[0]); // Manifest read by the republisher
+const HEADLESS_MODE = !options.values.headful; // Toggle headless mode with --headful
+const ENGINE = options.engine || DEFAULT_ENGINE; // Browser, or plain HTTP requests with --engine http
+const SAVE_TRACE = !!options.values.trace; // With --artifacts, also the recent requests as HAR
+const METRICS_FILE = options.values["metrics-file"] || null; // Prometheus metrics of the scan, with --metrics-file
+
+const READ_DEPENDENCIES = !options.values["no-dependencies"];
+const requestedLayers = parseRequestedLayers(options.layers ? [options.layers] : []);
+const moduleRules = addCommandLineRules(loadModuleRules(options.values.rules), options); // Rules file plus --include/--exclude
+const DISCOVERY = createDiscovery(options.mode || DEFAULT_DISCOVERY_MODE, options.values.names); // Which modules to collect
+const sessionManager = createSessionManager({ environment: ENV, credentials: { username: USERNAME, password: PASSWORD } }); // Shared with the republisher
+const artifacts = options.values.artifacts ? createArtifactRecorder({
+    dir: getRunArtifactsDir(path.dirname(OUTPUT_FILE), "scan"),
+    reportDir: path.dirname(OUTPUT_FILE),
+    trace: SAVE_TRACE
+}) : null; // Screenshot, HTML and console messages of failed steps, with --artifacts
+
+// Save what a tab shows after a failed step, with --artifacts
+async function captureFailure(tab, name, step, error) {
+    if (artifacts) {
+        await artifacts.capture(tab, { name, step, error });
     }
-    
-    const filtered = modules.filter(module => requestedLayers.includes(module.suffix));
-    console.log(`Filtered from ${modules.length} modules to ${filtered.length} modules in layers: ${requestedLayers.join(', ')}`);
-    return filtered;
 }
 
 // Login to Service Center
-async function login(page) {
-    console.log("Logging into Service Center...");
-    await page.goto(SERVICE_CENTER_URL, { waitUntil: "networkidle2" });
-
-    // Input username and password
-    await page.type("#wt89_wtContentRight_wtInput1", USERNAME);
-    await page.type("#wt89_wtContentRight_wtInputPass1", PASSWORD);
-
-    // Click login button and wait for navigation
-    await Promise.all([
-        page.click("#wt89_wtContentRight_wt59_wtColumnsItems_wt33_wtContent_wtButton1"),
-        page.waitForNavigation({ waitUntil: "networkidle2", timeout: NAVIGATION_TIMEOUT }),
-    ]);
-
-    console.log("Login successful!");
+async function login(tab) {
+    console.log("Opening Service Center...");
+    await tab.openPage(SERVICE_CENTER_URL);
+    console.log("Session ready!");
 }
-
-// Update the applyWarningFilter function
-async function applyWarningFilter(page) {
+// Filter the eSpaces list on the status of the discovery mode
+async function applyDiscoveryFilter(tab) {
+    const option = getSelectors().espacesList.statusOptions[DISCOVERY.statusOption];
     try {
-        console.log("Applying warning filter...");
-        
-        // Define selectors
-        const dropdownBoxSelector = '#wt150_wtContentMain_wtFilters_wt7_wtColumnsItems_wt8_wtContent_wtContentColumn3_wtStatusComboBox';
-        const optionSelector = '#choices-wt150_wtContentMain_wtFilters_wt7_wtColumnsItems_wt8_wtContent_wtContentColumn3_wtSelectStatus_WithDeploy-item-choice-3';
-        const filterButtonSelector = '#wt150_wtContentMain_wtFilters_wt7_wtColumnsItems_wt1_wtContent_wtContentColumn5_wtButton1';
-
-        // Wait for and click the dropdown
-        await page.waitForSelector(dropdownBoxSelector, { visible: true, timeout: NAVIGATION_TIMEOUT });
-        await page.click(dropdownBoxSelector);
-        console.log("Clicked dropdown");
-
-        // Wait for and click the option
-        await page.waitForSelector(optionSelector, { visible: true, timeout: NAVIGATION_TIMEOUT });
-        await page.click(optionSelector);
-        console.log("Selected 'with errors and warnings' option");
-
-        // Small delay to ensure UI updates
-        await page.waitForTimeout(1000);
-
-        // Click filter and wait for response
-        await Promise.all([
-            page.click(filterButtonSelector),
-            page.waitForResponse(response => response.url().includes('eSpaces_List.aspx')),
-            page.waitForSelector(TABLE_SELECTOR)
-        ]);
-        
-        // Verify the selection was made by checking the select element's value
-        const selectedValue = await page.$eval(
-            '#wt150_wtContentMain_wtFilters_wt7_wtColumnsItems_wt8_wtContent_wtContentColumn3_wtSelectStatus_WithDeploy',
-            select => ({
-                value: select.value,
-                selectedText: select.options[select.selectedIndex].text
-            })
-        );
-        
-        console.log(`Selected filter value: "${selectedValue.value}", text: "${selectedValue.selectedText}"`);
-        
-        if (selectedValue.value !== '__ossli_2' || !selectedValue.selectedText.includes('with errors and warnings')) {
-            throw new Error(`Filter not properly set. Current selection: ${selectedValue.selectedText}`);
-        }
-
+        console.log(`Applying status filter '${option.text}' (${DISCOVERY.mode} mode)...`);
+        await tab.applyStatusFilter(option);
         console.log("Filter applied successfully");
-
     } catch (error) {
-        console.error("Error applying warning filter:", error.message);
-        throw new Error(`Failed to apply warning filter: ${error.message}`);
+        console.error("Error applying status filter:", error.message);
+        throw new Error(`Failed to apply status filter '${option.text}': ${error.message}`);
     }
 }
 
-// Update the reference in scrapeModulesWithWarnings
-async function scrapeModulesWithWarnings(page) {
-    console.log("Scraping outdated modules...");
-    const modules = new Map();
+// Add the modules the discovery mode keeps from a list page to the collected modules
+function collectModules(rows, modules) {
+    rows.filter(row => DISCOVERY.keepRow(row)).forEach(({ url, name, statusIcon, lastPublished }) => {
+        // Extract the suffix (e.g., `CS`, `BL`) from the module name
+        let suffix = name.split("_").pop();
+        if (!PROCESSING_HIERARCHY.includes(suffix)) {
+            console.log(`Unknown suffix '${suffix}' for module '${name}'. Defaulting to 'UI'.`);
+            suffix = "UI";
+        }
 
-    let previousFirstRowText = null;
+        if (!modules.has(url)) {
+            modules.set(url, { url, name, suffix, statusIcon, lastPublished });
+            console.log(`Found module: ${name} (${suffix}) -> ${url}`);
+        }
+    });
+}
+
+async function scrapeModules(tab) {
+    console.log(`Scraping ${DISCOVERY.description}...`);
+    const modules = new Map();
 
     while (true) {
         console.log("Scanning the current page...");
 
         // Check if the table contains "No Modules to show"
-        const noModulesText = await page.evaluate(() => {
-            const noModulesElement = document.querySelector("#wt150_wtContentMain_wt101_wtTitle");
-            return noModulesElement && noModulesElement.innerText.includes("No Modules to show");
-        });
-        if (noModulesText) {
+        if (await tab.hasNoModules()) {
             console.log("No Modules to show. Stopping scan.");
             break;
         }
 
-        const rows = await page.$$("table tbody tr");
-
-        for (let row of rows) {
-            try {
-                // Check for the warning icon in the row
-                const warningIcon = await row.$("img[src*='Icon_Warning.svg']");
-                if (warningIcon) {
-                    // Extract the module URL and name
-                    const moduleLink = await row.$eval("a.link", (a) => a.href);
-                    const moduleName = await row.$eval("a.link span[data-name='espaceedit']", (span) => span.innerText);
-
-                    // Skip modules with "Sandbox" in the name (case-insensitive) or starting with "Z" or "z"
-                    if (moduleName.toLowerCase().includes("sandbox") /*|| /^[Zz]/.test(moduleName)*/) {
-                        console.log(`Skipping excluded module: ${moduleName}`);
-                        continue;
-                    }
-
-                    // Extract the suffix (e.g., `CS`, `BL`) from the module name
-                    let suffix = moduleName.split("_").pop();
-                    if (!PROCESSING_HIERARCHY.includes(suffix)) {
-                        console.log(`Unknown suffix '${suffix}' for module '${moduleName}'. Defaulting to 'UI'.`);
-                        suffix = "UI";
-                    }
-
-                    if (!modules.has(moduleLink)) {
-                        modules.set(moduleLink, { url: moduleLink, name: moduleName, suffix });
-                        console.log(`Found outdated module: ${moduleName} (${suffix}) -> ${moduleLink}`);
-                    }
-                }
-            } catch (err) {
-                console.error("Error processing row:", err.message);
-            }
+        try {
+            collectModules(await tab.readModuleRows(), modules);
+        } catch (err) {
+            console.error("Error processing rows:", err.message);
         }
 
-        // Check if the Next button is present and not disabled
-        const nextButton = await page.$("a#wt150_wtContentMain_wt45_wtTopLinksPlaceholderRight_wtLink9");
-        const nextButtonDisabled = nextButton && await page.evaluate(button => button.hasAttribute("disabled"), nextButton);
-
-        if (!nextButton || nextButtonDisabled) {
+        if (!(await tab.goToNextPage())) {
             console.log("Next button is not present or disabled. Finished scanning.");
             break;
         }
-
-        console.log("Clicking Next button for AJAX refresh...");
-        await page.click("a#wt150_wtContentMain_wt45_wtTopLinksPlaceholderRight_wtLink9");
-
-        // Wait for the table to refresh
-        await page.waitForFunction(
-            (selector, prevText) => {
-                const table = document.querySelector(selector);
-                const firstRowText = table?.querySelector("tbody tr")?.innerText || "";
-                return table && firstRowText !== prevText; // Ensure the first row text has changed
-            },
-            { timeout: NAVIGATION_TIMEOUT },
-            TABLE_SELECTOR,
-            previousFirstRowText
-        );
-
-        // Update the previous first row text
-        previousFirstRowText = await page.evaluate((selector) => {
-            const table = document.querySelector(selector);
-            return table?.querySelector("tbody tr")?.innerText || "";
-        }, TABLE_SELECTOR);
-
-        // Delay before continuing to the next iteration
-        await page.waitForTimeout(REFRESH_DELAY);
+        console.log("Moved to the next page of the list.");
     }
 
     // Ensure all modules are processed even if no pagination
     if (modules.size === 0) {
         console.log("No modules found in the initial scan. Re-checking the table...");
-        const rows = await page.$$("table tbody tr");
-
-        for (let row of rows) {
-            try {
-                // Check for the warning icon in the row
-                const warningIcon = await row.$("img[src*='Icon_Warning.svg']");
-                if (warningIcon) {
-                    // Extract the module URL and name
-                    const moduleLink = await row.$eval("a.link", (a) => a.href);
-                    const moduleName = await row.$eval("a.link span[data-name='espaceedit']", (span) => span.innerText);
-
-                    // Skip modules with "Sandbox" in the name (case-insensitive) or starting with "Z" or "z"
-                    if (moduleName.toLowerCase().includes("sandbox") /*|| /^[Zz]/.test(moduleName)*/) {
-                        console.log(`Skipping excluded module: ${moduleName}`);
-                        continue;
-                    }
-
-                    // Extract the suffix (e.g., `CS`, `BL`) from the module name
-                    let suffix = moduleName.split("_").pop();
-                    if (!PROCESSING_HIERARCHY.includes(suffix)) {
-                        console.log(`Unknown suffix '${suffix}' for module '${moduleName}'. Defaulting to 'UI'.`);
-                        suffix = "UI";
-                    }
-
-                    if (!modules.has(moduleLink)) {
-                        modules.set(moduleLink, { url: moduleLink, name: moduleName, suffix });
-                        console.log(`Found outdated module: ${moduleName} (${suffix}) -> ${moduleLink}`);
-                    }
-                }
-            } catch (err) {
-                console.error("Error processing row:", err.message);
-            }
+        try {
+            collectModules(await tab.readModuleRows(), modules);
+        } catch (err) {
+            console.error("Error processing rows:", err.message);
         }
     }
 
-    console.log(`Finished scraping. Found ${modules.size} unique outdated modules (excluding Sandbox and Z-prefixed modules).`);
+    console.log(`Finished scraping. Found ${modules.size} unique modules (${DISCOVERY.mode} mode).`);
+    findMissingNames(DISCOVERY, Array.from(modules.values())).forEach(name => {
+        console.warn(`Module ${name} from ${DISCOVERY.namesFile} was not found in Service Center`);
+    });
     return Array.from(modules.values()); // Convert Map to an array
 }
 
@@ -325,33 +183,161 @@ function sortModulesByHierarchy(modules) {
     });
 }
 
-async function saveToFile(sortedModules) {
-    console.log(`Saving ${sortedModules.length} modules to ${OUTPUT_FILE}...`);
-    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(sortedModules, null, 2), "utf-8");
+/**
+ * Visit the module pages and read what the manifest needs from them
+ * Every module is visited for its dependencies unless --no-dependencies is set; modules flagged with a
+ * warning or error icon are visited for the messages under their status, classified by warning-messages.js.
+ * A page that cannot be read is captured and skipped, or with stopOnError ends the reading.
+ * @param {Object} tab - Engine tab
+ * @param {Array} modules - Scraped modules, updated in place
+ * @param {Object} [options]
+ * @param {boolean} [options.stopOnError] - Throw the first error, so the HTTP engine can fall back to the browser
+ */
+async function readModuleDetails(tab, modules, { stopOnError = false } = {}) {
+    const flagged = (module) => module.statusIcon !== "ok";
+    const fail = async (module, step, err, message) => {
+        await captureFailure(tab, module.name, step, err);
+        if (stopOnError) {
+            throw err;
+        }
+        console.error(message, err.message);
+    };
+    const toVisit = modules.filter(module => READ_DEPENDENCIES || flagged(module));
+    console.log(`Reading ${READ_DEPENDENCIES ? "dependencies and " : ""}messages of ${toVisit.length} modules...`);
+    for (const module of toVisit) {
+        try {
+            await tab.openPage(module.url);
+        } catch (err) {
+            await fail(module, "open-module", err, `Error opening ${module.name}, ordering it by suffix only and without messages:`);
+            continue;
+        }
+
+        if (READ_DEPENDENCIES) {
+            try {
+                const { producers, consumers } = await tab.readDependencies();
+                module.producers = producers;
+                module.consumers = consumers;
+                console.log(`${module.name}: ${producers.length} producers, ${consumers.length} consumers`);
+            } catch (err) {
+                await fail(module, "read-dependencies", err, `Error reading dependencies of ${module.name}, ordering it by suffix only:`);
+            }
+        }
+
+        if (flagged(module)) {
+            try {
+                // Without messages the republisher treats the module as before: it is republished
+                module.messages = classifyMessages(await tab.readMessages());
+                console.log(`${module.name}: ${describeMessages(module.messages) || "no messages"}`);
+            } catch (err) {
+                await fail(module, "read-messages", err, `Error reading the messages of ${module.name}:`);
+            }
+        }
+    }
+    if (READ_DEPENDENCIES) {
+        modules.forEach(module => {
+            module.producers = module.producers || [];
+            module.consumers = module.consumers || [];
+        });
+    }
+}
+
+// Log how many messages of each category the scan found and which modules a republish cannot fix
+function logMessageSummary(modules) {
+    const counts = countByCategory(modules);
+    if (Object.keys(counts).length === 0) {
+        return;
+    }
+    console.log("Messages by category: " + Object.keys(MESSAGE_CATEGORIES)
+        .filter(category => counts[category])
+        .map(category => `${category} ${counts[category]}`)
+        .join(", "));
+    modules.filter(module => needsManualFix(module.messages)).forEach(module => {
+        console.warn(`  ${module.name} needs a manual fix, a republish will not clear its warnings`);
+    });
+}
+
+// Sort modules by their dependency graph, using the suffix hierarchy for ties
+function sortModulesByDependencies(modules) {
+    const { sorted, cycles } = sortModulesTopologically(modules);
+    logCycleReport(cycles);
+    // Producers and consumers outside the scanned modules are not needed by the republisher
+    return sorted.map(({ producers, consumers, ...module }) => module);
+}
+
+async function saveToFile(sortedModules, complete = true) {
+    // A partial scan goes next to the manifest, so the republisher keeps reading the last complete scan
+    const filePath = complete ? OUTPUT_FILE : getPartialManifestPath(OUTPUT_FILE);
+    console.log(`Saving ${sortedModules.length} modules to ${filePath}...`);
+    const manifest = createManifest({
+        environment: ENV,
+        discovery: describeDiscovery(DISCOVERY),
+        layers: requestedLayers,
+        modules: sortedModules,
+        complete
+    });
+    writeManifest(filePath, manifest);
     console.log("Modules saved successfully.");
+
+    // A partial scan would show the modules it did not reach as resolved, only complete scans go to the history
+    if (complete) {
+        fs.rmSync(getPartialManifestPath(OUTPUT_FILE), { force: true });
+        const historyFile = getScanHistoryFile(OUTPUT_FILE);
+        appendScanSnapshot(historyFile, createScanSnapshot(manifest));
+        console.log(`Scan recorded in ${historyFile}`);
+    }
 }
 
-async function scanModules() {
-    const browser = await puppeteer.launch({ headless: HEADLESS_MODE ? "new" : false });
-    const page = await browser.newPage();
-    page.setDefaultNavigationTimeout(NAVIGATION_TIMEOUT);
+// Write the metrics of this scan for the textfile collector, with --metrics-file
+function saveMetrics(modules, durationMs) {
+    if (!METRICS_FILE) {
+        return;
+    }
+    const registry = createRegistry();
+    recordScan(registry, { environment: ENV, modules: modules || null, layers: requestedLayers || PROCESSING_HIERARCHY, durationMs });
+    recordSessions(registry, { environment: ENV, script: "scan", stats: sessionManager.stats });
+    try {
+        writeTextfile(registry, METRICS_FILE);
+        console.log(`Metrics written to ${METRICS_FILE}`);
+    } catch (err) {
+        console.error("Error writing metrics:", err.message);
+    }
+}
+
+async function scanModules(engine = ENGINE) {
+    console.log(`Scanning with the ${engine} engine`);
+    const session = await openEngineSession(engine, { sessionManager, headless: HEADLESS_MODE, recordNetwork: SAVE_TRACE });
+    const tab = await session.openTab();
 
     let modules = [];
+    let fallBackToBrowser = false;
+    let step = "login"; // Step named in the failure artifacts
     try {
-        // Perform login
-        await login(page);
+        // Perform login, or reuse the stored session
+        await login(tab);
 
         // Navigate to eSpaces list page
-        await page.goto(ESPACES_LIST_URL, { waitUntil: "networkidle2" });
+        step = "open-list";
+        await tab.openPage(espacesListPage.getESpacesListUrl(SERVICE_CENTER_URL));
+
+        // Apply the status filter of the discovery mode before scanning
+        step = "status-filter";
+        await applyDiscoveryFilter(tab);
+
+        // Scrape the modules of the discovery mode
+        step = "read-list";
+        modules = await scrapeModules(tab);
 
-        // Apply warning filter before scanning
-        await applyWarningFilter(page);
+        // Leave out the modules excluded by the module rules and --include/--exclude
+        modules = applyModuleRules(modules, moduleRules).kept;
 
-        // Scrape outdated modules
-        modules = await scrapeModulesWithWarnings(page);
+        // Read the dependencies and the warning messages from the module pages, which capture their own failures
+        step = null;
+        await readModuleDetails(tab, modules, { stopOnError: engine === "http" });
+        logMessageSummary(modules);
+        step = "save";
 
-        // Sort modules by dependency hierarchy
-        const sortedModules = sortModulesByHierarchy(modules);
+        // Sort modules by dependency graph, or by suffix hierarchy only
+        const sortedModules = READ_DEPENDENCIES ? sortModulesByDependencies(modules) : sortModulesByHierarchy(modules);
         
         // Filter modules by requested layers (if specified)
         const filteredModules = filterModulesByRequestedLayers(sortedModules, requestedLayers);
@@ -365,22 +351,41 @@ async function scanModules() {
         return filteredModules;
     } catch (err) {
         console.error("Error during scanning:", err.message);
+        if (step) {
+            await captureFailure(tab, `scan-${engine}`, step, err);
+        }
 
-        // Save whatever was scraped before the error
-        if (modules.length > 0) {
-            const filteredModules = filterModulesByRequestedLayers(modules, requestedLayers);
-            await saveToFile(filteredModules);
-            console.log("Saved partially scraped modules due to error.");
+        // Puppeteer is the fallback of the HTTP engine, e.g. when a page does not have the expected form
+        if (engine === "http" && step !== "save") {
+            fallBackToBrowser = true;
+        } else if (modules.length > 0) {
+            // Save whatever was scraped before the error
+            try {
+                const filteredModules = filterModulesByRequestedLayers(modules, requestedLayers);
+                await saveToFile(filteredModules, false);
+                console.log("Saved partially scraped modules due to error.");
+            } catch (saveErr) {
+                console.error("Error saving the partially scraped modules:", saveErr.message);
+            }
         }
     } finally {
-        await browser.close();
+        await tab.close();
+        await session.close();
+    }
+
+    if (fallBackToBrowser) {
+        console.warn("The HTTP engine could not scan Service Center. Scanning again with the browser engine...");
+        return scanModules("browser");
     }
 }
 
 // Run the scanner
+const scanStartTime = Date.now();
 scanModules().then((modules) => {
+    saveMetrics(modules, Date.now() - scanStartTime);
     if (!modules) {
         console.log("Scanning finished with errors or no modules found.");
+        process.exitCode = 1;
         return;
     }
     console.log("Modules ready for processing:");
@@ -391,4 +396,9 @@ scanModules().then((modules) => {
         console.log("Processing all layers");
     }
     console.table(modules);
+}).catch((err) => {
+    // E.g. the browser could not be launched, or closing the session failed
+    console.error("Scanning failed:", err.message);
+    saveMetrics(null, Date.now() - scanStartTime);
+    process.exitCode = 1;
 });
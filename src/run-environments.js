@@ -0,0 +1,9 @@
+const path = require('path');
+const { main } = require('./cli');
+
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
+// Kept for existing setups: same as "os-republisher run"
+main(['run', ...process.argv.slice(2)]).then((exitCode) => {
+    process.exitCode = exitCode;
+});
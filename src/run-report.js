@@ -0,0 +1,179 @@
+const fs = require("fs");
+
+// Statuses counted in the report totals, in display order
+const REPORT_STATUSES = ["published", "published-with-warnings", "stuck", "skipped", "excluded", "needs-manual-fix", "no-publish-button", "failed", "not-run"];
+
+// Statuses reported as failed test cases in JUnit XML: the publish failed, or did not clear the warning
+const JUNIT_FAILED_STATUSES = ["failed", "stuck"];
+
+// Statuses reported as skipped test cases in JUnit XML
+const JUNIT_SKIPPED_STATUSES = ["skipped", "excluded", "needs-manual-fix", "no-publish-button", "not-run"];
+
+/**
+ * Build a run report with one entry per module of the input file
+ * @param {Object} options - Report options
+ * @param {Array} options.modules - All modules read from the input file
+ * @param {Array} options.results - Per-module results collected during the run
+ * @param {string} options.environment - Environment the run was executed against
+ * @param {string[]|null} options.requestedLayers - Layer filter, or null for all layers
+ * @param {Date} options.startedAt - Start of the run
+ * @param {string|null} [options.haltedAfterLayer] - Layer after which the run was stopped, if any
+ * @param {{dir: string, captures: Array}|null} [options.artifacts] - Failure artifacts of the run, with --artifacts
+ * @returns {Object} - Run report
+ */
+function createRunReport({ modules, results, environment, requestedLayers, startedAt, haltedAfterLayer = null, artifacts = null }) {
+    const finishedAt = new Date();
+    const resultsByName = new Map(results.map(result => [result.name, result]));
+
+    const entries = modules.map(module => {
+        const result = resultsByName.get(module.name);
+        if (!result) {
+            // Filtered out by layer or never reached because the run stopped early
+            return {
+                name: module.name,
+                layer: module.suffix,
+                url: module.url,
+                subdomain: null,
+                skipped: false,
+                status: "not-run",
+                success: false,
+                errors: [],
+                warnings: [],
+                message: requestedLayers && !requestedLayers.includes(module.suffix)
+                    ? "Layer not requested"
+                    : "Run stopped before this layer",
+                retries: 0,
+                passes: 0,
+                verified: null,
+                startedAt: null,
+                finishedAt: null,
+                durationMs: 0,
+                artifacts: []
+            };
+        }
+        return {
+            name: result.name,
+            layer: result.layer,
+            url: result.url,
+            subdomain: result.subdomain,
+            skipped: result.status === "skipped",
+            status: result.status,
+            success: result.success,
+            errors: result.errors,
+            warnings: result.warnings,
+            message: result.message,
+            retries: result.retries,
+            passes: result.passes || 1,
+            // Whether the module left the warning state when checked after its publish, null when not checked
+            verified: result.verified === undefined ? null : result.verified,
+            startedAt: result.startedAt,
+            finishedAt: result.finishedAt,
+            durationMs: result.durationMs,
+            artifacts: result.artifacts || []
+        };
+    });
+
+    const totals = { modules: entries.length };
+    REPORT_STATUSES.forEach(status => {
+        totals[status] = entries.filter(entry => entry.status === status).length;
+    });
+
+    return {
+        environment,
+        layers: requestedLayers || "all",
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        haltedAfterLayer,
+        // Every failure captured, including logins that belong to no module; file paths are relative to the report
+        artifacts,
+        totals,
+        modules: entries
+    };
+}
+
+// Escape a value for use in XML text and attributes
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+/**
+ * Render a run report as JUnit XML, one test suite per layer and one test case per module
+ * @param {Object} report - Run report created by createRunReport
+ * @returns {string} - JUnit XML document
+ */
+function toJUnitXml(report) {
+    const suites = new Map();
+    report.modules.forEach(entry => {
+        if (!suites.has(entry.layer)) {
+            suites.set(entry.layer, []);
+        }
+        suites.get(entry.layer).push(entry);
+    });
+
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    const totalFailures = JUNIT_FAILED_STATUSES.reduce((sum, status) => sum + report.totals[status], 0);
+    const totalSkipped = JUNIT_SKIPPED_STATUSES.reduce((sum, status) => sum + report.totals[status], 0);
+    lines.push(`<testsuites name="republish-${escapeXml(report.environment)}" tests="${report.modules.length}" ` +
+        `failures="${totalFailures}" skipped="${totalSkipped}" time="${(report.durationMs / 1000).toFixed(3)}" ` +
+        `timestamp="${report.startedAt}">`);
+
+    suites.forEach((entries, layer) => {
+        const failures = entries.filter(entry => JUNIT_FAILED_STATUSES.includes(entry.status)).length;
+        const skipped = entries.filter(entry => JUNIT_SKIPPED_STATUSES.includes(entry.status)).length;
+        const time = entries.reduce((sum, entry) => sum + entry.durationMs, 0) / 1000;
+        lines.push(`  <testsuite name="${escapeXml(layer)}" tests="${entries.length}" failures="${failures}" ` +
+            `skipped="${skipped}" time="${time.toFixed(3)}">`);
+
+        entries.forEach(entry => {
+            lines.push(`    <testcase name="${escapeXml(entry.name)}" classname="${escapeXml(`${report.environment}.${layer}`)}" ` +
+                `time="${(entry.durationMs / 1000).toFixed(3)}">`);
+            if (entry.status === "failed") {
+                const details = entry.errors.join("\n") || entry.message;
+                lines.push(`      <failure message="${escapeXml(entry.message || "Publish failed")}">${escapeXml(details)}</failure>`);
+            } else if (entry.status === "stuck") {
+                lines.push(`      <failure message="${escapeXml(entry.message)}" type="stuck"/>`);
+            } else if (entry.status === "skipped") {
+                lines.push('      <skipped message="Module not in warning"/>');
+            } else if (entry.status === "no-publish-button") {
+                lines.push('      <skipped message="No published version or Publish button found"/>');
+            } else if (entry.status === "not-run" || entry.status === "excluded" || entry.status === "needs-manual-fix") {
+                lines.push(`      <skipped message="${escapeXml(entry.message)}"/>`);
+            }
+            const output = [`status: ${entry.status}`, `subdomain: ${entry.subdomain || "-"}`, `retries: ${entry.retries}`, `passes: ${entry.passes}`]
+                .concat(entry.warnings.map(warning => `warning: ${warning}`))
+                .concat((entry.artifacts || []).map(file => `artifact: ${file}`));
+            lines.push(`      <system-out>${escapeXml(output.join("\n"))}</system-out>`);
+            lines.push("    </testcase>");
+        });
+
+        lines.push("  </testsuite>");
+    });
+
+    lines.push("</testsuites>");
+    return lines.join("\n") + "\n";
+}
+
+// Write the report as JSON
+function writeJsonReport(report, filePath) {
+    fs.writeFileSync(filePath, JSON.stringify(report, null, 2), "utf-8");
+    console.log(`Run report saved to ${filePath}`);
+}
+
+// Write the report as JUnit XML
+function writeJUnitReport(report, filePath) {
+    fs.writeFileSync(filePath, toJUnitXml(report), "utf-8");
+    console.log(`JUnit report saved to ${filePath}`);
+}
+
+module.exports = {
+    createRunReport,
+    toJUnitXml,
+    writeJsonReport,
+    writeJUnitReport
+};
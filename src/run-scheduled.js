@@ -1,42 +1,13 @@
-const { exec } = require('child_process');
 const path = require('path');
-const cron = require('node-cron');
+const { main } = require('./cli');
 
-// Adjust schedule as needed (here: every 15 minutes)
-const SCHEDULE = '*/15 * * * *';
+require('dotenv').config({ path: path.join(__dirname, '.env') });
 
-// FIX: Remove extra 'src' from script paths
-const scannerScript = path.join(__dirname, 'outsystems-warning-scanner.js');
-const republisherScript = path.join(__dirname, 'outsystems-module-republisher.js');
-
-function runScript(scriptPath, name, callback) {
-    console.log(`[${new Date().toISOString()}] Starting ${name}...`);
-    exec(`node "${scriptPath}"`, (error, stdout, stderr) => {
-        if (error) {
-            console.error(`[${name}] Error:`, error.message);
-        }
-        if (stdout) {
-            console.log(`[${name}] Output:\n${stdout}`);
-        }
-        if (stderr) {
-            console.error(`[${name}] Stderr:\n${stderr}`);
-        }
-        console.log(`[${new Date().toISOString()}] Finished ${name}.`);
-        if (callback) callback();
-    });
-}
-
-// Run immediately on startup
-runScript(scannerScript, 'Warning Scanner', () => {
-    runScript(republisherScript, 'Module Republisher');
+// Kept for existing setups: same as "os-republisher schedule", and "history" shows the cycle history
+// with "os-republisher status" (the scan history is "os-republisher diff")
+const args = process.argv.slice(2);
+main(args[0] === 'history' ? ['status', ...args.slice(1)] : ['schedule', ...args]).then((exitCode) => {
+    if (exitCode !== null) {
+        process.exitCode = exitCode;
+    }
 });
-
-cron.schedule(SCHEDULE, () => {
-    runScript(scannerScript, 'Warning Scanner', () => {
-        runScript(republisherScript, 'Module Republisher');
-    });
-});
-
-console.log(`Scheduled scripts to run at: "${SCHEDULE}" (cron format).`);
-console.log('To test immediately, run: node src/outsystems-warning-scanner.js && node src/outsystems-module-republisher.js');
-console.log('To test immediately, run: node src/outsystems-warning-scanner.js && node src/outsystems-module-republisher.js');
@@ -0,0 +1,207 @@
+const fs = require("fs");
+const path = require("path");
+
+/*
+ * History of the scans of an environment, one snapshot per line in scan-history.jsonl next to the
+ * manifest. The manifest only holds the last scan; the snapshots show which modules entered or left
+ * warning between two scans and which modules keep coming back.
+ */
+
+const SCAN_HISTORY_FILE = "scan-history.jsonl"; // Next to the manifest of the environment
+
+// Scan history file of a manifest
+function getScanHistoryFile(manifestPath) {
+    return path.join(path.dirname(manifestPath), SCAN_HISTORY_FILE);
+}
+
+// A module is counted as in warning when the eSpaces list shows a warning or error icon
+function isFlagged(module) {
+    return module.statusIcon !== "ok";
+}
+
+/**
+ * Build the snapshot of a scan from its manifest
+ * Only what the history needs is kept: the status of each module and the categories of its messages.
+ * @param {Object} manifest - Manifest written by the scanner, see createManifest
+ * @returns {Object} - Snapshot
+ */
+function createScanSnapshot(manifest) {
+    return {
+        scannedAt: manifest.scannedAt,
+        environment: manifest.environment,
+        mode: manifest.discovery.mode,
+        layers: manifest.layers,
+        modules: manifest.modules.map(({ name, suffix, statusIcon, messages }) => ({
+            name,
+            suffix,
+            statusIcon,
+            categories: Array.from(new Set((messages || []).map(message => message.category)))
+        }))
+    };
+}
+
+/**
+ * Append a scan snapshot to the history
+ * @param {string} filePath - Scan history file, see getScanHistoryFile
+ * @param {Object} snapshot - Snapshot built by createScanSnapshot
+ */
+function appendScanSnapshot(filePath, snapshot) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, `${JSON.stringify(snapshot)}\n`, "utf-8");
+}
+
+/**
+ * Read the scan snapshots, oldest first
+ * @param {string} filePath - Scan history file
+ * @returns {Array<Object>} - Snapshots
+ */
+function readScanSnapshots(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+    return fs.readFileSync(filePath, "utf-8")
+        .split("\n")
+        .filter(line => line.trim().length > 0)
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (err) {
+                // A line cut short by a crash is ignored
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+// Scans of different discovery modes or layers list different modules and are not compared
+function isComparable(snapshot, other) {
+    return snapshot.mode === other.mode && JSON.stringify(snapshot.layers) === JSON.stringify(other.layers);
+}
+
+// Snapshots comparable with the last one, oldest first
+function selectComparableSnapshots(snapshots) {
+    const last = snapshots[snapshots.length - 1];
+    return last ? snapshots.filter(snapshot => isComparable(snapshot, last)) : [];
+}
+
+// Names of the modules of a snapshot in warning
+function flaggedNames(snapshot) {
+    return new Set(snapshot.modules.filter(isFlagged).map(module => module.name));
+}
+
+/**
+ * Compare two scans
+ * @param {Object|null} previous - Earlier snapshot, null when the current scan is the first one
+ * @param {Object} current - Later snapshot
+ * @returns {{entered: string[], resolved: string[], remaining: string[]}} - Modules that entered warning, left it, or stayed in it
+ */
+function diffSnapshots(previous, current) {
+    const before = previous ? flaggedNames(previous) : new Set();
+    const after = flaggedNames(current);
+    const sorted = (names) => names.sort((a, b) => a.localeCompare(b));
+    return {
+        entered: sorted([...after].filter(name => !before.has(name))),
+        resolved: sorted([...before].filter(name => !after.has(name))),
+        remaining: sorted([...after].filter(name => before.has(name)))
+    };
+}
+
+/**
+ * Follow every module through the scans
+ * A module enters warning when a scan finds it in warning and the scan before did not.
+ * @param {Array<Object>} snapshots - Comparable snapshots, oldest first
+ * @returns {Array<{name: string, suffix: string, scansInWarning: number, timesEntered: number, firstSeen: string, lastSeen: string, inWarning: boolean, categories: string[]}>}
+ *          - Modules found in warning at least once, most often entered first
+ */
+function summarizeModules(snapshots) {
+    const modules = new Map();
+    snapshots.forEach((snapshot, index) => {
+        const before = index > 0 ? flaggedNames(snapshots[index - 1]) : new Set();
+        snapshot.modules.filter(isFlagged).forEach(module => {
+            const entry = modules.get(module.name) || {
+                name: module.name,
+                suffix: module.suffix,
+                scansInWarning: 0,
+                timesEntered: 0,
+                firstSeen: snapshot.scannedAt,
+                lastSeen: null,
+                inWarning: false,
+                categories: []
+            };
+            entry.scansInWarning++;
+            entry.timesEntered += before.has(module.name) ? 0 : 1;
+            entry.lastSeen = snapshot.scannedAt;
+            entry.categories = module.categories || [];
+            modules.set(module.name, entry);
+        });
+    });
+    const last = snapshots.length > 0 ? flaggedNames(snapshots[snapshots.length - 1]) : new Set();
+    return Array.from(modules.values())
+        .map(entry => ({ ...entry, inWarning: last.has(entry.name) }))
+        .sort((a, b) => b.timesEntered - a.timesEntered || b.scansInWarning - a.scansInWarning || a.name.localeCompare(b.name));
+}
+
+// Modules that came back to warning after a scan found them resolved
+function findRepeatOffenders(snapshots) {
+    return summarizeModules(snapshots).filter(module => module.timesEntered > 1);
+}
+
+/**
+ * Count the modules in warning per scan, with the changes since the scan before
+ * @param {Array<Object>} snapshots - Comparable snapshots, oldest first
+ * @returns {Array<{scannedAt: string, inWarning: number, entered: number, resolved: number}>} - Oldest first
+ */
+function buildTrend(snapshots) {
+    return snapshots.map((snapshot, index) => {
+        const { entered, resolved } = diffSnapshots(index > 0 ? snapshots[index - 1] : null, snapshot);
+        return { scannedAt: snapshot.scannedAt, inWarning: flaggedNames(snapshot).size, entered: entered.length, resolved: resolved.length };
+    });
+}
+
+// Quote a CSV field when it holds a separator, a quote or a line break
+function csvField(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV export of the scan history: one row per module found in warning at least once
+ * @param {Array<Object>} snapshots - Comparable snapshots, oldest first
+ * @returns {string} - CSV with a header line
+ */
+function toCsv(snapshots) {
+    const current = snapshots[snapshots.length - 1];
+    const { entered, resolved } = diffSnapshots(snapshots.length > 1 ? snapshots[snapshots.length - 2] : null, current);
+    const change = (module) => {
+        if (entered.includes(module.name)) return "entered";
+        if (resolved.includes(module.name)) return "resolved";
+        return module.inWarning ? "still-in-warning" : "";
+    };
+    const header = ["module", "layer", "change", "inWarning", "scansInWarning", "timesEntered", "firstSeen", "lastSeen", "categories"];
+    const rows = summarizeModules(snapshots).map(module => [
+        module.name,
+        module.suffix,
+        change(module),
+        module.inWarning,
+        module.scansInWarning,
+        module.timesEntered,
+        module.firstSeen,
+        module.lastSeen,
+        module.categories.join(" ")
+    ]);
+    return [header, ...rows].map(row => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+module.exports = {
+    SCAN_HISTORY_FILE,
+    getScanHistoryFile,
+    createScanSnapshot,
+    appendScanSnapshot,
+    readScanSnapshots,
+    selectComparableSnapshots,
+    diffSnapshots,
+    summarizeModules,
+    findRepeatOffenders,
+    buildTrend,
+    toCsv
+};
@@ -0,0 +1,520 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const cron = require("node-cron");
+const { PROCESSING_HIERARCHY } = require("./layers");
+const { notifyAfterCycle } = require("./notifications");
+const { CYCLE_STATUSES, appendHistory, readHistory, HISTORY_FILE } = require("./cycle-history");
+const { resolveManifestPath, countModules } = require("./manifest");
+const { ENGINES } = require("./service-center/engines");
+const { SCRIPT_METRICS_FILES, createRegistry, writeTextfile, collectTextfile, recordCycle, restoreLastSuccess } = require("./metrics");
+
+// Optional file configuring the scheduled cycles
+const SCHEDULE_FILE = process.env.WODIFY_SCHEDULE_FILE || path.resolve(__dirname, "./schedule.json");
+
+const DEFAULT_SCHEDULE = "*/15 * * * *"; // Every 15 minutes
+const LOCK_FILE = "republish-cycle.lock"; // Held next to the module list while a cycle runs
+const REPORT_FILE = "republish-report.json"; // Run report written by the republisher
+
+const SCANNER_SCRIPT = path.join(__dirname, "outsystems-warning-scanner.js");
+const REPUBLISHER_SCRIPT = path.join(__dirname, "outsystems-module-republisher.js");
+
+/**
+ * Read the schedule file and resolve its jobs
+ * Top-level schedule, layers, jitterSeconds and engine apply to every job that does not set its own.
+ * Without a "jobs" list, the file describes a single job.
+ * @param {string} [filePath] - Schedule file, SCHEDULE_FILE by default
+ * @returns {{runOnStart: boolean, jobs: Array<{environment: string|null, schedule: string, layers: string[]|null, jitterSeconds: number, engine: string|null}>}}
+ */
+function loadScheduleConfig(filePath = SCHEDULE_FILE) {
+    const config = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf-8")) : {};
+    const defaults = {
+        environment: config.environment || null,
+        schedule: config.schedule || DEFAULT_SCHEDULE,
+        layers: config.layers || null,
+        jitterSeconds: config.jitterSeconds || 0,
+        engine: config.engine || null
+    };
+    const jobs = (config.jobs || [{}]).map(job => ({ ...defaults, ...job }));
+
+    jobs.forEach(job => {
+        const label = job.environment || "default environment";
+        if (!cron.validate(job.schedule)) {
+            throw new Error(`Invalid cron expression for ${label}: "${job.schedule}"`);
+        }
+        if (job.layers) {
+            job.layers = job.layers.map(layer => layer.toUpperCase());
+            const unknown = job.layers.filter(layer => !PROCESSING_HIERARCHY.includes(layer));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown layers for ${label}: ${unknown.join(", ")}`);
+            }
+        }
+        if (typeof job.jitterSeconds !== "number" || job.jitterSeconds < 0) {
+            throw new Error(`Invalid jitterSeconds for ${label}: ${job.jitterSeconds}`);
+        }
+        if (job.engine && !ENGINES[job.engine]) {
+            throw new Error(`Unknown engine for ${label}: "${job.engine}". Available engines: ${Object.keys(ENGINES).join(", ")}`);
+        }
+    });
+    const environments = jobs.map(job => job.environment);
+    if (new Set(environments).size !== environments.length) {
+        throw new Error("Each environment can only have one scheduled job");
+    }
+
+    return { runOnStart: config.runOnStart !== false, jobs };
+}
+
+// Manifest of a job; the scanner writes it and the republisher reads it
+function getJobModulesFile(job) {
+    return resolveManifestPath(job.modulesFile, job.environment);
+}
+
+// Whether a process is still running
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === "EPERM";
+    }
+}
+
+/**
+ * Take the cycle lock of an environment
+ * The lock is a file holding the pid of its owner, so a lock left behind by a crashed process is taken over.
+ * @param {string} lockPath - Lock file
+ * @returns {boolean} - False when another cycle holds the lock
+ */
+function acquireLock(lockPath) {
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+    try {
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }), { flag: "wx" });
+        return true;
+    } catch (err) {
+        if (err.code !== "EEXIST") {
+            throw err;
+        }
+    }
+
+    let owner = null;
+    try {
+        owner = JSON.parse(fs.readFileSync(lockPath, "utf-8"));
+    } catch (err) {
+        // Unreadable lock, treated as stale
+    }
+    if (owner && isProcessAlive(owner.pid)) {
+        return false;
+    }
+    console.warn(`Removing stale lock ${lockPath}${owner ? ` left by process ${owner.pid}` : ""}`);
+    fs.rmSync(lockPath, { force: true });
+    return acquireLock(lockPath);
+}
+
+function releaseLock(lockPath) {
+    fs.rmSync(lockPath, { force: true });
+}
+
+/**
+ * Owner of the cycle lock of a job, if a cycle is running
+ * @param {Object} job - Job from loadScheduleConfig
+ * @returns {{pid: number, startedAt: string}|null} - Null when no cycle is running
+ */
+function getRunningCycle(job) {
+    try {
+        const owner = JSON.parse(fs.readFileSync(path.join(path.dirname(getJobModulesFile(job)), LOCK_FILE), "utf-8"));
+        return isProcessAlive(owner.pid) ? owner : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Prefix every complete line of a child output stream and write it as it arrives
+function streamLines(stream, prefix, write) {
+    let pending = "";
+    stream.on("data", (chunk) => {
+        const lines = (pending + chunk).split("\n");
+        pending = lines.pop();
+        lines.forEach(line => write(`${prefix} ${line}\n`));
+    });
+    stream.on("end", () => {
+        if (pending) {
+            write(`${prefix} ${pending}\n`);
+        }
+    });
+}
+
+/**
+ * Run a script as a child process, streaming its output line by line
+ * @param {string} scriptPath - Script to run
+ * @param {string} name - Name used to prefix the output
+ * @param {string[]} args - Command-line arguments
+ * @param {Object} env - Extra environment variables
+ * @param {AbortSignal} [signal] - Stops the script when aborted
+ * @returns {Promise<{exitCode: number, durationMs: number}>}
+ */
+function runScript(scriptPath, name, args, env = {}, signal = undefined) {
+    const startTime = Date.now();
+    console.log(`[${new Date().toISOString()}] Starting ${name}...`);
+    return new Promise((resolve) => {
+        const child = spawn(process.execPath, [scriptPath, ...args], {
+            env: { ...process.env, ...env },
+            stdio: ["ignore", "pipe", "pipe"],
+            signal
+        });
+        streamLines(child.stdout, `[${name}]`, (line) => process.stdout.write(line));
+        streamLines(child.stderr, `[${name}]`, (line) => process.stderr.write(line));
+        child.on("error", (error) => {
+            if (error.name === "AbortError") {
+                console.warn(`[${name}] Cancelled, stopping the script...`);
+                return;
+            }
+            console.error(`[${name}] Error:`, error.message);
+        });
+        child.on("close", (code) => {
+            const exitCode = code === null ? 1 : code;
+            console.log(`[${new Date().toISOString()}] Finished ${name} (exit code ${exitCode}).`);
+            resolve({ exitCode, durationMs: Date.now() - startTime });
+        });
+    });
+}
+
+// Read a JSON file written by one of the scripts, null if missing or unreadable
+function readJsonFile(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch (err) {
+        return null;
+    }
+}
+
+// Steps of a cycle; a cycle started from the REST API can run only one of them
+const CYCLE_STEPS = ["scan", "republish"];
+
+/**
+ * Run one scan and republish cycle
+ * The republish is skipped when the scan fails or finds no module. The cycle is recorded in the history
+ * and the configured notification channels are told about it, unless it was cancelled.
+ * @param {Object} job - Job from loadScheduleConfig
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - What started the cycle, e.g. "schedule", "manual" or "api"
+ * @param {string[]} [options.steps] - Steps to run, both CYCLE_STEPS by default; a republish alone uses the last scan
+ * @param {AbortSignal} [options.signal] - Cancels the cycle, stopping the running script
+ * @param {function(string): void} [options.onStep] - Called with "scan" or "republish" when the step starts
+ * @param {string[]} [options.args] - Extra arguments passed to both scripts
+ * @param {string[]} [options.scanArgs] - Extra arguments passed to the scanner only
+ * @param {string[]} [options.republishArgs] - Extra arguments passed to the republisher only
+ * @param {Object} [options.metrics] - Registry from metrics.js collecting the metrics of the scripts and of the cycle
+ * @param {string} [options.metricsFile] - File the metrics are written to after the cycle, for the textfile collector
+ * @param {string} [options.historyFile] - History file
+ * @param {string} [options.scannerScript] - Scanner to run
+ * @param {string} [options.republisherScript] - Republisher to run
+ * @returns {Promise<Object>} - Cycle record, as written to the history
+ */
+async function runCycle(job, options = {}) {
+    const {
+        trigger = "manual",
+        steps = CYCLE_STEPS,
+        signal = undefined,
+        onStep = () => {},
+        args = [],
+        scanArgs = [],
+        republishArgs = [],
+        metrics = null,
+        metricsFile = null,
+        historyFile = HISTORY_FILE,
+        scannerScript = SCANNER_SCRIPT,
+        republisherScript = REPUBLISHER_SCRIPT
+    } = options;
+    const startedAt = new Date();
+    const modulesFile = getJobModulesFile(job);
+    const lockPath = path.join(path.dirname(modulesFile), LOCK_FILE);
+    const label = job.environment || process.env.WODIFY_ENV || "default environment";
+    const entry = {
+        environment: label,
+        trigger,
+        steps,
+        layers: job.layers,
+        startedAt: startedAt.toISOString(),
+        finishedAt: null,
+        durationMs: 0,
+        status: null,
+        reason: null,
+        scan: null,
+        modulesFound: null,
+        republish: null,
+        totals: null
+    };
+    const finish = (status, reason = null) => {
+        const finishedAt = new Date();
+        Object.assign(entry, { status, reason, finishedAt: finishedAt.toISOString(), durationMs: finishedAt - startedAt });
+        appendHistory(entry, historyFile);
+        console.log(`[${entry.finishedAt}] Cycle for ${label} ${status}${reason ? `: ${reason}` : ""}`);
+        if (metrics) {
+            recordCycle(metrics, entry);
+            saveMetrics();
+        }
+        return entry;
+    };
+    const saveMetrics = () => {
+        if (!metricsFile) return;
+        try {
+            writeTextfile(metrics, metricsFile);
+        } catch (err) {
+            console.error(`Error writing metrics to ${metricsFile}:`, err.message);
+        }
+    };
+    // With a registry, each script writes its metrics to a file of its own, added to the registry once it ends
+    const runWithMetrics = async (step, scriptPath, name, stepArgs, env) => {
+        if (!metrics) {
+            return runScript(scriptPath, name, stepArgs, env, signal);
+        }
+        const scriptMetricsFile = path.join(path.dirname(modulesFile), SCRIPT_METRICS_FILES[step]);
+        fs.rmSync(scriptMetricsFile, { force: true });
+        const result = await runScript(scriptPath, name, [...stepArgs, "--metrics-file", scriptMetricsFile], env, signal);
+        try {
+            collectTextfile(metrics, scriptMetricsFile);
+        } catch (err) {
+            console.error(`Error reading the metrics of ${name}:`, err.message);
+        }
+        return result;
+    };
+
+    if (!acquireLock(lockPath)) {
+        return finish(CYCLE_STATUSES.SKIPPED, "Previous cycle is still running");
+    }
+    try {
+        const scriptArgs = [
+            ...(job.environment ? ["--env", job.environment] : []),
+            ...(job.layers ? ["--layers", job.layers.join(",")] : []),
+            ...(job.engine ? ["--engine", job.engine] : []),
+            ...args
+        ];
+        const scriptEnv = { SORTED_MODULES_FILE: modulesFile };
+        const cancelled = () => signal && signal.aborted;
+
+        if (steps.includes("scan")) {
+            onStep("scan");
+            entry.scan = await runWithMetrics("scan", scannerScript, "Warning Scanner", [...scriptArgs, ...scanArgs], scriptEnv);
+            if (cancelled()) {
+                return finish(CYCLE_STATUSES.CANCELLED, "Cancelled during the scan");
+            }
+        }
+        const scanSucceeded = entry.scan ? entry.scan.exitCode === 0 : null;
+        entry.modulesFound = scanSucceeded !== false ? countModules(modulesFile) : null;
+
+        let status;
+        let reason = null;
+        if (scanSucceeded === false || (scanSucceeded && entry.modulesFound === null)) {
+            status = CYCLE_STATUSES.FAILED;
+            reason = "Scan failed, republish skipped";
+        } else if (entry.modulesFound === null) {
+            status = CYCLE_STATUSES.FAILED;
+            reason = `No scan to republish in ${modulesFile}`;
+        } else if (entry.modulesFound === 0) {
+            status = CYCLE_STATUSES.NO_MODULES;
+            reason = "No modules in warning, republish skipped";
+        } else if (!steps.includes("republish")) {
+            status = CYCLE_STATUSES.SUCCEEDED;
+            reason = "Scan only, republish not requested";
+        } else {
+            onStep("republish");
+            entry.republish = await runWithMetrics("republish", republisherScript, "Module Republisher", [...scriptArgs, ...republishArgs], scriptEnv);
+            if (cancelled()) {
+                return finish(CYCLE_STATUSES.CANCELLED, "Cancelled during the republish, continue it with republish --resume");
+            }
+            const report = readJsonFile(path.join(path.dirname(modulesFile), REPORT_FILE));
+            entry.totals = report && new Date(report.startedAt) >= startedAt ? report.totals : null;
+
+            if (entry.totals && entry.totals.failed > 0) {
+                status = CYCLE_STATUSES.FAILED;
+                reason = `${entry.totals.failed} module(s) failed to publish`;
+            } else if (entry.totals && entry.totals.stuck > 0) {
+                status = CYCLE_STATUSES.FAILED;
+                reason = `${entry.totals.stuck} module(s) stuck in warning after publishing`;
+            } else if (entry.republish.exitCode !== 0) {
+                status = CYCLE_STATUSES.FAILED;
+                reason = `Republisher exited with code ${entry.republish.exitCode}`;
+            } else {
+                status = CYCLE_STATUSES.SUCCEEDED;
+            }
+        }
+
+        await notifyAfterCycle({
+            environment: label,
+            modulesFile,
+            startedAt,
+            scanSucceeded: entry.scan ? entry.scan.exitCode === 0 : null,
+            republishSucceeded: entry.republish ? entry.republish.exitCode === 0 : null
+        });
+        return finish(status, reason);
+    } finally {
+        releaseLock(lockPath);
+    }
+}
+
+// Wait a random part of the job's jitter, so environments scheduled at the same minute spread out; a cancel ends the wait
+function waitForJitter(job, signal) {
+    const delay = Math.floor(Math.random() * job.jitterSeconds * 1000);
+    if (delay > 0) {
+        console.log(`Waiting ${Math.round(delay / 1000)}s of start jitter for ${job.environment || "default environment"}...`);
+    }
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, delay);
+        signal.addEventListener("abort", () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+}
+
+// Name of a job in the dashboard and the REST API
+function getJobName(job) {
+    return job.environment || "default";
+}
+
+/**
+ * Schedule every job with node-cron
+ * The returned scheduler also starts and cancels cycles on demand and pauses the schedule, for the dashboard.
+ * Its metrics add up the scripts of every cycle; the last successful cycles are taken from the history.
+ * @param {{runOnStart: boolean, jobs: Array}} config - Config from loadScheduleConfig
+ * @param {Object} [cycleOptions] - Extra options of every runCycle, e.g. historyFile or metricsFile
+ * @returns {Object} - Scheduler with metrics, describe, findJob, trigger, cancel, pause, resume and stop
+ */
+function startScheduler(config, cycleOptions = {}) {
+    const startedAt = new Date().toISOString();
+    const metrics = cycleOptions.metrics || createRegistry();
+    const environments = config.jobs.map(job => job.environment || process.env.WODIFY_ENV || "default environment");
+    restoreLastSuccess(metrics, readHistory({ filePath: cycleOptions.historyFile }).filter(entry => environments.includes(entry.environment)));
+    cycleOptions = { ...cycleOptions, metrics };
+    let paused = false;
+    // Per job: its cron task and the cycle this process is running, with the AbortController that cancels it
+    const slots = config.jobs.map(job => ({ job, task: null, running: null }));
+
+    const runJob = async (slot, { trigger = "schedule", steps = CYCLE_STEPS } = {}) => {
+        const label = slot.job.environment || "default environment";
+        if (slot.running) {
+            // Still waiting for its jitter or running: nothing holds the lock during the jitter, so the lock cannot be relied on here
+            console.log(`Previous cycle for ${label} is still ${slot.running.step === "waiting" ? "waiting to start" : "running"}, skipping this one.`);
+            return null;
+        }
+        const controller = new AbortController();
+        slot.running = { trigger, steps, startedAt: new Date().toISOString(), step: "waiting", controller };
+        try {
+            if (trigger === "schedule") {
+                await waitForJitter(slot.job, controller.signal);
+                if (controller.signal.aborted) {
+                    console.log(`Cycle for ${label} cancelled before it started.`);
+                    return null;
+                }
+            }
+            return await runCycle(slot.job, {
+                ...cycleOptions,
+                trigger,
+                steps,
+                signal: controller.signal,
+                onStep: (step) => { slot.running.step = step; }
+            });
+        } catch (err) {
+            console.error(`Cycle for ${label} failed:`, err.message);
+            return null;
+        } finally {
+            slot.running = null;
+        }
+    };
+    const runScheduledJob = (slot) => {
+        if (paused) {
+            console.log(`Schedule paused, not starting the cycle for ${slot.job.environment || "default environment"}.`);
+            return;
+        }
+        runJob(slot);
+    };
+
+    slots.forEach(slot => {
+        const { job } = slot;
+        console.log(`Scheduled ${job.environment || "default environment"} at "${job.schedule}" (cron format)` +
+            `${job.layers ? `, layers ${job.layers.join(",")}` : ""}${job.jitterSeconds ? `, up to ${job.jitterSeconds}s jitter` : ""}.`);
+        if (config.runOnStart) {
+            runScheduledJob(slot);
+        }
+        slot.task = cron.schedule(job.schedule, () => runScheduledJob(slot));
+    });
+
+    const findSlot = (name) => slots.find(slot => getJobName(slot.job) === name) || null;
+
+    return {
+        startedAt,
+        historyFile: cycleOptions.historyFile || HISTORY_FILE,
+        metrics,
+        // State of the schedule and of every job, as served by the dashboard
+        describe: () => ({
+            startedAt,
+            paused,
+            jobs: slots.map(({ job, task, running }) => {
+                const other = running ? null : getRunningCycle(job);
+                return {
+                    name: getJobName(job),
+                    environment: job.environment,
+                    schedule: job.schedule,
+                    layers: job.layers,
+                    nextRun: paused ? null : task.getNextRun(),
+                    running: running
+                        ? { trigger: running.trigger, steps: running.steps, step: running.step, startedAt: running.startedAt }
+                        : (other ? { trigger: "other process", steps: null, step: null, startedAt: other.startedAt, pid: other.pid } : null)
+                };
+            })
+        }),
+        findJob: (name) => {
+            const slot = findSlot(name);
+            return slot ? slot.job : null;
+        },
+        /**
+         * Start a cycle of a job now, even while the schedule is paused
+         * @param {string} name - Job name, see getJobName
+         * @param {string[]} [steps] - "scan", "republish" or both
+         * @returns {Promise<Object|null>|null} - The running cycle, null when the job is already running
+         */
+        trigger: (name, steps = CYCLE_STEPS) => {
+            const slot = findSlot(name);
+            if (!slot || slot.running || getRunningCycle(slot.job)) {
+                return null;
+            }
+            console.log(`Starting ${steps.join(" and ")} of ${name} on request.`);
+            return runJob(slot, { trigger: "api", steps });
+        },
+        // Cancel the running cycle of a job; false when this process runs none
+        cancel: (name) => {
+            const slot = findSlot(name);
+            if (!slot || !slot.running) {
+                return false;
+            }
+            console.warn(`Cancelling the ${slot.running.step} of ${name} on request.`);
+            slot.running.controller.abort();
+            return true;
+        },
+        pause: () => {
+            paused = true;
+            console.log("Schedule paused, cycles only start on request.");
+        },
+        resume: () => {
+            paused = false;
+            console.log("Schedule resumed.");
+        },
+        isPaused: () => paused,
+        // Stop scheduling; running cycles go on
+        stop: () => slots.forEach(slot => slot.task.stop())
+    };
+}
+
+module.exports = {
+    SCHEDULE_FILE,
+    CYCLE_STEPS,
+    loadScheduleConfig,
+    getJobModulesFile,
+    acquireLock,
+    releaseLock,
+    getRunningCycle,
+    runScript,
+    runCycle,
+    getJobName,
+    startScheduler
+};
@@ -0,0 +1,9 @@
+// Timings shared by the Service Center pages
+module.exports = {
+    NAVIGATION_TIMEOUT: 180000, // Timeout in milliseconds (3 minutes)
+    HTTP_TIMEOUT: 60000, // Timeout of one request of the HTTP engine in milliseconds
+    WARNING_CHECK_TIMEOUT: 1000, // Timeout for checking warning status in milliseconds
+    REFRESH_DELAY: 1000, // Delay in milliseconds before re-checking the eSpaces table
+    PUBLISH_TIMEOUT: 900000, // Maximum time to wait for a publish to reach a final state (15 minutes)
+    PUBLISH_POLL_INTERVAL: 2000 // Interval between publish progress checks in milliseconds
+};
@@ -0,0 +1,189 @@
+const puppeteer = require("puppeteer");
+const { NAVIGATION_TIMEOUT } = require("./constants");
+const espacesListPage = require("./espaces-list-page");
+const modulePage = require("./module-page");
+const httpPages = require("./http-pages");
+const { createHttpClient } = require("./http-client");
+
+/*
+ * Ways of driving Service Center, selected with --engine.
+ * Both give the scanner and the republisher tabs with the same methods, so the scripts do not
+ * depend on the engine. Puppeteer stays the default and the fallback of the HTTP engine.
+ */
+const ENGINES = {
+    browser: "a Puppeteer browser, one tab per page (default)",
+    http: "plain HTTP requests and ASP.NET form posts, without a browser"
+};
+const DEFAULT_ENGINE = "browser";
+const MAX_CONSOLE_MESSAGES = 200; // Console messages kept per tab for failure artifacts
+const MAX_NETWORK_ENTRIES = 500; // Requests kept per tab (per host with the HTTP engine) with recordNetwork
+
+// Add an entry to a list that keeps only the last `max` entries
+function remember(list, entry, max) {
+    list.push(entry);
+    if (list.length > max) {
+        list.shift();
+    }
+}
+
+// Record the console messages and, with recordNetwork, the requests of a Puppeteer page
+function watchPage(page, recordNetwork) {
+    const consoleMessages = [];
+    const requests = [];
+    page.on("console", message => remember(consoleMessages, `[${message.type()}] ${message.text()}`, MAX_CONSOLE_MESSAGES));
+    page.on("pageerror", error => remember(consoleMessages, `[pageerror] ${error.message}`, MAX_CONSOLE_MESSAGES));
+
+    if (recordNetwork) {
+        const startTimes = new Map();
+        const finish = (request, status) => {
+            const startedAt = startTimes.get(request) || Date.now();
+            startTimes.delete(request);
+            remember(requests, { method: request.method(), url: request.url(), status, startedAt, durationMs: Date.now() - startedAt }, MAX_NETWORK_ENTRIES);
+        };
+        page.on("request", request => startTimes.set(request, Date.now()));
+        page.on("requestfinished", request => finish(request, request.response() ? request.response().status() : 0));
+        page.on("requestfailed", request => finish(request, 0));
+    }
+    return { consoleMessages, requests };
+}
+
+// Tab of the browser engine: a Puppeteer page
+async function openBrowserTab(browser, sessionManager, recordNetwork) {
+    const page = await browser.newPage();
+    page.setDefaultNavigationTimeout(NAVIGATION_TIMEOUT);
+    const watched = watchPage(page, recordNetwork);
+
+    return {
+        openPage: (url) => sessionManager.openPage(page, url),
+        applyStatusFilter: (option) => espacesListPage.applyStatusFilter(page, option),
+        hasNoModules: () => espacesListPage.hasNoModules(page),
+        readModuleRows: () => espacesListPage.readModuleRows(page),
+        goToNextPage: () => espacesListPage.goToNextPage(page),
+        isModuleInWarning: () => modulePage.isModuleInWarning(page),
+        readMessages: () => modulePage.readMessages(page),
+        hasPublishButton: async () => !!(await modulePage.findPublishButton(page)),
+        readDependencies: () => modulePage.readDependencies(page),
+        async clickPublish() {
+            const publishButton = await modulePage.findPublishButton(page);
+            if (!publishButton) {
+                throw new Error("No Publish button on the module page");
+            }
+
+            // Attach dialog listener
+            const handleDialog = async (dialog) => {
+                console.log(`Dialog message: ${dialog.message()}`);
+                try {
+                    await dialog.accept();
+                    console.log("Dialog accepted.");
+                } catch (error) {
+                    console.error("Error accepting dialog:", error.message);
+                }
+                page.off("dialog", handleDialog); // Clean up listener
+            };
+            page.once("dialog", handleDialog);
+
+            await publishButton.click();
+        },
+        waitForPublishOutcome: () => modulePage.waitForPublishOutcome(page),
+        // What the tab shows now, for failure artifacts
+        captureState: async () => ({
+            url: page.url(),
+            html: await page.content(),
+            screenshot: await page.screenshot({ fullPage: true }),
+            consoleMessages: watched.consoleMessages.slice(),
+            requests: watched.requests.slice()
+        }),
+        close: () => page.close()
+    };
+}
+
+// Tab of the HTTP engine: the last document opened with a client shared by the tabs of a host
+async function openHttpTab(client, sessionManager, requests) {
+    let document = null;
+    const current = () => {
+        if (!document) {
+            throw new Error("No Service Center page is open");
+        }
+        return document;
+    };
+
+    return {
+        async openPage(url) {
+            document = await sessionManager.openDocument(client, url);
+        },
+        async applyStatusFilter(option) {
+            document = await httpPages.applyStatusFilter(client, current(), option);
+        },
+        hasNoModules: async () => httpPages.hasNoModules(current()),
+        readModuleRows: async () => httpPages.readModuleRows(current()),
+        async goToNextPage() {
+            const next = await httpPages.goToNextPage(client, current());
+            if (next) {
+                document = next;
+            }
+            return !!next;
+        },
+        isModuleInWarning: async () => httpPages.isModuleInWarning(current()),
+        readMessages: async () => httpPages.readMessages(current()),
+        hasPublishButton: async () => !!httpPages.findPublishButton(current()),
+        async readDependencies() {
+            document = await httpPages.openDependencies(client, current());
+            return httpPages.readDependencies(document);
+        },
+        async clickPublish() {
+            const publishButton = httpPages.findPublishButton(current());
+            if (!publishButton) {
+                throw new Error("No Publish button on the module page");
+            }
+            document = await httpPages.clickPublish(client, current(), publishButton);
+        },
+        waitForPublishOutcome: () => httpPages.waitForPublishOutcome(client, current()),
+        // There is no screenshot or console without a browser; the requests are those of every tab of the host
+        captureState: async () => ({
+            url: document ? document.url : null,
+            html: document ? document.html : "",
+            screenshot: null,
+            consoleMessages: [],
+            requests: requests.slice()
+        }),
+        async close() {
+            document = null;
+        }
+    };
+}
+
+/**
+ * Start an engine session: a browser, or an HTTP client with its cookie jar
+ * @param {string} engine - Key of ENGINES
+ * @param {Object} options
+ * @param {Object} options.sessionManager - Session manager that logs the tabs in
+ * @param {boolean} [options.headless] - Browser engine only: run the browser without a window
+ * @param {boolean} [options.recordNetwork] - Keep the recent requests for the failure artifacts (--trace)
+ * @returns {Promise<{engine: string, openTab: function(): Promise<Object>, close: function(): Promise}>}
+ */
+async function openEngineSession(engine, { sessionManager, headless = true, recordNetwork = false }) {
+    if (!ENGINES[engine]) {
+        throw new Error(`Unknown engine "${engine}". Available engines: ${Object.keys(ENGINES).join(", ")}`);
+    }
+    if (engine === "http") {
+        const requests = [];
+        const client = createHttpClient({ onResponse: recordNetwork ? (entry) => remember(requests, entry, MAX_NETWORK_ENTRIES) : null });
+        return {
+            engine,
+            openTab: () => openHttpTab(client, sessionManager, requests),
+            close: async () => {}
+        };
+    }
+    const browser = await puppeteer.launch({ headless: headless ? "new" : false });
+    return {
+        engine,
+        openTab: () => openBrowserTab(browser, sessionManager, recordNetwork),
+        close: () => browser.close()
+    };
+}
+
+module.exports = {
+    ENGINES,
+    DEFAULT_ENGINE,
+    openEngineSession
+};
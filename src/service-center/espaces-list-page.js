@@ -0,0 +1,146 @@
+const { getSelectors } = require("./selectors");
+const { NAVIGATION_TIMEOUT, REFRESH_DELAY } = require("./constants");
+
+// eSpaces list URL for a Service Center root URL
+function getESpacesListUrl(serviceCenterUrl) {
+    return `${serviceCenterUrl}eSpaces_List.aspx`;
+}
+
+// Navigate to the eSpaces list page
+async function openESpacesList(page, serviceCenterUrl) {
+    await page.goto(getESpacesListUrl(serviceCenterUrl), { waitUntil: "networkidle2" });
+}
+
+/**
+ * Select an option in the module status filter and apply the filter
+ * @param {Page} page - Page showing the eSpaces list
+ * @param {{value: string, text: string}} option - Status option, see selectors.espacesList.statusOptions
+ */
+async function applyStatusFilter(page, option) {
+    const selectors = getSelectors().espacesList;
+
+    // Wait for and click the dropdown
+    await page.waitForSelector(selectors.statusDropdown, { visible: true, timeout: NAVIGATION_TIMEOUT });
+    await page.click(selectors.statusDropdown);
+    console.log("Clicked dropdown");
+
+    // Wait for and click the option
+    const choiceSelector = selectors.statusChoice.replace("{value}", option.value);
+    await page.waitForSelector(choiceSelector, { visible: true, timeout: NAVIGATION_TIMEOUT });
+    await page.click(choiceSelector);
+    console.log(`Selected '${option.text}' option`);
+
+    // Small delay to ensure UI updates
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    // Click filter and wait for response
+    await Promise.all([
+        page.click(selectors.filterButton),
+        page.waitForResponse(response => response.url().includes('eSpaces_List.aspx')),
+        page.waitForSelector(selectors.table)
+    ]);
+
+    // Verify the selection was made by checking the select element's value
+    const selectedValue = await page.$eval(
+        selectors.statusSelect,
+        select => ({
+            value: select.value,
+            selectedText: select.options[select.selectedIndex].text
+        })
+    );
+
+    console.log(`Selected filter value: "${selectedValue.value}", text: "${selectedValue.selectedText}"`);
+
+    if (selectedValue.value !== option.value || !selectedValue.selectedText.includes(option.text)) {
+        throw new Error(`Filter not properly set. Current selection: ${selectedValue.selectedText}`);
+    }
+}
+
+// Check whether the list shows "No Modules to show"
+async function hasNoModules(page) {
+    const selectors = getSelectors().espacesList;
+    return page.$$eval(
+        selectors.title,
+        (titles, text) => titles.some(title => title.innerText.includes(text)),
+        selectors.noModulesText
+    );
+}
+
+/**
+ * Read the module rows of the current list page
+ * @param {Page} page - Page showing the eSpaces list
+ * @returns {Promise<Array<{url: string, name: string, inWarning: boolean, statusIcon: string, lastPublished: string|null}>>} - One entry per module row
+ */
+async function readModuleRows(page) {
+    const selectors = getSelectors().espacesList;
+    return page.$$eval(selectors.rows, (rows, selectors) => rows
+        .map(row => {
+            const link = row.querySelector(selectors.moduleLink);
+            const name = row.querySelector(selectors.moduleName);
+            if (!link || !name) {
+                return null;
+            }
+            const inWarning = !!row.querySelector(selectors.warningIcon);
+            const lastPublished = row.querySelector(selectors.lastPublished);
+            return {
+                url: link.href,
+                name: name.innerText.trim(),
+                inWarning,
+                statusIcon: inWarning ? "warning" : (row.querySelector(selectors.errorIcon) ? "error" : "ok"),
+                lastPublished: lastPublished ? lastPublished.innerText.trim() || null : null
+            };
+        })
+        .filter(Boolean), selectors);
+}
+
+// Text of the first table row, used to detect that the table was refreshed
+async function readFirstRowText(page) {
+    return page.evaluate((selector) => {
+        const table = document.querySelector(selector);
+        return table?.querySelector("tbody tr")?.innerText || "";
+    }, getSelectors().espacesList.table);
+}
+
+/**
+ * Move to the next page of the list
+ * @param {Page} page - Page showing the eSpaces list
+ * @returns {Promise<boolean>} - False when there is no next page
+ */
+async function goToNextPage(page) {
+    const selectors = getSelectors().espacesList;
+
+    // Check if the Next button is present and not disabled
+    const nextButton = await page.$(selectors.nextPage);
+    const nextButtonDisabled = nextButton && await page.evaluate(button => button.hasAttribute("disabled"), nextButton);
+    if (!nextButton || nextButtonDisabled) {
+        return false;
+    }
+
+    const previousFirstRowText = await readFirstRowText(page);
+    await page.click(selectors.nextPage);
+
+    // Wait for the table to refresh
+    await page.waitForFunction(
+        (selector, prevText) => {
+            const table = document.querySelector(selector);
+            const firstRowText = table?.querySelector("tbody tr")?.innerText || "";
+            return table && firstRowText !== prevText; // Ensure the first row text has changed
+        },
+        { timeout: NAVIGATION_TIMEOUT },
+        selectors.table,
+        previousFirstRowText
+    );
+
+    // Delay before continuing to the next iteration
+    await new Promise(resolve => setTimeout(resolve, REFRESH_DELAY));
+    return true;
+}
+
+module.exports = {
+    getESpacesListUrl,
+    openESpacesList,
+    applyStatusFilter,
+    hasNoModules,
+    readModuleRows,
+    goToNextPage
+};
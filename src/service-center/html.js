@@ -0,0 +1,303 @@
+/*
+ * Minimal HTML reading for the HTTP engine.
+ * Service Center pages are rendered on the server, so the elements the engine needs can be found by tag
+ * name and attributes without a DOM. querySelectorAll reads the selectors of selectors.js, so the
+ * overrides apply to both engines.
+ */
+
+// Elements without a closing tag
+const VOID_ELEMENTS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+
+// Decode character references in text and attribute values
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === "#") {
+            return String.fromCodePoint(code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+        }
+        return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+// Read the attributes of an opening tag, names lower-cased; attributes without a value are ""
+function parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let match;
+    while ((match = pattern.exec(source))) {
+        attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? "");
+    }
+    return attributes;
+}
+
+/**
+ * Wrap a response body for reading
+ * Scripts and comments are dropped so that markup inside them is never matched.
+ * @param {string} url - Final URL of the page, after redirects
+ * @param {string} html - Response body
+ * @returns {{url: string, html: string}} - Document
+ */
+function parseDocument(url, html) {
+    return {
+        url,
+        html: html.replace(/<script\b[\s\S]*?<\/script\s*>/gi, "").replace(/<!--[\s\S]*?-->/g, "")
+    };
+}
+
+// End of the content of an element opened just before `start`, counting nested elements of the same name
+function findContentEnd(html, tagName, start) {
+    const pattern = new RegExp(`<(/?)${tagName}\\b[^>]*>`, "gi");
+    pattern.lastIndex = start;
+    let depth = 1;
+    let match;
+    while ((match = pattern.exec(html))) {
+        depth += match[1] ? -1 : 1;
+        if (depth === 0) {
+            return match.index;
+        }
+    }
+    return html.length;
+}
+
+/**
+ * Find the elements of a tag name whose attributes match a predicate
+ * @param {string} html - Markup to search, a document's html or an element's content
+ * @param {string} tagName - Tag name, or "*" for any element
+ * @param {function(Object): boolean} [predicate] - Receives the attributes of each element
+ * @returns {Array<{tagName: string, attributes: Object, html: string, offset: number}>} - Matching elements with their inner HTML
+ *     and where it starts in `html`, in document order
+ */
+function findElements(html, tagName, predicate = () => true) {
+    const pattern = new RegExp(`<(${tagName === "*" ? "[a-z][a-z0-9]*" : tagName})\\b([^>]*)>`, "gi");
+    const elements = [];
+    let match;
+    while ((match = pattern.exec(html))) {
+        const name = match[1].toLowerCase();
+        const attributes = parseAttributes(match[2]);
+        if (!predicate(attributes)) {
+            continue;
+        }
+        const start = match.index + match[0].length;
+        const end = VOID_ELEMENTS.has(name) || match[2].endsWith("/") ? start : findContentEnd(html, name, start);
+        elements.push({ tagName: name, attributes, html: html.slice(start, end), offset: start });
+    }
+    return elements;
+}
+
+// First element of a tag name whose attributes match a predicate, or null
+function findElement(html, tagName, predicate) {
+    return findElements(html, tagName, predicate)[0] || null;
+}
+
+// Text of some markup, as innerText would show it on one line
+function textOf(html) {
+    return decodeEntities(html.replace(/<[^>]*>/g, " ")).replace(/\s+/g, " ").trim();
+}
+
+const hasClass = (className) => (attributes) => (attributes.class || "").split(/\s+/).includes(className);
+
+// Attribute selector operators: [name=value], [name$=value], [name*=value], [name^=value], [name~=value]
+const ATTRIBUTE_OPERATORS = {
+    "=": (actual, expected) => actual === expected,
+    "$=": (actual, expected) => actual.endsWith(expected),
+    "*=": (actual, expected) => actual.includes(expected),
+    "^=": (actual, expected) => actual.startsWith(expected),
+    "~=": (actual, expected) => actual.split(/\s+/).includes(expected)
+};
+
+// Split a selector on a separator, except inside brackets, parentheses and quotes
+function splitSelector(selector, separator) {
+    const parts = [""];
+    let depth = 0;
+    let quote = null;
+    for (const char of selector) {
+        if (quote) {
+            quote = char === quote ? null : quote;
+        } else if (char === "'" || char === "\"") {
+            quote = char;
+        } else if (char === "[" || char === "(") {
+            depth++;
+        } else if (char === "]" || char === ")") {
+            depth--;
+        } else if (depth === 0 && separator.test(char)) {
+            parts.push("");
+            continue;
+        }
+        parts[parts.length - 1] += char;
+    }
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// Compile one compound selector, e.g. td:nth-child(4), input[type='password'][id$='_wtInputPass1'] or a::-p-text(Dependencies)
+function parseCompound(compound, selector) {
+    let rest = compound;
+    let tagName = "*";
+    let position = null;
+    let text = null;
+    const predicates = [];
+    const take = (pattern) => {
+        const match = pattern.exec(rest);
+        if (match) {
+            rest = rest.slice(match[0].length);
+        }
+        return match;
+    };
+
+    const tag = take(/^([a-z][a-z0-9]*|\*)/i);
+    if (tag) {
+        tagName = tag[1].toLowerCase();
+    }
+    while (rest.length > 0) {
+        const attribute = take(/^\[\s*([\w-]+)\s*(?:([$*^~]?=)\s*(?:'([^']*)'|"([^"]*)"|([^\]\s]*)))?\s*\]/);
+        const className = !attribute && take(/^\.([\w-]+)/);
+        const id = !attribute && !className && take(/^#([\w-]+)/);
+        const nthChild = !attribute && !className && !id && take(/^:nth-child\(\s*(\d+)\s*\)/);
+        const pText = !attribute && !className && !id && !nthChild && take(/^::-p-text\(\s*(?:'([^']*)'|"([^"]*)"|([^)]*?))\s*\)/);
+        if (attribute) {
+            const [, name, operator, ...values] = attribute;
+            const expected = values.find(value => value !== undefined) ?? "";
+            predicates.push(operator
+                ? (attributes) => attributes[name.toLowerCase()] !== undefined && ATTRIBUTE_OPERATORS[operator](attributes[name.toLowerCase()], expected)
+                : (attributes) => attributes[name.toLowerCase()] !== undefined);
+        } else if (className) {
+            predicates.push(hasClass(className[1]));
+        } else if (id) {
+            predicates.push((attributes) => attributes.id === id[1]);
+        } else if (nthChild) {
+            position = Number(nthChild[1]);
+        } else if (pText) {
+            // Puppeteer's text selector: the element's text contains the given text
+            text = pText.slice(1).find(value => value !== undefined);
+        } else {
+            throw new Error(`The HTTP engine cannot read the selector "${selector}"`);
+        }
+    }
+    return { tagName, position, text, predicate: (attributes) => predicates.every(predicate => predicate(attributes)) };
+}
+
+/**
+ * Compile a CSS selector into the steps querySelectorAll takes
+ * Supported: tag names, *, classes, IDs, attribute selectors, :nth-child(n), Puppeteer's ::-p-text(text),
+ * descendant combinators and comma-separated lists; the forms selectors.js uses.
+ * @param {string} selector - CSS selector
+ * @returns {Array<Array<{tagName: string, position: number|null, text: string|null, predicate: function(Object): boolean}>>} - Per alternative, the compounds from outer to inner
+ * @throws {Error} - On syntax the HTTP engine does not support, e.g. child combinators or :hover
+ */
+function parseSelector(selector) {
+    return splitSelector(selector, /,/).map(alternative =>
+        splitSelector(alternative, /\s/).map(compound => parseCompound(compound, selector)));
+}
+
+// Elements directly inside some markup, each with its content
+function findChildren(html) {
+    const pattern = /<([a-z][a-z0-9]*)\b([^>]*)>/gi;
+    const children = [];
+    let match;
+    while ((match = pattern.exec(html))) {
+        const name = match[1].toLowerCase();
+        const start = match.index + match[0].length;
+        const end = VOID_ELEMENTS.has(name) || match[2].endsWith("/") ? start : findContentEnd(html, name, start);
+        children.push({ tagName: name, attributes: parseAttributes(match[2]), html: html.slice(start, end), offset: start });
+        pattern.lastIndex = end;
+    }
+    return children;
+}
+
+// Elements matching a compound selector inside some markup; :nth-child needs the position of every element among its siblings
+function findCompound(html, { tagName, position, text, predicate }) {
+    if (text !== null) {
+        return findCompound(html, { tagName, position, text: null, predicate }).filter(element => textOf(element.html).includes(text));
+    }
+    if (position === null) {
+        return findElements(html, tagName, predicate);
+    }
+    const matches = [];
+    const visit = (markup, base) => findChildren(markup).forEach((child, index) => {
+        const offset = base + child.offset;
+        if (index + 1 === position && (tagName === "*" || child.tagName === tagName) && predicate(child.attributes)) {
+            matches.push({ ...child, offset });
+        }
+        visit(child.html, offset);
+    });
+    visit(html, 0);
+    return matches;
+}
+
+/**
+ * Find the elements matching a CSS selector, as document.querySelectorAll does
+ * The matches of a selector list come alternative by alternative. An element is returned once, also when
+ * it lies inside several matches of an outer compound, e.g. a row of nested tables for "table tr".
+ * @param {string} html - Markup to search, a document's html or an element's content
+ * @param {string} selector - Selector from selectors.js, see parseSelector
+ * @returns {Array<{tagName: string, attributes: Object, html: string, offset: number}>} - Matching elements with their inner HTML and where it starts in `html`
+ */
+function querySelectorAll(html, selector) {
+    const matches = parseSelector(selector).flatMap(compounds => compounds.reduce(
+        (contexts, compound) => contexts.flatMap(context => findCompound(context.html, compound)
+            .map(element => ({ ...element, offset: context.offset + element.offset }))),
+        [{ html, offset: 0 }]));
+    const seen = new Set();
+    return matches.filter(element => !seen.has(element.offset) && seen.add(element.offset));
+}
+
+// First element matching a CSS selector, or null
+function querySelector(html, selector) {
+    return querySelectorAll(html, selector)[0] || null;
+}
+
+/**
+ * Read the fields a browser would post with the first form of a document
+ * Buttons are left out: the caller adds the one that is "clicked".
+ * @param {{url: string, html: string}} document - Document with a form
+ * @returns {{action: string, fields: Object}} - Absolute action URL and field values by name
+ * @throws {Error} - When the document has no form
+ */
+function readForm(document) {
+    const form = findElement(document.html, "form");
+    if (!form) {
+        throw new Error(`No form on ${document.url}`);
+    }
+    const fields = {};
+    findElements(form.html, "input", attributes => !!attributes.name).forEach(({ attributes }) => {
+        const type = (attributes.type || "text").toLowerCase();
+        if (["submit", "button", "image", "reset", "file"].includes(type)) {
+            return;
+        }
+        if ((type === "checkbox" || type === "radio") && attributes.checked === undefined) {
+            return;
+        }
+        fields[attributes.name] = attributes.value ?? (type === "checkbox" ? "on" : "");
+    });
+    findElements(form.html, "select", attributes => !!attributes.name).forEach(select => {
+        const option = readSelectedOption(select);
+        if (option) {
+            fields[select.attributes.name] = option.value;
+        }
+    });
+    findElements(form.html, "textarea", attributes => !!attributes.name).forEach(({ attributes, html }) => {
+        fields[attributes.name] = decodeEntities(html);
+    });
+    return { action: new URL(form.attributes.action || document.url, document.url).href, fields };
+}
+
+// Selected option of a select element, the first one when none is marked, or null when it has no options
+function readSelectedOption(select) {
+    const options = findElements(select.html, "option");
+    const option = options.find(candidate => candidate.attributes.selected !== undefined) || options[0];
+    return option ? { value: option.attributes.value ?? textOf(option.html), text: textOf(option.html) } : null;
+}
+
+module.exports = {
+    decodeEntities,
+    parseAttributes,
+    parseDocument,
+    findElements,
+    findElement,
+    textOf,
+    parseSelector,
+    querySelectorAll,
+    querySelector,
+    readForm,
+    readSelectedOption
+};
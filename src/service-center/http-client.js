@@ -0,0 +1,146 @@
+const { HTTP_TIMEOUT } = require("./constants");
+const { parseDocument, readForm } = require("./html");
+
+const MAX_REDIRECTS = 10;
+const USER_AGENT = "Mozilla/5.0 (compatible; outsystems-module-republisher)";
+
+// Default cookie path of a response: the directory of the request path
+function defaultCookiePath(url) {
+    const { pathname } = new URL(url);
+    const index = pathname.lastIndexOf("/");
+    return index > 0 ? pathname.slice(0, index) : "/";
+}
+
+/**
+ * Parse a Set-Cookie header into the cookie format of Puppeteer, which the session manager stores
+ * @param {string} header - Set-Cookie header value
+ * @param {string} url - URL of the response that set it
+ * @returns {{name: string, value: string, domain: string, path: string, expires: number, httpOnly: boolean, secure: boolean}}
+ */
+function parseSetCookie(header, url) {
+    const [pair, ...attributes] = header.split(";");
+    const index = pair.indexOf("=");
+    const cookie = {
+        name: pair.slice(0, index).trim(),
+        value: pair.slice(index + 1).trim(),
+        domain: new URL(url).hostname, // Host-only, as Puppeteer reports it
+        path: defaultCookiePath(url),
+        expires: -1, // Session cookie
+        httpOnly: false,
+        secure: false
+    };
+    let maxAge = null;
+    attributes.forEach(attribute => {
+        const [key, ...rest] = attribute.split("=");
+        const value = rest.join("=").trim();
+        switch (key.trim().toLowerCase()) {
+            case "domain": if (value) cookie.domain = `.${value.replace(/^\./, "")}`; break;
+            case "path": if (value.startsWith("/")) cookie.path = value; break;
+            case "expires": if (!isNaN(Date.parse(value))) cookie.expires = Date.parse(value) / 1000; break;
+            case "max-age": maxAge = Number(value); break;
+            case "httponly": cookie.httpOnly = true; break;
+            case "secure": cookie.secure = true; break;
+            case "samesite": cookie.sameSite = value; break;
+        }
+    });
+    if (maxAge !== null && !isNaN(maxAge)) {
+        cookie.expires = maxAge > 0 ? Date.now() / 1000 + maxAge : 0;
+    }
+    return cookie;
+}
+
+// Whether a browser would send a cookie with a request to a URL
+function cookieMatchesUrl(cookie, url) {
+    const { hostname, pathname, protocol } = new URL(url);
+    const domain = cookie.domain.replace(/^\./, "");
+    const domainMatches = hostname === domain || (cookie.domain.startsWith(".") && hostname.endsWith(`.${domain}`));
+    const pathMatches = pathname === cookie.path || pathname.startsWith(cookie.path.endsWith("/") ? cookie.path : `${cookie.path}/`);
+    return domainMatches && pathMatches && (!cookie.secure || protocol === "https:");
+}
+
+// Whether a cookie with an expiry date has expired; session cookies never expire here
+function isExpired(cookie, now = Date.now()) {
+    return cookie.expires >= 0 && cookie.expires * 1000 <= now;
+}
+
+/**
+ * Create an HTTP client for Service Center pages, with its own cookie jar
+ * Redirects are followed by hand so that the cookies set on the way, like the session cookie of the
+ * login redirect, are kept.
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Timeout of one request in milliseconds
+ * @param {function(Object)} [options.onResponse] - Called with {method, url, status, startedAt, durationMs} for every response, redirects included
+ * @returns {{get: function(string): Promise<Object>, submit: function(Object, Object=): Promise<Object>, cookies: function(): Array, setCookies: function(Array)}}
+ */
+function createHttpClient({ timeout = HTTP_TIMEOUT, onResponse = null } = {}) {
+    let jar = [];
+
+    // Add or replace cookies; an expired cookie deletes the one it replaces
+    const setCookies = (cookies) => {
+        cookies.forEach(cookie => {
+            jar = jar.filter(other => !(other.name === cookie.name && other.domain === cookie.domain && other.path === cookie.path));
+            if (!isExpired(cookie)) {
+                jar.push(cookie);
+            }
+        });
+    };
+
+    const cookieHeader = (url) => jar
+        .filter(cookie => !isExpired(cookie) && cookieMatchesUrl(cookie, url))
+        .map(cookie => `${cookie.name}=${cookie.value}`)
+        .join("; ");
+
+    const request = async (url, { method = "GET", form = null } = {}) => {
+        let current = url;
+        let body = form ? new URLSearchParams(form).toString() : undefined;
+        for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+            const headers = { "User-Agent": USER_AGENT, "Accept": "text/html,application/xhtml+xml" };
+            const cookies = cookieHeader(current);
+            if (cookies) headers.Cookie = cookies;
+            if (body !== undefined) headers["Content-Type"] = "application/x-www-form-urlencoded";
+
+            const startedAt = Date.now();
+            const response = await fetch(current, { method, headers, body, redirect: "manual", signal: AbortSignal.timeout(timeout) });
+            if (onResponse) {
+                onResponse({ method, url: current, status: response.status, startedAt, durationMs: Date.now() - startedAt });
+            }
+            setCookies(response.headers.getSetCookie().map(header => parseSetCookie(header, current)));
+
+            const location = response.headers.get("location");
+            if (response.status >= 300 && response.status < 400 && location) {
+                current = new URL(location, current).href;
+                // Like browsers, only 307 and 308 repeat the post
+                if (response.status !== 307 && response.status !== 308) {
+                    method = "GET";
+                    body = undefined;
+                }
+                continue;
+            }
+
+            const html = await response.text();
+            if (!response.ok) {
+                throw new Error(`${method} ${current} returned HTTP ${response.status}`);
+            }
+            return parseDocument(current, html);
+        }
+        throw new Error(`Too many redirects opening ${url}`);
+    };
+
+    return {
+        // Open a page, following redirects
+        get: (url) => request(url),
+        // Post the first form of a document with its current values, as changed by `fields`
+        submit(document, fields = {}) {
+            const { action, fields: formFields } = readForm(document);
+            return request(action, { method: "POST", form: { ...formFields, ...fields } });
+        },
+        cookies: () => jar.slice(),
+        setCookies
+    };
+}
+
+module.exports = {
+    parseSetCookie,
+    cookieMatchesUrl,
+    createHttpClient
+};
@@ -0,0 +1,300 @@
+/*
+ * Service Center pages for the HTTP engine: the same steps as the Puppeteer page objects, done with
+ * plain requests and ASP.NET form posts. Documents come from http-client.js; elements are found with
+ * the selectors of selectors.js, overrides included, as in the browser engine.
+ */
+const { getSelectors } = require("./selectors");
+const { PUBLISH_TIMEOUT, PUBLISH_POLL_INTERVAL } = require("./constants");
+const { querySelectorAll, querySelector, textOf, readSelectedOption } = require("./html");
+
+const withoutNestedRows = (row) => !/<tr\b/i.test(row.html);
+
+// Check whether a document shows the login form, as Service Center does for a missing or expired session
+function isLoginForm(document) {
+    return !!querySelector(document.html, getSelectors().login.password);
+}
+
+// Find a form element a step needs, failing with the page it was missing from
+function requireElement(document, selector, description) {
+    const element = querySelector(document.html, selector);
+    if (!element) {
+        throw new Error(`${description} not found on ${document.url}`);
+    }
+    return element;
+}
+
+/**
+ * Log into Service Center by posting the login form
+ * @param {Object} client - HTTP client
+ * @param {string} serviceCenterUrl - Service Center root URL
+ * @param {{username: string, password: string}} credentials - Service Center credentials
+ * @returns {Promise<Object>} - Document shown after the login
+ */
+async function login(client, serviceCenterUrl, { username, password }) {
+    const loginForm = await client.get(serviceCenterUrl);
+    if (!isLoginForm(loginForm)) {
+        return loginForm;
+    }
+    const selectors = getSelectors().login;
+    const usernameInput = requireElement(loginForm, selectors.username, "Username field").attributes;
+    const passwordInput = requireElement(loginForm, selectors.password, "Password field").attributes;
+    const submit = requireElement(loginForm, selectors.submit, "Login button").attributes;
+
+    const document = await client.submit(loginForm, {
+        [usernameInput.name]: username,
+        [passwordInput.name]: password,
+        [submit.name]: submit.value || ""
+    });
+
+    // A login form that is still there means the credentials were rejected
+    if (isLoginForm(document)) {
+        throw new Error(`Login to ${serviceCenterUrl} failed`);
+    }
+    return document;
+}
+
+/**
+ * Select an option in the module status filter and post the filter form
+ * @param {Object} client - HTTP client
+ * @param {Object} document - eSpaces list document
+ * @param {{value: string, text: string}} option - Status option, see selectors.espacesList.statusOptions
+ * @returns {Promise<Object>} - Filtered eSpaces list document
+ */
+async function applyStatusFilter(client, document, option) {
+    const selectors = getSelectors().espacesList;
+    const select = requireElement(document, selectors.statusSelect, "Status filter");
+    const button = requireElement(document, selectors.filterButton, "Filter button");
+
+    const filtered = await client.submit(document, {
+        [select.attributes.name]: option.value,
+        [button.attributes.name]: button.attributes.value || ""
+    });
+
+    // Verify the selection was made by checking the select element of the response
+    const selected = readSelectedOption(requireElement(filtered, selectors.statusSelect, "Status filter"));
+    console.log(`Selected filter value: "${selected && selected.value}", text: "${selected && selected.text}"`);
+    if (!selected || selected.value !== option.value || !selected.text.includes(option.text)) {
+        throw new Error(`Filter not properly set. Current selection: ${selected ? selected.text : "none"}`);
+    }
+    return filtered;
+}
+
+// Check whether the list shows "No Modules to show"
+function hasNoModules(document) {
+    const { title, noModulesText } = getSelectors().espacesList;
+    return querySelectorAll(document.html, title).some(element => textOf(element.html).includes(noModulesText));
+}
+
+/**
+ * Read the module rows of an eSpaces list document
+ * @param {Object} document - eSpaces list document
+ * @returns {Array<{url: string, name: string, inWarning: boolean, statusIcon: string, lastPublished: string|null}>} - One entry per module row
+ */
+function readModuleRows(document) {
+    const selectors = getSelectors().espacesList;
+    return querySelectorAll(document.html, selectors.rows)
+        .filter(withoutNestedRows)
+        .map(row => {
+            const link = querySelector(row.html, selectors.moduleLink);
+            const name = querySelector(row.html, selectors.moduleName);
+            if (!link || !name || !link.attributes.href) {
+                return null;
+            }
+            const inWarning = !!querySelector(row.html, selectors.warningIcon);
+            const lastPublished = querySelector(row.html, selectors.lastPublished);
+            return {
+                url: new URL(link.attributes.href, document.url).href,
+                name: textOf(name.html),
+                inWarning,
+                statusIcon: inWarning ? "warning" : (querySelector(row.html, selectors.errorIcon) ? "error" : "ok"),
+                lastPublished: lastPublished ? textOf(lastPublished.html) || null : null
+            };
+        })
+        .filter(Boolean);
+}
+
+// Event target and argument of a postback link: from its __doPostBack call, else its ID and page number
+function readPostBack(link) {
+    const call = /__doPostBack\(\s*'([^']*)'\s*,\s*'([^']*)'\s*\)/.exec(`${link.attributes.href || ""} ${link.attributes.onclick || ""}`);
+    if (call) {
+        return { target: call[1], argument: call[2] };
+    }
+    return { target: link.attributes.id.replace(/_/g, "$"), argument: link.attributes["data-page"] || "" };
+}
+
+/**
+ * Post back the Next link of the list
+ * @param {Object} client - HTTP client
+ * @param {Object} document - eSpaces list document
+ * @returns {Promise<Object|null>} - Document of the next page, or null when there is no next page
+ */
+async function goToNextPage(client, document) {
+    const link = querySelector(document.html, getSelectors().espacesList.nextPage);
+    if (!link || link.attributes.disabled !== undefined) {
+        return null;
+    }
+    const { target, argument } = readPostBack(link);
+    return client.submit(document, { __EVENTTARGET: target, __EVENTARGUMENT: argument });
+}
+
+// Check if the module status of a module document is in warning, as isModuleInWarning in module-page.js does
+function isModuleInWarning(document) {
+    const selectors = getSelectors().moduleDetail;
+    const status = querySelector(document.html, selectors.status);
+    return !!status && !!querySelector(status.html, selectors.warningIcon);
+}
+
+/**
+ * Read the warning and error messages listed under the module status of a module document
+ * @param {Object} document - Module document
+ * @returns {Array<{severity: string, text: string}>} - Messages, empty for a module that is up to date
+ */
+function readMessages(document) {
+    const selectors = getSelectors().moduleDetail;
+    return querySelectorAll(document.html, selectors.statusMessages)
+        .filter(withoutNestedRows)
+        .map(row => ({
+            severity: querySelector(row.html, selectors.errorIcon) ? "error" : "warning",
+            text: textOf(row.html)
+        }))
+        .filter(message => message.text.length > 0);
+}
+
+/**
+ * Find the Publish button of the published version row
+ * @param {Object} document - Module document
+ * @returns {{name: string, value: string}|null} - Publish button, or null if there is none
+ */
+function findPublishButton(document) {
+    const selectors = getSelectors().moduleDetail;
+    const versions = querySelector(document.html, selectors.versionsTable);
+    if (!versions) {
+        throw new Error(`Versions table not found on ${document.url}`);
+    }
+    for (const row of querySelectorAll(versions.html, selectors.versionRows).filter(withoutNestedRows)) {
+        if (querySelector(row.html, selectors.publishedVersion)) {
+            const button = querySelectorAll(row.html, selectors.publishButton).find(element => !!element.attributes.name);
+            if (button) {
+                return { name: button.attributes.name, value: button.attributes.value };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Open the Dependencies tab of a module document, as clicking it does in the browser engine
+ * Service Center renders the tab on a postback of its link; a document already showing it is kept.
+ * @param {Object} client - HTTP client
+ * @param {Object} document - Module document
+ * @returns {Promise<Object>} - Module document showing the Dependencies tab
+ */
+async function openDependencies(client, document) {
+    const selectors = getSelectors().moduleDetail;
+    if (querySelector(document.html, selectors.dependenciesPanel)) {
+        return document;
+    }
+    const { target, argument } = readPostBack(requireElement(document, selectors.dependenciesTab, "Dependencies tab"));
+    return client.submit(document, { __EVENTTARGET: target, __EVENTARGUMENT: argument });
+}
+
+/**
+ * Read the producer and consumer modules listed on the Dependencies tab of a module document
+ * @param {Object} document - Module document, from openDependencies
+ * @returns {{producers: string[], consumers: string[]}} - Names of the modules it consumes from and is consumed by
+ */
+function readDependencies(document) {
+    const selectors = getSelectors().moduleDetail;
+    const readNames = (linksSelector) => Array.from(new Set(querySelectorAll(document.html, linksSelector)
+        .map(link => textOf(link.html))
+        .filter(Boolean)));
+    if (!querySelector(document.html, selectors.dependenciesPanel)) {
+        throw new Error(`Dependencies not found on ${document.url}`);
+    }
+    return {
+        producers: readNames(selectors.producerLinks),
+        consumers: readNames(selectors.consumerLinks)
+    };
+}
+
+/**
+ * Post the module form with a Publish button, as clicking it and accepting the confirmation does
+ * @param {Object} client - HTTP client
+ * @param {Object} document - Module document
+ * @param {{name: string, value: string}} button - Button from findPublishButton
+ * @returns {Promise<Object>} - Publish progress document
+ */
+function clickPublish(client, document, button) {
+    return client.submit(document, { [button.name]: button.value });
+}
+
+/**
+ * Read the state of a publish progress document, like readPublishState in module-page.js
+ * @param {Object} document - Publish progress document
+ * @returns {{started: boolean, finished: boolean, failed: boolean, errors: string[], warnings: string[], message: string}}
+ */
+function readPublishState(document) {
+    const selectors = getSelectors().publishProgress;
+    const html = document.html;
+    const rows = querySelectorAll(html, "tr").filter(withoutNestedRows);
+    const messagesFor = (iconSelector) => Array.from(new Set(rows
+        .filter(row => querySelector(row.html, iconSelector))
+        .map(row => textOf(row.html))
+        .filter(text => text.length > 0)));
+
+    const progressBar = querySelector(html, selectors.progressBar);
+    const currentStep = querySelector(html, selectors.currentStep);
+    const failedStep = querySelector(html, selectors.failedStep);
+    const progressComplete = !progressBar || /100\s*%/.test(textOf(progressBar.html));
+    const feedback = querySelector(html, selectors.feedback);
+
+    return {
+        started: !!progressBar || !!currentStep,
+        finished: !!failedStep || (!currentStep && progressComplete),
+        failed: !!failedStep || !!querySelector(html, selectors.errorFeedback),
+        errors: messagesFor(selectors.errorIcon),
+        warnings: messagesFor(selectors.warningIcon),
+        message: feedback ? textOf(feedback.html) : ""
+    };
+}
+
+/**
+ * Reload the publish progress page until the publish reaches a final state
+ * @param {Object} client - HTTP client
+ * @param {Object} document - Publish progress document returned by clickPublish
+ * @returns {Promise<{errors: string[], warnings: string[], failed: boolean, message: string}>} - Final publish state
+ */
+async function waitForPublishOutcome(client, document) {
+    let { started, ...state } = readPublishState(document);
+    if (!started) {
+        throw new Error(`No publish progress on ${document.url}`);
+    }
+    console.log("Progress indicators detected. Waiting for the publish to finish...");
+
+    const deadline = Date.now() + PUBLISH_TIMEOUT;
+    while (Date.now() < deadline) {
+        if (state.finished) {
+            return state;
+        }
+        await new Promise(resolve => setTimeout(resolve, PUBLISH_POLL_INTERVAL));
+        ({ started, ...state } = readPublishState(await client.get(document.url)));
+    }
+    throw new Error(`Publish did not finish within ${PUBLISH_TIMEOUT / 1000} seconds`);
+}
+
+module.exports = {
+    isLoginForm,
+    login,
+    applyStatusFilter,
+    hasNoModules,
+    readModuleRows,
+    goToNextPage,
+    isModuleInWarning,
+    readMessages,
+    findPublishButton,
+    openDependencies,
+    readDependencies,
+    clickPublish,
+    readPublishState,
+    waitForPublishOutcome
+};
@@ -0,0 +1,19 @@
+// Service Center page objects shared by the scanner and the republisher
+const constants = require("./constants");
+const { getSelectors, overrideSelectors } = require("./selectors");
+const loginPage = require("./login-page");
+const espacesListPage = require("./espaces-list-page");
+const modulePage = require("./module-page");
+const httpPages = require("./http-pages");
+const { createHttpClient } = require("./http-client");
+
+module.exports = {
+    ...constants,
+    getSelectors,
+    overrideSelectors,
+    loginPage,
+    espacesListPage,
+    modulePage,
+    httpPages,
+    createHttpClient
+};
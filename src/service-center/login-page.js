@@ -0,0 +1,35 @@
+const { getSelectors } = require("./selectors");
+const { NAVIGATION_TIMEOUT } = require("./constants");
+
+/**
+ * Log into Service Center
+ * @param {Page} page - Puppeteer page
+ * @param {string} serviceCenterUrl - Service Center root URL
+ * @param {{username: string, password: string}} credentials - Service Center credentials
+ */
+async function login(page, serviceCenterUrl, { username, password }) {
+    const selectors = getSelectors().login;
+    await page.goto(serviceCenterUrl, { waitUntil: "networkidle2" });
+
+    // Input username and password
+    await page.type(selectors.username, username);
+    await page.type(selectors.password, password);
+
+    // Click login button and wait for navigation
+    await Promise.all([
+        page.click(selectors.submit),
+        page.waitForNavigation({ waitUntil: "networkidle2", timeout: NAVIGATION_TIMEOUT }),
+    ]);
+
+    // A login form that is still there means the credentials were rejected
+    if (await page.$(selectors.password)) {
+        throw new Error(`Login to ${serviceCenterUrl} failed`);
+    }
+}
+
+// Check whether the page shows the login form, as Service Center does for a missing or expired session
+async function isLoginForm(page) {
+    return !!(await page.$(getSelectors().login.password));
+}
+
+module.exports = { login, isLoginForm };
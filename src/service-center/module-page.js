@@ -0,0 +1,142 @@
+const { getSelectors } = require("./selectors");
+const { NAVIGATION_TIMEOUT, WARNING_CHECK_TIMEOUT, PUBLISH_TIMEOUT, PUBLISH_POLL_INTERVAL } = require("./constants");
+
+// Navigate to a module detail page
+async function openModulePage(page, url) {
+    await page.goto(url, { waitUntil: "networkidle2", timeout: NAVIGATION_TIMEOUT });
+}
+
+// Check if the module status is in warning; the icons of the messages listed under it do not count
+async function isModuleInWarning(page) {
+    const selectors = getSelectors().moduleDetail;
+    try {
+        const statusLabel = await page.$(selectors.status);
+        if (statusLabel) {
+            const warningElement = await statusLabel.waitForSelector(selectors.warningIcon, { timeout: WARNING_CHECK_TIMEOUT });
+            return !!warningElement;
+        }
+        return false;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Read the warning and error messages listed under the module status of a loaded module page
+ * @param {Page} page - Page showing the module detail
+ * @returns {Promise<Array<{severity: string, text: string}>>} - Messages, empty for a module that is up to date
+ */
+async function readMessages(page) {
+    const selectors = getSelectors().moduleDetail;
+    return page.$$eval(selectors.statusMessages, (rows, errorIcon) => rows
+        .map(row => ({ severity: row.querySelector(errorIcon) ? "error" : "warning", text: row.innerText.trim() }))
+        .filter(message => message.text.length > 0), selectors.errorIcon);
+}
+
+/**
+ * Find the Publish button of the published version row on a loaded module page
+ * @param {Page} page - Page showing the module detail
+ * @returns {Promise<ElementHandle|null>} - Publish button, or null if there is none
+ */
+async function findPublishButton(page) {
+    const selectors = getSelectors().moduleDetail;
+    await page.waitForSelector(selectors.versionsTable, { timeout: NAVIGATION_TIMEOUT });
+
+    const rows = await page.$$(selectors.versionRows);
+    for (let row of rows) {
+        const publishedCell = await row.$(selectors.publishedVersion);
+        if (publishedCell) {
+            console.log("Found the published version. Looking for the Publish button...");
+
+            const publishButton = await row.$(selectors.publishButton);
+            if (publishButton) {
+                return publishButton;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Read the producer and consumer modules listed on the Dependencies tab of a loaded module page
+ * @param {Page} page - Page showing the module detail
+ * @returns {Promise<{producers: string[], consumers: string[]}>} - Names of the modules it consumes from and is consumed by
+ */
+async function readDependencies(page) {
+    const selectors = getSelectors().moduleDetail;
+
+    const dependenciesTab = await page.$(selectors.dependenciesTab);
+    if (dependenciesTab) {
+        await dependenciesTab.click();
+    }
+    await page.waitForSelector(selectors.dependenciesPanel, { timeout: NAVIGATION_TIMEOUT });
+
+    const readNames = (links) => Array.from(new Set(links.map(link => link.innerText.trim()).filter(Boolean)));
+    return {
+        producers: await page.$$eval(selectors.producerLinks, readNames),
+        consumers: await page.$$eval(selectors.consumerLinks, readNames)
+    };
+}
+
+/**
+ * Read the state of the Service Center publish progress page
+ * Runs in the browser context.
+ * @param {Object} selectors - selectors.publishProgress
+ * @returns {{finished: boolean, failed: boolean, errors: string[], warnings: string[], message: string}}
+ */
+function readPublishState(selectors) {
+    const textOf = (element) => (element.innerText || "").replace(/\s+/g, " ").trim();
+    const messagesFor = (iconSelector) => Array.from(document.querySelectorAll(iconSelector))
+        .map(icon => textOf(icon.closest("tr") || icon.parentElement))
+        .filter(text => text.length > 0);
+
+    const progressBar = document.querySelector(selectors.progressBar);
+    const currentStep = document.querySelector(selectors.currentStep);
+    const failedStep = document.querySelector(selectors.failedStep);
+    const progressComplete = !progressBar || /100\s*%/.test(textOf(progressBar));
+    const feedback = document.querySelector(selectors.feedback);
+
+    return {
+        finished: !!failedStep || (!currentStep && progressComplete),
+        failed: !!failedStep || !!document.querySelector(selectors.errorFeedback),
+        errors: Array.from(new Set(messagesFor(selectors.errorIcon))),
+        warnings: Array.from(new Set(messagesFor(selectors.warningIcon))),
+        message: feedback ? textOf(feedback) : ""
+    };
+}
+
+/**
+ * Watch the publish progress page until the publish reaches a final state
+ * @param {Page} page - Page showing the publish progress
+ * @returns {Promise<{errors: string[], warnings: string[], failed: boolean, message: string}>} - Final publish state
+ */
+async function waitForPublishOutcome(page) {
+    const selectors = getSelectors().publishProgress;
+
+    // Wait for progress bar or progression table to confirm the publish started
+    await page.waitForFunction((selectors) => {
+        const progressBar = document.querySelector(selectors.progressBar);
+        const progressionTable = document.querySelector(selectors.currentStep);
+        return progressBar || progressionTable;
+    }, { timeout: NAVIGATION_TIMEOUT }, selectors);
+    console.log("Progress indicators detected. Waiting for the publish to finish...");
+
+    const deadline = Date.now() + PUBLISH_TIMEOUT;
+    while (Date.now() < deadline) {
+        const state = await page.evaluate(readPublishState, selectors);
+        if (state.finished) {
+            return state;
+        }
+        await new Promise(resolve => setTimeout(resolve, PUBLISH_POLL_INTERVAL));
+    }
+    throw new Error(`Publish did not finish within ${PUBLISH_TIMEOUT / 1000} seconds`);
+}
+
+module.exports = {
+    openModulePage,
+    isModuleInWarning,
+    readMessages,
+    findPublishButton,
+    readDependencies,
+    waitForPublishOutcome
+};
@@ -0,0 +1,110 @@
+const fs = require("fs");
+const path = require("path");
+
+// Optional JSON file overriding individual selectors, e.g. after a Service Center upgrade
+const SELECTOR_OVERRIDES_FILE = process.env.SERVICE_CENTER_SELECTORS ||
+    path.resolve(__dirname, "../service-center-selectors.json");
+
+/*
+ * Service Center selectors, grouped by page.
+ * Generated OutSystems IDs look like `wt89_wtContentRight_wtInput1`: the `wtNNN` prefixes are renumbered
+ * on every upgrade, so selectors match on the stable widget-name suffix (`[id$=...]`), attributes or text.
+ */
+const DEFAULT_SELECTORS = {
+    login: {
+        username: "input[id$='wtContentRight_wtInput1']",
+        password: "input[type='password'][id$='wtContentRight_wtInputPass1']",
+        submit: "[id*='wtContentRight_'][id$='_wtContent_wtButton1']"
+    },
+    espacesList: {
+        table: "table[id$='_wtListEspaces']",
+        rows: "table[id$='_wtListEspaces'] tbody tr",
+        title: "[id$='_wtTitle']",
+        noModulesText: "No Modules to show",
+        statusDropdown: "[id$='_wtContentColumn3_wtStatusComboBox']",
+        statusSelect: "select[id$='_wtContentColumn3_wtSelectStatus_WithDeploy']",
+        statusChoice: ".choices__list--dropdown .choices__item--choice[data-value='{value}']",
+        filterButton: "[id$='_wtContentColumn5_wtButton1']",
+        nextPage: "a[id$='_wtTopLinksPlaceholderRight_wtLink9']",
+        warningIcon: "img[src*='Icon_Warning.svg']",
+        errorIcon: "img[src*='Icon_Error.svg']",
+        lastPublished: "td[data-name='lastpublished']",
+        moduleLink: "a.link",
+        moduleName: "a.link span[data-name='espaceedit']",
+        statusOptions: {
+            all: { value: "__ossli_0", text: "(all)" },
+            withErrors: { value: "__ossli_1", text: "with errors" },
+            withErrorsAndWarnings: { value: "__ossli_2", text: "with errors and warnings" },
+            withOutdatedReferences: { value: "__ossli_3", text: "with outdated references" }
+        }
+    },
+    moduleDetail: {
+        status: "label[id*='_wtContentTop_'][id$='_wtContent_wtStatus']",
+        warningIcon: "img[src*='Icon_Warning.svg']",
+        errorIcon: "img[src*='Icon_Error.svg']",
+        statusMessages: "[id*='_wtContentTop_'][id$='_wtContent_wtStatusMessages'] tr",
+        versionsTable: "[id*='_wtTabs_Content_'][id$='_wtListPlacholder']",
+        versionRows: "table tbody tr",
+        publishedVersion: "td:nth-child(4) .osicon-tick.text-success-4",
+        publishButton: "input[value='Publish']",
+        dependenciesTab: "a::-p-text(Dependencies)",
+        dependenciesPanel: "[id$='_wtDependencies']",
+        producerLinks: "[id$='_wtProducersList'] a[href*='eSpace_Edit.aspx']",
+        consumerLinks: "[id$='_wtConsumersList'] a[href*='eSpace_Edit.aspx']"
+    },
+    publishProgress: {
+        progressBar: "[id$='_wtProgressBarBlock_wtProgress']",
+        currentStep: "tr.steps-item-current",
+        failedStep: "tr.steps-item-error, tr.steps-item-failed",
+        errorFeedback: ".Feedback_Message_Error",
+        feedback: ".Feedback_Message_Success, .Feedback_Message_Error, .Feedback_Message_Warning, .Feedback_Message_Info",
+        errorIcon: "img[src*='Icon_Error']",
+        warningIcon: "img[src*='Icon_Warning']"
+    }
+};
+
+// Recursively merge overrides into a copy of the defaults
+function mergeSelectors(defaults, overrides) {
+    const merged = { ...defaults };
+    Object.keys(overrides || {}).forEach(key => {
+        const value = overrides[key];
+        if (value && typeof value === "object" && !Array.isArray(value) && typeof defaults[key] === "object") {
+            merged[key] = mergeSelectors(defaults[key], value);
+        } else {
+            merged[key] = value;
+        }
+    });
+    return merged;
+}
+
+let selectors = null;
+
+/**
+ * Get the selector map, applying the overrides file on first use
+ * @returns {Object} - Selectors grouped by page
+ */
+function getSelectors() {
+    if (!selectors) {
+        let overrides = {};
+        if (fs.existsSync(SELECTOR_OVERRIDES_FILE)) {
+            console.log(`Loading selector overrides from ${SELECTOR_OVERRIDES_FILE}`);
+            overrides = JSON.parse(fs.readFileSync(SELECTOR_OVERRIDES_FILE, "utf-8"));
+        }
+        selectors = mergeSelectors(DEFAULT_SELECTORS, overrides);
+    }
+    return selectors;
+}
+
+/**
+ * Override selectors programmatically, on top of the defaults and the overrides file
+ * @param {Object} overrides - Partial selector map with the same shape as the defaults
+ */
+function overrideSelectors(overrides) {
+    selectors = mergeSelectors(getSelectors(), overrides);
+}
+
+module.exports = {
+    DEFAULT_SELECTORS,
+    getSelectors,
+    overrideSelectors
+};
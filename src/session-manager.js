@@ -0,0 +1,247 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { NAVIGATION_TIMEOUT, loginPage, httpPages } = require("./service-center");
+
+// Service Center cookies kept between runs, encrypted and readable by the current user only
+const SESSION_FILE = process.env.WODIFY_SESSION_FILE || path.resolve(__dirname, "./.sessions.json");
+const SESSION_FILE_VERSION = 1;
+const CIPHER = "aes-256-gcm";
+
+// Key of the stored session of an account in an environment
+function sessionKey(environment, username) {
+    return `${environment}:${username}`;
+}
+
+// Read the session file, an empty store when it is missing or unreadable
+function readSessionFile(filePath) {
+    try {
+        const store = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+        return store.version === SESSION_FILE_VERSION ? store : { version: SESSION_FILE_VERSION, sessions: {} };
+    } catch (err) {
+        return { version: SESSION_FILE_VERSION, sessions: {} };
+    }
+}
+
+// Encrypt cookies with a key derived from the secret
+function encryptCookies(cookies, secret) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, crypto.scryptSync(secret, salt, 32), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(cookies), "utf-8"), cipher.final()]);
+    return {
+        salt: salt.toString("base64"),
+        iv: iv.toString("base64"),
+        tag: cipher.getAuthTag().toString("base64"),
+        data: data.toString("base64")
+    };
+}
+
+// Decrypt stored cookies, null when the secret changed or the entry was tampered with
+function decryptCookies(entry, secret) {
+    try {
+        const key = crypto.scryptSync(secret, Buffer.from(entry.salt, "base64"), 32);
+        const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(entry.iv, "base64"));
+        decipher.setAuthTag(Buffer.from(entry.tag, "base64"));
+        const data = Buffer.concat([decipher.update(Buffer.from(entry.data, "base64")), decipher.final()]);
+        return JSON.parse(data.toString("utf-8"));
+    } catch (err) {
+        return null;
+    }
+}
+
+// Write the session file through a temporary file, readable by the current user only
+function writeSessionFile(filePath, store) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(store, null, 2), { encoding: "utf-8", mode: 0o600 });
+    fs.chmodSync(tempPath, 0o600);
+    fs.renameSync(tempPath, filePath);
+}
+
+// Whether a cookie would be sent to a host
+function cookieMatchesHost(cookie, hostname) {
+    const domain = cookie.domain.replace(/^\./, "");
+    return hostname === domain || (cookie.domain.startsWith(".") && hostname.endsWith(`.${domain}`));
+}
+
+// Whether a cookie with an expiry date has expired; session cookies never expire here
+function isExpired(cookie, now = Date.now()) {
+    return cookie.expires > 0 && cookie.expires * 1000 < now;
+}
+
+// Cookie fields accepted by page.setCookie
+function toCookieParam({ name, value, domain, path: cookiePath, expires, httpOnly, secure, sameSite }) {
+    return { name, value, domain, path: cookiePath, httpOnly, secure, sameSite, ...(expires > 0 ? { expires } : {}) };
+}
+
+// What the session manager does with a Puppeteer page; cookies are shared by the pages of a browser
+function browserDriver(page, credentials) {
+    return {
+        owner: page.browser(),
+        setCookies: (cookies) => page.setCookie(...cookies.map(toCookieParam)),
+        navigate: (url) => page.goto(url, { waitUntil: "networkidle2", timeout: NAVIGATION_TIMEOUT }),
+        isLoginForm: () => loginPage.isLoginForm(page),
+        login: (url) => loginPage.login(page, url, credentials),
+        cookies: () => page.cookies()
+    };
+}
+
+// The same with an HTTP client of the HTTP engine, which keeps the last document it opened
+function httpDriver(client, credentials) {
+    let document = null;
+    return {
+        owner: client,
+        setCookies: async (cookies) => client.setCookies(cookies),
+        navigate: async (url) => { document = await client.get(url); },
+        isLoginForm: async () => httpPages.isLoginForm(document),
+        login: (url) => httpPages.login(client, url, credentials),
+        cookies: async () => client.cookies(),
+        document: () => document
+    };
+}
+
+/**
+ * Create the session manager of a Service Center account
+ * Logs in once per host, shares the cookies between the tabs, browsers and HTTP clients of the run, and
+ * keeps them in the session file for the next run. A page that lands on the login form gets a new login.
+ * @param {Object} options
+ * @param {string} options.environment - Environment the account belongs to
+ * @param {{username: string, password: string}} options.credentials - Service Center credentials
+ * @param {string} [options.filePath] - Session file, SESSION_FILE by default
+ * @param {string} [options.secret] - Secret the cookies are encrypted with: WODIFY_SESSION_KEY, or else the password
+ * @returns {{openPage: function(Page, string): Promise, openDocument: function(Object, string): Promise<Object>, login: function(Page, string): Promise, stats: Object}}
+ */
+function createSessionManager({ environment, credentials, filePath = SESSION_FILE, secret = process.env.WODIFY_SESSION_KEY || credentials.password }) {
+    const key = sessionKey(environment, credentials.username);
+    const stored = readSessionFile(filePath).sessions[key];
+    let cookies = (stored && decryptCookies(stored, secret) || []).filter(cookie => !isExpired(cookie));
+
+    const stats = { logins: 0, loginFailures: 0, expiredSessions: 0 };
+    const generations = new Map(); // Logins per origin in this run
+    const pendingLogins = new Map(); // Login in progress per origin, shared by every tab that needs it
+    const appliedGenerations = new WeakMap(); // Per browser or HTTP client: origin -> generation of the cookies it was given
+
+    if (cookies.length > 0) {
+        console.log(`Reusing ${cookies.length} stored Service Center cookies for ${credentials.username} (${environment})`);
+    }
+
+    const appliedTo = (driver) => {
+        if (!appliedGenerations.has(driver.owner)) {
+            appliedGenerations.set(driver.owner, new Map());
+        }
+        return appliedGenerations.get(driver.owner);
+    };
+
+    // Merge the cookies of a new login and store them for the next run
+    const saveCookies = (newCookies) => {
+        const sameCookie = (a, b) => a.name === b.name && a.domain === b.domain && a.path === b.path;
+        cookies = cookies.filter(cookie => !newCookies.some(newCookie => sameCookie(cookie, newCookie))).concat(newCookies);
+        try {
+            const store = readSessionFile(filePath);
+            store.sessions[key] = { ...encryptCookies(cookies, secret), savedAt: new Date().toISOString() };
+            writeSessionFile(filePath, store);
+        } catch (err) {
+            console.error(`Error saving the Service Center session to ${filePath}:`, err.message);
+        }
+    };
+
+    // Give a browser or HTTP client the stored cookies of a host, once per login generation
+    const applyCookies = async (driver, url) => {
+        const { origin, hostname } = new URL(url);
+        const applied = appliedTo(driver);
+        const generation = generations.get(origin) || 0;
+        if (applied.get(origin) === generation) {
+            return;
+        }
+        const hostCookies = cookies.filter(cookie => cookieMatchesHost(cookie, hostname) && !isExpired(cookie));
+        if (hostCookies.length > 0) {
+            await driver.setCookies(hostCookies);
+        }
+        applied.set(origin, generation);
+    };
+
+    // Log into the Service Center of a URL's host; tabs asking while a login runs wait for it instead
+    const loginWith = async (driver, url) => {
+        const { origin } = new URL(url);
+        if (pendingLogins.has(origin)) {
+            await pendingLogins.get(origin);
+            await applyCookies(driver, url);
+            return;
+        }
+
+        const pending = (async () => {
+            console.log(`Logging into Service Center on ${origin}`);
+            try {
+                await driver.login(`${origin}/ServiceCenter/`);
+            } catch (err) {
+                stats.loginFailures++;
+                throw err;
+            }
+            stats.logins++;
+            console.log(`Login successful on ${origin}`);
+            saveCookies(await driver.cookies());
+            generations.set(origin, (generations.get(origin) || 0) + 1);
+            appliedTo(driver).set(origin, generations.get(origin));
+        })();
+        pendingLogins.set(origin, pending);
+        try {
+            await pending;
+        } finally {
+            pendingLogins.delete(origin);
+        }
+    };
+
+    /**
+     * Open a Service Center page with a valid session
+     * Stored cookies are tried first. When the page lands on the login form, the session is missing or
+     * expired: log in (or pick up the login another tab just made) and open the page again.
+     * @param {Object} driver - browserDriver or httpDriver
+     * @param {string} url - Page to open
+     * @throws {Error} - When the login fails or the page still shows the login form afterwards
+     */
+    const openWith = async (driver, url) => {
+        const { origin, hostname } = new URL(url);
+
+        await applyCookies(driver, url);
+        const appliedGeneration = appliedTo(driver).get(origin);
+        await driver.navigate(url);
+        if (!(await driver.isLoginForm())) {
+            return;
+        }
+
+        if ((generations.get(origin) || 0) > appliedGeneration) {
+            // Another tab logged in again while this page was loading
+            await applyCookies(driver, url);
+        } else {
+            if (appliedGeneration > 0 || cookies.some(cookie => cookieMatchesHost(cookie, hostname))) {
+                stats.expiredSessions++;
+                console.log(`Service Center session on ${origin} expired, logging in again`);
+            }
+            await loginWith(driver, url);
+        }
+        await driver.navigate(url);
+        if (await driver.isLoginForm()) {
+            throw new Error(`Still on the login form after logging into ${origin}`);
+        }
+    };
+
+    return {
+        // Open a page in a Puppeteer page
+        openPage: (page, url) => openWith(browserDriver(page, credentials), url),
+        // Open a page with an HTTP client of the HTTP engine, resolving to its document
+        openDocument: async (client, url) => {
+            const driver = httpDriver(client, credentials);
+            await openWith(driver, url);
+            return driver.document();
+        },
+        // Log in with a Puppeteer page
+        login: (page, url) => loginWith(browserDriver(page, credentials), url),
+        stats
+    };
+}
+
+module.exports = {
+    SESSION_FILE,
+    createSessionManager
+};
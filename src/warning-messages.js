@@ -0,0 +1,85 @@
+/*
+ * Categories of the warning and error messages Service Center shows on a module page.
+ * The scanner stores the classified messages in the manifest; the republisher leaves out the modules
+ * whose messages a republish cannot fix and reports them for a manual fix in Service Studio.
+ */
+
+// Checked in order, the first category whose pattern matches wins; "other" matches any message
+const MESSAGE_CATEGORIES = {
+    "changed-signature": {
+        description: "a producer element changed its signature, the consumer must be changed",
+        fixable: false,
+        pattern: /signature|(input|output) parameters? .*(added|removed|changed)|(changed|different) (data )?type|(is|are) now mandatory/i
+    },
+    "missing-dependency": {
+        description: "a producer or one of its elements no longer exists",
+        fixable: false,
+        pattern: /missing|no longer exists?|not found|does not exist|(was|been) (deleted|removed)|broken/i
+    },
+    "outdated-reference": {
+        description: "references to an older version of a producer, fixed by a republish",
+        fixable: true,
+        pattern: /outdated|newer version|(needs|has) to be (re)?published|refresh(ed)? references/i
+    },
+    "other": {
+        // Unknown messages keep the module in the republish, as before the messages were read
+        description: "not recognised, a republish is attempted",
+        fixable: true,
+        pattern: /./
+    }
+};
+const MESSAGE_SEVERITIES = ["warning", "error"]; // Icon next to a message on the module page
+
+// Category of one message text
+function classifyMessage(text) {
+    return Object.keys(MESSAGE_CATEGORIES).find(category => MESSAGE_CATEGORIES[category].pattern.test(text));
+}
+
+/**
+ * Classify the messages read from a module page
+ * @param {Array<{severity: string, text: string}>} messages - Messages of the module page
+ * @returns {Array<{severity: string, category: string, text: string}>} - Messages with their category
+ */
+function classifyMessages(messages) {
+    return messages.map(({ severity, text }) => ({ severity, category: classifyMessage(text), text }));
+}
+
+// Messages of a module a republish cannot fix
+function findUnfixableMessages(messages = []) {
+    return messages.filter(message => !MESSAGE_CATEGORIES[message.category].fixable);
+}
+
+/**
+ * Check whether a module needs a manual fix instead of a republish
+ * Modules without recorded messages, or with at least one message a republish fixes, are republished.
+ * @param {Array|undefined} messages - Classified messages from the manifest
+ * @returns {boolean}
+ */
+function needsManualFix(messages) {
+    return Array.isArray(messages) && messages.length > 0 && findUnfixableMessages(messages).length === messages.length;
+}
+
+// Count messages by category, e.g. { "outdated-reference": 7, "changed-signature": 1 }
+function countByCategory(modules) {
+    const counts = {};
+    modules.forEach(module => (module.messages || []).forEach(({ category }) => {
+        counts[category] = (counts[category] || 0) + 1;
+    }));
+    return counts;
+}
+
+// One-line description of messages, e.g. 'changed-signature: Action "GetInvoice" ...; missing-dependency: ...'
+function describeMessages(messages) {
+    return messages.map(({ category, text }) => `${category}: ${text}`).join("; ");
+}
+
+module.exports = {
+    MESSAGE_CATEGORIES,
+    MESSAGE_SEVERITIES,
+    classifyMessage,
+    classifyMessages,
+    findUnfixableMessages,
+    needsManualFix,
+    countByCategory,
+    describeMessages
+};
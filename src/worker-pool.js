@@ -0,0 +1,242 @@
+/*
+ * Worker pool of the republisher: spreads the modules of a wave over the tabs of the front-end hosts.
+ * Total workers and workers per host are capped, a host that fails its health check is taken out of
+ * rotation and its modules go to the healthy hosts, a host that answers slowly gets fewer workers and
+ * a pause, and a limiter keeps the number of concurrent publishes down.
+ */
+
+const SLOW_RESPONSE_MS = 30000; // A page taking longer than this to open means Service Center is struggling
+const BASE_BACKOFF_MS = 5000; // First pause of a slow host, doubled while it stays slow
+const MAX_BACKOFF_MS = 120000; // Longest pause of a slow host
+const IDLE_POLL_MS = 200; // How often an idle worker looks for work again
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a limiter running at most `max` functions at once; the others wait in order
+ * @param {number} max - Concurrent runs allowed
+ * @returns {{run: function(function(): Promise): Promise, active: function(): number}}
+ */
+function createLimiter(max) {
+    let active = 0;
+    const waiting = [];
+    const release = () => {
+        active--;
+        if (waiting.length > 0) {
+            active++;
+            waiting.shift()();
+        }
+    };
+    return {
+        async run(fn) {
+            if (active < max) {
+                active++;
+            } else {
+                await new Promise(resolve => waiting.push(resolve));
+            }
+            try {
+                return await fn();
+            } finally {
+                release();
+            }
+        },
+        active: () => active
+    };
+}
+
+/**
+ * Spread `total` worker slots over hosts in turn, at most `perHost` per host
+ * @param {number} hostCount - Number of hosts
+ * @param {number} total - Total workers allowed
+ * @param {number} perHost - Workers allowed per host
+ * @returns {number[]} - Workers per host
+ */
+function allocateWorkers(hostCount, total, perHost) {
+    const counts = new Array(hostCount).fill(0);
+    let remaining = Math.min(total, hostCount * perHost);
+    for (let round = 0; remaining > 0; round++) {
+        for (let i = 0; i < hostCount && remaining > 0; i++) {
+            if (counts[i] === round) {
+                counts[i]++;
+                remaining--;
+            }
+        }
+    }
+    return counts;
+}
+
+/**
+ * Create the worker pool
+ * @param {Object} options
+ * @param {Array<{name: string, openTab: function(): Promise<Object>}>} options.hosts - Hosts with an engine session
+ * @param {number} options.maxWorkers - Total workers over all hosts
+ * @param {number} options.perHostCap - Workers per host
+ * @param {number} options.maxPublishes - Publishes running at once
+ * @param {function(Object, string): Promise} options.healthCheck - Opens Service Center in a tab of a host; throws when the host is unhealthy
+ * @param {number} [options.maxAttempts] - Attempts of a module before it is given up
+ * @param {number} [options.slowResponseMs] - Page open time above which a host backs off
+ * @returns {Object} - Pool with runWave, runPublish, describeHosts and stats
+ */
+function createWorkerPool({ hosts, maxWorkers, perHostCap, maxPublishes, healthCheck, maxAttempts = 3, slowResponseMs = SLOW_RESPONSE_MS }) {
+    const publishLimiter = createLimiter(maxPublishes);
+    const stats = { requeued: 0, hostsTakenOut: 0, backoffs: 0 };
+    const allocation = allocateWorkers(hosts.length, maxWorkers, perHostCap);
+    const hostStates = hosts.map((host, index) => ({
+        ...host,
+        workers: allocation[index],
+        limit: allocation[index], // Workers allowed to take a module now, lowered while the host is slow
+        active: 0,
+        healthy: true,
+        backoffMs: 0,
+        resumeAt: 0
+    }));
+
+    console.log(`Worker pool: ${hostStates.reduce((sum, host) => sum + host.workers, 0)} workers over ${hosts.length} hosts ` +
+        `(at most ${perHostCap} per host), ${maxPublishes} concurrent publishes`);
+
+    // Adjust a host to the time it took to open a page: halve its workers and pause it when slow, recover one worker at a time
+    const recordResponse = (host, durationMs) => {
+        if (durationMs > slowResponseMs) {
+            host.limit = Math.max(1, Math.floor(host.limit / 2));
+            host.backoffMs = Math.min(MAX_BACKOFF_MS, host.backoffMs ? host.backoffMs * 2 : BASE_BACKOFF_MS);
+            host.resumeAt = Date.now() + host.backoffMs;
+            stats.backoffs++;
+            console.warn(`[${host.name}] Service Center answered in ${Math.round(durationMs / 1000)}s. ` +
+                `Pausing ${host.backoffMs / 1000}s and using ${host.limit} of ${host.workers} workers.`);
+        } else if (host.limit < host.workers || host.backoffMs > 0) {
+            host.limit = Math.min(host.workers, host.limit + 1);
+            host.backoffMs = host.limit === host.workers ? 0 : host.backoffMs;
+        }
+    };
+
+    // Tab whose page opens are timed for the backoff
+    const timeTab = (host, tab) => ({
+        ...tab,
+        async openPage(url) {
+            const startedAt = Date.now();
+            try {
+                return await tab.openPage(url);
+            } finally {
+                recordResponse(host, Date.now() - startedAt);
+            }
+        }
+    });
+
+    // Check a host with a tab of its own; an unhealthy host is taken out of rotation
+    const checkHealth = async (host, tab = null) => {
+        let ownTab = null;
+        try {
+            if (!tab) {
+                ownTab = await host.openTab();
+            }
+            await healthCheck(tab || ownTab, host.name);
+            return true;
+        } catch (err) {
+            if (host.healthy) {
+                host.healthy = false;
+                stats.hostsTakenOut++;
+                const others = hostStates.filter(other => other.healthy).map(other => other.name);
+                console.error(`[${host.name}] Health check failed, taking the host out of rotation: ${err.message}. ` +
+                    (others.length > 0 ? `Its modules go to ${others.join(", ")}.` : "No healthy host is left."));
+            }
+            return false;
+        } finally {
+            if (ownTab) {
+                await ownTab.close().catch(() => {});
+            }
+        }
+    };
+
+    /**
+     * Process the modules of one wave
+     * A module whose handler throws is put back in the queue for any healthy host, up to maxAttempts,
+     * after its host was health checked. Hosts taken out in an earlier wave are checked again first.
+     * @param {Array} tasks - Modules of the wave
+     * @param {function(Object, {host: string, tab: Object}): Promise<Object>} handler - Processes a module, returns its result
+     * @param {function(Object, Error): Object} onGiveUp - Result of a module that failed every attempt
+     * @returns {Promise<{results: Array, unprocessed: Array}>} - Results, and the modules no worker could take
+     */
+    const runWave = async (tasks, handler, onGiveUp) => {
+        await Promise.all(hostStates.filter(host => !host.healthy).map(async (host) => {
+            host.healthy = true;
+            if (await checkHealth(host)) {
+                console.log(`[${host.name}] Host is healthy again and back in rotation`);
+            }
+        }));
+
+        const queue = tasks.map(task => ({ task, attempts: 0 }));
+        const results = [];
+        let inFlight = 0;
+
+        const runWorker = async (host, index) => {
+            let tab = null;
+            try {
+                tab = timeTab(host, await host.openTab());
+                while (host.healthy) {
+                    if (queue.length === 0) {
+                        if (inFlight === 0) break;
+                        await sleep(IDLE_POLL_MS); // A module in flight may still be put back
+                        continue;
+                    }
+                    if (index >= host.limit || Date.now() < host.resumeAt || host.active >= host.limit) {
+                        await sleep(IDLE_POLL_MS);
+                        continue;
+                    }
+
+                    const entry = queue.shift();
+                    entry.attempts++;
+                    inFlight++;
+                    host.active++;
+                    try {
+                        results.push(await handler(entry.task, { host: host.name, tab }));
+                    } catch (err) {
+                        console.error(`[${host.name}] Error processing module ${entry.task.name} ` +
+                            `(attempt ${entry.attempts}/${maxAttempts}): ${err.message}`);
+                        if (entry.attempts < maxAttempts) {
+                            stats.requeued++;
+                            queue.push(entry);
+                        } else {
+                            results.push(onGiveUp(entry.task, err));
+                        }
+                        await checkHealth(host, tab);
+                    } finally {
+                        host.active--;
+                        inFlight--;
+                    }
+                }
+            } catch (err) {
+                console.error(`[${host.name}] Worker stopped:`, err.message);
+            } finally {
+                if (tab) {
+                    await tab.close().catch(() => {});
+                }
+            }
+        };
+
+        const workers = [];
+        hostStates.filter(host => host.healthy).forEach(host => {
+            for (let i = 0; i < host.workers; i++) {
+                workers.push(runWorker(host, i));
+            }
+        });
+        await Promise.all(workers);
+
+        return { results, unprocessed: queue.map(entry => entry.task) };
+    };
+
+    return {
+        runWave,
+        // Run a publish once one of the maxPublishes slots is free
+        runPublish: (fn) => publishLimiter.run(fn),
+        // Health and current worker limit of every host
+        describeHosts: () => hostStates.map(({ name, healthy, workers, limit }) => ({ name, healthy, workers, limit })),
+        stats
+    };
+}
+
+module.exports = {
+    SLOW_RESPONSE_MS,
+    createLimiter,
+    allocateWorkers,
+    createWorkerPool
+};
@@ -0,0 +1,59 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const checkpoints = require("../src/checkpoint");
+const { createTempDir } = require("./helpers");
+
+const { MODULE_STATES } = checkpoints;
+
+const modules = [
+    { name: "Core_IS", suffix: "IS" },
+    { name: "Members_CS", suffix: "CS" },
+    { name: "Members_BL", suffix: "BL" },
+    { name: "Portal_UI", suffix: "UI" }
+];
+
+test("stateForStatus maps publish statuses to checkpoint states", () => {
+    assert.equal(checkpoints.stateForStatus("published"), MODULE_STATES.PUBLISHED);
+    assert.equal(checkpoints.stateForStatus("published-with-warnings"), MODULE_STATES.PUBLISHED);
+    assert.equal(checkpoints.stateForStatus("skipped"), MODULE_STATES.SKIPPED);
+    assert.equal(checkpoints.stateForStatus("no-publish-button"), MODULE_STATES.SKIPPED);
+    assert.equal(checkpoints.stateForStatus("failed"), MODULE_STATES.FAILED);
+});
+
+test("a checkpoint is saved on every state change and can be resumed", () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const filePath = path.join(dir, "republish-checkpoint.json");
+        const checkpoint = checkpoints.createCheckpoint(filePath, modules, "dev");
+        assert.equal(checkpoints.countStates(checkpoint).pending, 4);
+
+        checkpoints.setModuleState(checkpoint, "Core_IS", MODULE_STATES.PUBLISHED, { name: "Core_IS", status: "published" });
+        checkpoints.setModuleState(checkpoint, "Members_CS", MODULE_STATES.SKIPPED, { name: "Members_CS", status: "skipped" });
+        checkpoints.setModuleState(checkpoint, "Members_BL", MODULE_STATES.IN_PROGRESS);
+        assert.ok(!fs.existsSync(`${filePath}.tmp`));
+
+        const loaded = checkpoints.loadCheckpoint(filePath);
+        assert.equal(loaded.environment, "dev");
+        assert.equal(loaded.modules.Core_IS.result.status, "published");
+
+        const { unfinished, finished } = checkpoints.splitByProgress(loaded, [...modules, { name: "New_UI", suffix: "UI" }]);
+        assert.deepEqual(unfinished.map(module => module.name), ["Members_BL", "Portal_UI", "New_UI"]);
+        assert.deepEqual(finished.map(module => module.name), ["Core_IS", "Members_CS"]);
+        assert.deepEqual(checkpoints.countStates(loaded), {
+            "pending": 1, "in-progress": 1, "published": 1, "failed": 0, "skipped": 1
+        });
+    } finally {
+        cleanup();
+    }
+});
+
+test("loadCheckpoint returns null when there is no checkpoint", () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        assert.equal(checkpoints.loadCheckpoint(path.join(dir, "missing.json")), null);
+    } finally {
+        cleanup();
+    }
+});
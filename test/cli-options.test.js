@@ -0,0 +1,73 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { SCANNER_OPTIONS, REPUBLISHER_OPTIONS, UsageError, parseCommandLine } = require("../src/cli-options");
+
+test("parseCommandLine accepts layers as --layers or as the first argument", () => {
+    assert.equal(parseCommandLine(["OS,UI"], SCANNER_OPTIONS).layers, "OS,UI");
+    assert.equal(parseCommandLine(["--layers", "os"], SCANNER_OPTIONS).layers, "os");
+    assert.equal(parseCommandLine([], SCANNER_OPTIONS).layers, null);
+    assert.throws(() => parseCommandLine(["OS", "UI"], SCANNER_OPTIONS), /Unexpected argument "UI"/);
+    assert.throws(() => parseCommandLine(["OS,FOO"], SCANNER_OPTIONS), /Unknown layer\(s\): FOO/);
+});
+
+test("parseCommandLine reads --env, and only allows several environments where asked", () => {
+    assert.deepEqual(parseCommandLine(["OS,UI", "--env", "dev", "--junit"], REPUBLISHER_OPTIONS).environments, ["dev"]);
+    assert.deepEqual(parseCommandLine(["--env=dev,test"], SCANNER_OPTIONS, { multipleEnvironments: true }).environments, ["dev", "test"]);
+    assert.throws(() => parseCommandLine(["--env=dev,test"], SCANNER_OPTIONS), /Only one environment/);
+    assert.throws(() => parseCommandLine(["--env"], SCANNER_OPTIONS), UsageError);
+});
+
+test("parseCommandLine rejects options a command does not accept", () => {
+    assert.throws(() => parseCommandLine(["--junit"], SCANNER_OPTIONS), /Unknown option '--junit'/);
+    assert.throws(() => parseCommandLine(["--no-dependencies"], REPUBLISHER_OPTIONS), UsageError);
+    assert.equal(parseCommandLine(["--no-dependencies"], SCANNER_OPTIONS).values["no-dependencies"], true);
+});
+
+test("parseCommandLine validates --concurrency and collects --include/--exclude lists", () => {
+    const options = parseCommandLine(["--concurrency", "3", "--include", "Members_*,Core_IS", "--exclude", "*_UI"], REPUBLISHER_OPTIONS);
+    assert.equal(options.concurrency, 3);
+    assert.deepEqual(options.include, ["Members_*", "Core_IS"]);
+    assert.deepEqual(options.exclude, ["*_UI"]);
+    assert.throws(() => parseCommandLine(["--concurrency", "0"], REPUBLISHER_OPTIONS), /--concurrency must be a positive whole number/);
+    assert.throws(() => parseCommandLine(["--concurrency", "two"], REPUBLISHER_OPTIONS), UsageError);
+});
+
+test("parseCommandLine reads --max-layer-failure as a fraction", () => {
+    assert.equal(parseCommandLine([], REPUBLISHER_OPTIONS).maxLayerFailure, null);
+    assert.equal(parseCommandLine(["--max-layer-failure", "0"], REPUBLISHER_OPTIONS).maxLayerFailure, 0);
+    assert.equal(parseCommandLine(["--max-layer-failure=0.25"], REPUBLISHER_OPTIONS).maxLayerFailure, 0.25);
+    assert.throws(() => parseCommandLine(["--max-layer-failure", "50%"], REPUBLISHER_OPTIONS), /--max-layer-failure must be a number from 0 to 1/);
+    assert.throws(() => parseCommandLine(["--max-layer-failure", "2"], REPUBLISHER_OPTIONS), UsageError);
+    assert.throws(() => parseCommandLine(["--max-layer-failure", "0.5"], SCANNER_OPTIONS), /Unknown option/);
+});
+
+test("parseCommandLine reads the discovery mode, with --names implying the names mode", () => {
+    assert.equal(parseCommandLine([], SCANNER_OPTIONS).mode, null);
+    assert.equal(parseCommandLine(["--mode", "outdated"], SCANNER_OPTIONS).mode, "outdated");
+    assert.equal(parseCommandLine(["--names", "modules.txt"], SCANNER_OPTIONS).mode, "names");
+    assert.throws(() => parseCommandLine(["--mode", "stale"], SCANNER_OPTIONS), /Unknown mode "stale"/);
+    assert.throws(() => parseCommandLine(["--mode", "names"], SCANNER_OPTIONS), /--names <file> and --mode names go together/);
+    assert.throws(() => parseCommandLine(["--mode", "all", "--names", "modules.txt"], SCANNER_OPTIONS), UsageError);
+    assert.throws(() => parseCommandLine(["--mode", "all"], REPUBLISHER_OPTIONS), UsageError);
+});
+
+test("parseCommandLine reads the engine of the scanner and the republisher", () => {
+    assert.equal(parseCommandLine([], SCANNER_OPTIONS).engine, null);
+    assert.equal(parseCommandLine(["--engine", "http"], SCANNER_OPTIONS).engine, "http");
+    assert.equal(parseCommandLine(["--engine", "browser"], REPUBLISHER_OPTIONS).engine, "browser");
+    assert.throws(() => parseCommandLine(["--engine", "curl"], REPUBLISHER_OPTIONS), /Unknown engine "curl". Available engines: browser, http/);
+});
+
+test("parseCommandLine only accepts --trace together with --artifacts", () => {
+    assert.equal(parseCommandLine(["--artifacts", "--trace"], REPUBLISHER_OPTIONS).values.trace, true);
+    assert.equal(parseCommandLine(["--artifacts"], SCANNER_OPTIONS).values.artifacts, true);
+    assert.throws(() => parseCommandLine(["--trace"], SCANNER_OPTIONS), /--trace needs --artifacts/);
+});
+
+test("parseCommandLine collects the modules of a targeted republish", () => {
+    const options = parseCommandLine(["--module", "Billing_CS,Billing_BL", "--module", "Theme_TH", "--with-consumers", "Core_IS"], REPUBLISHER_OPTIONS);
+    assert.deepEqual(options.moduleNames, ["Billing_CS", "Billing_BL", "Theme_TH"]);
+    assert.deepEqual(options.withConsumers, ["Core_IS"]);
+    assert.deepEqual(parseCommandLine([], REPUBLISHER_OPTIONS).moduleNames, []);
+    assert.throws(() => parseCommandLine(["--module", "Core_IS"], SCANNER_OPTIONS), /Unknown option '--module'/);
+});
@@ -0,0 +1,130 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createTempDir } = require("./helpers");
+const { spawn } = require("child_process");
+const { COMMANDS, getRunScriptArgs } = require("../src/cli");
+const { parseCommandLine } = require("../src/cli-options");
+
+const BIN = path.resolve(__dirname, "../bin/os-republisher.js");
+
+// Run the os-republisher bin, resolving with its exit code and output
+function runBin(args, env = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [BIN, ...args], { env: { ...process.env, ...env }, stdio: ["ignore", "pipe", "pipe"] });
+        let stdout = "";
+        let stderr = "";
+        child.stdout.on("data", chunk => { stdout += chunk; });
+        child.stderr.on("data", chunk => { stderr += chunk; });
+        child.on("error", reject);
+        child.on("close", code => resolve({ code, stdout, stderr }));
+    });
+}
+
+test("os-republisher lists its commands and rejects unknown ones", async () => {
+    const help = await runBin(["--help"]);
+    assert.equal(help.code, 0);
+    for (const command of ["scan", "republish", "run", "schedule", "status", "diff"]) {
+        assert.match(help.stdout, new RegExp(`^  ${command} `, "m"));
+    }
+    assert.match(help.stdout, /"status" shows the cycle history and "diff" the scan history/);
+
+    const unknown = await runBin(["publish"]);
+    assert.equal(unknown.code, 2);
+    assert.match(unknown.stderr, /Unknown command "publish"/);
+});
+
+test("invalid options exit with the usage exit code", async () => {
+    const badLayer = await runBin(["scan", "--layers", "XX"]);
+    assert.equal(badLayer.code, 2);
+    assert.match(badLayer.stderr, /Unknown layer\(s\): XX/);
+
+    const badOption = await runBin(["republish", "--no-dependencies"]);
+    assert.equal(badOption.code, 2);
+
+    const twoEnvironments = await runBin(["republish", "--env", "dev,test"]);
+    assert.equal(twoEnvironments.code, 2);
+    assert.match(twoEnvironments.stderr, /os-republisher run --env dev,test/);
+
+    const twoModuleLists = await runBin(["run", "--input", "a.json", "--output", "b.json"]);
+    assert.equal(twoModuleLists.code, 2);
+    assert.match(twoModuleLists.stderr, /--input and --output must name the same module list for run/);
+});
+
+test("run passes the republish options on to the republisher and refuses a targeted republish", async () => {
+    const options = parseCommandLine(["--skip-warning-check", "--dry-run", "--mode", "outdated", "--exclude", "Test*"], COMMANDS.run.options, { multipleEnvironments: true });
+    assert.deepEqual(getRunScriptArgs(options), {
+        scanArgs: ["--exclude", "Test*", "--mode", "outdated"],
+        republishArgs: ["--exclude", "Test*", "--skip-warning-check", "--dry-run"]
+    });
+
+    const targeted = await runBin(["run", "--module", "Billing_CS"]);
+    assert.equal(targeted.code, 2);
+    assert.match(targeted.stderr, /use "os-republisher republish" for them/);
+    assert.equal((await runBin(["run", "--with-consumers", "Core_IS"])).code, 2);
+});
+
+test("status shows the cycle history", async () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const historyFile = path.join(dir, "history.jsonl");
+        fs.writeFileSync(historyFile, `${JSON.stringify({
+            environment: "dev",
+            trigger: "schedule",
+            layers: null,
+            startedAt: "2026-01-01T10:00:00.000Z",
+            durationMs: 65000,
+            status: "succeeded",
+            modulesFound: 4,
+            totals: { published: 3, "published-with-warnings": 1, failed: 0 }
+        })}\n`);
+        const env = { WODIFY_HISTORY_FILE: historyFile, WODIFY_ENVIRONMENTS_FILE: path.join(dir, "none.json") };
+
+        const { code, stdout } = await runBin(["status", "--env", "dev", "--json"], env);
+        assert.equal(code, 0);
+        const status = JSON.parse(stdout);
+        assert.equal(status.history.length, 1);
+        assert.equal(status.environments[0].environment, "dev");
+        assert.equal(status.environments[0].lastStatus, "succeeded");
+        assert.equal(status.environments[0].running, "no");
+    } finally {
+        cleanup();
+    }
+});
+
+test("diff compares the last two scans and exports the module history as CSV", async () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const scan = (scannedAt, names) => JSON.stringify({
+            scannedAt,
+            environment: "dev",
+            mode: "warnings",
+            layers: "all",
+            modules: names.map(name => ({ name, suffix: name.split("_").pop(), statusIcon: "warning", categories: [] }))
+        });
+        fs.writeFileSync(path.join(dir, "scan-history.jsonl"), [
+            scan("2026-03-01T08:00:00.000Z", ["Core_IS", "Members_CS"]),
+            scan("2026-03-02T08:00:00.000Z", ["Members_CS"]),
+            scan("2026-03-03T08:00:00.000Z", ["Core_IS", "Reports_UI"])
+        ].join("\n") + "\n");
+        const csvFile = path.join(dir, "history.csv");
+        const env = { SORTED_MODULES_FILE: path.join(dir, "sorted-modules.json") };
+
+        const { code, stdout } = await runBin(["diff", "--json", "--csv", csvFile], env);
+        assert.equal(code, 0);
+        const diff = JSON.parse(stdout);
+        assert.equal(diff.scans, 3);
+        assert.equal(diff.previous, "2026-03-02T08:00:00.000Z");
+        assert.deepEqual(diff.changes, { entered: ["Core_IS", "Reports_UI"], resolved: ["Members_CS"], remaining: [] });
+        assert.deepEqual(diff.offenders.map(module => [module.name, module.timesEntered]), [["Core_IS", 2]]);
+        assert.equal(fs.readFileSync(csvFile, "utf-8").trim().split("\n").length, 4);
+
+        const text = await runBin(["diff"], env);
+        assert.equal(text.code, 0);
+        assert.match(text.stdout, /Entered warning \(2\): Core_IS, Reports_UI/);
+        assert.match(text.stdout, /Repeat offenders \(1\)/);
+    } finally {
+        cleanup();
+    }
+});
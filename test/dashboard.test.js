@@ -0,0 +1,169 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startScheduler } = require("../src/scheduler");
+const { createDashboardServer, startDashboard } = require("../src/dashboard");
+const { CYCLE_STATUSES } = require("../src/cycle-history");
+const { createTempDir } = require("./helpers");
+
+const TOKEN = "test-token";
+
+let temp;
+let scheduler;
+let server;
+let baseUrl;
+
+// Stand-ins for the scanner and the republisher; the scanner waits FAKE_SCAN_DELAY_MS before writing the manifest
+before(async () => {
+    temp = createTempDir();
+    process.env.SORTED_MODULES_FILE = path.join(temp.dir, "sorted-modules.json");
+
+    const scannerScript = path.join(temp.dir, "scanner.js");
+    fs.writeFileSync(scannerScript, `
+const { createManifest, writeManifest } = require(${JSON.stringify(path.resolve(__dirname, "../src/manifest"))});
+setTimeout(() => writeManifest(process.env.SORTED_MODULES_FILE, createManifest({
+    environment: "dev",
+    discovery: { mode: "warnings", statusFilter: "withErrorsAndWarnings", namesFile: null },
+    layers: null,
+    modules: ["Core_IS", "Members_CS"].map((name, i) => ({ url: "https://devsc.wodify.com/" + i, name, suffix: name.split("_")[1], statusIcon: "warning", lastPublished: null }))
+})), Number(process.env.FAKE_SCAN_DELAY_MS || 0));
+`);
+    const republisherScript = path.join(temp.dir, "republisher.js");
+    fs.writeFileSync(republisherScript, `
+const fs = require("fs");
+const path = require("path");
+const checkpoints = require(${JSON.stringify(path.resolve(__dirname, "../src/checkpoint"))});
+const dir = path.dirname(process.env.SORTED_MODULES_FILE);
+const { modules } = JSON.parse(fs.readFileSync(process.env.SORTED_MODULES_FILE, "utf-8"));
+const checkpoint = checkpoints.createCheckpoint(path.join(dir, "republish-checkpoint.json"), modules, "dev");
+modules.forEach(module => checkpoints.setModuleState(checkpoint, module.name, "published", { name: module.name, layer: module.suffix, status: "published", subdomain: "devsc", message: "" }));
+fs.writeFileSync(path.join(dir, "republish-report.json"), JSON.stringify({
+    startedAt: new Date().toISOString(),
+    totals: { modules: modules.length, published: modules.length, "published-with-warnings": 0, failed: 0 },
+    modules: []
+}));
+`);
+
+    scheduler = startScheduler(
+        { runOnStart: false, jobs: [{ environment: null, schedule: "0 0 1 1 *", layers: null, jitterSeconds: 0, engine: null }] },
+        { historyFile: path.join(temp.dir, "history.jsonl"), scannerScript, republisherScript }
+    );
+    server = await startDashboard(scheduler, { port: 0, token: TOKEN });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    scheduler.stop();
+    await new Promise(resolve => server.close(resolve));
+    delete process.env.SORTED_MODULES_FILE;
+    temp.cleanup();
+});
+
+// Call the REST API, with the token unless told otherwise
+async function api(method, apiPath, token = TOKEN) {
+    const res = await fetch(`${baseUrl}${apiPath}`, { method, headers: token ? { Authorization: `Bearer ${token}` } : {} });
+    return { status: res.status, body: await res.json() };
+}
+
+// Wait until the job has no running cycle
+async function waitForIdle() {
+    for (let i = 0; i < 200; i++) {
+        const { body } = await api("GET", "/api/status");
+        if (!body.jobs[0].running) return;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error("The cycle did not finish");
+}
+
+test("the dashboard page and the status of the jobs are served", async () => {
+    const page = await fetch(`${baseUrl}/`);
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /<h1>OutSystems module republisher<\/h1>/);
+
+    const { status, body } = await api("GET", "/api/status", null);
+    assert.equal(status, 200);
+    assert.equal(body.paused, false);
+    assert.deepEqual(body.jobs.map(job => [job.name, job.schedule, job.running]), [["default", "0 0 1 1 *", null]]);
+    assert.ok(body.jobs[0].nextRun);
+
+    assert.equal((await api("GET", "/api/jobs/prod/progress")).status, 404);
+    assert.deepEqual((await api("GET", "/api/jobs/default/progress")).body.modules, []);
+    assert.equal((await api("GET", "/api/jobs/default/scan")).body, null);
+});
+
+test("actions need the token, and pause and resume the schedule", async () => {
+    assert.equal((await api("POST", "/api/schedule/pause", null)).status, 401);
+    assert.equal((await api("POST", "/api/schedule/pause", "wrong")).status, 401);
+    assert.equal(scheduler.isPaused(), false);
+
+    assert.deepEqual((await api("POST", "/api/schedule/pause")).body, { paused: true });
+    const { body } = await api("GET", "/api/status");
+    assert.equal(body.paused, true);
+    assert.equal(body.jobs[0].nextRun, null);
+    assert.deepEqual((await api("POST", "/api/schedule/resume")).body, { paused: false });
+});
+
+test("a cycle started on request shows its progress, last scan and history", async () => {
+    const started = await api("POST", "/api/jobs/default/cycle");
+    assert.equal(started.status, 202);
+    assert.deepEqual(started.body.steps, ["scan", "republish"]);
+    assert.equal((await api("POST", "/api/jobs/default/scan")).status, 409);
+    await waitForIdle();
+
+    const progress = (await api("GET", "/api/jobs/default/progress")).body;
+    assert.equal(progress.counts.published, 2);
+    assert.deepEqual(progress.modules.map(module => [module.name, module.layer, module.state]), [["Core_IS", "IS", "published"], ["Members_CS", "CS", "published"]]);
+
+    const scan = (await api("GET", "/api/jobs/default/scan")).body;
+    assert.equal(scan.mode, "warnings");
+    assert.deepEqual(scan.modules.map(module => module.name), ["Core_IS", "Members_CS"]);
+
+    const [cycle] = (await api("GET", "/api/history?limit=1")).body;
+    assert.equal(cycle.trigger, "api");
+    assert.equal(cycle.status, CYCLE_STATUSES.SUCCEEDED);
+    assert.equal(cycle.totals.published, 2);
+
+    const metrics = await fetch(`${baseUrl}/metrics`);
+    assert.match(metrics.headers.get("content-type"), /^text\/plain; version=0.0.4/);
+    const text = await metrics.text();
+    assert.match(text, new RegExp(`^os_republisher_cycles_total\\{environment="${cycle.environment}",status="succeeded"\\} 1$`, "m"));
+    assert.match(text, /^# TYPE os_republisher_last_successful_cycle_timestamp_seconds gauge$/m);
+});
+
+test("a running cycle can be cancelled", async () => {
+    process.env.FAKE_SCAN_DELAY_MS = "30000";
+    try {
+        assert.equal((await api("POST", "/api/jobs/default/cancel")).status, 409);
+        assert.equal((await api("POST", "/api/jobs/default/scan")).status, 202);
+        assert.equal((await api("GET", "/api/status")).body.jobs[0].running.step, "scan");
+
+        const startedAt = Date.now();
+        assert.equal((await api("POST", "/api/jobs/default/cancel")).status, 202);
+        await waitForIdle();
+        assert.ok(Date.now() - startedAt < 10000);
+
+        const [cycle] = (await api("GET", "/api/history?job=default&limit=1")).body;
+        assert.equal(cycle.status, CYCLE_STATUSES.CANCELLED);
+        assert.equal(cycle.reason, "Cancelled during the scan");
+        assert.deepEqual(cycle.steps, ["scan"]);
+        assert.equal(cycle.republish, null);
+    } finally {
+        delete process.env.FAKE_SCAN_DELAY_MS;
+    }
+});
+
+test("without a token the dashboard is read-only", async () => {
+    const readOnly = createDashboardServer(scheduler);
+    await new Promise(resolve => readOnly.listen(0, "127.0.0.1", resolve));
+    try {
+        const res = await fetch(`http://127.0.0.1:${readOnly.address().port}/api/jobs/default/cycle`, {
+            method: "POST",
+            headers: { Authorization: `Bearer ${TOKEN}` }
+        });
+        assert.equal(res.status, 403);
+        assert.match((await res.json()).error, /WODIFY_DASHBOARD_TOKEN/);
+    } finally {
+        await new Promise(resolve => readOnly.close(resolve));
+    }
+});
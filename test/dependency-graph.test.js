@@ -0,0 +1,52 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildDependencyGraph, findCycles, sortModulesTopologically } = require("../src/dependency-graph");
+
+const names = (modules) => modules.map(module => module.name);
+
+test("buildDependencyGraph combines producers and consumers and ignores unknown modules", () => {
+    const graph = buildDependencyGraph([
+        { name: "A_CS", producers: ["Outside_IS"] },
+        { name: "B_BL", producers: ["A_CS"] },
+        { name: "C_UI", producers: [], consumers: [] },
+        { name: "D_IS", consumers: ["C_UI"] }
+    ]);
+    assert.deepEqual(Array.from(graph.get("A_CS")), []);
+    assert.deepEqual(Array.from(graph.get("B_BL")), ["A_CS"]);
+    assert.deepEqual(Array.from(graph.get("C_UI")), ["D_IS"]);
+});
+
+test("sortModulesTopologically puts producers first, whatever their suffix", () => {
+    const { sorted, cycles } = sortModulesTopologically([
+        { name: "Portal_UI", suffix: "UI", producers: ["Members_BL"] },
+        { name: "Members_BL", suffix: "BL", producers: ["Legacy"] },
+        { name: "Legacy", suffix: "UI", producers: [] }
+    ]);
+    assert.deepEqual(names(sorted), ["Legacy", "Members_BL", "Portal_UI"]);
+    assert.deepEqual(sorted.map(module => module.dependencyLevel), [0, 1, 2]);
+    assert.deepEqual(sorted[1].dependsOn, ["Legacy"]);
+    assert.deepEqual(cycles, []);
+});
+
+test("sortModulesTopologically uses the suffix hierarchy and name for ties", () => {
+    const { sorted } = sortModulesTopologically([
+        { name: "B_UI", suffix: "UI" },
+        { name: "A_UI", suffix: "UI" },
+        { name: "Z_IS", suffix: "IS" },
+        { name: "M_CS", suffix: "CS" }
+    ]);
+    assert.deepEqual(names(sorted), ["Z_IS", "M_CS", "A_UI", "B_UI"]);
+});
+
+test("sortModulesTopologically reports cycles and still orders every module", () => {
+    const modules = [
+        { name: "X_BL", suffix: "BL", producers: ["Y_CS"] },
+        { name: "Y_CS", suffix: "CS", producers: ["X_BL"] },
+        { name: "Z_UI", suffix: "UI", producers: ["X_BL"] }
+    ];
+    assert.deepEqual(findCycles(buildDependencyGraph(modules)), [["X_BL", "Y_CS"]]);
+
+    const { sorted, cycles } = sortModulesTopologically(modules);
+    assert.deepEqual(cycles, [["X_BL", "Y_CS"]]);
+    assert.deepEqual(names(sorted), ["Y_CS", "X_BL", "Z_UI"]);
+});
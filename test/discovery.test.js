@@ -0,0 +1,45 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createTempDir } = require("./helpers");
+const { createDiscovery, readModuleNames, findMissingNames, describeDiscovery } = require("../src/discovery");
+
+const rows = [
+    { name: "Core_IS", inWarning: true },
+    { name: "Billing_BL", inWarning: false },
+    { name: "Theme_TH", inWarning: false }
+];
+const kept = (discovery) => rows.filter(row => discovery.keepRow(row)).map(row => row.name);
+
+test("each discovery mode picks a status filter and the rows to keep", () => {
+    assert.equal(createDiscovery().mode, "warnings");
+    assert.equal(createDiscovery().statusOption, "withErrorsAndWarnings");
+    assert.deepEqual(kept(createDiscovery("warnings")), ["Core_IS"]);
+    assert.equal(createDiscovery("outdated").statusOption, "withOutdatedReferences");
+    assert.equal(createDiscovery("errors").statusOption, "withErrors");
+    assert.deepEqual(kept(createDiscovery("all")), ["Core_IS", "Billing_BL", "Theme_TH"]);
+    assert.throws(() => createDiscovery("stale"), /Unknown discovery mode "stale"/);
+    assert.throws(() => createDiscovery("names"), /needs a file of module names/);
+});
+
+test("the names mode keeps the modules named in a file and reports the missing ones", () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const namesFile = path.join(dir, "names.txt");
+        fs.writeFileSync(namesFile, "# Modules to rebuild\nbilling_bl\n\nTheme_TH  # after the theme change\nMissing_CS\n");
+        const discovery = createDiscovery("names", namesFile);
+
+        assert.deepEqual(discovery.names, ["billing_bl", "Theme_TH", "Missing_CS"]);
+        assert.deepEqual(kept(discovery), ["Billing_BL", "Theme_TH"]);
+        assert.deepEqual(findMissingNames(discovery, rows), ["Missing_CS"]);
+        assert.deepEqual(describeDiscovery(discovery), { mode: "names", statusFilter: "all", namesFile });
+
+        fs.writeFileSync(namesFile, JSON.stringify(["Core_IS"]));
+        assert.deepEqual(readModuleNames(namesFile), ["Core_IS"]);
+        fs.writeFileSync(namesFile, "# nothing yet\n");
+        assert.throws(() => createDiscovery("names", namesFile), /No module names in/);
+    } finally {
+        cleanup();
+    }
+});
@@ -0,0 +1,393 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createMockServiceCenter } = require("./mock-service-center/server");
+const { createTempDir, runScript, mockEnvironment, canLaunchBrowser } = require("./helpers");
+const { createManifest, writeManifest } = require("../src/manifest");
+const { readScanSnapshots } = require("../src/scan-history");
+
+const TEST_TIMEOUT = 300000;
+
+describe("scanner and republisher against the fake Service Center", { timeout: TEST_TIMEOUT }, () => {
+    let browserAvailable = false;
+    let mock;
+    let env;
+    let temp;
+
+    before(async () => {
+        browserAvailable = await canLaunchBrowser();
+        mock = createMockServiceCenter({ publishDurationMs: 500 });
+        temp = createTempDir();
+        env = mockEnvironment(await mock.start(), temp.dir);
+    });
+
+    after(async () => {
+        await mock.stop();
+        temp.cleanup();
+    });
+
+    test("the scanner writes the modules in warning in dependency order", async (t) => {
+        if (!browserAvailable) return t.skip("Chromium cannot be launched");
+
+        const { code, stderr } = await runScript("outsystems-warning-scanner.js", [], env);
+        assert.equal(code, 0, stderr);
+
+        const manifest = JSON.parse(fs.readFileSync(env.SORTED_MODULES_FILE, "utf-8"));
+        const { discovery, modules } = manifest;
+        assert.equal(manifest.version, 1);
+        assert.equal(manifest.environment, "test");
+        assert.equal(manifest.layers, "all");
+        assert.equal(discovery.mode, "warnings");
+        const names = modules.map(module => module.name);
+        assert.deepEqual([...names].sort(), [
+            "Billing_CS", "Core_IS", "Legacy", "Members_BL", "Members_CS", "Members_UI", "Reports_UI", "Scheduler_OS"
+        ]);
+        assert.ok(names.indexOf("Core_IS") < names.indexOf("Members_CS"));
+        assert.ok(names.indexOf("Members_CS") < names.indexOf("Members_BL"));
+        assert.ok(names.indexOf("Members_BL") < names.indexOf("Members_UI"));
+        assert.equal(modules.find(module => module.name === "Legacy").suffix, "UI");
+        assert.deepEqual(modules.map(module => module.statusIcon), modules.map(() => "warning"));
+        assert.equal(modules.find(module => module.name === "Core_IS").lastPublished, "2026-01-01 10:00");
+    });
+
+    test("a dry run checks every module without publishing", async (t) => {
+        if (!browserAvailable) return t.skip("Chromium cannot be launched");
+
+        const { code, stderr } = await runScript("outsystems-module-republisher.js", ["--dry-run"], env);
+        assert.equal(code, 0, stderr);
+        assert.equal(mock.state.publishes.length, 0);
+
+        const { plan } = JSON.parse(fs.readFileSync(path.join(temp.dir, "republish-plan.json"), "utf-8"));
+        assert.equal(plan.length, 8);
+        // Scheduler_OS has a changed producer signature, which a republish cannot fix
+        assert.deepEqual(plan.filter(entry => entry.action !== "publish").map(entry => [entry.name, entry.action]),
+            [["Scheduler_OS", "none (warnings a republish cannot fix)"]]);
+    });
+
+    test("the republisher publishes layer by layer and reports each outcome", async (t) => {
+        if (!browserAvailable) return t.skip("Chromium cannot be launched");
+
+        const { code, stderr } = await runScript("outsystems-module-republisher.js", ["--junit"], env);
+        // Reports_UI fails to publish, which fails the run
+        assert.equal(code, 1, stderr);
+
+        // Every publish of a layer finished before the next layer started
+        const publishes = mock.state.publishes;
+        const finishedAt = (name) => publishes.find(publish => publish.moduleName === name).finishedAt;
+        const startedAt = (name) => publishes.find(publish => publish.moduleName === name).startedAt;
+        assert.ok(finishedAt("Core_IS") <= startedAt("Members_CS"));
+        assert.ok(finishedAt("Members_CS") <= startedAt("Members_BL"));
+        assert.ok(finishedAt("Members_BL") <= startedAt("Members_UI"));
+
+        const report = JSON.parse(fs.readFileSync(path.join(temp.dir, "republish-report.json"), "utf-8"));
+        const status = (name) => report.modules.find(entry => entry.name === name).status;
+        assert.equal(report.modules.length, 8);
+        assert.equal(status("Core_IS"), "published");
+        assert.equal(status("Members_BL"), "published-with-warnings");
+        assert.equal(status("Reports_UI"), "failed");
+        assert.ok(fs.existsSync(path.join(temp.dir, "republish-report.xml")));
+
+        // The scanner logged in once; both republisher runs reused its stored session on every subdomain
+        assert.equal(mock.state.logins, 1);
+    });
+
+    test("an expired session is replaced by a new login", async (t) => {
+        if (!browserAvailable) return t.skip("Chromium cannot be launched");
+
+        mock.expireSessions();
+        const logins = mock.state.logins;
+        const { code, stderr } = await runScript("outsystems-module-republisher.js", ["--dry-run"], env);
+        assert.equal(code, 0, stderr);
+        assert.equal(mock.state.logins, logins + 1);
+    });
+
+    test("the republisher refuses a manifest scanned in another environment or too long ago", async () => {
+        const input = path.join(temp.dir, "old-manifest.json");
+        writeManifest(input, createManifest({
+            environment: "prod",
+            discovery: { mode: "warnings", statusFilter: "withErrorsAndWarnings", namesFile: null },
+            layers: null,
+            modules: [],
+            scannedAt: new Date(Date.now() - 48 * 3600000)
+        }));
+
+        const { code, stderr } = await runScript("outsystems-module-republisher.js", ["--dry-run", "--input", input], env);
+        assert.equal(code, 1);
+        assert.match(stderr, /scanned in environment "prod", not "test"/);
+        assert.match(stderr, /more than the 24 hours allowed/);
+    });
+
+    test("the scanner can discover the modules named in a file", async (t) => {
+        if (!browserAvailable) return t.skip("Chromium cannot be launched");
+
+        const namesFile = path.join(temp.dir, "names.txt");
+        const output = path.join(temp.dir, "named-modules.json");
+        fs.writeFileSync(namesFile, "# Up to date or with errors, not in warning\nTheme_TH\nbilling_bl\nMissing_CS\n");
+        const { code, stdout, stderr } = await runScript("outsystems-warning-scanner.js",
+            ["--names", namesFile, "--output", output, "--no-dependencies"], env);
+        assert.equal(code, 0, stderr);
+
+        const { discovery, modules } = JSON.parse(fs.readFileSync(output, "utf-8"));
+        assert.deepEqual(discovery, { mode: "names", statusFilter: "all", namesFile });
+        assert.deepEqual(modules.map(module => module.name), ["Theme_TH", "Billing_BL"]);
+        assert.deepEqual(modules.map(module => module.statusIcon), ["ok", "error"]);
+        assert.match(stderr + stdout, /Module Missing_CS from .* was not found in Service Center/);
+    });
+});
+
+describe("scanner and republisher with the HTTP engine", { timeout: TEST_TIMEOUT }, () => {
+    let mock;
+    let env;
+    let temp;
+
+    before(async () => {
+        mock = createMockServiceCenter({ publishDurationMs: 500 });
+        temp = createTempDir();
+        env = mockEnvironment(await mock.start(), temp.dir);
+    });
+
+    after(async () => {
+        await mock.stop();
+        temp.cleanup();
+    });
+
+    test("the scanner finds the modules in warning without a browser", async () => {
+        const { code, stderr } = await runScript("outsystems-warning-scanner.js", ["--engine", "http", "--metrics-file", path.join(temp.dir, "scan.prom")], env);
+        assert.equal(code, 0, stderr);
+
+        const { modules } = JSON.parse(fs.readFileSync(env.SORTED_MODULES_FILE, "utf-8"));
+        const names = modules.map(module => module.name);
+        assert.deepEqual([...names].sort(), [
+            "Billing_CS", "Core_IS", "Legacy", "Members_BL", "Members_CS", "Members_UI", "Reports_UI", "Scheduler_OS"
+        ]);
+        assert.ok(names.indexOf("Core_IS") < names.indexOf("Members_CS"));
+        assert.ok(names.indexOf("Members_BL") < names.indexOf("Members_UI"));
+        assert.equal(modules.find(module => module.name === "Core_IS").lastPublished, "2026-01-01 10:00");
+        // The messages of every flagged module were read and classified
+        assert.deepEqual(modules.find(module => module.name === "Core_IS").messages,
+            [{ severity: "warning", category: "outdated-reference", text: "Module has outdated references" }]);
+        assert.deepEqual(modules.find(module => module.name === "Scheduler_OS").messages.map(message => message.category), ["changed-signature"]);
+        // The filter and the Next link were posted back, not fetched with AJAX
+        assert.ok(mock.state.requests.some(request => request.method === "POST" && request.path === "/ServiceCenter/eSpaces_List.aspx"));
+        assert.ok(!mock.state.requests.some(request => request.path.includes("ajax=1")));
+
+        // The scan was added to the scan history next to the manifest
+        const [snapshot, ...others] = readScanSnapshots(path.join(temp.dir, "scan-history.jsonl"));
+        assert.equal(others.length, 0);
+        assert.equal(snapshot.environment, "test");
+        assert.deepEqual(snapshot.modules.map(module => module.name), names);
+
+        // --metrics-file wrote the modules in warning per layer for the textfile collector
+        const metrics = fs.readFileSync(path.join(temp.dir, "scan.prom"), "utf-8");
+        assert.match(metrics, /^os_republisher_scans_total\{environment="test",result="complete"\} 1$/m);
+        assert.match(metrics, /^os_republisher_modules_in_warning\{environment="test",layer="CS"\} 2$/m);
+        assert.match(metrics, /^os_republisher_modules_in_warning\{environment="test",layer="TH"\} 0$/m);
+        assert.match(metrics, /^os_republisher_scan_duration_seconds_count\{environment="test"\} 1$/m);
+    });
+
+    test("the republisher publishes through form posts and reports each outcome", async () => {
+        const { code, stderr } = await runScript("outsystems-module-republisher.js", ["--engine", "http", "--artifacts", "--trace", "--metrics-file", path.join(temp.dir, "republish.prom")], env);
+        // Reports_UI fails to publish, which fails the run
+        assert.equal(code, 1, stderr);
+
+        const report = JSON.parse(fs.readFileSync(path.join(temp.dir, "republish-report.json"), "utf-8"));
+        const status = (name) => report.modules.find(entry => entry.name === name).status;
+        assert.equal(status("Core_IS"), "published");
+        assert.equal(status("Members_BL"), "published-with-warnings");
+        assert.equal(status("Reports_UI"), "failed");
+        assert.equal(status("Scheduler_OS"), "needs-manual-fix");
+        assert.equal(mock.state.publishes.length, 7);
+
+        // The failed publish saved the progress page, the error and the requests, linked from the report
+        const artifacts = report.modules.find(entry => entry.name === "Reports_UI").artifacts;
+        assert.deepEqual(artifacts.map(file => path.extname(file)), [".txt", ".html", ".har"]);
+        assert.ok(artifacts.every(file => fs.existsSync(path.join(temp.dir, file))));
+        assert.match(fs.readFileSync(path.join(temp.dir, artifacts[0]), "utf-8"), /Error: Reference to 'Billing_BL' is broken/);
+        assert.deepEqual(report.artifacts.captures.map(capture => [capture.name, capture.step]), [["Reports_UI", "publish"]]);
+        assert.deepEqual(report.modules.find(entry => entry.name === "Core_IS").artifacts, []);
+
+        // Both scripts shared the one login of the scanner
+        assert.equal(mock.state.logins, 1);
+
+        const metrics = fs.readFileSync(path.join(temp.dir, "republish.prom"), "utf-8");
+        assert.match(metrics, /^os_republisher_publishes_attempted_total\{environment="test"\} 7$/m);
+        assert.match(metrics, /^os_republisher_publishes_succeeded_total\{environment="test"\} 6$/m);
+        assert.match(metrics, /^os_republisher_publishes_failed_total\{environment="test"\} 1$/m);
+        assert.match(metrics, /^os_republisher_publish_duration_seconds_count\{environment="test"\} 7$/m);
+        assert.match(metrics, /^os_republisher_login_failures_total\{environment="test",script="republish"\} 0$/m);
+    });
+
+    test("an expired session is replaced by a new login", async () => {
+        mock.expireSessions();
+        const { code, stderr } = await runScript("outsystems-module-republisher.js", ["--engine", "http", "--dry-run"], env);
+        assert.equal(code, 0, stderr);
+        assert.equal(mock.state.logins, 2);
+    });
+});
+
+test("published modules are verified, republished after their producers and reported stuck when they stay in warning", { timeout: TEST_TIMEOUT }, async () => {
+    const mock = createMockServiceCenter({
+        publishDurationMs: 0,
+        modules: [
+            { id: 1, name: "Members_BL", status: "warning" },
+            // Published before Members_BL, in an earlier layer: in warning after its first publish, clears when republished after it
+            { id: 2, name: "Core_IS", status: "warning", producers: ["Members_BL"], staysInWarning: 1 },
+            { id: 3, name: "Members_CS", status: "warning", producers: ["Members_BL"], staysInWarning: true },
+            // Published after Members_BL, so another publish would change nothing
+            { id: 4, name: "Members_UI", status: "warning", producers: ["Members_BL"], staysInWarning: true }
+        ]
+    });
+    const temp = createTempDir();
+    try {
+        const env = mockEnvironment(await mock.start(), temp.dir);
+        const scan = await runScript("outsystems-warning-scanner.js", ["--engine", "http"], env);
+        assert.equal(scan.code, 0, scan.stderr);
+
+        const { code, stderr } = await runScript("outsystems-module-republisher.js", ["--engine", "http", "--junit"], env);
+        // Stuck modules fail the run
+        assert.equal(code, 1, stderr);
+
+        const readReport = () => JSON.parse(fs.readFileSync(path.join(temp.dir, "republish-report.json"), "utf-8"));
+        let report = readReport();
+        const outcome = (name) => {
+            const { status, verified, passes } = report.modules.find(entry => entry.name === name);
+            return { status, verified, passes };
+        };
+        assert.deepEqual(outcome("Members_BL"), { status: "published", verified: true, passes: 1 });
+        assert.deepEqual(outcome("Core_IS"), { status: "published", verified: true, passes: 2 });
+        assert.deepEqual(outcome("Members_CS"), { status: "stuck", verified: false, passes: 2 });
+        // Its second publish came after Members_BL, so a third one would change nothing either
+        assert.match(report.modules.find(entry => entry.name === "Members_CS").message, /after 2 publish passes: none of its producers were republished after it/);
+        assert.deepEqual(outcome("Members_UI"), { status: "stuck", verified: false, passes: 1 });
+        assert.match(report.modules.find(entry => entry.name === "Members_UI").message, /none of its producers were republished after it/);
+        assert.equal(report.totals.stuck, 2);
+        assert.deepEqual(mock.state.publishes.map(publish => publish.moduleName),
+            ["Core_IS", "Members_CS", "Members_BL", "Members_UI", "Core_IS", "Members_CS"]);
+        assert.match(fs.readFileSync(path.join(temp.dir, "republish-report.xml"), "utf-8"), /failures="2"/);
+
+        // Without dependencies in the manifest, a module still in warning is not verified, but not stuck either
+        const fastScan = await runScript("outsystems-warning-scanner.js", ["--engine", "http", "--no-dependencies"], env);
+        assert.equal(fastScan.code, 0, fastScan.stderr);
+        const unordered = await runScript("outsystems-module-republisher.js", ["--engine", "http"], env);
+        assert.equal(unordered.code, 0, unordered.stderr);
+        report = readReport();
+        assert.deepEqual(outcome("Members_CS"), { status: "published", verified: false, passes: 1 });
+        assert.match(report.modules.find(entry => entry.name === "Members_UI").message, /did not read dependencies \(--no-dependencies\)/);
+        assert.equal(report.totals.stuck, 0);
+    } finally {
+        await mock.stop();
+        temp.cleanup();
+    }
+});
+
+test("a scan whose modules cannot be saved fails with exit code 1", { timeout: TEST_TIMEOUT }, async () => {
+    const mock = createMockServiceCenter({ publishDurationMs: 0 });
+    const temp = createTempDir();
+    try {
+        const env = mockEnvironment(await mock.start(), temp.dir);
+        // The manifest would go into a directory that is a file
+        fs.writeFileSync(path.join(temp.dir, "not-a-directory"), "");
+        const { code, stderr } = await runScript("outsystems-warning-scanner.js",
+            ["--engine", "http", "--no-dependencies", "--output", path.join(temp.dir, "not-a-directory", "sorted-modules.json")], env);
+        assert.equal(code, 1);
+        assert.match(stderr, /Error saving the partially scraped modules/);
+        assert.doesNotMatch(stderr, /UnhandledPromiseRejection|at async/);
+    } finally {
+        await mock.stop();
+        temp.cleanup();
+    }
+});
+
+test("the scan falls back to the browser when the HTTP engine cannot read a module page", { timeout: TEST_TIMEOUT }, async () => {
+    const mock = createMockServiceCenter({ modules: [{ id: 1, name: "Core_IS", status: "warning" }] });
+    const temp = createTempDir();
+    try {
+        const env = mockEnvironment(await mock.start(), temp.dir);
+        // The HTTP engine reads the eSpaces list, then finds neither the dependencies nor their tab
+        const selectorsFile = path.join(temp.dir, "selectors.json");
+        fs.writeFileSync(selectorsFile, JSON.stringify({ moduleDetail: { dependenciesPanel: "#missing", dependenciesTab: "a.missing" } }));
+        const { code, stdout, stderr } = await runScript("outsystems-warning-scanner.js", ["--engine", "http"], { ...env, SERVICE_CENTER_SELECTORS: selectorsFile });
+
+        assert.match(stderr, /Dependencies tab not found/);
+        assert.match(stdout + stderr, /Scanning again with the browser engine/);
+        assert.equal(fs.existsSync(path.join(temp.dir, "sorted-modules.partial.json")), false);
+        if (!(await canLaunchBrowser())) {
+            assert.equal(code, 1);
+            assert.equal(fs.existsSync(env.SORTED_MODULES_FILE), false);
+        }
+    } finally {
+        await mock.stop();
+        temp.cleanup();
+    }
+});
+
+test("a layer failing beyond --max-layer-failure stops the later layers", { timeout: TEST_TIMEOUT }, async () => {
+    const mock = createMockServiceCenter({
+        publishDurationMs: 0,
+        modules: [
+            { id: 1, name: "Core_IS", status: "warning", publishErrors: ["Reference to 'Legacy_IS' is broken"] },
+            { id: 2, name: "Members_CS", status: "warning", producers: ["Core_IS"] }
+        ]
+    });
+    const temp = createTempDir();
+    try {
+        const env = mockEnvironment(await mock.start(), temp.dir);
+        const scan = await runScript("outsystems-warning-scanner.js", ["--engine", "http"], env);
+        assert.equal(scan.code, 0, scan.stderr);
+        const readReport = () => JSON.parse(fs.readFileSync(path.join(temp.dir, "republish-report.json"), "utf-8"));
+
+        const halted = await runScript("outsystems-module-republisher.js", ["--engine", "http"], env);
+        assert.equal(halted.code, 1);
+        assert.match(halted.stderr, /Layer IS failure rate exceeds 50%\. Stopping before layers: CS/);
+        assert.equal(readReport().haltedAfterLayer, "IS");
+        assert.deepEqual(mock.state.publishes.map(publish => publish.moduleName), ["Core_IS"]);
+
+        const continued = await runScript("outsystems-module-republisher.js", ["--engine", "http", "--max-layer-failure", "1"], env);
+        assert.equal(continued.code, 1);
+        assert.equal(readReport().haltedAfterLayer, null);
+        assert.deepEqual(mock.state.publishes.map(publish => publish.moduleName), ["Core_IS", "Core_IS", "Members_CS"]);
+    } finally {
+        await mock.stop();
+        temp.cleanup();
+    }
+});
+
+test("named modules and the consumers of a module are looked up in Service Center and republished in order", { timeout: TEST_TIMEOUT }, async () => {
+    const mock = createMockServiceCenter({ publishDurationMs: 0 });
+    const temp = createTempDir();
+    try {
+        // No scan was run, so there is no manifest
+        const env = mockEnvironment(await mock.start(), temp.dir);
+        const targets = ["--engine", "http", "--with-consumers", "Members_BL", "--module", "theme_th"];
+
+        const dryRun = await runScript("outsystems-module-republisher.js", [...targets, "--dry-run"], env);
+        assert.equal(dryRun.code, 0, dryRun.stderr);
+        const { plan } = JSON.parse(fs.readFileSync(path.join(temp.dir, "republish-plan.json"), "utf-8"));
+        const actions = Object.fromEntries(plan.map(entry => [entry.name, entry.action]));
+        // Theme_TH and Admin_UI are not in warning, so they are skipped without --skip-warning-check
+        assert.deepEqual(actions, {
+            Theme_TH: "skip (not in warning)",
+            Members_BL: "publish",
+            Members_UI: "publish",
+            Admin_UI: "skip (not in warning)"
+        });
+        assert.deepEqual(plan.slice(0, 2).map(entry => entry.name), ["Theme_TH", "Members_BL"]);
+
+        const { code, stderr } = await runScript("outsystems-module-republisher.js", [...targets, "--skip-warning-check"], env);
+        assert.equal(code, 0, stderr);
+        const published = mock.state.publishes.map(publish => publish.moduleName);
+        assert.deepEqual(published.slice(0, 2), ["Theme_TH", "Members_BL"]);
+        assert.deepEqual([...published.slice(2)].sort(), ["Admin_UI", "Members_UI"]);
+        const report = JSON.parse(fs.readFileSync(path.join(temp.dir, "republish-report.json"), "utf-8"));
+        assert.deepEqual(report.modules.map(entry => entry.status).sort(),
+            ["published", "published", "published", "published-with-warnings"]);
+
+        const unknown = await runScript("outsystems-module-republisher.js", ["--engine", "http", "--module", "Missing_CS"], env);
+        assert.equal(unknown.code, 1);
+        assert.match(unknown.stderr, /Module\(s\) not found in Service Center: Missing_CS/);
+    } finally {
+        await mock.stop();
+        temp.cleanup();
+    }
+});
@@ -0,0 +1,86 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { loadEnvironmentsConfig, listEnvironments, resolveEnvironment } = require("../src/environment");
+const { createTempDir, runScript } = require("./helpers");
+
+const config = {
+    environments: {
+        dev: {},
+        prod: {
+            baseUrl: "https://{subdomain}.example.com",
+            serviceCenterHost: "prod-sc",
+            frontEndHosts: ["prod-coreap", "prod-coreos"],
+            credentials: { usernameVariable: "PROD_USER", passwordVariable: "PROD_PASSWORD" },
+            concurrency: 1,
+            maxWorkers: 2,
+            maxPublishes: 1,
+            maxPasses: 3
+        }
+    }
+};
+
+test("resolveEnvironment falls back to the single-environment defaults", () => {
+    const environment = resolveEnvironment("dev", config, { WODIFY_USERNAME: "user", WODIFY_PASSWORD: "secret" });
+    assert.deepEqual(environment, {
+        env: "dev",
+        username: "user",
+        password: "secret",
+        baseUrl: null,
+        serviceCenterHost: "devsc",
+        frontEndHosts: ["dev", "dev-coreap", "dev-clientapp", "dev-coreos", "devsc"],
+        concurrency: 2,
+        maxWorkers: null,
+        maxPublishes: 3,
+        maxPasses: 2
+    });
+});
+
+test("resolveEnvironment reads hosts, credentials and concurrency from the environment entry", () => {
+    const environment = resolveEnvironment("prod", config, { PROD_USER: "prod-user", PROD_PASSWORD: "prod-secret" });
+    assert.equal(environment.username, "prod-user");
+    assert.equal(environment.password, "prod-secret");
+    assert.equal(environment.baseUrl, "https://{subdomain}.example.com");
+    assert.equal(environment.serviceCenterHost, "prod-sc");
+    assert.deepEqual(environment.frontEndHosts, ["prod-coreap", "prod-coreos"]);
+    assert.equal(environment.concurrency, 1);
+    assert.equal(environment.maxWorkers, 2);
+    assert.equal(environment.maxPublishes, 1);
+    assert.equal(environment.maxPasses, 3);
+
+    assert.throws(() => resolveEnvironment("prod", config, { PROD_USER: "prod-user" }), /set PROD_PASSWORD/);
+    const invalid = { environments: { dev: { concurrency: 0 } } };
+    assert.throws(() => resolveEnvironment("dev", invalid, { WODIFY_USERNAME: "u", WODIFY_PASSWORD: "p" }), /Invalid concurrency/);
+    const noPublishes = { environments: { dev: { maxPublishes: 0 } } };
+    assert.throws(() => resolveEnvironment("dev", noPublishes, { WODIFY_USERNAME: "u", WODIFY_PASSWORD: "p" }), /Invalid maxPublishes/);
+});
+
+test("loadEnvironmentsConfig reads the environments file", () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const filePath = path.join(dir, "environments.json");
+        assert.equal(loadEnvironmentsConfig(filePath), null);
+
+        fs.writeFileSync(filePath, JSON.stringify(config));
+        assert.deepEqual(listEnvironments(loadEnvironmentsConfig(filePath)), ["dev", "prod"]);
+
+        fs.writeFileSync(filePath, JSON.stringify({ dev: {} }));
+        assert.throws(() => loadEnvironmentsConfig(filePath), /must contain an "environments" object/);
+    } finally {
+        cleanup();
+    }
+});
+
+test("run-environments refuses environments that are not configured", async () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const filePath = path.join(dir, "environments.json");
+        fs.writeFileSync(filePath, JSON.stringify(config));
+        const { code, stderr } = await runScript("run-environments.js", ["--env", "dev,staging"], { WODIFY_ENVIRONMENTS_FILE: filePath });
+        assert.equal(code, 1);
+        assert.match(stderr, /Unknown environment\(s\): staging/);
+    } finally {
+        cleanup();
+    }
+});
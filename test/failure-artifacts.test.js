@@ -0,0 +1,67 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createTempDir } = require("./helpers");
+const { getRunArtifactsDir, createArtifactRecorder } = require("../src/failure-artifacts");
+
+// Fake engine tab showing a module page with a console error
+const tab = {
+    captureState: async () => ({
+        url: "https://devsc.example.test/ServiceCenter/eSpace_Edit.aspx?eSpaceId=4",
+        html: "<html><body>Members_BL</body></html>",
+        screenshot: Buffer.from("png"),
+        consoleMessages: ["[error] Uncaught TypeError: x is undefined"],
+        requests: [{ method: "GET", url: "https://devsc.example.test/ServiceCenter/eSpace_Edit.aspx?eSpaceId=4", status: 200, startedAt: Date.parse("2026-03-01T08:00:00Z"), durationMs: 120 }]
+    })
+};
+
+test("getRunArtifactsDir gives every run its own folder next to the manifest", () => {
+    assert.equal(getRunArtifactsDir("runs/dev", "republish", new Date("2026-03-01T08:00:05.123Z")),
+        path.join("runs/dev", "artifacts", "2026-03-01T08-00-05-republish"));
+});
+
+test("a failure is saved as screenshot, HTML, console messages and HAR, named by module and step", async () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const runDir = path.join(dir, "artifacts", "run");
+        const recorder = createArtifactRecorder({ dir: runDir, reportDir: dir, trace: true });
+        assert.ok(!fs.existsSync(runDir));
+
+        const files = await recorder.capture(tab, { name: "Members_BL", step: "publish", error: new Error("Waiting for selector failed") });
+        assert.deepEqual(files, ["txt", "png", "html", "har"].map(extension => path.join("artifacts", "run", `Members_BL-publish.${extension}`)));
+
+        const text = fs.readFileSync(path.join(dir, files[0]), "utf-8");
+        assert.match(text, /Step: publish/);
+        assert.match(text, /Error: Waiting for selector failed/);
+        assert.match(text, /\[error\] Uncaught TypeError/);
+        const har = JSON.parse(fs.readFileSync(path.join(dir, files[3]), "utf-8"));
+        assert.equal(har.log.version, "1.2");
+        assert.deepEqual(har.log.entries.map(entry => [entry.request.method, entry.response.status, entry.time]), [["GET", 200, 120]]);
+
+        // The next failure of the same step gets a number, and the report links every file of the module
+        const again = await recorder.capture(tab, { name: "Members_BL", step: "publish", error: "Publish failed" });
+        assert.equal(path.basename(again[0]), "Members_BL-publish-2.txt");
+        assert.equal(recorder.filesFor("Members_BL").length, 8);
+        assert.deepEqual(recorder.list().map(entry => entry.error), ["Waiting for selector failed", "Publish failed"]);
+    } finally {
+        cleanup();
+    }
+});
+
+test("a tab that cannot be captured still gets the error saved, and no HAR without trace", async () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const recorder = createArtifactRecorder({ dir, reportDir: dir });
+        const closed = { captureState: async () => { throw new Error("Target closed"); } };
+        const files = await recorder.capture(closed, { name: "dev-coreap.example.test", step: "login", error: new Error("Login failed") });
+
+        assert.deepEqual(files, ["dev-coreap.example.test-login.txt"]);
+        assert.match(fs.readFileSync(path.join(dir, files[0]), "utf-8"), /Page state could not be captured: Target closed/);
+        assert.deepEqual((await recorder.capture(tab, { name: "Core IS/1", step: "open-module", error: "x" })).map(file => path.extname(file)),
+            [".txt", ".png", ".html"]);
+        assert.ok(fs.existsSync(path.join(dir, "Core-IS-1-open-module.png")));
+    } finally {
+        cleanup();
+    }
+});
@@ -0,0 +1,64 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const SRC_DIR = path.resolve(__dirname, "../src");
+
+// Create a temporary directory removed by the returned cleanup function
+function createTempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "os-republisher-test-"));
+    return { dir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Run one of the scripts in src/ as a child process
+ * @param {string} script - File name in src/
+ * @param {string[]} args - Command-line arguments
+ * @param {Object} env - Extra environment variables
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function runScript(script, args = [], env = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [path.join(SRC_DIR, script), ...args], {
+            env: { ...process.env, ...env },
+            stdio: ["ignore", "pipe", "pipe"]
+        });
+        let stdout = "";
+        let stderr = "";
+        child.stdout.on("data", chunk => { stdout += chunk; });
+        child.stderr.on("data", chunk => { stderr += chunk; });
+        child.on("error", reject);
+        child.on("close", code => resolve({ code, stdout, stderr }));
+    });
+}
+
+// Environment pointing the scripts at a fake Service Center
+function mockEnvironment(baseUrl, dir) {
+    return {
+        WODIFY_USERNAME: "admin",
+        WODIFY_PASSWORD: "secret",
+        WODIFY_ENV: "test",
+        WODIFY_BASE_URL: baseUrl,
+        SORTED_MODULES_FILE: path.join(dir, "sorted-modules.json"),
+        WODIFY_SESSION_FILE: path.join(dir, "sessions.json")
+    };
+}
+
+// Puppeteer needs a Chromium it can start; end-to-end tests are skipped without one
+async function canLaunchBrowser() {
+    try {
+        const browser = await require("puppeteer").launch({ headless: "new" });
+        await browser.close();
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+module.exports = {
+    createTempDir,
+    runScript,
+    mockEnvironment,
+    canLaunchBrowser
+};
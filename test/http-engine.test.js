@@ -0,0 +1,248 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { createTempDir, canLaunchBrowser } = require("./helpers");
+const { createMockServiceCenter, DEFAULT_USERNAME, DEFAULT_PASSWORD } = require("./mock-service-center/server");
+const { parseDocument, findElements, textOf, querySelectorAll, readForm } = require("../src/service-center/html");
+const { parseSetCookie, cookieMatchesUrl, createHttpClient } = require("../src/service-center/http-client");
+const httpPages = require("../src/service-center/http-pages");
+const { getSelectors, overrideSelectors, espacesListPage } = require("../src/service-center");
+const { DEFAULT_SELECTORS } = require("../src/service-center/selectors");
+const { createSessionManager } = require("../src/session-manager");
+const { ENGINES, openEngineSession } = require("../src/service-center/engines");
+
+const credentials = { username: DEFAULT_USERNAME, password: DEFAULT_PASSWORD };
+
+test("readForm posts hidden fields and selected options but no buttons, and ignores scripts", () => {
+    const document = parseDocument("https://sc.example.test/ServiceCenter/eSpaces_List.aspx?x=1", `
+<form method="post" action="eSpaces_List.aspx">
+    <input type="hidden" name="__VIEWSTATE" value="a&amp;b">
+    <select name="wt1$status"><option value="__ossli_0">(all)</option><option value="__ossli_2" selected>with warnings</option></select>
+    <input type="checkbox" name="wt1$unchecked">
+    <input type="submit" name="wt1$wtButton1" value="Filter">
+    <script>document.write('<input name="wt1$fromScript" value="x">');</script>
+</form>`);
+
+    assert.deepEqual(readForm(document), {
+        action: "https://sc.example.test/ServiceCenter/eSpaces_List.aspx",
+        fields: { "__VIEWSTATE": "a&b", "wt1$status": "__ossli_2" }
+    });
+});
+
+test("findElements returns the inner HTML of nested elements of the same name", () => {
+    const rows = findElements("<table><tr><td><table><tr><td>inner</td></tr></table></td></tr><tr><td>second</td></tr></table>", "tr");
+    assert.equal(rows.length, 3);
+    assert.match(rows[0].html, /<table><tr><td>inner<\/td><\/tr><\/table>/);
+    assert.equal(rows[2].html, "<td>second</td>");
+});
+
+test("querySelectorAll reads the selector forms of selectors.js", () => {
+    const html = `
+<div id="wt9_wtTabs_Content_wt1_wtListPlacholder"><table><tbody>
+    <tr><td>2</td><td></td><td></td><td><span class="osicon-tick text-success-4"></span></td><td><input name="a" value="Publish"></td></tr>
+    <tr><td>1</td><td><span class="osicon-tick text-success-4"></span></td><td></td><td></td><td><input name="b" value="Publish"></td></tr>
+</tbody></table></div>
+<table><tr class="steps-item-failed"><td>Deploy</td></tr></table>`;
+    const names = (selector) => querySelectorAll(html, selector).map(element => element.attributes.name || element.tagName);
+
+    assert.deepEqual(names("[id*='_wtTabs_Content_'][id$='_wtListPlacholder'] table tbody tr input[value='Publish']"), ["a", "b"]);
+    assert.equal(querySelectorAll(html, "td:nth-child(4) .osicon-tick.text-success-4").length, 1);
+    assert.deepEqual(names("tr.steps-item-error, tr.steps-item-failed"), ["tr"]);
+    assert.deepEqual(names("input[value=Publish][name^='b']"), ["b"]);
+    assert.deepEqual(names("tr::-p-text(Deploy) td"), ["td"]);
+    assert.equal(querySelectorAll(html, "#wt9_wtTabs_Content_wt1_wtListPlacholder tr").length, 2);
+    assert.throws(() => querySelectorAll(html, "tbody > tr"), /cannot read the selector "tbody > tr"/);
+});
+
+test("querySelectorAll returns an element inside nested matches once", () => {
+    const html = `
+<div class="panel"><div class="panel">
+    <table><tr><td>Outdated reference to Core_IS</td></tr></table>
+</div><table><tr><td>Broken reference to Billing_CS</td></tr></table></div>`;
+    assert.deepEqual(querySelectorAll(html, ".panel tr").map(row => textOf(row.html)),
+        ["Outdated reference to Core_IS", "Broken reference to Billing_CS"]);
+    assert.deepEqual(querySelectorAll(html, "div td, table td").map(cell => textOf(cell.html)),
+        ["Outdated reference to Core_IS", "Broken reference to Billing_CS"]);
+});
+
+test("selector overrides reach the HTTP engine", () => {
+    // An upgraded eSpaces list and module page with other IDs, icons and button text
+    const list = parseDocument("https://sc.example.test/ServiceCenter/eSpaces_List.aspx", `
+<table id="wt1_wtModulesTable"><tbody>
+    <tr><td><a class="link" href="eSpace_Edit.aspx?eSpaceId=7"><span data-name="espaceedit">Members_CS</span></a></td><td><img src="/img/Warning.png"></td></tr>
+</tbody></table>`);
+    const modulePage = parseDocument("https://sc.example.test/ServiceCenter/eSpace_Edit.aspx?eSpaceId=7", `
+<div id="wt1_wtTabs_Content_wt2_wtListPlacholder"><table><tbody>
+    <tr><td>3</td><td></td><td></td><td><span class="osicon-tick text-success-4"></span></td><td><input name="wt1$wtPublish" value="Publicar"></td></tr>
+</tbody></table></div>`);
+    assert.deepEqual(httpPages.readModuleRows(list), []);
+    assert.equal(httpPages.findPublishButton(modulePage), null);
+
+    overrideSelectors({
+        espacesList: { rows: "table[id$='_wtModulesTable'] tbody tr", warningIcon: "img[src*='Warning.png']" },
+        moduleDetail: { publishButton: "input[value='Publicar']" }
+    });
+    try {
+        assert.deepEqual(httpPages.readModuleRows(list), [{
+            url: "https://sc.example.test/ServiceCenter/eSpace_Edit.aspx?eSpaceId=7",
+            name: "Members_CS",
+            inWarning: true,
+            statusIcon: "warning",
+            lastPublished: null
+        }]);
+        assert.deepEqual(httpPages.findPublishButton(modulePage), { name: "wt1$wtPublish", value: "Publicar" });
+    } finally {
+        const { rows, warningIcon } = DEFAULT_SELECTORS.espacesList;
+        overrideSelectors({ espacesList: { rows, warningIcon }, moduleDetail: { publishButton: DEFAULT_SELECTORS.moduleDetail.publishButton } });
+    }
+});
+
+test("parseSetCookie reads the cookie attributes in the format the session manager stores", () => {
+    const url = "https://devsc.example.test/ServiceCenter/Login.aspx";
+    const session = parseSetCookie("ASP.NET_SessionId=abc; path=/; HttpOnly; Secure", url);
+    assert.deepEqual(session, {
+        name: "ASP.NET_SessionId", value: "abc", domain: "devsc.example.test", path: "/", expires: -1, httpOnly: true, secure: true
+    });
+    const shared = parseSetCookie("osVisitor=1; domain=example.test; max-age=3600", url);
+    assert.equal(shared.domain, ".example.test");
+    assert.equal(shared.path, "/ServiceCenter");
+    assert.ok(shared.expires > Date.now() / 1000);
+
+    assert.ok(cookieMatchesUrl(shared, "https://dev-coreap.example.test/ServiceCenter/Home.aspx"));
+    assert.ok(!cookieMatchesUrl(shared, "https://dev-coreap.example.test/Other/"));
+    assert.ok(!cookieMatchesUrl(session, "https://dev-coreap.example.test/ServiceCenter/"));
+    assert.ok(!cookieMatchesUrl(session, "http://devsc.example.test/ServiceCenter/"));
+});
+
+test("the HTTP pages log in, filter and page through the eSpaces list, and publish a module", async () => {
+    const mock = createMockServiceCenter({ pageSize: 3, publishDurationMs: 0 });
+    const baseUrl = await mock.start();
+    try {
+        const client = createHttpClient();
+        const serviceCenterUrl = `${baseUrl}/ServiceCenter/`;
+        await assert.rejects(httpPages.login(client, serviceCenterUrl, { ...credentials, password: "wrong" }), /Login to .* failed/);
+        await httpPages.login(client, serviceCenterUrl, credentials);
+        assert.equal(mock.state.logins, 1);
+
+        let document = await client.get(espacesListPage.getESpacesListUrl(serviceCenterUrl));
+        document = await httpPages.applyStatusFilter(client, document, getSelectors().espacesList.statusOptions.withErrorsAndWarnings);
+        const rows = [];
+        do {
+            assert.equal(httpPages.hasNoModules(document), false);
+            rows.push(...httpPages.readModuleRows(document));
+        } while ((document = await httpPages.goToNextPage(client, document)));
+        assert.equal(rows.length, mock.state.modules.filter(module => module.status !== "ok").length);
+        assert.deepEqual(rows.find(row => row.name === "Billing_BL"), {
+            url: `${baseUrl}/ServiceCenter/eSpace_Edit.aspx?eSpaceId=6`,
+            name: "Billing_BL",
+            inWarning: false,
+            statusIcon: "error",
+            lastPublished: "2026-01-01 10:00"
+        });
+
+        const moduleDocument = await client.get(rows.find(row => row.name === "Members_BL").url);
+        assert.equal(httpPages.isModuleInWarning(moduleDocument), true);
+        assert.deepEqual(httpPages.readDependencies(moduleDocument), { producers: ["Members_CS", "Core_IS"], consumers: ["Members_UI", "Admin_UI"] });
+        assert.deepEqual(httpPages.readMessages(moduleDocument), [
+            { severity: "warning", text: "Module references outdated elements of producer 'Members_CS'" },
+            { severity: "warning", text: "Module references outdated elements of producer 'Core_IS'" }
+        ]);
+
+        // Only the Publish button of the published version is used
+        const button = httpPages.findPublishButton(moduleDocument);
+        assert.match(button.name, /\$ctl00\$wtPublish$/);
+        const progress = await httpPages.clickPublish(client, moduleDocument, button);
+        const state = await httpPages.waitForPublishOutcome(client, progress);
+        assert.equal(state.failed, false);
+        assert.deepEqual(state.warnings, ["Deprecated action GetMember used"]);
+        assert.equal(mock.state.modules.find(module => module.name === "Members_BL").status, "ok");
+        assert.deepEqual(httpPages.readMessages(await client.get(moduleDocument.url)), []);
+    } finally {
+        await mock.stop();
+    }
+});
+
+test("HTTP clients share the session manager's login and log in again when it expires", async () => {
+    const { dir, cleanup } = createTempDir();
+    const mock = createMockServiceCenter();
+    const baseUrl = await mock.start();
+    try {
+        const filePath = path.join(dir, "sessions.json");
+        const listUrl = `${baseUrl}/ServiceCenter/eSpaces_List.aspx`;
+        const sessions = createSessionManager({ environment: "test", credentials, filePath });
+
+        const documents = await Promise.all([
+            sessions.openDocument(createHttpClient(), listUrl),
+            sessions.openDocument(createHttpClient(), listUrl)
+        ]);
+        assert.ok(documents.every(document => !httpPages.isLoginForm(document) && document.url === listUrl));
+        assert.equal(mock.state.logins, 1);
+
+        // The next run reuses the stored cookies
+        const nextRun = createSessionManager({ environment: "test", credentials, filePath });
+        await nextRun.openDocument(createHttpClient(), listUrl);
+        assert.equal(mock.state.logins, 1);
+
+        mock.expireSessions();
+        await nextRun.openDocument(createHttpClient(), listUrl);
+        assert.equal(mock.state.logins, 2);
+        assert.deepEqual(nextRun.stats, { logins: 1, loginFailures: 0, expiredSessions: 1 });
+    } finally {
+        await mock.stop();
+        cleanup();
+    }
+});
+
+test("both engines read the same module pages alike", async (t) => {
+    const { dir, cleanup } = createTempDir();
+    // The Dependencies tab comes with a postback of its link, as in Service Center
+    const mock = createMockServiceCenter({
+        dependenciesOnPostBack: true,
+        modules: [
+            { id: 1, name: "Core_IS", status: "warning" },
+            // In error, with a warning among its messages: the module status is not a warning
+            { id: 2, name: "Billing_CS", status: "error", producers: ["Core_IS"], messages: [
+                { severity: "warning", text: "Module references outdated elements of producer 'Core_IS'" },
+                { severity: "error", text: "Reference to producer 'Legacy_IS' is broken" }
+            ] },
+            { id: 3, name: "Theme_TH", status: "ok" }
+        ]
+    });
+    const baseUrl = await mock.start();
+    try {
+        const engines = (await canLaunchBrowser()) ? Object.keys(ENGINES) : ["http"];
+        if (engines.length === 1) {
+            t.diagnostic("Chromium cannot be launched, only the HTTP engine is checked");
+        }
+        const readings = {};
+        for (const engine of engines) {
+            const sessionManager = createSessionManager({ environment: "test", credentials, filePath: path.join(dir, `${engine}-sessions.json`) });
+            const session = await openEngineSession(engine, { sessionManager });
+            try {
+                const tab = await session.openTab();
+                readings[engine] = [];
+                for (const module of mock.state.modules) {
+                    await tab.openPage(`${baseUrl}/ServiceCenter/eSpace_Edit.aspx?eSpaceId=${module.id}`);
+                    readings[engine].push({
+                        name: module.name,
+                        inWarning: await tab.isModuleInWarning(),
+                        messages: (await tab.readMessages()).length,
+                        dependencies: await tab.readDependencies()
+                    });
+                }
+            } finally {
+                await session.close();
+            }
+        }
+
+        assert.deepEqual(readings.http, [
+            { name: "Core_IS", inWarning: true, messages: 1, dependencies: { producers: [], consumers: ["Billing_CS"] } },
+            { name: "Billing_CS", inWarning: false, messages: 2, dependencies: { producers: ["Core_IS"], consumers: [] } },
+            { name: "Theme_TH", inWarning: false, messages: 0, dependencies: { producers: [], consumers: [] } }
+        ]);
+        engines.forEach(engine => assert.deepEqual(readings[engine], readings.http, `${engine} engine`));
+    } finally {
+        await mock.stop();
+        cleanup();
+    }
+});
@@ -0,0 +1,25 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { PROCESSING_HIERARCHY, parseRequestedLayers, filterModulesByRequestedLayers } = require("../src/layers");
+
+test("parseRequestedLayers returns null without arguments", () => {
+    assert.equal(parseRequestedLayers([]), null);
+});
+
+test("parseRequestedLayers matches layers case-insensitively and keeps hierarchy spelling", () => {
+    assert.deepEqual(parseRequestedLayers(["os, ui ,Sbl"]), ["OS", "UI", "SBL"]);
+});
+
+test("parseRequestedLayers ignores unknown layers and falls back to all layers", () => {
+    assert.deepEqual(parseRequestedLayers(["OS,FOO"]), ["OS"]);
+    assert.equal(parseRequestedLayers(["FOO,BAR"]), null);
+});
+
+test("filterModulesByRequestedLayers keeps only the requested suffixes", () => {
+    const modules = PROCESSING_HIERARCHY.map(suffix => ({ name: `Module_${suffix}`, suffix }));
+    assert.equal(filterModulesByRequestedLayers(modules, null), modules);
+    assert.deepEqual(
+        filterModulesByRequestedLayers(modules, ["CS", "UI"]).map(module => module.name),
+        ["Module_CS", "Module_UI"]
+    );
+});
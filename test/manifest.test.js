@@ -0,0 +1,88 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createTempDir } = require("./helpers");
+const {
+    ManifestError,
+    resolveManifestPath,
+    getPartialManifestPath,
+    createManifest,
+    validateManifest,
+    writeManifest,
+    readManifest,
+    countModules
+} = require("../src/manifest");
+
+const scannedAt = new Date("2026-03-01T08:00:00Z");
+const modules = [
+    { url: "https://devsc.wodify.com/ServiceCenter/eSpace_Edit.aspx?eSpaceId=1", name: "Core_IS", suffix: "IS", statusIcon: "warning", lastPublished: "2026-01-01 10:00",
+        messages: [{ severity: "warning", category: "outdated-reference", text: "Module has outdated references" }] },
+    { url: "https://devsc.wodify.com/ServiceCenter/eSpace_Edit.aspx?eSpaceId=2", name: "Members_CS", suffix: "CS", statusIcon: "warning", lastPublished: null, dependsOn: ["Core_IS"], dependencyLevel: 1 }
+];
+const discovery = { mode: "warnings", statusFilter: "withErrorsAndWarnings", namesFile: null };
+const manifest = () => createManifest({ environment: "dev", discovery, layers: ["IS", "CS"], modules, scannedAt });
+const hoursLater = (hours) => new Date(scannedAt.getTime() + hours * 3600000);
+
+afterEach(() => {
+    delete process.env.SORTED_MODULES_FILE;
+});
+
+test("resolveManifestPath gives the scanner and the republisher the same path", () => {
+    assert.equal(resolveManifestPath(), path.resolve(__dirname, "../src/sorted-modules.json"));
+    assert.equal(resolveManifestPath(null, "prod"), path.resolve(__dirname, "../src/runs/prod/sorted-modules.json"));
+    assert.equal(resolveManifestPath("out/modules.json", "prod"), path.resolve("out/modules.json"));
+    process.env.SORTED_MODULES_FILE = "shared/sorted-modules.json";
+    assert.equal(resolveManifestPath(null, "prod"), path.resolve("shared/sorted-modules.json"));
+});
+
+test("a partial scan is saved next to the manifest, not over it", () => {
+    assert.equal(getPartialManifestPath(path.resolve("runs/prod/sorted-modules.json")), path.resolve("runs/prod/sorted-modules.partial.json"));
+    assert.equal(getPartialManifestPath(path.resolve("modules")), path.resolve("modules.partial"));
+});
+
+test("createManifest records the scan and validates against the schema", () => {
+    const created = manifest();
+    assert.equal(created.version, 1);
+    assert.equal(created.scannedAt, "2026-03-01T08:00:00.000Z");
+    assert.equal(created.complete, true);
+    assert.deepEqual(validateManifest(created), []);
+    assert.equal(createManifest({ environment: "dev", discovery, layers: null, modules: [] }).layers, "all");
+
+    assert.match(validateManifest(modules)[0], /plain module list from an older scanner/);
+    assert.match(validateManifest({ ...created, version: 2 })[0], /manifest version 2 is not supported/);
+    assert.deepEqual(validateManifest({
+        ...created,
+        environment: "",
+        discovery: { ...discovery, mode: "stale" },
+        modules: [{ ...modules[0], suffix: "XX", statusIcon: "red", messages: [{ severity: "info", text: "Published" }] }, "Members_CS"]
+    }), [
+        "environment must be an environment name",
+        "discovery.mode must be one of warnings, outdated, errors, all, names",
+        "modules[0].suffix must be one of IS, LS, TH, CS, BL, SBL, OS, API, AP, CW, UI",
+        "modules[0].statusIcon must be one of warning, error, ok",
+        "modules[0].messages must be a list of messages with a severity, a category and a text",
+        "modules[1] is not an object"
+    ]);
+});
+
+test("readManifest refuses manifests from another environment or older than allowed", () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const filePath = path.join(dir, "runs", "dev", "sorted-modules.json");
+        writeManifest(filePath, manifest());
+
+        assert.deepEqual(readManifest(filePath, { environment: "dev", maxAgeHours: 24, now: hoursLater(23) }).modules, modules);
+        assert.throws(() => readManifest(filePath, { environment: "prod" }), /scanned in environment "dev", not "prod"/);
+        assert.throws(() => readManifest(filePath, { environment: "dev", maxAgeHours: 24, now: hoursLater(30) }),
+            /scanned 30.0 hours ago .* more than the 24 hours allowed/);
+        assert.equal(countModules(filePath), 2);
+
+        fs.writeFileSync(filePath, JSON.stringify(modules));
+        assert.throws(() => readManifest(filePath), ManifestError);
+        assert.equal(countModules(filePath), null);
+        assert.equal(countModules(path.join(dir, "missing.json")), null);
+    } finally {
+        cleanup();
+    }
+});
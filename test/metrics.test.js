@@ -0,0 +1,148 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createTempDir } = require("./helpers");
+const {
+    createRegistry,
+    writeTextfile,
+    collectTextfile,
+    recordScan,
+    createPublishMetrics,
+    recordCycle,
+    restoreLastSuccess
+} = require("../src/metrics");
+
+test("counters, gauges and histograms are rendered in the Prometheus text format", () => {
+    const registry = createRegistry();
+    const publishes = registry.counter("test_publishes_total", "Publishes");
+    publishes.inc({ environment: "dev" });
+    publishes.inc({ environment: "dev" }, 2);
+    registry.gauge("test_modules", "Modules\nin warning").set({ environment: "say \"prod\"" }, 4);
+    const duration = registry.histogram("test_duration_seconds", "Duration", [1, 5]);
+    duration.observe({}, 3);
+    duration.observe({}, 7);
+
+    assert.equal(registry.render(), [
+        "# HELP test_publishes_total Publishes",
+        "# TYPE test_publishes_total counter",
+        "test_publishes_total{environment=\"dev\"} 3",
+        "# HELP test_modules Modules\\nin warning",
+        "# TYPE test_modules gauge",
+        "test_modules{environment=\"say \\\"prod\\\"\"} 4",
+        "# HELP test_duration_seconds Duration",
+        "# TYPE test_duration_seconds histogram",
+        "test_duration_seconds_bucket{le=\"1\"} 0",
+        "test_duration_seconds_bucket{le=\"5\"} 1",
+        "test_duration_seconds_bucket{le=\"+Inf\"} 2",
+        "test_duration_seconds_sum 10",
+        "test_duration_seconds_count 2",
+        ""
+    ].join("\n"));
+    assert.throws(() => registry.gauge("test_publishes_total", "Publishes"), /is a counter, not a gauge/);
+});
+
+test("merging another run adds up counters and histograms and takes the new gauge values", () => {
+    const run = () => {
+        const registry = createRegistry();
+        registry.counter("test_publishes_total", "Publishes").inc({ environment: "dev" });
+        registry.histogram("test_duration_seconds", "Duration", [1, 5]).observe({ environment: "dev" }, 2);
+        return registry;
+    };
+    const first = run();
+    first.gauge("test_modules", "Modules").set({ environment: "dev" }, 4);
+    const second = run();
+    second.gauge("test_modules", "Modules").set({ environment: "dev" }, 1);
+
+    const totals = createRegistry();
+    totals.merge(first.render());
+    totals.merge(second.render());
+    const rendered = totals.render();
+    assert.match(rendered, /^test_publishes_total\{environment="dev"\} 2$/m);
+    assert.match(rendered, /^test_duration_seconds_bucket\{environment="dev",le="5"\} 2$/m);
+    assert.match(rendered, /^test_duration_seconds_sum\{environment="dev"\} 4$/m);
+    assert.match(rendered, /^test_modules\{environment="dev"\} 1$/m);
+    assert.match(rendered, /^# TYPE test_duration_seconds histogram$/m);
+});
+
+test("a textfile is written whole, and collected once", () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const filePath = path.join(dir, "collector", "republish.prom");
+        const registry = createRegistry();
+        registry.counter("test_publishes_total", "Publishes").inc();
+        writeTextfile(registry, filePath);
+        assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ["republish.prom"]);
+
+        const totals = createRegistry();
+        assert.equal(collectTextfile(totals, filePath), true);
+        assert.equal(collectTextfile(totals, filePath), false);
+        assert.equal(fs.existsSync(filePath), false);
+        assert.match(totals.render(), /^test_publishes_total 1$/m);
+    } finally {
+        cleanup();
+    }
+});
+
+test("recordScan counts the modules in warning of every scanned layer but not those in error, and a failed scan only as failed", () => {
+    const registry = createRegistry();
+    recordScan(registry, {
+        environment: "dev",
+        layers: ["CS", "BL"],
+        durationMs: 90000,
+        modules: [
+            { name: "Members_CS", suffix: "CS", statusIcon: "warning" },
+            { name: "Billing_CS", suffix: "CS", statusIcon: "error" },
+            { name: "Theme_CS", suffix: "CS", statusIcon: "ok" }
+        ]
+    });
+    recordScan(registry, { environment: "dev", layers: ["CS", "BL"], durationMs: 1000, modules: null });
+
+    const rendered = registry.render();
+    assert.match(rendered, /^os_republisher_scans_total\{environment="dev",result="complete"\} 1$/m);
+    assert.match(rendered, /^os_republisher_scans_total\{environment="dev",result="failed"\} 1$/m);
+    assert.match(rendered, /^os_republisher_modules_in_warning\{environment="dev",layer="CS"\} 1$/m);
+    assert.match(rendered, /^os_republisher_modules_in_warning\{environment="dev",layer="BL"\} 0$/m);
+    assert.match(rendered, /^os_republisher_scan_duration_seconds_bucket\{environment="dev",le="60"\} 0$/m);
+    assert.match(rendered, /^os_republisher_scan_duration_seconds_count\{environment="dev"\} 1$/m);
+});
+
+test("publish metrics start at zero and count attempts, outcomes and retries", () => {
+    const registry = createRegistry();
+    const publishes = createPublishMetrics(registry, "dev");
+    assert.match(registry.render(), /^os_republisher_publishes_failed_total\{environment="dev"\} 0$/m);
+    assert.match(registry.render(), /^os_republisher_retries_total\{environment="dev",kind="requeue"\} 0$/m);
+
+    publishes.attempted();
+    publishes.finished(true, 45000);
+    publishes.attempted();
+    publishes.finished(false, 5000);
+    publishes.retried("navigation");
+    publishes.retried("requeue", 2);
+
+    const rendered = registry.render();
+    assert.match(rendered, /^os_republisher_publishes_attempted_total\{environment="dev"\} 2$/m);
+    assert.match(rendered, /^os_republisher_publishes_succeeded_total\{environment="dev"\} 1$/m);
+    assert.match(rendered, /^os_republisher_publishes_failed_total\{environment="dev"\} 1$/m);
+    assert.match(rendered, /^os_republisher_retries_total\{environment="dev",kind="navigation"\} 1$/m);
+    assert.match(rendered, /^os_republisher_retries_total\{environment="dev",kind="requeue"\} 2$/m);
+    assert.match(rendered, /^os_republisher_publish_duration_seconds_bucket\{environment="dev",le="10"\} 1$/m);
+    assert.match(rendered, /^os_republisher_publish_duration_seconds_sum\{environment="dev"\} 50$/m);
+});
+
+test("the last successful cycle comes from the cycles that succeeded or found nothing, also from the history", () => {
+    const registry = createRegistry();
+    restoreLastSuccess(registry, [
+        { environment: "prod", status: "failed", finishedAt: "2026-03-03T08:00:00.000Z" },
+        { environment: "prod", status: "no-modules", finishedAt: "2026-03-02T08:00:00.000Z" },
+        { environment: "prod", status: "succeeded", finishedAt: "2026-03-01T08:00:00.000Z" }
+    ]);
+    assert.match(registry.render(), /^os_republisher_last_successful_cycle_timestamp_seconds\{environment="prod"\} 1772438400$/m);
+
+    recordCycle(registry, { environment: "prod", status: "failed", finishedAt: "2026-03-04T08:00:00.000Z" });
+    recordCycle(registry, { environment: "prod", status: "succeeded", finishedAt: "2026-03-05T08:00:00.000Z" });
+    const rendered = registry.render();
+    assert.match(rendered, /^os_republisher_cycles_total\{environment="prod",status="failed"\} 1$/m);
+    assert.match(rendered, /^os_republisher_cycles_total\{environment="prod",status="succeeded"\} 1$/m);
+    assert.match(rendered, /^os_republisher_last_successful_cycle_timestamp_seconds\{environment="prod"\} 1772697600$/m);
+});
@@ -0,0 +1,68 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMockServiceCenter, DEFAULT_USERNAME, DEFAULT_PASSWORD } = require("./mock-service-center/server");
+
+let mock;
+let baseUrl;
+
+before(async () => {
+    mock = createMockServiceCenter({ publishDurationMs: 0 });
+    baseUrl = await mock.start();
+});
+
+after(() => mock.stop());
+
+async function login() {
+    const loginPage = await (await fetch(`${baseUrl}/ServiceCenter/`)).text();
+    const viewState = loginPage.match(/name="__VIEWSTATE" id="__VIEWSTATE" value="([^"]+)"/)[1];
+    const response = await fetch(`${baseUrl}/ServiceCenter/`, {
+        method: "POST",
+        redirect: "manual",
+        body: new URLSearchParams({
+            __VIEWSTATE: viewState,
+            "wt89$wtContentRight$wtInput1": DEFAULT_USERNAME,
+            "wt89$wtContentRight$wtInputPass1": DEFAULT_PASSWORD
+        })
+    });
+    assert.equal(response.status, 302);
+    return response.headers.get("set-cookie").split(";")[0];
+}
+
+test("pages other than login redirect to the login form without a session", async () => {
+    const response = await fetch(`${baseUrl}/ServiceCenter/eSpaces_List.aspx`, { redirect: "manual" });
+    assert.equal(response.status, 302);
+    assert.match(response.headers.get("location"), /^\/ServiceCenter\/\?OriginalURL=/);
+});
+
+test("the eSpaces list filters on status and pages through the modules", async () => {
+    const cookie = await login();
+    const firstPage = await (await fetch(`${baseUrl}/ServiceCenter/eSpaces_List.aspx?ajax=1&status=__ossli_2&page=0`, { headers: { cookie } })).text();
+    const lastPage = await (await fetch(`${baseUrl}/ServiceCenter/eSpaces_List.aspx?ajax=1&status=__ossli_2&page=1`, { headers: { cookie } })).text();
+
+    assert.match(firstPage, /Core_IS/);
+    assert.doesNotMatch(firstPage, /Theme_TH/);
+    assert.doesNotMatch(firstPage, /wtLink9" href="#" data-page="1" disabled/);
+    assert.match(lastPage, /wtLink9" href="#" data-page="2" disabled/);
+});
+
+test("publishing a module clears its warning", async () => {
+    const cookie = await login();
+    const modulePage = await (await fetch(`${baseUrl}/ServiceCenter/eSpace_Edit.aspx?eSpaceId=1`, { headers: { cookie } })).text();
+    assert.match(modulePage, /Icon_Warning\.svg/);
+
+    const viewState = modulePage.match(/name="__VIEWSTATE" id="__VIEWSTATE" value="([^"]+)"/)[1];
+    const publishResponse = await fetch(`${baseUrl}/ServiceCenter/eSpace_Edit.aspx?eSpaceId=1`, {
+        method: "POST",
+        redirect: "manual",
+        headers: { cookie },
+        body: new URLSearchParams({
+            __VIEWSTATE: viewState,
+            "wt1482$wtContentMain$wt908$wtTabs_Content$wt1152$wtContent$wt1120$wtListPlacholder$ctl00$wtPublish": "Publish"
+        })
+    });
+    assert.equal(publishResponse.status, 302);
+
+    const progress = await (await fetch(`${baseUrl}${publishResponse.headers.get("location")}`, { headers: { cookie } })).text();
+    assert.match(progress, /Feedback_Message_Success/);
+    assert.equal(mock.state.modules.find(module => module.id === 1).status, "ok");
+});
@@ -0,0 +1,554 @@
+/*
+ * Local fake Service Center for tests and for trying the scripts without a real environment.
+ * It serves the pages the scanner and the republisher use, with the same element IDs and structure:
+ * the login form, eSpaces_List.aspx with status filter and AJAX paging, the module detail page with
+ * its status messages, versions table, Publish button and Dependencies tab, and the publish progress page.
+ *
+ * Run it on its own with: node test/mock-service-center/server.js [port]
+ * then point the scripts at it with WODIFY_BASE_URL=http://127.0.0.1:<port>
+ */
+const http = require("http");
+const crypto = require("crypto");
+const path = require("path");
+
+const FIXTURE_MODULES = require("./fixtures/modules.json");
+
+const DEFAULT_USERNAME = "admin";
+const DEFAULT_PASSWORD = "secret";
+const SESSION_COOKIE = "ASP.NET_SessionId";
+
+// Status filter options of the eSpaces list, as in Service Center
+const STATUS_OPTIONS = [
+    { value: "__ossli_0", text: "(all)", matches: () => true },
+    { value: "__ossli_1", text: "with errors", matches: module => module.status === "error" },
+    { value: "__ossli_2", text: "with errors and warnings", matches: module => module.status !== "ok" },
+    { value: "__ossli_3", text: "with outdated references", matches: module => module.status === "warning" }
+];
+
+const ICON_SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16"><circle cx="8" cy="8" r="7"/></svg>';
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+// Hidden ASP.NET postback fields rendered in every form
+function viewStateFields(viewState) {
+    return `<input type="hidden" name="__EVENTTARGET" value="">
+<input type="hidden" name="__EVENTARGUMENT" value="">
+<input type="hidden" name="__VIEWSTATE" id="__VIEWSTATE" value="${escapeHtml(viewState)}">`;
+}
+
+function layout(title, body) {
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)} - Service Center</title></head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function renderLoginPage(viewState, search, message) {
+    return layout("Login", `
+<form method="post" action="/ServiceCenter/${escapeHtml(search)}" id="WebForm1">
+${viewStateFields(viewState)}
+<div id="wt89_wtContentRight">
+    ${message ? `<div class="Feedback_Message_Error">${escapeHtml(message)}</div>` : ""}
+    <input type="text" name="wt89$wtContentRight$wtInput1" id="wt89_wtContentRight_wtInput1">
+    <input type="password" name="wt89$wtContentRight$wtInputPass1" id="wt89_wtContentRight_wtInputPass1">
+    <input type="submit" name="wt89$wtContentRight$wt59$wtColumnsItems$wt33$wtContent$wtButton1"
+        id="wt89_wtContentRight_wt59_wtColumnsItems_wt33_wtContent_wtButton1" value="Login">
+</div>
+</form>`);
+}
+
+function renderHomePage() {
+    return layout("Home", `
+<h1>Service Center</h1>
+<a href="/ServiceCenter/eSpaces_List.aspx">Modules</a>`);
+}
+
+function statusIcon(module) {
+    if (module.status === "warning") {
+        return '<img src="/ServiceCenter/img/Icon_Warning.svg" alt="Warning">';
+    }
+    if (module.status === "error") {
+        return '<img src="/ServiceCenter/img/Icon_Error.svg" alt="Error">';
+    }
+    return '<img src="/ServiceCenter/img/Icon_Ok.svg" alt="OK">';
+}
+
+// Messages listed under the module status: the module's own "messages", else one per producer for its status
+function statusMessages(module) {
+    if (module.status === "ok") {
+        return [];
+    }
+    if (module.messages) {
+        return module.messages;
+    }
+    const severity = module.status === "error" ? "error" : "warning";
+    const describe = severity === "error"
+        ? (producer) => `Reference to producer '${producer}' is broken`
+        : (producer) => `Module references outdated elements of producer '${producer}'`;
+    return module.producers.length > 0
+        ? module.producers.map(producer => ({ severity, text: describe(producer) }))
+        : [{ severity, text: severity === "error" ? "Module has errors" : "Module has outdated references" }];
+}
+
+// The part of the eSpaces list that is refreshed by filtering and paging
+function renderModuleList(modules, pageIndex, pageSize) {
+    if (modules.length === 0) {
+        return '<span id="wt150_wtContentMain_wt101_wtTitle">No Modules to show</span>';
+    }
+
+    const pageCount = Math.ceil(modules.length / pageSize);
+    const rows = modules.slice(pageIndex * pageSize, (pageIndex + 1) * pageSize).map(module => `
+        <tr>
+            <td><a class="link" href="/ServiceCenter/eSpace_Edit.aspx?eSpaceId=${module.id}"><span data-name="espaceedit">${escapeHtml(module.name)}</span></a></td>
+            <td>${statusIcon(module)}</td>
+            <td data-name="lastpublished">${escapeHtml(module.lastPublished)}</td>
+        </tr>`).join("");
+    const lastPage = pageIndex >= pageCount - 1;
+
+    return `
+<span id="wt150_wtContentMain_wt101_wtTitle">${modules.length} Modules</span>
+<div id="wt150_wtContentMain_wt45_wtTopLinksPlaceholderRight">
+    <span>Page ${pageIndex + 1} of ${pageCount}</span>
+    <a id="wt150_wtContentMain_wt45_wtTopLinksPlaceholderRight_wtLink9" href="#" data-page="${pageIndex + 1}"${lastPage ? " disabled" : ""}>Next</a>
+</div>
+<table id="wt150_wtContentMain_wt45_wtListPlacholder_wtListEspaces">
+    <thead><tr><th>Name</th><th>Status</th><th>Last Published</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+</table>`;
+}
+
+function renderESpacesListPage(modules, status, pageIndex, pageSize, viewState) {
+    const prefix = "wt150_wtContentMain_wtFilters_wt7_wtColumnsItems_wt8_wtContent_wtContentColumn3";
+    const options = STATUS_OPTIONS.map(option =>
+        `<option value="${option.value}"${option.value === status ? " selected" : ""}>${escapeHtml(option.text)}</option>`).join("");
+    const choices = STATUS_OPTIONS.map(option =>
+        `<div class="choices__item choices__item--choice" data-value="${option.value}">${escapeHtml(option.text)}</div>`).join("");
+
+    return layout("Modules", `
+<form method="post" action="/ServiceCenter/eSpaces_List.aspx" id="WebForm1">
+${viewStateFields(viewState)}
+<div id="wt150_wtContentMain_wtFilters">
+    <div id="${prefix}_wtStatusComboBox" class="choices">
+        <select id="${prefix}_wtSelectStatus_WithDeploy" name="wt150$wtContentMain$wtFilters$wt7$wtColumnsItems$wt8$wtContent$wtContentColumn3$wtSelectStatus_WithDeploy" style="display: none">${options}</select>
+        <div class="choices__inner">Status</div>
+        <div class="choices__list--dropdown" style="display: none">${choices}</div>
+    </div>
+    <input type="submit" id="wt150_wtContentMain_wtFilters_wt7_wtColumnsItems_wt1_wtContent_wtContentColumn5_wtButton1"
+        name="wt150$wtContentMain$wtFilters$wt7$wtColumnsItems$wt1$wtContent$wtContentColumn5$wtButton1" value="Filter">
+</div>
+<div id="wt150_wtContentMain_wt45_wtListPlacholder">
+${renderModuleList(modules, pageIndex, pageSize)}
+</div>
+</form>
+<script>
+(function () {
+    var comboBox = document.getElementById("${prefix}_wtStatusComboBox");
+    var select = document.getElementById("${prefix}_wtSelectStatus_WithDeploy");
+    var dropdown = comboBox.querySelector(".choices__list--dropdown");
+    var list = document.getElementById("wt150_wtContentMain_wt45_wtListPlacholder");
+
+    function refresh(pageIndex) {
+        var url = "/ServiceCenter/eSpaces_List.aspx?ajax=1&status=" + encodeURIComponent(select.value) + "&page=" + pageIndex;
+        return fetch(url, { credentials: "same-origin" })
+            .then(function (response) { return response.text(); })
+            .then(function (html) { list.innerHTML = html; });
+    }
+
+    comboBox.addEventListener("click", function (event) {
+        var choice = event.target.closest(".choices__item--choice");
+        if (choice) {
+            select.value = choice.getAttribute("data-value");
+            dropdown.style.display = "none";
+        } else {
+            dropdown.style.display = dropdown.style.display === "none" ? "block" : "none";
+        }
+    });
+
+    document.getElementById("wt150_wtContentMain_wtFilters_wt7_wtColumnsItems_wt1_wtContent_wtContentColumn5_wtButton1")
+        .addEventListener("click", function (event) {
+            event.preventDefault();
+            refresh(0);
+        });
+
+    list.addEventListener("click", function (event) {
+        var next = event.target.closest("#wt150_wtContentMain_wt45_wtTopLinksPlaceholderRight_wtLink9");
+        if (next) {
+            event.preventDefault();
+            if (!next.hasAttribute("disabled")) {
+                refresh(Number(next.getAttribute("data-page")));
+            }
+        }
+    });
+})();
+</script>`);
+}
+
+/**
+ * Module detail page
+ * @param {Object} module - Module shown
+ * @param {Array} modules - Every module, for the Dependencies tab
+ * @param {string} viewState - Viewstate of the form
+ * @param {string} [dependencies] - "hidden": the Dependencies tab is on the page and shown by a click; "postback": its link
+ *     posts the form back, and the tab is only on the page then; "shown": the page after that postback
+ */
+function renderModulePage(module, modules, viewState, dependencies = "hidden") {
+    const producers = module.producers
+        .map(name => modules.find(candidate => candidate.name === name))
+        .filter(Boolean);
+    const consumers = modules.filter(candidate => candidate.producers.includes(module.name));
+    const moduleLinks = (list) => list.map(item =>
+        `<li><a href="/ServiceCenter/eSpace_Edit.aspx?eSpaceId=${item.id}">${escapeHtml(item.name)}</a></li>`).join("");
+    const statusText = { ok: "Up to date", warning: "Outdated references", error: "Errors" }[module.status];
+
+    return layout(module.name, `
+<form method="post" action="/ServiceCenter/eSpace_Edit.aspx?eSpaceId=${module.id}" id="WebForm1">
+${viewStateFields(viewState)}
+<h1>${escapeHtml(module.name)}</h1>
+<label id="wt1482_wtContentTop_wt65_wtColumnsItems_wt858_wtContent_wtStatus">${module.status === "warning" ? statusIcon(module) : ""} ${statusText}</label>
+<table id="wt1482_wtContentTop_wt65_wtColumnsItems_wt858_wtContent_wtStatusMessages">${statusMessages(module).map(message =>
+        `<tr><td>${statusIcon({ status: message.severity })}</td><td>${escapeHtml(message.text)}</td></tr>`).join("")}</table>
+<div id="wt1482_wtContentMain_wt908_wtTabs_Header">
+    <a href="#" id="wt1482_wtContentMain_wt908_wtTabs_Header_Versions">Versions</a>
+    <a href="${dependencies === "hidden" ? "#" : "javascript:__doPostBack('wt1482$wtContentMain$wt908$wtTabs_Header_Dependencies','')"}"
+        id="wt1482_wtContentMain_wt908_wtTabs_Header_Dependencies">Dependencies</a>
+</div>
+<div id="wt1482_wtContentMain_wt908_wtTabs_Content_wt1152_wtContent_wt1120_wtListPlacholder">
+    <table>
+        <thead><tr><th>Version</th><th>Uploaded</th><th>By</th><th>Published</th><th></th></tr></thead>
+        <tbody>
+            <tr>
+                <td>${module.version}</td><td>${escapeHtml(module.lastPublished)}</td><td>admin</td>
+                <td><span class="osicon-tick text-success-4"></span></td>
+                <td><input type="submit" name="wt1482$wtContentMain$wt908$wtTabs_Content$wt1152$wtContent$wt1120$wtListPlacholder$ctl00$wtPublish"
+                    value="Publish" onclick="return confirm('Publish version ${module.version} of ${escapeHtml(module.name)}?');"></td>
+            </tr>
+            <tr>
+                <td>${module.version - 1}</td><td>older</td><td>admin</td>
+                <td></td>
+                <td><input type="submit" name="wt1482$wtContentMain$wt908$wtTabs_Content$wt1152$wtContent$wt1120$wtListPlacholder$ctl01$wtPublish"
+                    value="Publish" onclick="return confirm('Publish version ${module.version - 1} of ${escapeHtml(module.name)}?');"></td>
+            </tr>
+        </tbody>
+    </table>
+</div>
+${dependencies === "postback" ? "" : `<div id="wt1482_wtContentMain_wt908_wtTabs_Content_wt1200_wtDependencies"${dependencies === "hidden" ? ' style="display: none"' : ""}>
+    <h2>Producers</h2>
+    <ul id="wt1482_wtContentMain_wt908_wtTabs_Content_wt1200_wtProducersList">${moduleLinks(producers)}</ul>
+    <h2>Consumers</h2>
+    <ul id="wt1482_wtContentMain_wt908_wtTabs_Content_wt1200_wtConsumersList">${moduleLinks(consumers)}</ul>
+</div>`}
+</form>
+<script>
+${dependencies === "hidden" ? `document.getElementById("wt1482_wtContentMain_wt908_wtTabs_Header_Dependencies").addEventListener("click", function (event) {
+    event.preventDefault();
+    document.getElementById("wt1482_wtContentMain_wt908_wtTabs_Content_wt1200_wtDependencies").style.display = "block";
+});` : `function __doPostBack(target, argument) {
+    var form = document.getElementById("WebForm1");
+    form.__EVENTTARGET.value = target;
+    form.__EVENTARGUMENT.value = argument;
+    form.submit();
+}`}
+</script>`);
+}
+
+// Inner HTML of the publish progress page, for a publish state
+function renderPublishState(publish) {
+    const steps = ["Compiling", "Deploying", "Finishing"];
+    const currentIndex = publish.finished ? steps.length : Math.min(steps.length - 1, Math.floor(publish.percent / 34));
+    const stepRows = steps.map((step, index) => {
+        let className = "steps-item-done";
+        if (publish.finished && publish.failed && index === steps.length - 1) className = "steps-item-error";
+        else if (index === currentIndex) className = "steps-item-current";
+        else if (index > currentIndex) className = "steps-item-todo";
+        return `<tr class="${className}"><td>${step}</td></tr>`;
+    }).join("");
+
+    let messages = "";
+    let feedback = "";
+    if (publish.finished) {
+        messages = publish.errors.map(text => `<tr><td><img src="/ServiceCenter/img/Icon_Error.svg"></td><td>${escapeHtml(text)}</td></tr>`)
+            .concat(publish.warnings.map(text => `<tr><td><img src="/ServiceCenter/img/Icon_Warning.svg"></td><td>${escapeHtml(text)}</td></tr>`))
+            .join("");
+        feedback = publish.failed
+            ? `<div class="Feedback_Message_Error">Publishing ${escapeHtml(publish.moduleName)} failed.</div>`
+            : `<div class="Feedback_Message_Success">${escapeHtml(publish.moduleName)} published successfully.</div>`;
+    }
+
+    return `
+<div id="wt29_wtContentMain_wtProgressBarBlock_wtProgress">${publish.percent}%</div>
+<table class="steps">${stepRows}</table>
+<table class="messages" id="wt29_wtContentMain_wtMessages">${messages}</table>
+${feedback}`;
+}
+
+function renderPublishProgressPage(publish) {
+    return layout(`Publishing ${publish.moduleName}`, `
+<h1>Publishing ${escapeHtml(publish.moduleName)}</h1>
+<div id="wt29_wtContentMain_wtPublishState">${renderPublishState(publish)}</div>
+<script>
+(function poll() {
+    fetch(location.pathname + location.search + "&ajax=1", { credentials: "same-origin" })
+        .then(function (response) { return response.json(); })
+        .then(function (state) {
+            document.getElementById("wt29_wtContentMain_wtPublishState").innerHTML = state.html;
+            if (!state.finished) setTimeout(poll, 300);
+        });
+})();
+</script>`);
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    (header || "").split(";").forEach(part => {
+        const index = part.indexOf("=");
+        if (index > 0) {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        }
+    });
+    return cookies;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = "";
+        req.on("data", chunk => { body += chunk; });
+        req.on("end", () => resolve(new URLSearchParams(body)));
+        req.on("error", reject);
+    });
+}
+
+/**
+ * Create a fake Service Center
+ * @param {Object} [options]
+ * @param {Array} [options.modules] - Modules to serve, defaults to fixtures/modules.json
+ * @param {string} [options.username] - Accepted username
+ * @param {string} [options.password] - Accepted password
+ * @param {number} [options.pageSize] - Modules per eSpaces list page
+ * @param {number} [options.publishDurationMs] - Time a publish takes to finish
+ * @param {boolean} [options.dependenciesOnPostBack] - Render the Dependencies tab only on a postback of its link, as Service Center does
+ * @returns {{state: Object, start: function(number=): Promise<string>, stop: function(): Promise, expireSessions: function()}}
+ */
+function createMockServiceCenter(options = {}) {
+    const username = options.username || DEFAULT_USERNAME;
+    const password = options.password || DEFAULT_PASSWORD;
+    const pageSize = options.pageSize || 5;
+    const publishDurationMs = options.publishDurationMs === undefined ? 1500 : options.publishDurationMs;
+
+    const state = {
+        modules: (options.modules || FIXTURE_MODULES).map(module => ({
+            producers: [],
+            publishWarnings: [],
+            publishErrors: [],
+            version: 3,
+            lastPublished: "2026-01-01 10:00",
+            ...module
+        })),
+        sessions: new Set(),
+        viewStates: new Set(),
+        publishes: [],
+        logins: 0,
+        failedLogins: 0,
+        requests: []
+    };
+
+    const newViewState = () => {
+        const viewState = crypto.randomBytes(12).toString("base64");
+        state.viewStates.add(viewState);
+        return viewState;
+    };
+
+    // Whether a publish leaves a module in warning: always with staysInWarning: true, for that many publishes with a number
+    const staysInWarning = (module) => {
+        if (typeof module.staysInWarning === "number") {
+            return module.staysInWarning-- > 0;
+        }
+        return !!module.staysInWarning;
+    };
+
+    // Publish state at the current time, applying the result to the module once it finishes
+    const publishState = (publish) => {
+        const elapsed = Date.now() - publish.startedAt;
+        publish.percent = publishDurationMs === 0 ? 100 : Math.min(100, Math.floor(elapsed / publishDurationMs * 100));
+        if (publish.percent >= 100 && !publish.finished) {
+            const module = state.modules.find(candidate => candidate.id === publish.moduleId);
+            publish.finished = true;
+            publish.finishedAt = Date.now();
+            publish.errors = module.publishErrors;
+            publish.warnings = module.publishWarnings;
+            publish.failed = module.publishErrors.length > 0;
+            if (!publish.failed && !staysInWarning(module)) {
+                module.status = "ok";
+                module.lastPublished = new Date(publish.finishedAt).toISOString();
+            }
+        }
+        return publish;
+    };
+
+    const send = (res, status, body, headers = {}) => {
+        res.writeHead(status, { "Content-Type": "text/html; charset=utf-8", ...headers });
+        res.end(body);
+    };
+    const redirect = (res, location, headers = {}) => send(res, 302, "", { Location: location, ...headers });
+
+    const handle = async (req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        const pathname = url.pathname.replace(/\/+$/, "") || "/";
+        const session = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        const loggedIn = state.sessions.has(session);
+        state.requests.push({ method: req.method, path: url.pathname + url.search, loggedIn });
+
+        if (pathname.startsWith("/ServiceCenter/img/")) {
+            return send(res, 200, ICON_SVG, { "Content-Type": "image/svg+xml" });
+        }
+
+        if (pathname === "/ServiceCenter" || pathname === "/ServiceCenter/Login.aspx") {
+            if (req.method === "POST") {
+                const form = await readBody(req);
+                if (!state.viewStates.has(form.get("__VIEWSTATE"))) {
+                    return send(res, 500, layout("Error", "<h1>Invalid viewstate</h1>"));
+                }
+                if (form.get("wt89$wtContentRight$wtInput1") === username && form.get("wt89$wtContentRight$wtInputPass1") === password) {
+                    const newSession = crypto.randomBytes(16).toString("hex");
+                    state.sessions.add(newSession);
+                    state.logins++;
+                    const target = url.searchParams.get("OriginalURL") || "/ServiceCenter/Home.aspx";
+                    return redirect(res, target, { "Set-Cookie": `${SESSION_COOKIE}=${newSession}; Path=/; HttpOnly` });
+                }
+                state.failedLogins++;
+                return send(res, 200, renderLoginPage(newViewState(), url.search, "Invalid username or password."));
+            }
+            return send(res, 200, loggedIn ? renderHomePage() : renderLoginPage(newViewState(), url.search));
+        }
+
+        // Every other page needs a session, like Service Center
+        if (!loggedIn) {
+            return redirect(res, `/ServiceCenter/?OriginalURL=${encodeURIComponent(url.pathname + url.search)}`);
+        }
+
+        if (pathname === "/ServiceCenter/Home.aspx") {
+            return send(res, 200, renderHomePage());
+        }
+
+        if (pathname === "/ServiceCenter/eSpaces_List.aspx") {
+            let status = url.searchParams.get("status") || "__ossli_0";
+            let pageIndex = Number(url.searchParams.get("page") || 0);
+            if (req.method === "POST") {
+                // Full postback of the filter form, as sent by a browserless client
+                const form = await readBody(req);
+                if (!state.viewStates.has(form.get("__VIEWSTATE"))) {
+                    return send(res, 500, layout("Error", "<h1>Invalid viewstate</h1>"));
+                }
+                const selectName = Array.from(form.keys()).find(name => name.endsWith("wtSelectStatus_WithDeploy"));
+                status = (selectName && form.get(selectName)) || status;
+                pageIndex = form.get("__EVENTTARGET") && form.get("__EVENTTARGET").endsWith("wtLink9")
+                    ? Number(form.get("__EVENTARGUMENT") || 0)
+                    : 0;
+            }
+            const option = STATUS_OPTIONS.find(candidate => candidate.value === status) || STATUS_OPTIONS[0];
+            const modules = state.modules.filter(option.matches);
+            if (url.searchParams.get("ajax")) {
+                return send(res, 200, renderModuleList(modules, pageIndex, pageSize));
+            }
+            return send(res, 200, renderESpacesListPage(modules, option.value, pageIndex, pageSize, newViewState()));
+        }
+
+        if (pathname === "/ServiceCenter/eSpace_Edit.aspx") {
+            const module = state.modules.find(candidate => String(candidate.id) === url.searchParams.get("eSpaceId"));
+            if (!module) {
+                return send(res, 404, layout("Not found", "<h1>Module not found</h1>"));
+            }
+            if (req.method === "POST") {
+                const form = await readBody(req);
+                if (!state.viewStates.has(form.get("__VIEWSTATE"))) {
+                    return send(res, 500, layout("Error", "<h1>Invalid viewstate</h1>"));
+                }
+                if (Array.from(form.keys()).some(name => name.endsWith("$ctl00$wtPublish"))) {
+                    const publish = {
+                        id: state.publishes.length + 1,
+                        moduleId: module.id,
+                        moduleName: module.name,
+                        startedAt: Date.now(),
+                        finishedAt: null,
+                        finished: false,
+                        failed: false,
+                        percent: 0,
+                        errors: [],
+                        warnings: []
+                    };
+                    state.publishes.push(publish);
+                    return redirect(res, `/ServiceCenter/Publish_Progress.aspx?publishId=${publish.id}`);
+                }
+                if ((form.get("__EVENTTARGET") || "").endsWith("$wtTabs_Header_Dependencies")) {
+                    return send(res, 200, renderModulePage(module, state.modules, newViewState(), "shown"));
+                }
+            }
+            return send(res, 200, renderModulePage(module, state.modules, newViewState(), options.dependenciesOnPostBack ? "postback" : "hidden"));
+        }
+
+        if (pathname === "/ServiceCenter/Publish_Progress.aspx") {
+            const publish = state.publishes.find(candidate => String(candidate.id) === url.searchParams.get("publishId"));
+            if (!publish) {
+                return send(res, 404, layout("Not found", "<h1>Publish not found</h1>"));
+            }
+            publishState(publish);
+            if (url.searchParams.get("ajax")) {
+                res.writeHead(200, { "Content-Type": "application/json" });
+                return res.end(JSON.stringify({ finished: publish.finished, html: renderPublishState(publish) }));
+            }
+            return send(res, 200, renderPublishProgressPage(publish));
+        }
+
+        return send(res, 404, layout("Not found", "<h1>Page not found</h1>"));
+    };
+
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch(err => send(res, 500, layout("Error", `<pre>${escapeHtml(err.stack)}</pre>`)));
+    });
+
+    return {
+        state,
+        start(port = 0) {
+            return new Promise((resolve, reject) => {
+                server.once("error", reject);
+                server.listen(port, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+            });
+        },
+        stop() {
+            return new Promise(resolve => {
+                if (server.closeAllConnections) {
+                    server.closeAllConnections();
+                }
+                server.close(() => resolve());
+            });
+        },
+        // Drop every session, as when Service Center expires them
+        expireSessions() {
+            state.sessions.clear();
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_USERNAME,
+    DEFAULT_PASSWORD,
+    STATUS_OPTIONS,
+    createMockServiceCenter
+};
+
+if (require.main === module) {
+    const mock = createMockServiceCenter();
+    mock.start(Number(process.argv[2] || process.env.PORT || 4000)).then(baseUrl => {
+        console.log(`Fake Service Center running at ${baseUrl}/ServiceCenter/ (user "${DEFAULT_USERNAME}", password "${DEFAULT_PASSWORD}")`);
+        console.log(`Fixture modules: ${path.join(__dirname, "fixtures", "modules.json")}`);
+    });
+}
@@ -0,0 +1,70 @@
+const http = require("http");
+
+/**
+ * Create a local stand-in for webhook receivers (generic JSON webhooks, Slack incoming webhooks)
+ * Every request is recorded; the status code answered can be changed to test delivery failures.
+ * @param {Object} [options]
+ * @param {function(Object)} [options.onRequest] - Called with every recorded request
+ * @returns {{requests: Array<{method: string, url: string, headers: Object, body: any}>, respondWith: function(number), start: function(number=): Promise<string>, stop: function(): Promise}}
+ */
+function createMockWebhook(options = {}) {
+    const requests = [];
+    let statusCode = 200;
+
+    const server = http.createServer((req, res) => {
+        let raw = "";
+        req.on("data", chunk => { raw += chunk; });
+        req.on("end", () => {
+            let body = raw;
+            try {
+                body = JSON.parse(raw);
+            } catch (err) {
+                // Keep non-JSON bodies as text
+            }
+            const request = { method: req.method, url: req.url, headers: req.headers, body };
+            requests.push(request);
+            if (options.onRequest) {
+                options.onRequest(request);
+            }
+            res.writeHead(statusCode, { "Content-Type": "text/plain" });
+            res.end(statusCode < 400 ? "ok" : "error");
+        });
+    });
+
+    return {
+        requests,
+        respondWith(code) {
+            statusCode = code;
+        },
+        start(port = 0) {
+            return new Promise((resolve, reject) => {
+                server.once("error", reject);
+                server.listen(port, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+            });
+        },
+        stop() {
+            return new Promise(resolve => {
+                if (server.closeAllConnections) {
+                    server.closeAllConnections();
+                }
+                server.close(() => resolve());
+            });
+        }
+    };
+}
+
+module.exports = {
+    createMockWebhook
+};
+
+if (require.main === module) {
+    const mock = createMockWebhook({
+        onRequest(request) {
+            console.log(`[${new Date().toISOString()}] ${request.method} ${request.url}`);
+            console.log(JSON.stringify(request.body, null, 2));
+        }
+    });
+    mock.start(Number(process.argv[2] || process.env.PORT || 4001)).then(baseUrl => {
+        console.log(`Webhook stand-in listening at ${baseUrl}/ (any path), printing every payload it receives`);
+    });
+}
@@ -0,0 +1,92 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createTempDir } = require("./helpers");
+const {
+    patternToRegExp,
+    compileRules,
+    loadModuleRules,
+    addCommandLineRules,
+    findExclusion,
+    describeRule,
+    applyModuleRules
+} = require("../src/module-filter");
+
+const modules = ["Core_IS", "Members_CS", "Members_BL", "Members_UI", "Billing_CS", "Payments_Sandbox_UI"]
+    .map(name => ({ name, suffix: name.split("_").pop() }));
+const names = (list) => list.map(module => module.name);
+
+test("patternToRegExp reads globs case-insensitively and /.../ as regular expressions", () => {
+    assert.ok(patternToRegExp("members_*").test("Members_CS"));
+    assert.ok(patternToRegExp("*_?S").test("Core_IS"));
+    assert.ok(!patternToRegExp("*_?S").test("Members_BL"));
+    assert.ok(patternToRegExp("/^(Core|Billing)_/").test("Billing_CS"));
+    assert.ok(!patternToRegExp("/^core_/").test("Core_IS"));
+    assert.ok(patternToRegExp("/^core_/i").test("Core_IS"));
+});
+
+test("the default rules exclude sandbox modules and name the rule", () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const { kept, excluded } = applyModuleRules(modules, loadModuleRules(path.join(dir, "missing.json")));
+        assert.deepEqual(names(kept), ["Core_IS", "Members_CS", "Members_BL", "Members_UI", "Billing_CS"]);
+        assert.equal(excluded.length, 1);
+        assert.equal(excluded[0].module.name, "Payments_Sandbox_UI");
+        assert.match(excluded[0].message, /^Excluded by exclude rule "\*sandbox\*" \(default rules\)/);
+    } finally {
+        cleanup();
+    }
+});
+
+test("layer overrides replace the include list and add to the exclude rules", () => {
+    const rules = compileRules({
+        include: ["Members_*"],
+        exclude: [{ pattern: "*_UI", reason: "UI is published by the release pipeline" }],
+        layers: {
+            cs: { include: ["Billing_*"] },
+            BL: { exclude: ["Members_BL"] }
+        }
+    }, "module-rules.json");
+    const { kept, excluded } = applyModuleRules(modules, rules);
+
+    assert.deepEqual(names(kept), ["Billing_CS"]);
+    assert.equal(describeRule(findExclusion(modules[0], rules)), 'include rules "Members_*" (module-rules.json)');
+    assert.equal(describeRule(findExclusion(modules[1], rules)), 'include rules "Billing_*" for layer CS (module-rules.json)');
+    assert.equal(describeRule(findExclusion(modules[2], rules)), 'exclude rule "Members_BL" for layer BL (module-rules.json)');
+    assert.equal(describeRule(findExclusion(modules[3], rules)), 'exclude rule "*_UI" (module-rules.json): UI is published by the release pipeline');
+    assert.equal(excluded.length, 5);
+    assert.match(excluded[0].message, /^Not matched by any of the include rules "Members_\*"/);
+});
+
+test("the never-republish list wins over include rules and --include", () => {
+    const rules = addCommandLineRules(compileRules({
+        include: ["*"],
+        neverRepublish: [{ pattern: "/^Core_/", reason: "Owned by the platform team" }]
+    }, "module-rules.json"), { include: ["Core_*", "Members_*"], exclude: ["*_UI"] });
+
+    assert.equal(findExclusion(modules[0], rules).kind, "neverRepublish");
+    assert.equal(findExclusion(modules[1], rules), null);
+    assert.equal(describeRule(findExclusion(modules[3], rules)), 'exclude rule "*_UI" (--exclude)');
+    assert.equal(describeRule(findExclusion(modules[4], rules)), 'include rules "Core_*, Members_*" (--include)');
+});
+
+test("loadModuleRules reads the rules file and rejects invalid rules", () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const filePath = path.join(dir, "rules.json");
+        fs.writeFileSync(filePath, JSON.stringify({ exclude: ["Billing_*"] }));
+        // A rules file replaces the default rules
+        assert.deepEqual(names(applyModuleRules(modules, loadModuleRules(filePath)).kept),
+            ["Core_IS", "Members_CS", "Members_BL", "Members_UI", "Payments_Sandbox_UI"]);
+
+        fs.writeFileSync(filePath, JSON.stringify({ layers: { XX: { exclude: ["*"] } } }));
+        assert.throws(() => loadModuleRules(filePath), /Unknown layer "XX" in rules.json/);
+        fs.writeFileSync(filePath, JSON.stringify({ neverRepublish: [{ reason: "no pattern" }] }));
+        assert.throws(() => loadModuleRules(filePath), /Invalid neverRepublish rule in rules.json/);
+        fs.writeFileSync(filePath, JSON.stringify({ include: ["/(/"] }));
+        assert.throws(() => loadModuleRules(filePath), /Invalid include rule "\/\(\/" in rules.json/);
+    } finally {
+        cleanup();
+    }
+});
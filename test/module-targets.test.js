@@ -0,0 +1,70 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { getModuleLayer, resolveTargets } = require("../src/module-targets");
+
+// eSpaces list rows and module pages of a small Service Center
+const DEPENDENCIES = {
+    Core_IS: { producers: [], consumers: ["Members_CS", "Billing_CS"] },
+    Members_CS: { producers: ["Core_IS"], consumers: ["Members_BL", "Members_UI"] },
+    Members_BL: { producers: ["Members_CS"], consumers: ["Members_UI", "Deleted_UI"] },
+    Members_UI: { producers: ["Members_CS", "Members_BL"], consumers: [] },
+    Billing_CS: { producers: ["Core_IS"], consumers: [] },
+    Theme_TH: { producers: [], consumers: ["Members_UI"] }
+};
+const rows = Object.keys(DEPENDENCIES).map((name, index) => ({
+    url: `https://sc.example.test/ServiceCenter/eSpace_Edit.aspx?eSpaceId=${index + 1}`,
+    name,
+    inWarning: false,
+    statusIcon: "ok",
+    lastPublished: "2026-01-01 10:00"
+}));
+
+// Page reader counting how often each module page was read
+function createReader() {
+    const reads = [];
+    return {
+        reads,
+        readDependencies: async (module) => {
+            reads.push(module.name);
+            return DEPENDENCIES[module.name];
+        }
+    };
+}
+
+test("getModuleLayer takes the layer from the name suffix, UI for unknown suffixes", () => {
+    assert.equal(getModuleLayer("Members_CS"), "CS");
+    assert.equal(getModuleLayer("Legacy"), "UI");
+    assert.equal(getModuleLayer("Reports_XX"), "UI");
+});
+
+test("resolveTargets adds every direct and indirect consumer of --with-consumers modules, in dependency order", async () => {
+    const reader = createReader();
+    const { modules, missing, unknownConsumers } = await resolveTargets({ withConsumers: ["members_cs"] }, { rows, readDependencies: reader.readDependencies });
+
+    assert.deepEqual(modules.map(module => module.name), ["Members_CS", "Members_BL", "Members_UI"]);
+    assert.deepEqual(modules.map(module => module.dependsOn), [[], ["Members_CS"], ["Members_BL", "Members_CS"]]);
+    assert.deepEqual(modules[0], {
+        url: "https://sc.example.test/ServiceCenter/eSpace_Edit.aspx?eSpaceId=2",
+        name: "Members_CS",
+        suffix: "CS",
+        statusIcon: "ok",
+        lastPublished: "2026-01-01 10:00",
+        dependsOn: [],
+        dependencyLevel: 0
+    });
+    assert.deepEqual(missing, []);
+    assert.deepEqual(unknownConsumers, ["Deleted_UI"]);
+    // Members_UI is reached twice but its page is read once
+    assert.deepEqual(reader.reads, ["Members_CS", "Members_BL", "Members_UI"]);
+});
+
+test("resolveTargets orders --module modules by their dependencies and reports the names not in Service Center", async () => {
+    const reader = createReader();
+    const { modules, missing } = await resolveTargets(
+        { names: ["Members_UI", "Theme_TH", "Missing_CS"], withConsumers: ["Billing_CS", "Gone_IS"] },
+        { rows, readDependencies: reader.readDependencies });
+
+    assert.deepEqual(modules.map(module => module.name), ["Theme_TH", "Billing_CS", "Members_UI"]);
+    assert.deepEqual(modules.find(module => module.name === "Members_UI").dependsOn, ["Theme_TH"]);
+    assert.deepEqual(missing, ["Missing_CS", "Gone_IS"]);
+});
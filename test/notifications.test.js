@@ -0,0 +1,166 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { loadNotificationsConfig, summarizeCycle, shouldNotify, formatSlackPayload, notifyCycle } = require("../src/notifications");
+const { createMockWebhook } = require("./mock-webhook/server");
+const { createManifest, writeManifest } = require("../src/manifest");
+const { createTempDir } = require("./helpers");
+
+let webhook;
+let webhookUrl;
+
+before(async () => {
+    webhook = createMockWebhook();
+    webhookUrl = await webhook.start();
+});
+
+after(() => webhook.stop());
+
+// Write the files of a finished cycle: the scanner's module list and the republisher's run report
+function writeCycleFiles(dir, startedAt) {
+    const modulesFile = path.join(dir, "sorted-modules.json");
+    writeManifest(modulesFile, createManifest({
+        environment: "dev",
+        discovery: { mode: "warnings", statusFilter: "withErrorsAndWarnings", namesFile: null },
+        layers: null,
+        modules: ["Core_IS", "Members_BL", "Reports_UI", "Scheduler_OS"].map(name => ({
+            url: `https://devsc.wodify.com/${name}`,
+            name,
+            suffix: name.split("_").pop(),
+            statusIcon: "warning",
+            lastPublished: null
+        }))
+    }));
+    fs.writeFileSync(path.join(dir, "republish-report.json"), JSON.stringify({
+        startedAt: startedAt.toISOString(),
+        modules: [
+            { name: "Core_IS", status: "published", message: "" },
+            { name: "Members_BL", status: "published-with-warnings", message: "" },
+            { name: "Reports_UI", status: "failed", message: "Reference to 'Billing_BL' is broken" },
+            { name: "Scheduler_OS", status: "needs-manual-fix", message: "A republish cannot fix: changed-signature: Action 'CreateInvoice' has a changed signature" }
+        ]
+    }));
+    return modulesFile;
+}
+
+test("summarizeCycle counts found, republished, failed, still-in-warning and manual-fix modules", () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const startedAt = new Date();
+        const modulesFile = writeCycleFiles(dir, startedAt);
+        const summary = summarizeCycle({ environment: "dev", modulesFile, startedAt, scanSucceeded: true, republishSucceeded: true });
+
+        assert.equal(summary.found, 4);
+        assert.deepEqual(summary.republished, ["Core_IS", "Members_BL"]);
+        assert.deepEqual(summary.failed, [{ name: "Reports_UI", message: "Reference to 'Billing_BL' is broken" }]);
+        assert.deepEqual(summary.stillInWarning, ["Reports_UI"]);
+        assert.deepEqual(summary.needsManualFix.map(module => module.name), ["Scheduler_OS"]);
+        assert.equal(summary.failure, true);
+
+        // A run report from before the cycle is not this cycle's outcome
+        const later = summarizeCycle({ environment: "dev", modulesFile, startedAt: new Date(startedAt.getTime() + 1000), scanSucceeded: true, republishSucceeded: true });
+        assert.deepEqual(later.republished, []);
+        assert.deepEqual(later.stillInWarning, ["Core_IS", "Members_BL", "Reports_UI", "Scheduler_OS"]);
+    } finally {
+        cleanup();
+    }
+});
+
+test("shouldNotify applies the only-on-failure and only-on-change options", () => {
+    const ok = { failure: false };
+    const failed = { failure: true };
+    assert.equal(shouldNotify({}, ok, false), true);
+    assert.equal(shouldNotify({ onlyOnFailure: true }, ok, true), false);
+    assert.equal(shouldNotify({ onlyOnFailure: true }, failed, false), true);
+    assert.equal(shouldNotify({ onlyOnChange: true }, failed, false), false);
+    assert.equal(shouldNotify({ onlyOnChange: true }, ok, true), true);
+    assert.equal(shouldNotify({ onlyOnFailure: true, onlyOnChange: true }, ok, true), true);
+});
+
+test("loadNotificationsConfig rejects unknown channel types", () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const filePath = path.join(dir, "notifications.json");
+        fs.writeFileSync(filePath, JSON.stringify({ channels: [{ type: "pager", url: "http://localhost" }] }));
+        assert.throws(() => loadNotificationsConfig(filePath), /unknown type "pager"/);
+    } finally {
+        cleanup();
+    }
+});
+
+test("notifyCycle posts webhook and Slack payloads and only repeats them on change", async () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const startedAt = new Date();
+        const modulesFile = writeCycleFiles(dir, startedAt);
+        const stateFile = path.join(dir, "notification-state.json");
+        const summary = summarizeCycle({ environment: "dev", modulesFile, startedAt, scanSucceeded: true, republishSucceeded: true });
+        const config = {
+            onlyOnChange: true,
+            channels: [
+                { type: "webhook", url: `${webhookUrl}/generic`, headers: { "X-Token": "abc" } },
+                { type: "slack", url: `${webhookUrl}/slack` }
+            ]
+        };
+        webhook.requests.length = 0;
+
+        const outcomes = await notifyCycle(summary, { config, stateFile });
+        assert.deepEqual(outcomes, [{ type: "webhook", sent: true }, { type: "slack", sent: true }]);
+
+        const [generic, slack] = webhook.requests;
+        assert.equal(generic.url, "/generic");
+        assert.equal(generic.headers["x-token"], "abc");
+        assert.equal(generic.body.event, "republish-cycle");
+        assert.equal(generic.body.found, 4);
+        assert.equal(slack.url, "/slack");
+        assert.deepEqual(slack.body, JSON.parse(JSON.stringify(formatSlackPayload(summary))));
+        assert.match(slack.body.text, /^\[FAILED\] .* 4 found, 2 republished, 1 failed, 1 still in warning$/);
+
+        // Same outcome again: nothing changed, nothing sent
+        await notifyCycle(summary, { config, stateFile });
+        assert.equal(webhook.requests.length, 2);
+    } finally {
+        cleanup();
+    }
+});
+
+test("a failing channel is reported and the change is sent again next cycle", async () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const startedAt = new Date();
+        const modulesFile = writeCycleFiles(dir, startedAt);
+        const stateFile = path.join(dir, "notification-state.json");
+        const summary = summarizeCycle({ environment: "dev", modulesFile, startedAt, scanSucceeded: false, republishSucceeded: null });
+        const config = { onlyOnChange: true, channels: [{ type: "webhook", url: webhookUrl }] };
+
+        webhook.respondWith(500);
+        const [outcome] = await notifyCycle(summary, { config, stateFile });
+        assert.equal(outcome.sent, false);
+        assert.match(outcome.error, /HTTP 500/);
+        assert.ok(!fs.existsSync(stateFile));
+
+        webhook.respondWith(200);
+        const [retried] = await notifyCycle(summary, { config, stateFile });
+        assert.equal(retried.sent, true);
+    } finally {
+        webhook.respondWith(200);
+        cleanup();
+    }
+});
+
+test("email notifications are built by the SMTP channel", async () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const startedAt = new Date();
+        const modulesFile = writeCycleFiles(dir, startedAt);
+        const summary = summarizeCycle({ environment: "dev", modulesFile, startedAt, scanSucceeded: true, republishSucceeded: true });
+        // nodemailer's JSON transport builds the message without an SMTP server
+        const config = { channels: [{ type: "email", smtp: { jsonTransport: true }, from: "republisher@example.com", to: "team@example.com" }] };
+
+        const [outcome] = await notifyCycle(summary, { config, stateFile: path.join(dir, "notification-state.json") });
+        assert.deepEqual(outcome, { type: "email", sent: true });
+    } finally {
+        cleanup();
+    }
+});
@@ -0,0 +1,105 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRunReport, toJUnitXml } = require("../src/run-report");
+
+const modules = [
+    { name: "Core_IS", suffix: "IS", url: "https://dev.wodify.com/ServiceCenter/eSpace_Edit.aspx?eSpaceId=1" },
+    { name: "Members_CS", suffix: "CS", url: "https://dev.wodify.com/ServiceCenter/eSpace_Edit.aspx?eSpaceId=2" },
+    { name: "Portal_UI", suffix: "UI", url: "https://dev.wodify.com/ServiceCenter/eSpace_Edit.aspx?eSpaceId=3" }
+];
+
+function result(name, layer, status, extra = {}) {
+    return {
+        name,
+        layer,
+        url: `https://dev-coreap.wodify.com/${name}`,
+        subdomain: "dev-coreap",
+        status,
+        success: status.startsWith("published"),
+        errors: [],
+        warnings: [],
+        message: "",
+        retries: 0,
+        startedAt: "2026-01-01T10:00:00.000Z",
+        finishedAt: "2026-01-01T10:00:02.000Z",
+        durationMs: 2000,
+        ...extra
+    };
+}
+
+test("createRunReport has one entry per input module", () => {
+    const report = createRunReport({
+        modules,
+        results: [
+            result("Core_IS", "IS", "skipped"),
+            result("Members_CS", "CS", "failed", { errors: ["Compilation error"], retries: 2 })
+        ],
+        environment: "dev",
+        requestedLayers: ["IS", "CS"],
+        startedAt: new Date("2026-01-01T10:00:00Z")
+    });
+
+    assert.equal(report.modules.length, 3);
+    assert.equal(report.modules[0].skipped, true);
+    assert.equal(report.modules[1].retries, 2);
+    assert.equal(report.modules[2].status, "not-run");
+    assert.equal(report.modules[2].message, "Layer not requested");
+    assert.equal(report.totals.failed, 1);
+    assert.equal(report.totals.skipped, 1);
+    assert.equal(report.totals["not-run"], 1);
+});
+
+test("toJUnitXml writes one suite per layer with failures and skips", () => {
+    const report = createRunReport({
+        modules,
+        results: [
+            result("Core_IS", "IS", "published-with-warnings", { warnings: ["Deprecated <action>"] }),
+            result("Members_CS", "CS", "failed", { message: "Publish failed", errors: ["Broken reference"] })
+        ],
+        environment: "dev",
+        requestedLayers: null,
+        startedAt: new Date("2026-01-01T10:00:00Z"),
+        haltedAfterLayer: "CS"
+    });
+    const xml = toJUnitXml(report);
+
+    assert.match(xml, /<testsuites name="republish-dev" tests="3" failures="1" skipped="1"/);
+    assert.match(xml, /<testsuite name="IS" tests="1" failures="0" skipped="0" time="2.000">/);
+    assert.match(xml, /<failure message="Publish failed">Broken reference<\/failure>/);
+    assert.match(xml, /<skipped message="Run stopped before this layer"\/>/);
+    assert.match(xml, /warning: Deprecated &lt;action&gt;/);
+});
+
+test("excluded modules are reported with the rule that excluded them and count as skipped in JUnit", () => {
+    const message = 'Excluded by never-republish rule "Core_*" (module-rules.json): Owned by another team';
+    const report = createRunReport({
+        modules,
+        results: [result("Core_IS", "IS", "excluded", { subdomain: null, message })],
+        environment: "dev",
+        requestedLayers: ["IS"],
+        startedAt: new Date("2026-01-01T10:00:00Z")
+    });
+    const xml = toJUnitXml(report);
+
+    assert.equal(report.totals.excluded, 1);
+    assert.equal(report.modules[0].message, message);
+    assert.match(xml, /<testsuites name="republish-dev" tests="3" failures="0" skipped="3"/);
+    assert.match(xml, /<skipped message="Excluded by never-republish rule &quot;Core_\*&quot;/);
+});
+
+test("modules needing a manual fix are counted apart and skipped in JUnit with their messages", () => {
+    const message = "A republish cannot fix: changed-signature: Action 'GetMember' of producer 'Core_IS' has a changed signature";
+    const report = createRunReport({
+        modules,
+        results: [result("Members_CS", "CS", "needs-manual-fix", { subdomain: null, message })],
+        environment: "dev",
+        requestedLayers: ["CS"],
+        startedAt: new Date("2026-01-01T10:00:00Z")
+    });
+    const xml = toJUnitXml(report);
+
+    assert.equal(report.totals["needs-manual-fix"], 1);
+    assert.equal(report.totals.failed, 0);
+    assert.match(xml, /<testsuites name="republish-dev" tests="3" failures="0" skipped="3"/);
+    assert.match(xml, /<skipped message="A republish cannot fix: changed-signature: Action &apos;GetMember&apos;/);
+});
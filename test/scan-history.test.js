@@ -0,0 +1,135 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createTempDir } = require("./helpers");
+const {
+    getScanHistoryFile,
+    createScanSnapshot,
+    appendScanSnapshot,
+    readScanSnapshots,
+    selectComparableSnapshots,
+    diffSnapshots,
+    findRepeatOffenders,
+    buildTrend,
+    toCsv
+} = require("../src/scan-history");
+
+// Snapshot of a warnings scan finding the given modules in warning
+function snapshot(day, names, { mode = "warnings", layers = "all" } = {}) {
+    return {
+        scannedAt: `2026-03-0${day}T08:00:00.000Z`,
+        environment: "dev",
+        mode,
+        layers,
+        modules: names.map(name => ({ name, suffix: name.split("_").pop(), statusIcon: "warning", categories: ["outdated-reference"] }))
+    };
+}
+
+test("createScanSnapshot keeps the status and message categories of each module", () => {
+    const manifest = {
+        scannedAt: "2026-03-01T08:00:00.000Z",
+        environment: "dev",
+        discovery: { mode: "names", statusFilter: "all", namesFile: "names.txt" },
+        layers: ["OS", "CS"],
+        modules: [
+            {
+                url: "https://sc/1", name: "Core_OS", suffix: "OS", statusIcon: "warning", lastPublished: "2026-01-01 10:00",
+                messages: [
+                    { severity: "warning", category: "outdated-reference", text: "Module has outdated references" },
+                    { severity: "warning", category: "outdated-reference", text: "Module references outdated elements" }
+                ]
+            },
+            { url: "https://sc/2", name: "Theme_CS", suffix: "CS", statusIcon: "ok", lastPublished: "2026-01-01 10:00" }
+        ]
+    };
+    assert.deepEqual(createScanSnapshot(manifest), {
+        scannedAt: "2026-03-01T08:00:00.000Z",
+        environment: "dev",
+        mode: "names",
+        layers: ["OS", "CS"],
+        modules: [
+            { name: "Core_OS", suffix: "OS", statusIcon: "warning", categories: ["outdated-reference"] },
+            { name: "Theme_CS", suffix: "CS", statusIcon: "ok", categories: [] }
+        ]
+    });
+});
+
+test("snapshots are appended next to the manifest and read back oldest first, skipping broken lines", () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const filePath = getScanHistoryFile(path.join(dir, "runs", "dev", "sorted-modules.json"));
+        assert.equal(filePath, path.join(dir, "runs", "dev", "scan-history.jsonl"));
+        assert.deepEqual(readScanSnapshots(filePath), []);
+
+        appendScanSnapshot(filePath, snapshot(1, ["Core_IS"]));
+        fs.appendFileSync(filePath, "{\"scannedAt\": \"2026-03-02");
+        fs.appendFileSync(filePath, "\n");
+        appendScanSnapshot(filePath, snapshot(3, ["Members_CS"]));
+        assert.deepEqual(readScanSnapshots(filePath).map(entry => entry.scannedAt), ["2026-03-01T08:00:00.000Z", "2026-03-03T08:00:00.000Z"]);
+    } finally {
+        cleanup();
+    }
+});
+
+test("diffSnapshots lists the modules that entered, left or stayed in warning", () => {
+    const previous = snapshot(1, ["Core_IS", "Members_CS", "Reports_UI"]);
+    const current = snapshot(2, ["Members_CS", "Billing_BL", "Admin_UI"]);
+    // Modules with an ok icon, e.g. from a names scan, are not in warning
+    current.modules.push({ name: "Core_IS", suffix: "IS", statusIcon: "ok", categories: [] });
+
+    assert.deepEqual(diffSnapshots(previous, current), {
+        entered: ["Admin_UI", "Billing_BL"],
+        resolved: ["Core_IS", "Reports_UI"],
+        remaining: ["Members_CS"]
+    });
+    assert.deepEqual(diffSnapshots(null, previous).entered, ["Core_IS", "Members_CS", "Reports_UI"]);
+});
+
+test("only scans of the same mode and layers as the last one are compared", () => {
+    const snapshots = [
+        snapshot(1, ["Core_IS"]),
+        snapshot(2, ["Members_CS"], { layers: ["CS"] }),
+        snapshot(3, ["Theme_TH"], { mode: "names" }),
+        snapshot(4, ["Members_BL"])
+    ];
+    assert.deepEqual(selectComparableSnapshots(snapshots).map(entry => entry.scannedAt),
+        ["2026-03-01T08:00:00.000Z", "2026-03-04T08:00:00.000Z"]);
+    assert.deepEqual(selectComparableSnapshots([]), []);
+});
+
+test("repeat offenders are the modules back in warning after being resolved, with their counts and dates", () => {
+    const snapshots = [
+        snapshot(1, ["Core_IS", "Members_CS"]),
+        snapshot(2, ["Members_CS"]),
+        snapshot(3, ["Core_IS", "Members_CS"]),
+        snapshot(4, ["Reports_UI"]),
+        snapshot(5, ["Core_IS"])
+    ];
+    assert.deepEqual(findRepeatOffenders(snapshots), [{
+        name: "Core_IS",
+        suffix: "IS",
+        scansInWarning: 3,
+        timesEntered: 3,
+        firstSeen: "2026-03-01T08:00:00.000Z",
+        lastSeen: "2026-03-05T08:00:00.000Z",
+        inWarning: true,
+        categories: ["outdated-reference"]
+    }]);
+
+    assert.deepEqual(buildTrend(snapshots).map(({ inWarning, entered, resolved }) => [inWarning, entered, resolved]),
+        [[2, 2, 0], [1, 0, 1], [2, 1, 0], [1, 1, 2], [1, 1, 1]]);
+});
+
+test("toCsv exports every module found in warning with its last change", () => {
+    const csv = toCsv([
+        snapshot(1, ["Core_IS", "Members_CS"]),
+        snapshot(2, ["Members_CS", "Reports,Old_UI"])
+    ]);
+    assert.deepEqual(csv.trim().split("\n"), [
+        "module,layer,change,inWarning,scansInWarning,timesEntered,firstSeen,lastSeen,categories",
+        "Members_CS,CS,still-in-warning,true,2,1,2026-03-01T08:00:00.000Z,2026-03-02T08:00:00.000Z,outdated-reference",
+        "Core_IS,IS,resolved,false,1,1,2026-03-01T08:00:00.000Z,2026-03-01T08:00:00.000Z,outdated-reference",
+        "\"Reports,Old_UI\",UI,entered,true,1,1,2026-03-02T08:00:00.000Z,2026-03-02T08:00:00.000Z,outdated-reference"
+    ]);
+});
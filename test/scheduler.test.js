@@ -0,0 +1,184 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { loadScheduleConfig, acquireLock, releaseLock, runCycle, startScheduler } = require("../src/scheduler");
+const { CYCLE_STATUSES, readHistory } = require("../src/cycle-history");
+const { createRegistry } = require("../src/metrics");
+const { createTempDir } = require("./helpers");
+
+let temp;
+let scannerScript;
+let republisherScript;
+let historyFile;
+
+// Stand-ins for the scanner and the republisher: "--modules=<n>" sets the modules found, "--exit=<code>" the scanner exit code,
+// and the scanner writes one scan to --metrics-file
+before(() => {
+    temp = createTempDir();
+    process.env.SORTED_MODULES_FILE = path.join(temp.dir, "sorted-modules.json");
+    historyFile = path.join(temp.dir, "history.jsonl");
+
+    scannerScript = path.join(temp.dir, "scanner.js");
+    fs.writeFileSync(scannerScript, `
+const fs = require("fs");
+const option = (name, fallback) => (process.argv.find(arg => arg.startsWith("--" + name + "=")) || "=" + fallback).split("=")[1];
+const count = Number(option("modules", 2));
+console.log("Scanning " + process.argv.slice(2).join(" "));
+const { createManifest, writeManifest } = require(${JSON.stringify(path.resolve(__dirname, "../src/manifest"))});
+writeManifest(process.env.SORTED_MODULES_FILE, createManifest({
+    environment: "dev",
+    discovery: { mode: "warnings", statusFilter: "withErrorsAndWarnings", namesFile: null },
+    layers: ["BL"],
+    modules: Array.from({ length: count }, (_, i) => ({ url: "https://devsc.wodify.com/" + i, name: "Module" + i + "_BL", suffix: "BL", statusIcon: "warning", lastPublished: null }))
+}));
+process.exitCode = Number(option("exit", 0));
+if (process.argv.includes("--metrics-file")) {
+    fs.writeFileSync(process.argv[process.argv.indexOf("--metrics-file") + 1],
+        '# TYPE os_republisher_scans_total counter\\nos_republisher_scans_total{environment="dev",result="complete"} 1\\n');
+}
+`);
+    republisherScript = path.join(temp.dir, "republisher.js");
+    fs.writeFileSync(republisherScript, `
+const fs = require("fs");
+const path = require("path");
+const { modules } = JSON.parse(fs.readFileSync(process.env.SORTED_MODULES_FILE, "utf-8"));
+console.log("Republishing " + modules.length + " modules");
+fs.writeFileSync(path.join(path.dirname(process.env.SORTED_MODULES_FILE), "republish-report.json"), JSON.stringify({
+    startedAt: new Date().toISOString(),
+    totals: { modules: modules.length, published: modules.length, "published-with-warnings": 0, failed: 0 },
+    modules: []
+}));
+`);
+});
+
+after(() => {
+    delete process.env.SORTED_MODULES_FILE;
+    temp.cleanup();
+});
+
+function cycle(args) {
+    return runCycle({ environment: null, layers: ["BL"] }, { args, historyFile, scannerScript, republisherScript });
+}
+
+test("a cycle republishes what the scan found and is recorded in the history", async () => {
+    const entry = await cycle(["--modules=3"]);
+    assert.equal(entry.status, CYCLE_STATUSES.SUCCEEDED);
+    assert.equal(entry.modulesFound, 3);
+    assert.equal(entry.scan.exitCode, 0);
+    assert.equal(entry.republish.exitCode, 0);
+    assert.equal(entry.totals.published, 3);
+
+    const [latest] = readHistory({ filePath: historyFile });
+    assert.deepEqual(latest, entry);
+});
+
+test("the republish is skipped when the scan fails or finds no module", async () => {
+    const failedScan = await cycle(["--exit=1"]);
+    assert.equal(failedScan.status, CYCLE_STATUSES.FAILED);
+    assert.equal(failedScan.republish, null);
+    assert.match(failedScan.reason, /Scan failed/);
+
+    const noModules = await cycle(["--modules=0"]);
+    assert.equal(noModules.status, CYCLE_STATUSES.NO_MODULES);
+    assert.equal(noModules.republish, null);
+});
+
+test("a cycle can run only the scan, or only republish the last scan", async () => {
+    const scanOnly = await runCycle({ environment: null, layers: ["BL"] }, { args: ["--modules=2"], steps: ["scan"], historyFile, scannerScript, republisherScript });
+    assert.equal(scanOnly.status, CYCLE_STATUSES.SUCCEEDED);
+    assert.equal(scanOnly.modulesFound, 2);
+    assert.equal(scanOnly.republish, null);
+
+    const republishOnly = await runCycle({ environment: null, layers: ["BL"] }, { steps: ["republish"], historyFile, scannerScript, republisherScript });
+    assert.equal(republishOnly.status, CYCLE_STATUSES.SUCCEEDED);
+    assert.equal(republishOnly.scan, null);
+    assert.equal(republishOnly.totals.published, 2);
+});
+
+test("the metrics of the scripts are added up over the cycles and written after each one", async () => {
+    const metrics = createRegistry();
+    const metricsFile = path.join(temp.dir, "metrics", "scheduler.prom");
+    const options = { args: ["--modules=1"], metrics, metricsFile, historyFile, scannerScript, republisherScript };
+    await runCycle({ environment: null, layers: ["BL"] }, options);
+    const entry = await runCycle({ environment: null, layers: ["BL"] }, options);
+
+    const written = fs.readFileSync(metricsFile, "utf-8");
+    assert.equal(written, metrics.render());
+    assert.match(written, /^os_republisher_scans_total\{environment="dev",result="complete"\} 2$/m);
+    assert.match(written, new RegExp(`^os_republisher_cycles_total\\{environment="${entry.environment}",status="succeeded"\\} 2$`, "m"));
+    assert.match(written, new RegExp(`^os_republisher_last_successful_cycle_timestamp_seconds\\{environment="${entry.environment}"\\} ${Date.parse(entry.finishedAt) / 1000}$`, "m"));
+    // The metrics file of the scanner is removed once read, so it is not counted again
+    assert.equal(fs.existsSync(path.join(temp.dir, "scan-metrics.prom")), false);
+});
+
+test("a cycle is skipped while another one holds the lock", async () => {
+    const lockPath = path.join(temp.dir, "republish-cycle.lock");
+    assert.equal(acquireLock(lockPath), true);
+    try {
+        const entry = await cycle([]);
+        assert.equal(entry.status, CYCLE_STATUSES.SKIPPED);
+        assert.equal(entry.scan, null);
+    } finally {
+        releaseLock(lockPath);
+    }
+});
+
+test("a scheduled run arriving while the previous one waits for its jitter is not started", async () => {
+    const jitterHistory = path.join(temp.dir, "jitter-history.jsonl");
+    // Every second, with up to an hour of jitter: the first run waits, the next ones find it waiting
+    const scheduler = startScheduler(
+        { runOnStart: false, jobs: [{ environment: null, schedule: "* * * * * *", layers: ["BL"], jitterSeconds: 3600, engine: null }] },
+        { historyFile: jitterHistory, scannerScript, republisherScript }
+    );
+    try {
+        await new Promise(resolve => setTimeout(resolve, 2500));
+        assert.equal(scheduler.describe().jobs[0].running.step, "waiting");
+        assert.deepEqual(readHistory({ filePath: jitterHistory }), []);
+        assert.equal(fs.existsSync(path.join(temp.dir, "republish-cycle.lock")), false);
+    } finally {
+        scheduler.stop();
+        assert.equal(scheduler.cancel("default"), true);
+    }
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(scheduler.describe().jobs[0].running, null);
+    assert.deepEqual(readHistory({ filePath: jitterHistory }), []);
+});
+
+test("a lock left by a process that is gone is taken over", () => {
+    const lockPath = path.join(temp.dir, "stale.lock");
+    // Pid far above any real pid
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: 2 ** 22 + 1, startedAt: "2026-01-01T00:00:00.000Z" }));
+    assert.equal(acquireLock(lockPath), true);
+    assert.equal(JSON.parse(fs.readFileSync(lockPath, "utf-8")).pid, process.pid);
+    releaseLock(lockPath);
+});
+
+test("readHistory filters by environment, newest first", () => {
+    const entries = readHistory({ filePath: historyFile, environment: process.env.WODIFY_ENV || "default environment", limit: 2 });
+    assert.equal(entries.length, 2);
+    assert.ok(entries[0].startedAt >= entries[1].startedAt);
+});
+
+test("loadScheduleConfig applies top-level defaults to every job and validates them", () => {
+    const filePath = path.join(temp.dir, "schedule.json");
+    fs.writeFileSync(filePath, JSON.stringify({
+        schedule: "0 * * * *",
+        jitterSeconds: 30,
+        jobs: [{ environment: "dev", layers: ["os", "ui"] }, { environment: "prod", schedule: "0 2 * * *", engine: "http" }]
+    }));
+    const config = loadScheduleConfig(filePath);
+    assert.equal(config.runOnStart, true);
+    assert.deepEqual(config.jobs, [
+        { environment: "dev", schedule: "0 * * * *", layers: ["OS", "UI"], jitterSeconds: 30, engine: null },
+        { environment: "prod", schedule: "0 2 * * *", layers: null, jitterSeconds: 30, engine: "http" }
+    ]);
+
+    fs.writeFileSync(filePath, JSON.stringify({ schedule: "every minute" }));
+    assert.throws(() => loadScheduleConfig(filePath), /Invalid cron expression/);
+    fs.writeFileSync(filePath, JSON.stringify({ layers: ["XX"] }));
+    assert.throws(() => loadScheduleConfig(filePath), /Unknown layers/);
+    fs.writeFileSync(filePath, JSON.stringify({ engine: "curl" }));
+    assert.throws(() => loadScheduleConfig(filePath), /Unknown engine for default environment: "curl"/);
+    assert.deepEqual(loadScheduleConfig(path.join(temp.dir, "missing.json")).jobs[0].schedule, "*/15 * * * *");
+});
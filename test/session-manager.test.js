@@ -0,0 +1,131 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createTempDir } = require("./helpers");
+const { getSelectors } = require("../src/service-center");
+const { createSessionManager } = require("../src/session-manager");
+
+const credentials = { username: "admin", password: "secret" };
+
+// Stand-in for Service Center and Puppeteer browsers: a page shows the login form until its browser has a live session cookie
+function createFakeServiceCenter() {
+    const selectors = getSelectors().login;
+    const state = { sessions: new Set(), logins: 0, failedLogins: 0 };
+
+    const launch = () => {
+        const jar = new Map();
+        const browser = {
+            newPage() {
+                const typed = {};
+                let showsLogin = false;
+                const page = {
+                    browser: () => browser,
+                    async goto() {
+                        const cookie = jar.get("ASP.NET_SessionId");
+                        showsLogin = !cookie || !state.sessions.has(cookie.value);
+                        await new Promise(resolve => setTimeout(resolve, 5));
+                    },
+                    async type(selector, text) {
+                        typed[selector] = text;
+                    },
+                    async click(selector) {
+                        if (selector !== selectors.submit || !showsLogin) return;
+                        if (typed[selectors.username] !== credentials.username || typed[selectors.password] !== credentials.password) {
+                            state.failedLogins++;
+                            return;
+                        }
+                        const value = `session-${state.sessions.size + 1}`;
+                        state.sessions.add(value);
+                        state.logins++;
+                        jar.set("ASP.NET_SessionId", { name: "ASP.NET_SessionId", value, domain: ".example.test", path: "/", expires: -1, httpOnly: true, secure: true });
+                        showsLogin = false;
+                    },
+                    async waitForNavigation() {},
+                    async $(selector) {
+                        return selector === selectors.password && showsLogin ? {} : null;
+                    },
+                    async cookies() {
+                        return Array.from(jar.values());
+                    },
+                    async setCookie(...cookies) {
+                        cookies.forEach(cookie => jar.set(cookie.name, cookie));
+                    }
+                };
+                return page;
+            }
+        };
+        return browser;
+    };
+    return { state, launch };
+}
+
+const SC_URL = "https://devsc.example.test/ServiceCenter/";
+const MODULE_URL = "https://dev-coreap.example.test/ServiceCenter/eSpace_Edit.aspx?eSpaceId=1";
+
+test("one login is shared by the tabs and browsers of a run and reused by the next run", async () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const filePath = path.join(dir, "sessions.json");
+        const serviceCenter = createFakeServiceCenter();
+        const sessions = createSessionManager({ environment: "dev", credentials, filePath });
+
+        const browser = serviceCenter.launch();
+        await Promise.all([sessions.openPage(browser.newPage(), SC_URL), sessions.openPage(browser.newPage(), SC_URL)]);
+        assert.equal(serviceCenter.state.logins, 1);
+
+        // The session cookie is set for the parent domain, so another subdomain in another browser reuses it
+        await sessions.openPage(serviceCenter.launch().newPage(), MODULE_URL);
+        assert.equal(serviceCenter.state.logins, 1);
+
+        // The cookies are stored encrypted and readable by the current user only
+        assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+        assert.ok(!fs.readFileSync(filePath, "utf-8").includes("session-1"));
+
+        const nextRun = createSessionManager({ environment: "dev", credentials, filePath });
+        await nextRun.openPage(serviceCenter.launch().newPage(), MODULE_URL);
+        assert.equal(serviceCenter.state.logins, 1);
+        assert.deepEqual(nextRun.stats, { logins: 0, loginFailures: 0, expiredSessions: 0 });
+
+        // Another secret cannot read the stored cookies, so it logs in
+        const otherSecret = createSessionManager({ environment: "dev", credentials, filePath, secret: "another key" });
+        await otherSecret.openPage(serviceCenter.launch().newPage(), SC_URL);
+        assert.equal(serviceCenter.state.logins, 2);
+    } finally {
+        cleanup();
+    }
+});
+
+test("an expired session is detected on the login form and replaced by a new login", async () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const serviceCenter = createFakeServiceCenter();
+        const sessions = createSessionManager({ environment: "dev", credentials, filePath: path.join(dir, "sessions.json") });
+        const browser = serviceCenter.launch();
+        await sessions.openPage(browser.newPage(), SC_URL);
+
+        serviceCenter.state.sessions.clear();
+        await Promise.all([sessions.openPage(browser.newPage(), MODULE_URL), sessions.openPage(browser.newPage(), MODULE_URL)]);
+        assert.equal(serviceCenter.state.logins, 2);
+        assert.ok(sessions.stats.expiredSessions >= 1);
+    } finally {
+        cleanup();
+    }
+});
+
+test("a rejected login fails the page and is counted", async () => {
+    const { dir, cleanup } = createTempDir();
+    try {
+        const serviceCenter = createFakeServiceCenter();
+        const sessions = createSessionManager({
+            environment: "dev",
+            credentials: { username: "admin", password: "wrong" },
+            filePath: path.join(dir, "sessions.json")
+        });
+        await assert.rejects(sessions.openPage(serviceCenter.launch().newPage(), SC_URL), /Login to https:\/\/devsc.example.test\/ServiceCenter\/ failed/);
+        assert.equal(sessions.stats.loginFailures, 1);
+        assert.ok(!fs.existsSync(path.join(dir, "sessions.json")));
+    } finally {
+        cleanup();
+    }
+});
@@ -0,0 +1,39 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { classifyMessage, classifyMessages, findUnfixableMessages, needsManualFix, countByCategory, describeMessages } = require("../src/warning-messages");
+
+test("classifyMessage sorts Service Center messages into categories", () => {
+    assert.equal(classifyMessage("Module references outdated elements of producer 'Core_IS'"), "outdated-reference");
+    assert.equal(classifyMessage("Module has outdated references"), "outdated-reference");
+    assert.equal(classifyMessage("Action 'CreateInvoice' of producer 'Billing_CS' has a changed signature"), "changed-signature");
+    assert.equal(classifyMessage("Input parameter 'Amount' of 'GetInvoice' was added"), "changed-signature");
+    assert.equal(classifyMessage("Reference to producer 'Billing_CS' is broken"), "missing-dependency");
+    assert.equal(classifyMessage("Entity 'Invoice' no longer exists in 'Billing_CS'"), "missing-dependency");
+    assert.equal(classifyMessage("Timer 'Cleanup' is late"), "other");
+});
+
+test("needsManualFix is true only when no message of the module is fixed by a republish", () => {
+    const signature = { severity: "warning", text: "Action 'GetInvoice' of producer 'Billing_CS' has a changed signature" };
+    const outdated = { severity: "warning", text: "Module has outdated references" };
+    const unknown = { severity: "warning", text: "Timer 'Cleanup' is late" };
+
+    assert.equal(needsManualFix(classifyMessages([signature])), true);
+    assert.equal(needsManualFix(classifyMessages([signature, outdated])), false);
+    assert.equal(needsManualFix(classifyMessages([unknown])), false);
+    assert.equal(needsManualFix([]), false);
+    assert.equal(needsManualFix(undefined), false);
+    assert.deepEqual(findUnfixableMessages(classifyMessages([signature, outdated])).map(message => message.category), ["changed-signature"]);
+});
+
+test("countByCategory and describeMessages summarise the messages of the scanned modules", () => {
+    const modules = [
+        { name: "Core_IS", messages: classifyMessages([{ severity: "warning", text: "Module has outdated references" }]) },
+        { name: "Members_CS", messages: classifyMessages([
+            { severity: "warning", text: "Module has outdated references" },
+            { severity: "error", text: "Reference to producer 'Core_IS' is broken" }
+        ]) },
+        { name: "Theme_TH" }
+    ];
+    assert.deepEqual(countByCategory(modules), { "outdated-reference": 2, "missing-dependency": 1 });
+    assert.equal(describeMessages(findUnfixableMessages(modules[1].messages)), "missing-dependency: Reference to producer 'Core_IS' is broken");
+});
@@ -0,0 +1,167 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createLimiter, allocateWorkers, createWorkerPool } = require("../src/worker-pool");
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const tasks = (count) => Array.from({ length: count }, (_, index) => ({ name: `Module${index + 1}_CS` }));
+
+// Fake hosts whose tabs open pages after `delays[name]` milliseconds, failing on the hosts marked down
+function createHosts(names, { delays = {}, down = new Set() } = {}) {
+    return names.map(name => ({
+        name,
+        openTab: async () => ({
+            async openPage() {
+                await sleep(delays[name] || 1);
+                if (down.has(name)) throw new Error(`${name} is down`);
+            },
+            async close() {}
+        })
+    }));
+}
+
+// Handler opening the module page and tracking how many modules run at once, in all and per host
+function createHandler() {
+    const running = { total: 0, maxTotal: 0, perHost: {}, maxPerHost: {} };
+    const handler = async (task, { host, tab }) => {
+        running.total++;
+        running.perHost[host] = (running.perHost[host] || 0) + 1;
+        running.maxTotal = Math.max(running.maxTotal, running.total);
+        running.maxPerHost[host] = Math.max(running.maxPerHost[host] || 0, running.perHost[host]);
+        try {
+            await tab.openPage(task.name);
+            await sleep(5);
+            return { name: task.name, host };
+        } finally {
+            running.total--;
+            running.perHost[host]--;
+        }
+    };
+    return { running, handler };
+}
+
+const giveUp = (task, err) => ({ name: task.name, host: null, message: err.message });
+
+test("allocateWorkers spreads the total over the hosts, at most the cap per host", () => {
+    assert.deepEqual(allocateWorkers(5, 10, 2), [2, 2, 2, 2, 2]);
+    assert.deepEqual(allocateWorkers(5, 3, 2), [1, 1, 1, 0, 0]);
+    assert.deepEqual(allocateWorkers(3, 7, 2), [2, 2, 2]);
+    assert.deepEqual(allocateWorkers(2, 3, 4), [2, 1]);
+});
+
+test("createLimiter runs at most the given number of functions at once", async () => {
+    const limiter = createLimiter(2);
+    let running = 0;
+    let maxRunning = 0;
+    const results = await Promise.all([1, 2, 3, 4, 5].map(value => limiter.run(async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await sleep(5);
+        running--;
+        return value * 2;
+    })));
+    assert.deepEqual(results, [2, 4, 6, 8, 10]);
+    assert.equal(maxRunning, 2);
+    assert.equal(limiter.active(), 0);
+});
+
+test("the pool respects the total and per-host limits", async () => {
+    const pool = createWorkerPool({
+        hosts: createHosts(["a", "b", "c"]),
+        maxWorkers: 4,
+        perHostCap: 2,
+        maxPublishes: 1,
+        healthCheck: async () => {}
+    });
+    const { running, handler } = createHandler();
+    const { results, unprocessed } = await pool.runWave(tasks(20), handler, giveUp);
+
+    assert.equal(results.length, 20);
+    assert.deepEqual(unprocessed, []);
+    assert.equal(running.maxTotal, 4);
+    assert.ok(Object.values(running.maxPerHost).every(count => count <= 2));
+});
+
+test("a host that fails its health check is taken out and its modules go to the healthy hosts", async () => {
+    const down = new Set(["b"]);
+    const hosts = createHosts(["a", "b"], { down });
+    const pool = createWorkerPool({
+        hosts,
+        maxWorkers: 4,
+        perHostCap: 2,
+        maxPublishes: 1,
+        healthCheck: (tab) => tab.openPage("/ServiceCenter/")
+    });
+    const { handler } = createHandler();
+    const { results, unprocessed } = await pool.runWave(tasks(10), handler, giveUp);
+
+    assert.equal(results.length, 10);
+    assert.deepEqual(unprocessed, []);
+    assert.ok(results.every(result => result.host === "a"));
+    assert.equal(pool.stats.hostsTakenOut, 1);
+    assert.ok(pool.stats.requeued >= 1);
+    assert.deepEqual(pool.describeHosts().map(host => host.healthy), [true, false]);
+
+    // A host that recovered is checked again and used in the next wave
+    down.delete("b");
+    const next = await pool.runWave(tasks(10), handler, giveUp);
+    assert.ok(next.results.some(result => result.host === "b"));
+});
+
+test("modules are given up after the last attempt and left over when no host is healthy", async () => {
+    const pool = createWorkerPool({
+        hosts: createHosts(["a"], { down: new Set(["a"]) }),
+        maxWorkers: 1,
+        perHostCap: 1,
+        maxPublishes: 1,
+        maxAttempts: 1,
+        healthCheck: async () => { throw new Error("Service Center is down"); }
+    });
+    const { handler } = createHandler();
+    const { results, unprocessed } = await pool.runWave(tasks(3), handler, giveUp);
+
+    assert.deepEqual(results, [{ name: "Module1_CS", host: null, message: "a is down" }]);
+    assert.deepEqual(unprocessed.map(task => task.name), ["Module2_CS", "Module3_CS"]);
+});
+
+test("a slow host backs off with fewer workers", async () => {
+    const pool = createWorkerPool({
+        hosts: createHosts(["slow", "fast"], { delays: { slow: 30 } }),
+        maxWorkers: 8,
+        perHostCap: 4,
+        maxPublishes: 1,
+        healthCheck: async () => {},
+        slowResponseMs: 20
+    });
+    const { handler } = createHandler();
+    const { results } = await pool.runWave(tasks(12), handler, giveUp);
+
+    assert.equal(results.length, 12);
+    assert.ok(pool.stats.backoffs >= 1);
+    const [slow, fast] = pool.describeHosts();
+    assert.ok(slow.limit < slow.workers);
+    assert.equal(fast.limit, fast.workers);
+    // The paused host left most of the modules to the fast one
+    assert.ok(results.filter(result => result.host === "fast").length > results.filter(result => result.host === "slow").length);
+});
+
+test("runPublish limits the publishes running at once", async () => {
+    const pool = createWorkerPool({
+        hosts: createHosts(["a", "b"]),
+        maxWorkers: 4,
+        perHostCap: 2,
+        maxPublishes: 2,
+        healthCheck: async () => {}
+    });
+    let publishing = 0;
+    let maxPublishing = 0;
+    const { results } = await pool.runWave(tasks(8), (task, { host }) => pool.runPublish(async () => {
+        publishing++;
+        maxPublishing = Math.max(maxPublishing, publishing);
+        await sleep(10);
+        publishing--;
+        return { name: task.name, host };
+    }), giveUp);
+
+    assert.equal(results.length, 8);
+    assert.equal(maxPublishing, 2);
+});